@@ -9,13 +9,14 @@
  * - Once resolved, show either Auth flow or Main tabs
  */
 
-import React from 'react';
+import React, { useEffect } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import { StatusBar, StyleSheet, View, Text, ActivityIndicator } from 'react-native';
+import { ShareIntentProvider, useShareIntentContext } from 'expo-share-intent';
 
 // Context
 import { SettingsProvider, useSettings } from './src/context/SettingsContext';
@@ -31,6 +32,10 @@ import ProfilesScreen from './src/screens/ProfilesScreen';
 import SettingsScreen from './src/screens/SettingsScreen';
 import AlternativesScreen from './src/screens/AlternativesScreen';
 import ReviewScanScreen from './src/screens/ReviewScanScreen';
+import ManualEntryScreen from './src/screens/ManualEntryScreen';
+import AccountScreen from './src/screens/AccountScreen';
+import AppLockSetupScreen from './src/screens/AppLockSetupScreen';
+import LockScreen from './src/screens/LockScreen';
 
 // Theme
 import { theme } from './src/theme';
@@ -57,6 +62,11 @@ function HomeStack() {
       }}
     >
       <HomeStackNav.Screen name="HomeMain" component={HomeScreen} />
+      <HomeStackNav.Screen
+        name="ManualEntry"
+        component={ManualEntryScreen}
+        options={{ animation: 'slide_from_right' }}
+      />
       <HomeStackNav.Screen
         name="ReviewScan"
         component={ReviewScanScreen}
@@ -94,6 +104,11 @@ function ScanStack() {
       }}
     >
       <ScanStackNav.Screen name="ScanMain" component={ScanScreen} />
+      <ScanStackNav.Screen
+        name="ManualEntry"
+        component={ManualEntryScreen}
+        options={{ animation: 'slide_from_right' }}
+      />
       <ScanStackNav.Screen
         name="ReviewScan"
         component={ReviewScanScreen}
@@ -122,7 +137,23 @@ function ScanStack() {
 }
 
 // Main Tab Navigator (authenticated)
-function MainTabs() {
+function MainTabs({ navigation }) {
+  const { hasShareIntent, shareIntent, resetShareIntent } = useShareIntentContext();
+
+  // Label photos shared from another app open the Scan tab and are
+  // analyzed there. Shares received before login wait until MainTabs mounts.
+  useEffect(() => {
+    if (!hasShareIntent) return;
+    const files = shareIntent?.files || [];
+    resetShareIntent();
+    if (files.length > 0) {
+      navigation.navigate('Main', {
+        screen: 'Scan',
+        params: { screen: 'ScanMain', params: { sharedFiles: files } },
+      });
+    }
+  }, [hasShareIntent]);
+
   return (
     <Tab.Navigator
       screenOptions={{
@@ -197,16 +228,33 @@ function LoadingScreen() {
  * This prevents the PlatformConstants re-render crash.
  */
 function RootNavigator() {
-  const { isAuthenticated, authLoading } = useSettings();
+  const { isAuthenticated, authLoading, isLocked } = useSettings();
 
   if (authLoading) {
     return <LoadingScreen />;
   }
 
+  // A locked session sees only the PIN / biometric prompt (see SettingsContext)
+  if (isAuthenticated && isLocked) {
+    return <LockScreen />;
+  }
+
   return (
     <RootStack.Navigator screenOptions={{ headerShown: false }}>
       {isAuthenticated ? (
-        <RootStack.Screen name="Main" component={MainTabs} />
+        <>
+          <RootStack.Screen name="Main" component={MainTabs} />
+          <RootStack.Screen
+            name="Account"
+            component={AccountScreen}
+            options={{ animation: 'slide_from_right' }}
+          />
+          <RootStack.Screen
+            name="AppLockSetup"
+            component={AppLockSetupScreen}
+            options={{ animation: 'slide_from_bottom', presentation: 'modal' }}
+          />
+        </>
       ) : (
         <RootStack.Screen
           name="Auth"
@@ -223,15 +271,17 @@ export default function App() {
   return (
     <GestureHandlerRootView style={styles.container}>
       <SafeAreaProvider>
-        <SettingsProvider>
-          <StatusBar
-            barStyle="dark-content"
-            backgroundColor={theme.colors.background}
-          />
-          <NavigationContainer>
-            <RootNavigator />
-          </NavigationContainer>
-        </SettingsProvider>
+        <ShareIntentProvider>
+          <SettingsProvider>
+            <StatusBar
+              barStyle="dark-content"
+              backgroundColor={theme.colors.background}
+            />
+            <NavigationContainer>
+              <RootNavigator />
+            </NavigationContainer>
+          </SettingsProvider>
+        </ShareIntentProvider>
       </SafeAreaProvider>
     </GestureHandlerRootView>
   );
@@ -52,12 +52,33 @@ const config = {
     temperature: 0.3,
   },
 
+  // Local Auth
+  auth: {
+    // PBKDF2-SHA256 work factor. Hashing runs in JS (no native PBKDF2 in
+    // Expo): 100k iterations took ~13 s in an interpreter-only benchmark,
+    // so keep logins to a few seconds on slow phones. Stored hashes are
+    // re-hashed to this value on login
+    passwordIterations: 25000,
+    sessionTTL: 30 * 24 * 60 * 60 * 1000, // 30 days
+  },
+
+  // App Lock (PIN + biometrics)
+  appLock: {
+    pinIterations: 20000, // PINs are checked on every unlock, so lighter than passwords
+    maxAttempts: 5, // wrong PINs before a cooldown
+    cooldown: 30 * 1000, // doubled with each further lockout...
+    maxCooldown: 24 * 60 * 60 * 1000, // ...up to this
+    externalGrace: 5 * 60 * 1000, // time allowed in a picker / share sheet before locking
+  },
+
   // Feature Flags
   features: {
     beautyMode: true,
     homeMode: true,
-    barcodeScanning: false, // Coming soon
-    offlineMode: false, // Coming soon
+    barcodeScanning: true,
+    offlineMode: true,
+    imageImport: true, // library picker + share sheet
+    localProvider: false, // opt-in fixture-backed AI provider, no network (pick it in Settings)
     socialSharing: true,
     pushNotifications: true,
   },
@@ -0,0 +1,22 @@
+/**
+ * Jest setup - In-memory stand-ins for the native storage and crypto
+ * modules, so services can be tested against real AsyncStorage /
+ * SecureStore behavior. Each test file gets fresh, empty stores.
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+jest.mock('expo-secure-store', () => {
+  const items = new Map();
+  return {
+    getItemAsync: jest.fn(async key => (items.has(key) ? items.get(key) : null)),
+    setItemAsync: jest.fn(async (key, value) => { items.set(key, value); }),
+    deleteItemAsync: jest.fn(async key => { items.delete(key); }),
+  };
+});
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: size => new Uint8Array(require('crypto').randomBytes(size)),
+}));
@@ -1,11 +1,20 @@
 /**
  * IngredientCard Component
- * Displays a single ingredient with score and concern level
+ * Displays a single ingredient with score, concern level and its E/INS code
  */
 
 import React from 'react';
 import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { theme, getScoreColor, getConcernBadge } from '../theme';
+import { parseAdditiveCode } from '../data/ingredientDatabase';
+
+// The code printed on the label ("E150d") is more specific than the
+// database's ("E150c/E150d"); skip it when the name already shows it
+function getDisplayCode(ingredient) {
+  const code = parseAdditiveCode(ingredient.labelName) || ingredient.eNumber;
+  if (!code || parseAdditiveCode(ingredient.name) === code) return null;
+  return code;
+}
 
 const IngredientCard = ({
   ingredient,
@@ -16,6 +25,7 @@ const IngredientCard = ({
 }) => {
   const scoreColor = getScoreColor(ingredient.score);
   const badge = getConcernBadge(ingredient.concern || 'moderate');
+  const code = getDisplayCode(ingredient);
 
   if (compact) {
     return (
@@ -32,6 +42,7 @@ const IngredientCard = ({
         </View>
         <Text style={styles.compactName} numberOfLines={1}>
           {ingredient.name}
+          {code && <Text style={styles.code}> {code}</Text>}
         </Text>
       </TouchableOpacity>
     );
@@ -51,7 +62,10 @@ const IngredientCard = ({
       </View>
       
       <View style={styles.info}>
-        <Text style={styles.name}>{ingredient.name}</Text>
+        <Text style={styles.name}>
+          {ingredient.name}
+          {code && <Text style={styles.code}> · {code}</Text>}
+        </Text>
         {showCategory && ingredient.category && (
           <Text style={styles.category}>{ingredient.category}</Text>
         )}
@@ -98,6 +112,11 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     color: theme.colors.text,
   },
+  code: {
+    fontSize: 12,
+    fontWeight: '400',
+    color: theme.colors.textMuted,
+  },
   category: {
     fontSize: 12,
     color: theme.colors.textMuted,
@@ -0,0 +1,112 @@
+/**
+ * PinPad Component
+ * Numeric keypad with entry dots for the app-lock PIN.
+ * Calls onComplete(pin) once `length` digits are entered, then clears.
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { theme } from '../theme';
+
+const KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+const PinPad = ({
+  length = 4,
+  onComplete,
+  disabled = false,
+  accessoryKey, // optional { label, onPress } shown left of 0 (e.g. biometrics)
+}) => {
+  const [pin, setPin] = useState('');
+
+  const handleDigit = (digit) => {
+    if (disabled || pin.length >= length) return;
+    const next = pin + digit;
+    if (next.length < length) {
+      setPin(next);
+      return;
+    }
+    setPin('');
+    onComplete(next);
+  };
+
+  const handleDelete = () => {
+    setPin((prev) => prev.slice(0, -1));
+  };
+
+  const renderKey = (label, onPress, key = label) => (
+    <TouchableOpacity
+      key={key}
+      style={styles.key}
+      onPress={onPress}
+      disabled={disabled}
+      activeOpacity={0.6}
+    >
+      <Text style={styles.keyText}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.dots}>
+        {Array.from({ length }, (_, i) => (
+          <View key={i} style={[styles.dot, i < pin.length && styles.dotFilled]} />
+        ))}
+      </View>
+
+      <View style={[styles.keys, disabled && styles.keysDisabled]}>
+        {KEYS.map((digit) => renderKey(digit, () => handleDigit(digit)))}
+        {accessoryKey
+          ? renderKey(accessoryKey.label, accessoryKey.onPress, 'accessory')
+          : <View style={styles.key} />}
+        {renderKey('0', () => handleDigit('0'))}
+        {renderKey('⌫', handleDelete, 'delete')}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+  },
+  dots: {
+    flexDirection: 'row',
+    gap: theme.spacing.md,
+    marginBottom: theme.spacing.xl,
+  },
+  dot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    borderWidth: 2,
+    borderColor: theme.colors.primary,
+  },
+  dotFilled: {
+    backgroundColor: theme.colors.primary,
+  },
+  keys: {
+    width: 264,
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    rowGap: theme.spacing.md,
+  },
+  keysDisabled: {
+    opacity: 0.4,
+  },
+  key: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.colors.surface,
+  },
+  keyText: {
+    fontSize: 26,
+    fontWeight: '500',
+    color: theme.colors.text,
+  },
+});
+
+export default PinPad;
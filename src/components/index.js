@@ -8,4 +8,5 @@ export { default as Button } from './Button';
 export { default as Card } from './Card';
 export { default as Badge } from './Badge';
 export { default as IngredientCard } from './IngredientCard';
-export { default as ProfileCard } from './ProfileCard';
\ No newline at end of file
+export { default as ProfileCard } from './ProfileCard';
+export { default as PinPad } from './PinPad';
\ No newline at end of file
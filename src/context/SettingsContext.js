@@ -7,7 +7,14 @@
  * - useCallback on every updater ensures referential stability so child
  *   components wrapped in React.memo won't re-render unnecessarily.
  * - Storage writes are fire-and-forget (non-blocking) to keep the UI fast.
- * - Auth state is loaded from SecureStore on mount and drives navigation.
+ * - Auth state is restored from SecureStore on mount (the session token is
+ *   validated against the account and its expiry) and drives navigation.
+ * - Settings, profiles and history belong to the logged-in account; they are
+ *   (re)loaded on every login and reset on logout.
+ * - App lock: with a PIN set, a restored session starts locked and the app
+ *   re-locks after settings.appLockTimeout in the background.
+ * - The ingredient dataset is device-wide: an imported update is loaded on
+ *   mount, before any account, and survives logout.
  */
 
 import React, {
@@ -17,8 +24,17 @@ import React, {
   useEffect,
   useMemo,
   useCallback,
+  useRef,
 } from 'react';
+import { AppState } from 'react-native';
 import { storageService } from '../services/storageService';
+import scanRepository from '../services/scanRepository';
+import { adoptLegacyScanImages, clearScanImages } from '../services/scanImageStore';
+import appLock from '../services/appLock';
+import { restoreBackup } from '../services/backupService';
+import ingredientDataset from '../services/ingredientDataset';
+import { runMigrations } from '../services/storageMigrations';
+import config from '../../config';
 
 const SettingsContext = createContext(undefined);
 
@@ -26,8 +42,48 @@ const DEFAULT_SETTINGS = {
   aiProvider: 'auto',
   autoScan: false,
   showScores: true,
+  appLockBiometrics: true,
+  appLockTimeout: config.analytics.sessionTimeout, // ms in background before re-locking
 };
 
+/**
+ * Make `userId` the active storage user and read their data. The first
+ * account to log in takes over data saved before per-user storage,
+ * including stored scan photos; data saved before encryption at rest is
+ * encrypted on first load. Stored shapes are then migrated to the current
+ * schema version before anything is read. Throws (DecryptError) when the
+ * account's data can't be decrypted.
+ */
+async function loadUserData(userId) {
+  storageService.setActiveUser(userId);
+  if (await storageService.claimLegacyData(userId)) {
+    adoptLegacyScanImages();
+  }
+  await storageService.encryptUserData();
+  await runMigrations();
+
+  let saved;
+  try {
+    saved = await Promise.all([
+      storageService.getSettings(),
+      storageService.getProfiles(),
+      scanRepository.loadScanIndex(),
+    ]);
+  } catch (e) {
+    // Data that can't be decrypted stays signed out rather than being
+    // replaced by an empty account
+    storageService.setActiveUser(null);
+    throw e;
+  }
+  const [savedSettings, savedProfiles, savedHistory] = saved;
+
+  return {
+    settings: { ...DEFAULT_SETTINGS, ...savedSettings },
+    profiles: savedProfiles || [],
+    scanHistory: savedHistory || [],
+  };
+}
+
 export function SettingsProvider({ children }) {
   const [settings, setSettings] = useState(DEFAULT_SETTINGS);
   const [profiles, setProfiles] = useState([]);
@@ -39,39 +95,46 @@ export function SettingsProvider({ children }) {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [authLoading, setAuthLoading] = useState(true); // true until initial auth check
 
-  // Load all persisted data once on mount
+  // App lock state
+  const [appLockEnabled, setAppLockEnabled] = useState(false); // account has a PIN
+  const [isLocked, setIsLocked] = useState(false);
+  const backgroundedRef = useRef(null);
+
+  // Ingredient dataset in use ({ version, updatedAt, count, source })
+  const [datasetInfo, setDatasetInfo] = useState(ingredientDataset.getDatasetInfo);
+
+  const applyUserData = useCallback((userData) => {
+    setSettings(userData.settings);
+    setProfiles(userData.profiles);
+    setScanHistory(userData.scanHistory);
+  }, []);
+
+  // Restore the session (and that account's data) once on mount
   useEffect(() => {
     let cancelled = false;
 
     (async () => {
       try {
-        // Check for existing auth token first
-        const [token, savedSettings, savedProfiles, savedHistory, userProfile] =
-          await Promise.all([
-            storageService.getAuthToken(),
-            storageService.getSettings(),
-            storageService.getProfiles(),
-            storageService.getScanHistory(),
-            storageService.getUserProfile(),
-          ]);
-
+        // An imported ingredient dataset replaces the bundled one first
+        const info = await ingredientDataset.loadIngredientDataset();
+        if (!cancelled) setDatasetInfo(info);
+
+        // Check for a valid session first
+        const userProfile = await storageService.restoreSession();
+        if (!userProfile) return;
+
+        // Restore auth state with that account's data
+        const [userData, hasPin] = await Promise.all([
+          loadUserData(userProfile.id),
+          appLock.hasPin(userProfile.id),
+        ]);
         if (cancelled) return;
 
-        // Restore auth state
-        if (token && userProfile) {
-          setUser(userProfile);
-          setIsAuthenticated(true);
-        }
-
-        if (savedSettings) {
-          setSettings((prev) => ({ ...prev, ...savedSettings }));
-        }
-        if (savedProfiles && savedProfiles.length > 0) {
-          setProfiles(savedProfiles);
-        }
-        if (savedHistory && savedHistory.length > 0) {
-          setScanHistory(savedHistory);
-        }
+        applyUserData(userData);
+        setAppLockEnabled(hasPin);
+        setIsLocked(hasPin);
+        setUser(userProfile);
+        setIsAuthenticated(true);
       } catch (e) {
         console.error('SettingsProvider: failed to load persisted data', e);
       } finally {
@@ -87,49 +150,122 @@ export function SettingsProvider({ children }) {
     };
   }, []);
 
+  // Re-lock when the app returns after appLockTimeout in the background
+  useEffect(() => {
+    if (!isAuthenticated || !appLockEnabled) return undefined;
+
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'background') {
+        backgroundedRef.current = { at: Date.now(), external: appLock.isExternalTaskOpen() };
+      } else if (state === 'active' && backgroundedRef.current !== null) {
+        const { at, external } = backgroundedRef.current;
+        backgroundedRef.current = null;
+        // The app's own picker or share sheet gets a grace period
+        const timeout = external
+          ? Math.max(settings.appLockTimeout, config.appLock.externalGrace)
+          : settings.appLockTimeout;
+        if (Date.now() - at >= timeout) {
+          setIsLocked(true);
+        }
+      }
+    });
+    return () => subscription.remove();
+  }, [isAuthenticated, appLockEnabled, settings.appLockTimeout]);
+
   // ─── Auth actions ─────────────────────────────────────────────
 
   const login = useCallback(async (email, password) => {
     const verifiedUser = await storageService.verifyUser(email, password);
-    const token = storageService.generateToken(email);
     const userProfile = { id: verifiedUser.id, email: verifiedUser.email };
 
-    await storageService.saveAuthToken(token);
+    // Read the data first so unreadable data never gets a session
+    const userData = await loadUserData(verifiedUser.id);
+    await storageService.createSession(verifiedUser.id);
     await storageService.saveUserProfile(userProfile);
 
+    applyUserData(userData);
+    setAppLockEnabled(await appLock.hasPin(verifiedUser.id));
     setUser(userProfile);
     setIsAuthenticated(true);
-
-    // Load profiles linked to this user
-    const allProfiles = await storageService.getProfiles();
-    const userProfiles = allProfiles.filter(
-      (p) => !p.userId || p.userId === verifiedUser.id
-    );
-    setProfiles(userProfiles);
-  }, []);
+  }, [applyUserData]);
 
   const signup = useCallback(async (email, password) => {
     const newUser = await storageService.createUser(email, password);
-    const token = storageService.generateToken(email);
     const userProfile = { id: newUser.id, email: newUser.email };
 
-    await storageService.saveAuthToken(token);
+    await storageService.createSession(newUser.id);
     await storageService.saveUserProfile(userProfile);
 
+    // Fresh account (unless it is the first one and inherits legacy data)
+    applyUserData(await loadUserData(newUser.id));
     setUser(userProfile);
     setIsAuthenticated(true);
-    setProfiles([]); // Fresh account, no profiles
-  }, []);
+  }, [applyUserData]);
 
-  const logout = useCallback(async () => {
-    await storageService.deleteAuthToken();
+  // Back to the signed-out state (AuthScreen)
+  const resetSession = useCallback(async () => {
     await storageService.deleteUserProfile();
+    storageService.setActiveUser(null);
+    scanRepository.unloadScanIndex();
+    setAppLockEnabled(false);
+    setIsLocked(false);
     setUser(null);
     setIsAuthenticated(false);
+    setSettings(DEFAULT_SETTINGS);
     setProfiles([]);
     setScanHistory([]);
   }, []);
 
+  const logout = useCallback(async () => {
+    await storageService.endSession();
+    await resetSession();
+  }, [resetSession]);
+
+  // ─── Account management ──────────────────────────────────────
+
+  const changePassword = useCallback(async (currentPassword, newPassword) => {
+    await storageService.changePassword(user.id, currentPassword, newPassword);
+  }, [user]);
+
+  const changeEmail = useCallback(async (newEmail, password) => {
+    const userProfile = await storageService.changeEmail(user.id, newEmail, password);
+    await storageService.saveUserProfile(userProfile);
+    setUser(userProfile);
+  }, [user]);
+
+  // Removes the account and everything it owns, then signs out
+  const deleteAccount = useCallback(async (password) => {
+    await storageService.deleteUser(user.id, password);
+    clearScanImages();
+    await appLock.removePin(user.id);
+    await resetSession();
+  }, [user, resetSession]);
+
+  // ─── App lock ─────────────────────────────────────────────────
+
+  const enableAppLock = useCallback(async (pin) => {
+    await appLock.setPin(user.id, pin);
+    setAppLockEnabled(true);
+  }, [user]);
+
+  const disableAppLock = useCallback(async () => {
+    await appLock.removePin(user.id);
+    setAppLockEnabled(false);
+  }, [user]);
+
+  // Both return true when the app was unlocked
+  const unlockWithPin = useCallback(async (pin) => {
+    const valid = await appLock.verifyPin(user.id, pin);
+    if (valid) setIsLocked(false);
+    return valid;
+  }, [user]);
+
+  const unlockWithBiometrics = useCallback(async () => {
+    const success = await appLock.authenticateWithBiometrics();
+    if (success) setIsLocked(false);
+    return success;
+  }, []);
+
   // ─── Settings updaters ────────────────────────────────────────
 
   const updateSettings = useCallback((updates) => {
@@ -173,17 +309,57 @@ export function SettingsProvider({ children }) {
 
   // ─── Scan history updaters ────────────────────────────────────
 
+  // scanHistory holds the index summaries (newest first); the repository
+  // applies config.cache limits and evicts the oldest scans with their photos.
+  // Open a scan with getScan(id) to get the full record.
+
   const addScan = useCallback((scan) => {
-    setScanHistory((prev) => {
-      const next = [scan, ...prev].slice(0, 50);
-      storageService.saveScanHistory(next);
-      return next;
-    });
+    setScanHistory(scanRepository.saveScan(scan));
+  }, []);
+
+  const updateScan = useCallback((id, updates) => {
+    setScanHistory(scanRepository.updateScan(id, updates));
+  }, []);
+
+  const removeScan = useCallback((id) => {
+    setScanHistory(scanRepository.removeScan(id));
   }, []);
 
   const clearHistory = useCallback(() => {
-    setScanHistory([]);
-    storageService.saveScanHistory([]);
+    setScanHistory(scanRepository.clearScans());
+  }, []);
+
+  const getScan = useCallback((id) => scanRepository.getScan(id), []);
+
+  // ─── Backup ───────────────────────────────────────────────────
+
+  /**
+   * Import a parsed backup (see backupService.parseBackup), merging with or
+   * replacing this account's data. Resolves with the restore result
+   * (scansAdded, scansSkipped, profilesAdded, ...).
+   */
+  const importBackup = useCallback(async (backup, options) => {
+    const result = await restoreBackup(backup, options);
+    setSettings({ ...DEFAULT_SETTINGS, ...result.settings });
+    setProfiles(result.profiles);
+    setScanHistory(result.scanHistory);
+    return result;
+  }, []);
+
+  // ─── Ingredient dataset ───────────────────────────────────────
+
+  /**
+   * Pick, validate and switch to a newer ingredient dataset file.
+   * Resolves with the new dataset info, or null if the picker was cancelled.
+   */
+  const importIngredientDataset = useCallback(async () => {
+    const info = await ingredientDataset.importIngredientDataset();
+    if (info) setDatasetInfo(info);
+    return info;
+  }, []);
+
+  const resetIngredientDataset = useCallback(() => {
+    setDatasetInfo(ingredientDataset.resetIngredientDataset());
   }, []);
 
   // Memoize the value object so consumers don't re-render unless
@@ -197,6 +373,16 @@ export function SettingsProvider({ children }) {
       login,
       signup,
       logout,
+      changePassword,
+      changeEmail,
+      deleteAccount,
+      // App lock
+      appLockEnabled,
+      isLocked,
+      enableAppLock,
+      disableAppLock,
+      unlockWithPin,
+      unlockWithBiometrics,
       // App data
       settings,
       profiles,
@@ -207,7 +393,15 @@ export function SettingsProvider({ children }) {
       updateProfile,
       removeProfile,
       addScan,
+      updateScan,
+      removeScan,
       clearHistory,
+      getScan,
+      importBackup,
+      // Ingredient dataset
+      datasetInfo,
+      importIngredientDataset,
+      resetIngredientDataset,
     }),
     [
       user,
@@ -216,6 +410,15 @@ export function SettingsProvider({ children }) {
       login,
       signup,
       logout,
+      changePassword,
+      changeEmail,
+      deleteAccount,
+      appLockEnabled,
+      isLocked,
+      enableAppLock,
+      disableAppLock,
+      unlockWithPin,
+      unlockWithBiometrics,
       settings,
       profiles,
       scanHistory,
@@ -225,7 +428,14 @@ export function SettingsProvider({ children }) {
       updateProfile,
       removeProfile,
       addScan,
+      updateScan,
+      removeScan,
       clearHistory,
+      getScan,
+      importBackup,
+      datasetInfo,
+      importIngredientDataset,
+      resetIngredientDataset,
     ],
   );
 
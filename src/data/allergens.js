@@ -0,0 +1,241 @@
+/**
+ * Purelytics Allergen Data
+ *
+ * The nine major US food allergens (FALCPA + FASTER Act: milk, egg, fish,
+ * crustacean shellfish, tree nuts, peanuts, wheat, soy, sesame) and the
+ * extra EU Annex II allergens (mustard, celery, lupin, sulphites; molluscs
+ * are covered by shellfish).
+ *
+ * Each allergen lists:
+ * - terms: ingredient names that are, or are derived from, the allergen
+ *   (casein and whey for milk, albumin for egg, soy lecithin for soy ...)
+ * - possible: names that are often, but not always, made from it
+ *   (plain "lecithin" is usually soy)
+ * - exclusions: look-alike phrases whose words don't count ("coconut milk",
+ *   "buckwheat"); the rest of the name is still checked
+ *
+ * Terms are matched as whole words against lower-cased ingredient names and
+ * against the allergens named in "Contains:" / "May contain:" statements.
+ */
+
+// =============================================================================
+// ALLERGENS
+// =============================================================================
+
+export const ALLERGENS = [
+  {
+    id: 'milk',
+    label: 'Milk',
+    emoji: '🥛',
+    regions: ['US', 'EU'],
+    terms: [
+      'milk', 'dairy', 'cream', 'butter', 'buttermilk', 'butterfat', 'butter oil', 'cheese', 'whey',
+      'casein', 'caseinate', 'lactose', 'lactalbumin', 'lactoglobulin', 'lactoferrin', 'ghee',
+      'yogurt', 'yoghurt', 'curd', 'kefir', 'quark', 'paneer', 'custard', 'milk solids',
+      'milkfat', 'milk fat', 'milk powder', 'nonfat dry milk', 'recaldent',
+    ],
+    possible: ['lactic acid starter culture', 'natural butter flavor'],
+    exclusions: [
+      'coconut milk', 'coconut cream', 'almond milk', 'oat milk', 'soy milk', 'soymilk', 'rice milk',
+      'cashew milk', 'cocoa butter', 'cacao butter', 'peanut butter', 'shea butter', 'nut butter',
+      'almond butter', 'sunflower butter', 'apple butter', 'cream of tartar', 'milk thistle',
+      'bean curd', 'non-dairy', 'dairy-free', 'dairy free', 'milk-free',
+    ],
+  },
+  {
+    id: 'egg',
+    label: 'Egg',
+    emoji: '🥚',
+    regions: ['US', 'EU'],
+    terms: [
+      'egg', 'egg white', 'egg yolk', 'albumin', 'albumen', 'ovalbumin', 'ovomucoid', 'ovomucin',
+      'ovotransferrin', 'ovovitellin', 'vitellin', 'livetin', 'lysozyme', 'meringue',
+      'mayonnaise', 'eggnog', 'egg lecithin',
+    ],
+    possible: ['pasta'],
+    exclusions: ['eggplant', 'egg-free', 'egg free', 'egg replacer'],
+  },
+  {
+    id: 'fish',
+    label: 'Fish',
+    emoji: '🐟',
+    regions: ['US', 'EU'],
+    terms: [
+      'fish', 'anchovy', 'anchovies', 'cod', 'salmon', 'tuna', 'sardine', 'mackerel', 'haddock',
+      'pollock', 'tilapia', 'trout', 'herring', 'halibut', 'catfish', 'flounder', 'snapper',
+      'swordfish', 'bonito', 'surimi', 'caviar', 'roe', 'fish sauce', 'fish oil', 'fish gelatin',
+      'isinglass',
+    ],
+    possible: ['worcestershire sauce', 'omega-3', 'caesar dressing'],
+    exclusions: ['fish-free'],
+  },
+  {
+    id: 'shellfish',
+    label: 'Shellfish',
+    emoji: '🦐',
+    regions: ['US', 'EU'],
+    terms: [
+      'shellfish', 'crustacean', 'shrimp', 'prawn', 'crab', 'lobster', 'crayfish', 'crawfish',
+      'langoustine', 'krill', 'scampi', 'mollusc', 'mollusk', 'clam', 'oyster', 'mussel', 'scallop',
+      'squid', 'calamari', 'octopus', 'cuttlefish', 'abalone', 'whelk', 'snail', 'escargot',
+    ],
+    possible: ['glucosamine', 'chitosan', 'seafood flavor'],
+    exclusions: ['oyster mushroom', 'shellfish-free'],
+  },
+  {
+    id: 'tree-nuts',
+    label: 'Tree Nuts',
+    emoji: '🌰',
+    regions: ['US', 'EU'],
+    terms: [
+      'tree nut', 'nut', 'almond', 'cashew', 'walnut', 'pecan', 'hazelnut', 'filbert', 'pistachio',
+      'macadamia', 'brazil nut', 'pine nut', 'pignoli', 'chestnut', 'praline', 'marzipan',
+      'gianduja', 'frangipane', 'nut butter', 'nut oil', 'nut meal',
+    ],
+    possible: ['natural nut flavor', 'nougat', 'pesto'],
+    exclusions: [
+      'water chestnut', 'nut-free', 'nut free', 'shea nut', 'tiger nut', 'doughnut',
+    ],
+  },
+  {
+    id: 'peanuts',
+    label: 'Peanuts',
+    emoji: '🥜',
+    regions: ['US', 'EU'],
+    terms: [
+      'peanut', 'groundnut', 'arachis', 'arachis oil', 'monkey nut', 'goober', 'beer nut',
+    ],
+    possible: [],
+    exclusions: ['peanut-free', 'peanut free'],
+  },
+  {
+    id: 'wheat',
+    label: 'Wheat',
+    emoji: '🌾',
+    regions: ['US', 'EU'],
+    terms: [
+      'wheat', 'whole wheat', 'wheat flour', 'wheat starch', 'wheat gluten', 'wheat germ',
+      'wheat bran', 'semolina', 'durum', 'spelt', 'farina', 'farro', 'kamut', 'khorasan',
+      'einkorn', 'emmer', 'bulgur', 'couscous', 'seitan', 'graham', 'triticale',
+      'enriched flour', 'bleached flour', 'unbleached flour', 'all-purpose flour', 'bread flour',
+      'cake flour', 'bread crumbs', 'breadcrumbs', 'panko', 'cracker meal', 'matzo', 'matzah',
+    ],
+    possible: ['flour', 'modified food starch', 'gluten'],
+    exclusions: [
+      'buckwheat', 'buckwheat flour', 'wheat-free', 'wheat free', 'rice flour', 'corn flour',
+      'almond flour', 'coconut flour', 'oat flour', 'potato flour', 'tapioca flour',
+      'chickpea flour', 'soy flour', 'cassava flour', 'gluten-free', 'gluten free',
+      'gluten-free flour', 'gluten free flour',
+    ],
+  },
+  {
+    id: 'soy',
+    label: 'Soy',
+    emoji: '🫘',
+    regions: ['US', 'EU'],
+    terms: [
+      'soy', 'soya', 'soybean', 'soy lecithin', 'soy protein', 'soy flour', 'soy sauce',
+      'edamame', 'tofu', 'bean curd', 'tempeh', 'miso', 'natto', 'tamari', 'shoyu', 'okara', 'yuba',
+      'textured vegetable protein', 'tvp',
+    ],
+    possible: ['lecithin', 'vegetable protein', 'hydrolyzed vegetable protein'],
+    exclusions: [
+      'soy-free', 'soy free', 'sunflower lecithin', 'rapeseed lecithin', 'canola lecithin',
+      'egg lecithin',
+    ],
+  },
+  {
+    id: 'sesame',
+    label: 'Sesame',
+    emoji: '⚪',
+    regions: ['US', 'EU'],
+    terms: [
+      'sesame', 'sesame seed', 'sesame oil', 'tahini', 'tahina', 'benne', 'gingelly', 'halva',
+      'halvah', 'sesamol', 'gomasio',
+    ],
+    possible: ['za\'atar'],
+    exclusions: ['sesame-free', 'sesame free'],
+  },
+  {
+    id: 'mustard',
+    label: 'Mustard',
+    emoji: '🟡',
+    regions: ['EU'],
+    terms: [
+      'mustard', 'mustard seed', 'mustard flour', 'mustard oil', 'mustard powder', 'dijon',
+    ],
+    possible: [],
+    exclusions: ['mustard-free'],
+  },
+  {
+    id: 'celery',
+    label: 'Celery',
+    emoji: '🥬',
+    regions: ['EU'],
+    terms: [
+      'celery', 'celeriac', 'celery seed', 'celery salt', 'celery powder', 'celery extract',
+    ],
+    possible: [],
+    exclusions: [],
+  },
+  {
+    id: 'lupin',
+    label: 'Lupin',
+    emoji: '🌼',
+    regions: ['EU'],
+    terms: ['lupin', 'lupine', 'lupini', 'lupin flour'],
+    possible: [],
+    exclusions: [],
+  },
+  {
+    id: 'sulphites',
+    label: 'Sulphites',
+    emoji: '🍷',
+    regions: ['EU'],
+    terms: [
+      'sulphite', 'sulfite', 'sulphur dioxide', 'sulfur dioxide', 'metabisulphite', 'metabisulfite',
+      'bisulphite', 'bisulfite', 'e220', 'e221', 'e222', 'e223', 'e224', 'e225', 'e226', 'e227',
+      'e228',
+    ],
+    possible: [],
+    exclusions: ['sulfite-free', 'sulphite-free'],
+  },
+];
+
+// =============================================================================
+// PROFILE SEVERITIES
+// =============================================================================
+
+// How strongly a household profile reacts, most serious first. Only
+// anaphylactic allergies are warned about for "may contain" traces.
+export const ALLERGY_SEVERITIES = [
+  { id: 'anaphylactic', label: 'Severe', description: 'Anaphylactic - even traces are dangerous' },
+  { id: 'intolerance', label: 'Intolerance', description: 'Causes symptoms, traces are usually fine' },
+  { id: 'preference', label: 'Preference', description: 'Avoided by choice' },
+];
+
+// =============================================================================
+// LABEL STATEMENTS
+// =============================================================================
+
+// Precautionary and facility wording, read as "may contain"
+export const MAY_CONTAIN_PATTERNS = [
+  /\bmay\s+(?:also\s+)?contain(?:\s+traces?\s+of)?\s*:?\s*([^.\n]*)/gi,
+  /\b(?:produced|processed|manufactured|made|packed|prepared)\s+(?:in|on)\b[^.\n]*?\b(?:processes|handles|uses|produces|packages)\s+([^.\n]*)/gi,
+  /\bshared\s+(?:equipment|facility|facilities|lines?)\s+(?:with|that\s+(?:also\s+)?(?:processes|handles))\s+([^.\n]*)/gi,
+];
+
+// "Contains: Milk, Soy." / "Allergens: Wheat" (not "Contains less than 2% of")
+export const CONTAINS_PATTERNS = [
+  /\b(?:contains|allergens?)\b(?!\s*:?\s*(?:less|\d|no\b|none\b))\s*:?\s*([^.\n]*)/gi,
+];
+
+export function getAllergen(id) {
+  return ALLERGENS.find(allergen => allergen.id === id) || null;
+}
+
+export function getSeverity(id) {
+  return ALLERGY_SEVERITIES.find(severity => severity.id === id) || null;
+}
+
+export default ALLERGENS;
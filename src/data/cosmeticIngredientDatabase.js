@@ -0,0 +1,854 @@
+/**
+ * Purelytics Cosmetic Ingredient Database
+ *
+ * Beauty-mode counterpart of ingredientDatabase (same entry schema).
+ * Compiled from:
+ * - EU Cosmetics Regulation (EC) 1223/2009 and its annexes
+ * - SCCS (Scientific Committee on Consumer Safety) opinions
+ * - FDA cosmetic and OTC drug monographs
+ * - IARC (International Agency for Research on Cancer)
+ * - EWG Skin Deep
+ * - Peer-reviewed studies
+ *
+ * `regulatoryStatus.eu` refers to the EU Cosmetics Regulation unless noted.
+ * kidAlert flags ingredients restricted for young children or linked to
+ * contact allergy; heartHealthAlert/diabeticAlert are always false here.
+ */
+
+// =============================================================================
+// PRESERVATIVES
+// =============================================================================
+
+const cosmeticPreservatives = {
+  'methylparaben': {
+    id: 'methylparaben',
+    name: 'Methylparaben',
+    category: 'Preservative',
+    score: 55,
+    concern: 'moderate',
+
+    plainEnglish: 'One of the most common cosmetic preservatives. It stops bacteria and mold growing in water-based products like lotions and shampoos.',
+
+    healthNotes: 'Short-chain parabens like methylparaben have very weak estrogen-like activity and are considered safe at permitted levels by the SCCS. Still detected in most people\'s urine; some choose to avoid all parabens as a precaution.',
+
+    regulatoryStatus: {
+      fda: 'Permitted, no specific limit',
+      eu: 'Annex V: max 0.4% (single ester), 0.8% (mixture of esters)',
+      ewgRating: '4 (moderate)'
+    },
+
+    bans: [],
+
+    hiddenNames: ['Methyl paraben', 'Methyl 4-hydroxybenzoate', 'E218'],
+
+    foundIn: ['Lotions', 'Shampoos', 'Conditioners', 'Foundation', 'Sunscreen'],
+
+    alternatives: ['Paraben-free formulas', 'Products preserved with sodium benzoate or potassium sorbate'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'SCCS/1514/13 Opinion on parabens',
+      'Regulation (EC) 1223/2009, Annex V'
+    ]
+  },
+
+  'propylparaben': {
+    id: 'propylparaben',
+    name: 'Propylparaben',
+    category: 'Preservative',
+    score: 35,
+    concern: 'high',
+
+    plainEnglish: 'A longer-chain paraben preservative. It works like methylparaben but mimics estrogen more strongly.',
+
+    healthNotes: 'Longer-chain parabens show stronger endocrine activity in lab studies. The EU cut the allowed level and banned it in leave-on products for the nappy area of children under 3.',
+
+    regulatoryStatus: {
+      fda: 'Permitted, no specific limit',
+      eu: 'Annex V: max 0.14% (combined with butylparaben); banned in leave-on nappy-area products for under-3s',
+      ewgRating: '7 (high)'
+    },
+
+    bans: ['EU: leave-on nappy-area products for children under 3 (Regulation 1004/2014)'],
+
+    hiddenNames: ['Propyl paraben', 'Propyl 4-hydroxybenzoate', 'E216'],
+
+    foundIn: ['Moisturizers', 'Makeup', 'Body wash', 'Baby wipes'],
+
+    alternatives: ['Paraben-free formulas'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'SCCS/1514/13 Opinion on parabens',
+      'Commission Regulation (EU) No 1004/2014'
+    ]
+  },
+
+  'butylparaben': {
+    id: 'butylparaben',
+    name: 'Butylparaben',
+    category: 'Preservative',
+    score: 30,
+    concern: 'high',
+
+    plainEnglish: 'A paraben preservative with the strongest estrogen-like effect of the parabens still allowed in cosmetics.',
+
+    healthNotes: 'Animal studies link butylparaben to reduced sperm counts and altered hormone levels. Under EU review as a suspected endocrine disruptor.',
+
+    regulatoryStatus: {
+      fda: 'Permitted, no specific limit',
+      eu: 'Annex V: max 0.14% (combined with propylparaben); banned in leave-on nappy-area products for under-3s',
+      ewgRating: '7 (high)'
+    },
+
+    bans: [
+      'EU: leave-on nappy-area products for children under 3 (Regulation 1004/2014)',
+      'EU: isopropyl-, isobutyl-, phenyl-, benzyl- and pentylparaben banned outright (Regulation 358/2014)'
+    ],
+
+    hiddenNames: ['Butyl paraben', 'Butyl 4-hydroxybenzoate', 'Isobutylparaben', 'Isopropylparaben'],
+
+    foundIn: ['Moisturizers', 'Makeup', 'Sunscreen'],
+
+    alternatives: ['Paraben-free formulas'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'SCCS/1514/13 Opinion on parabens',
+      'Commission Regulation (EU) No 358/2014'
+    ]
+  },
+
+  'dmdm-hydantoin': {
+    id: 'dmdm-hydantoin',
+    name: 'DMDM Hydantoin',
+    category: 'Preservative (Formaldehyde Releaser)',
+    score: 25,
+    concern: 'high',
+
+    plainEnglish: 'A preservative that slowly releases small amounts of formaldehyde to keep products free of microbes.',
+
+    healthNotes: 'Formaldehyde is a known human carcinogen (IARC Group 1) and a common skin allergen. Formaldehyde releasers are a frequent cause of contact dermatitis.',
+
+    regulatoryStatus: {
+      fda: 'Permitted',
+      eu: 'Annex V: max 0.6%; "releases formaldehyde" warning required above 0.001% released formaldehyde',
+      iarc: 'Formaldehyde: Group 1',
+      ewgRating: '7 (high)'
+    },
+
+    bans: [],
+
+    hiddenNames: ['Dimethylol dimethyl hydantoin', 'Glydant'],
+
+    foundIn: ['Shampoos', 'Conditioners', 'Body wash', 'Hair gel'],
+
+    alternatives: ['Formaldehyde-free preservatives'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'IARC Monograph Vol. 100F (formaldehyde)',
+      'Commission Regulation (EU) 2022/1181'
+    ]
+  },
+
+  'quaternium-15': {
+    id: 'quaternium-15',
+    name: 'Quaternium-15',
+    category: 'Preservative (Formaldehyde Releaser)',
+    score: 20,
+    concern: 'high',
+
+    plainEnglish: 'A formaldehyde-releasing preservative once common in shampoos and baby products.',
+
+    healthNotes: 'One of the most frequent causes of preservative contact allergy in patch-test studies. Releases formaldehyde, a known human carcinogen.',
+
+    regulatoryStatus: {
+      fda: 'Permitted',
+      eu: 'Prohibited in cosmetic products (Annex II)',
+      iarc: 'Formaldehyde: Group 1',
+      ewgRating: '8 (high)'
+    },
+
+    bans: ['EU cosmetic products'],
+
+    hiddenNames: ['Dowicil', 'Cis-1-(3-chloroallyl)-3,5,7-triaza-1-azoniaadamantane chloride'],
+
+    foundIn: ['Shampoos', 'Lotions', 'Mascara'],
+
+    alternatives: ['Formaldehyde-free preservatives'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'IARC Monograph Vol. 100F (formaldehyde)',
+      'North American Contact Dermatitis Group patch-test data'
+    ]
+  },
+
+  'methylisothiazolinone': {
+    id: 'methylisothiazolinone',
+    name: 'Methylisothiazolinone',
+    category: 'Preservative',
+    score: 30,
+    concern: 'high',
+
+    plainEnglish: 'A strong preservative used in rinse-off cosmetics, wipes and many household cleaners.',
+
+    healthNotes: 'Caused an epidemic of contact allergy in the 2010s and was named Contact Allergen of the Year in 2013. Can also sensitize through the air from paints and cleaners.',
+
+    regulatoryStatus: {
+      fda: 'Permitted',
+      eu: 'Banned in leave-on products; max 0.0015% in rinse-off products',
+      ewgRating: '5-7 (moderate to high)'
+    },
+
+    bans: ['EU leave-on cosmetics (Regulation 2016/1198)'],
+
+    hiddenNames: ['MIT', 'MI', 'Methylchloroisothiazolinone', 'MCI', 'Kathon CG'],
+
+    foundIn: ['Shampoos', 'Body wash', 'Wet wipes', 'Dish soap', 'Laundry detergent', 'Paint'],
+
+    alternatives: ['Preservative-free or MIT-free formulas'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'American Contact Dermatitis Society, Allergen of the Year 2013',
+      'Commission Regulation (EU) 2016/1198',
+      'Commission Regulation (EU) 2017/1224'
+    ]
+  },
+
+  'phenoxyethanol': {
+    id: 'phenoxyethanol',
+    name: 'Phenoxyethanol',
+    category: 'Preservative',
+    score: 65,
+    concern: 'low',
+
+    plainEnglish: 'A widely used paraben-free preservative. Safe for most people at the levels used in cosmetics.',
+
+    healthNotes: 'The SCCS considers it safe up to 1%. Can irritate very sensitive skin; France recommends against it in nappy-area products for babies.',
+
+    regulatoryStatus: {
+      fda: 'Permitted',
+      eu: 'Annex V: max 1%',
+      ewgRating: '4 (moderate)'
+    },
+
+    bans: [],
+
+    hiddenNames: ['2-Phenoxyethanol', 'Ethylene glycol phenyl ether'],
+
+    foundIn: ['Lotions', 'Serums', 'Makeup', 'Baby wipes'],
+
+    alternatives: ['Products preserved with sodium benzoate or potassium sorbate'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: ['SCCS/1575/16 Opinion on phenoxyethanol']
+  },
+
+  'triclosan': {
+    id: 'triclosan',
+    name: 'Triclosan',
+    category: 'Antibacterial',
+    score: 20,
+    concern: 'high',
+
+    plainEnglish: 'An antibacterial agent once found in soaps and toothpaste. It has largely been removed from consumer products.',
+
+    healthNotes: 'Disrupts thyroid hormone in animal studies and may contribute to antibiotic resistance. The FDA found no evidence it works better than plain soap.',
+
+    regulatoryStatus: {
+      fda: 'Banned in consumer antiseptic hand and body washes (2016 final rule)',
+      eu: 'Restricted to toothpaste, hand soap, body soap and face powder at max 0.3%',
+      ewgRating: '7 (high)'
+    },
+
+    bans: ['US consumer antiseptic washes (FDA 2016)'],
+
+    hiddenNames: ['Triclocarban', 'Irgasan'],
+
+    foundIn: ['Antibacterial soap', 'Toothpaste', 'Deodorant'],
+
+    alternatives: ['Plain soap and water'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'FDA Final Rule: Safety and Effectiveness of Consumer Antiseptics (2016)',
+      'Commission Regulation (EU) No 358/2014'
+    ]
+  }
+};
+
+// =============================================================================
+// SURFACTANTS & CLEANSERS
+// =============================================================================
+
+const surfactants = {
+  'sodium-lauryl-sulfate': {
+    id: 'sodium-lauryl-sulfate',
+    name: 'Sodium Lauryl Sulfate',
+    category: 'Surfactant',
+    score: 45,
+    concern: 'moderate',
+
+    plainEnglish: 'A strong foaming cleanser found in shampoo, toothpaste and cleaning products. Removes oil well but can strip the skin.',
+
+    healthNotes: 'A well-known skin and eye irritant; it is used as the reference irritant in dermatology studies. May worsen eczema and canker sores. Not considered a carcinogen.',
+
+    regulatoryStatus: {
+      fda: 'Permitted',
+      eu: 'Permitted',
+      ewgRating: '1-2 (low), irritation flagged'
+    },
+
+    bans: [],
+
+    hiddenNames: ['SLS', 'Sodium dodecyl sulfate', 'Sodium lauryl sulphate'],
+
+    foundIn: ['Shampoo', 'Toothpaste', 'Body wash', 'Dish soap', 'Laundry detergent'],
+
+    alternatives: ['Sulfate-free cleansers (coco-glucoside, decyl glucoside)'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'CIR Final Report on Sodium Lauryl Sulfate (1983, re-reviewed 2005)',
+      'Herlofson & Barkvoll, Acta Odontol Scand 1994 (aphthous ulcers)'
+    ]
+  },
+
+  'sodium-laureth-sulfate': {
+    id: 'sodium-laureth-sulfate',
+    name: 'Sodium Laureth Sulfate',
+    category: 'Surfactant',
+    score: 40,
+    concern: 'moderate',
+
+    plainEnglish: 'A gentler cousin of SLS made by ethoxylation. That process can leave behind traces of 1,4-dioxane.',
+
+    healthNotes: '1,4-dioxane is a possible human carcinogen (IARC Group 2B) and can contaminate ethoxylated ingredients. Milder on skin than SLS.',
+
+    regulatoryStatus: {
+      fda: 'Permitted; FDA monitors 1,4-dioxane levels',
+      eu: 'Permitted; 1,4-dioxane must be technically unavoidable traces',
+      iarc: '1,4-Dioxane: Group 2B',
+      ewgRating: '1-3 (low), contamination flagged'
+    },
+
+    bans: ['New York: 1,4-dioxane limited to 1 ppm in cosmetics and 1 ppm in household cleansers'],
+
+    hiddenNames: ['SLES', 'Sodium lauryl ether sulfate', 'Sodium laureth sulphate'],
+
+    foundIn: ['Shampoo', 'Body wash', 'Bubble bath', 'Dish soap'],
+
+    alternatives: ['Sulfate-free cleansers (coco-glucoside, decyl glucoside)'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'IARC Monograph Vol. 71 (1,4-dioxane)',
+      'New York Environmental Conservation Law §35-0105'
+    ]
+  },
+
+  'diethanolamine': {
+    id: 'diethanolamine',
+    name: 'Diethanolamine (DEA)',
+    category: 'Surfactant',
+    score: 30,
+    concern: 'high',
+
+    plainEnglish: 'An ingredient used to make products foam and adjust pH. Can react with other ingredients to form nitrosamines.',
+
+    healthNotes: 'DEA is a possible human carcinogen (IARC Group 2B). Nitrosamines formed from DEA compounds are potent carcinogens.',
+
+    regulatoryStatus: {
+      fda: 'Permitted',
+      eu: 'Prohibited in cosmetic products (Annex II); DEA-derived amides restricted',
+      iarc: 'Group 2B',
+      ewgRating: '10 (high)'
+    },
+
+    bans: ['EU cosmetic products'],
+
+    hiddenNames: ['DEA', 'Cocamide DEA', 'Lauramide DEA'],
+
+    foundIn: ['Shampoo', 'Body wash', 'Hair dye', 'All-purpose cleaners'],
+
+    alternatives: ['DEA-free formulas'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: ['IARC Monograph Vol. 101 (diethanolamine)']
+  },
+
+  'peg-compounds': {
+    id: 'peg-compounds',
+    name: 'PEG Compounds (Polyethylene Glycol)',
+    category: 'Emulsifier',
+    score: 55,
+    concern: 'moderate',
+
+    plainEnglish: 'A family of thickeners, softeners and emulsifiers. The number after "PEG" tells you the size of the molecule.',
+
+    healthNotes: 'Generally low toxicity, but like other ethoxylated ingredients can carry 1,4-dioxane contamination. Should not be used on broken skin.',
+
+    regulatoryStatus: {
+      fda: 'Permitted',
+      eu: 'Permitted',
+      iarc: '1,4-Dioxane (contaminant): Group 2B',
+      ewgRating: '3 (moderate)'
+    },
+
+    bans: [],
+
+    hiddenNames: ['PEG', 'Polyethylene glycol', 'Polysorbate', 'Ceteareth', 'Laureth'],
+
+    foundIn: ['Creams', 'Cleansers', 'Conditioners', 'Makeup'],
+
+    alternatives: ['Certified organic products (ethoxylation not permitted)'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: ['CIR Safety Assessment of PEGs (2010)']
+  },
+
+  'decyl-glucoside': {
+    id: 'decyl-glucoside',
+    name: 'Decyl Glucoside',
+    category: 'Surfactant',
+    score: 85,
+    concern: 'low',
+
+    plainEnglish: 'A mild, plant-derived cleanser made from corn sugar and coconut or palm fatty alcohol. Common in baby and sensitive-skin products.',
+
+    healthNotes: 'Biodegradable and very mild. Rare contact allergy reported.',
+
+    regulatoryStatus: {
+      fda: 'Permitted',
+      eu: 'Permitted',
+      ewgRating: '1 (low)'
+    },
+
+    hiddenNames: ['Coco-glucoside', 'Lauryl glucoside', 'Alkyl polyglucoside'],
+
+    foundIn: ['Baby shampoo', 'Face wash', 'Eco cleaning products'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false
+  }
+};
+
+// =============================================================================
+// FRAGRANCE & PLASTICIZERS
+// =============================================================================
+
+const fragranceAndPlasticizers = {
+  'fragrance': {
+    id: 'fragrance',
+    name: 'Fragrance (Parfum)',
+    category: 'Fragrance',
+    score: 35,
+    concern: 'moderate',
+
+    plainEnglish: 'A single word on the label that can stand for dozens of undisclosed chemicals used to create a scent.',
+
+    healthNotes: 'Fragrance is the leading cause of cosmetic contact allergy. The mixture can include phthalates and known allergens that do not have to be listed individually in the US.',
+
+    regulatoryStatus: {
+      fda: 'Trade-secret exemption; MoCRA (2022) requires fragrance-allergen labeling once rules are final',
+      eu: '80+ named fragrance allergens must be listed above 0.001% (leave-on) / 0.01% (rinse-off)',
+      ewgRating: '8 (high)'
+    },
+
+    bans: [],
+
+    hiddenNames: ['Parfum', 'Perfume', 'Aroma', 'Scent', 'Linalool', 'Limonene', 'Geraniol', 'Citronellol'],
+
+    foundIn: ['Perfume', 'Lotion', 'Shampoo', 'Deodorant', 'Laundry detergent', 'Air freshener'],
+
+    alternatives: ['Fragrance-free products', 'Products scented only with disclosed essential oils'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'SCCS/1459/11 Opinion on fragrance allergens',
+      'Commission Regulation (EU) 2023/1545',
+      'Modernization of Cosmetics Regulation Act of 2022'
+    ]
+  },
+
+  'phthalates': {
+    id: 'phthalates',
+    name: 'Phthalates (DEP, DBP)',
+    category: 'Plasticizer',
+    score: 20,
+    concern: 'high',
+
+    plainEnglish: 'Chemicals that make scents last longer and plastics more flexible. Usually hidden inside "fragrance" rather than listed.',
+
+    healthNotes: 'Several phthalates are endocrine disruptors linked to altered male reproductive development. DBP and DEHP are banned in EU cosmetics; DEP is still allowed.',
+
+    regulatoryStatus: {
+      fda: 'Permitted; FDA notes use has declined',
+      eu: 'DBP, DEHP, BBP prohibited (Annex II); DEP permitted',
+      ewgRating: '8-10 (high)'
+    },
+
+    bans: ['EU cosmetic products (DBP, DEHP, BBP)'],
+
+    hiddenNames: ['Diethyl phthalate', 'Dibutyl phthalate', 'DEP', 'DBP', 'DEHP', 'Phthalate'],
+
+    foundIn: ['Perfume', 'Nail polish', 'Hair spray', 'Air fresheners'],
+
+    alternatives: ['Phthalate-free labeled products', 'Fragrance-free products'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'Swan et al., Environ Health Perspect 2005',
+      'Regulation (EC) 1223/2009, Annex II'
+    ]
+  }
+};
+
+// =============================================================================
+// UV FILTERS & PIGMENTS
+// =============================================================================
+
+const uvFilters = {
+  'oxybenzone': {
+    id: 'oxybenzone',
+    name: 'Oxybenzone (Benzophenone-3)',
+    category: 'UV Filter',
+    score: 30,
+    concern: 'high',
+
+    plainEnglish: 'A chemical sunscreen filter that absorbs UV light. It soaks into the skin and has been found in blood and breast milk.',
+
+    healthNotes: 'An FDA study found it absorbed into the bloodstream far above the level that triggers safety testing. Weak hormone activity in studies, and a frequent photo-allergen. Harmful to coral reefs.',
+
+    regulatoryStatus: {
+      fda: 'Not yet recognized as safe and effective (2019 proposed rule: insufficient data)',
+      eu: 'Max 6% in face/hand products, 2.2% in body products',
+      ewgRating: '8 (high)'
+    },
+
+    bans: ['Hawaii (2021)', 'Key West (2021)', 'US Virgin Islands'],
+
+    hiddenNames: ['Benzophenone-3', 'BP-3', 'Benzophenone'],
+
+    foundIn: ['Sunscreen', 'SPF moisturizers', 'Lip balm'],
+
+    alternatives: ['Mineral sunscreens (zinc oxide, titanium dioxide)'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'Matta et al., JAMA 2020 (systemic absorption)',
+      'Commission Regulation (EU) 2022/1176',
+      'Hawaii Act 104 (2018)'
+    ]
+  },
+
+  'octinoxate': {
+    id: 'octinoxate',
+    name: 'Octinoxate',
+    category: 'UV Filter',
+    score: 45,
+    concern: 'moderate',
+
+    plainEnglish: 'A common UVB sunscreen filter. It is absorbed through the skin and is banned in some reef areas.',
+
+    healthNotes: 'Shown to be absorbed systemically. Weak endocrine activity in animal studies. Banned alongside oxybenzone in Hawaii for reef protection.',
+
+    regulatoryStatus: {
+      fda: 'Not yet recognized as safe and effective (2019 proposed rule: insufficient data)',
+      eu: 'Annex VI: max 10%',
+      ewgRating: '6 (moderate)'
+    },
+
+    bans: ['Hawaii (2021)', 'Key West (2021)'],
+
+    hiddenNames: ['Ethylhexyl methoxycinnamate', 'Octyl methoxycinnamate', 'OMC'],
+
+    foundIn: ['Sunscreen', 'Foundation with SPF', 'Lip balm'],
+
+    alternatives: ['Mineral sunscreens (zinc oxide, titanium dioxide)'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'Matta et al., JAMA 2020 (systemic absorption)',
+      'Hawaii Act 104 (2018)'
+    ]
+  },
+
+  'zinc-oxide': {
+    id: 'zinc-oxide',
+    name: 'Zinc Oxide',
+    category: 'UV Filter (Mineral)',
+    score: 88,
+    concern: 'low',
+
+    plainEnglish: 'A mineral sunscreen that sits on top of the skin and reflects both UVA and UVB light. Also soothes irritated skin.',
+
+    healthNotes: 'One of only two filters the FDA proposed as safe and effective. Avoid spray forms, where particles can be inhaled.',
+
+    regulatoryStatus: {
+      fda: 'Proposed GRASE (2019)',
+      eu: 'Annex VI: max 25%; not for spray applications that could lead to inhalation',
+      ewgRating: '2 (low)'
+    },
+
+    bans: [],
+
+    hiddenNames: ['CI 77947'],
+
+    foundIn: ['Mineral sunscreen', 'Diaper cream', 'Foundation'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: ['FDA Proposed Sunscreen Monograph (2019)']
+  },
+
+  'titanium-dioxide': {
+    id: 'titanium-dioxide',
+    name: 'Titanium Dioxide',
+    category: 'UV Filter / Pigment',
+    score: 70,
+    concern: 'low',
+
+    plainEnglish: 'A white mineral used as a sunscreen filter and to make makeup opaque.',
+
+    healthNotes: 'Safe on skin. Inhaled powder is a possible carcinogen (IARC 2B), so loose powders and sprays are the concern. Banned as a food additive in the EU since 2022, but still allowed in cosmetics.',
+
+    regulatoryStatus: {
+      fda: 'Proposed GRASE as sunscreen (2019); approved color additive',
+      eu: 'Permitted; restricted in spray products',
+      iarc: 'Group 2B (inhalation)',
+      ewgRating: '2-3 (low)'
+    },
+
+    bans: [],
+
+    hiddenNames: ['CI 77891', 'Titanium oxide'],
+
+    foundIn: ['Mineral sunscreen', 'Foundation', 'Setting powder', 'Toothpaste'],
+
+    alternatives: ['Non-powder formulas'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: ['IARC Monograph Vol. 93 (titanium dioxide)']
+  }
+};
+
+// =============================================================================
+// SAFE/BENEFICIAL INGREDIENTS
+// =============================================================================
+
+const safeCosmeticIngredients = {
+  'glycerin': {
+    id: 'glycerin',
+    name: 'Glycerin',
+    category: 'Humectant',
+    score: 95,
+    concern: 'none',
+
+    plainEnglish: 'A moisturizing ingredient that draws water into the skin. Found naturally in plant oils and in our own skin.',
+
+    healthNotes: 'One of the most studied and best tolerated skin-care ingredients.',
+
+    regulatoryStatus: {
+      fda: 'GRAS',
+      eu: 'Permitted',
+      ewgRating: '1-2 (low)'
+    },
+
+    hiddenNames: ['Glycerol', 'Glycerine'],
+
+    foundIn: ['Moisturizers', 'Soap', 'Toothpaste', 'Serums'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false
+  },
+
+  'hyaluronic-acid': {
+    id: 'hyaluronic-acid',
+    name: 'Hyaluronic Acid',
+    category: 'Humectant',
+    score: 95,
+    concern: 'none',
+
+    plainEnglish: 'A moisture-binding molecule naturally found in skin. Helps skin hold water and look plumper.',
+
+    healthNotes: 'Very well tolerated and non-irritating.',
+
+    regulatoryStatus: {
+      fda: 'Permitted',
+      eu: 'Permitted',
+      ewgRating: '1 (low)'
+    },
+
+    hiddenNames: ['Sodium hyaluronate'],
+
+    foundIn: ['Serums', 'Moisturizers', 'Eye creams'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false
+  },
+
+  'niacinamide': {
+    id: 'niacinamide',
+    name: 'Niacinamide',
+    category: 'Vitamin',
+    score: 92,
+    concern: 'none',
+
+    plainEnglish: 'A form of vitamin B3 that strengthens the skin barrier and evens out skin tone.',
+
+    healthNotes: 'Well studied for acne, redness and hyperpigmentation. Rarely irritating below 5%.',
+
+    regulatoryStatus: {
+      fda: 'Permitted',
+      eu: 'Permitted',
+      ewgRating: '1 (low)'
+    },
+
+    hiddenNames: ['Nicotinamide', 'Vitamin B3'],
+
+    foundIn: ['Serums', 'Moisturizers', 'Toners'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false
+  },
+
+  'shea-butter': {
+    id: 'shea-butter',
+    name: 'Shea Butter',
+    category: 'Emollient',
+    score: 95,
+    concern: 'none',
+
+    plainEnglish: 'A rich plant butter from the nuts of the African shea tree. Softens and protects dry skin.',
+
+    healthNotes: 'Well tolerated. Despite coming from a tree nut, allergic reactions are extremely rare.',
+
+    regulatoryStatus: {
+      fda: 'Permitted',
+      eu: 'Permitted',
+      ewgRating: '1 (low)'
+    },
+
+    hiddenNames: ['Butyrospermum parkii', 'Vitellaria paradoxa'],
+
+    foundIn: ['Body butter', 'Lip balm', 'Hair masks'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false
+  },
+
+  'aloe-vera': {
+    id: 'aloe-vera',
+    name: 'Aloe Vera',
+    category: 'Botanical',
+    score: 92,
+    concern: 'none',
+
+    plainEnglish: 'Gel from the aloe plant leaf. Soothes and hydrates skin.',
+
+    healthNotes: 'Topical aloe gel is well tolerated. (Oral whole-leaf extract is a separate concern.)',
+
+    regulatoryStatus: {
+      fda: 'Permitted',
+      eu: 'Permitted',
+      ewgRating: '1 (low)'
+    },
+
+    hiddenNames: ['Aloe barbadensis leaf juice', 'Aloe barbadensis'],
+
+    foundIn: ['After-sun gel', 'Moisturizers', 'Shaving products'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false
+  }
+};
+
+// =============================================================================
+// COMBINE ALL DATABASES
+// =============================================================================
+
+const cosmeticIngredientDatabase = {
+  ...cosmeticPreservatives,
+  ...surfactants,
+  ...fragranceAndPlasticizers,
+  ...uvFilters,
+  ...safeCosmeticIngredients
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+  cosmeticIngredientDatabase,
+  cosmeticPreservatives,
+  surfactants,
+  fragranceAndPlasticizers,
+  uvFilters,
+  safeCosmeticIngredients
+};
+
+export default cosmeticIngredientDatabase;
@@ -0,0 +1,456 @@
+/**
+ * Purelytics Household Ingredient Database
+ *
+ * Home-mode counterpart of ingredientDatabase (same entry schema).
+ * Compiled from:
+ * - EPA (Safer Choice, IRIS assessments)
+ * - EU REACH and CLP regulations
+ * - AOEC (Association of Occupational and Environmental Clinics) asthmagen list
+ * - IARC (International Agency for Research on Cancer)
+ * - EWG Guide to Healthy Cleaning
+ * - Peer-reviewed studies
+ *
+ * Cleaners share several ingredients with cosmetics (surfactants, fragrance,
+ * isothiazolinone preservatives); those entries are reused from
+ * cosmeticIngredientDatabase so each ingredient id has a single definition.
+ */
+
+import {
+  cosmeticPreservatives,
+  surfactants,
+  fragranceAndPlasticizers,
+} from './cosmeticIngredientDatabase';
+
+// =============================================================================
+// DISINFECTANTS & BLEACHES
+// =============================================================================
+
+const disinfectants = {
+  'benzalkonium-chloride': {
+    id: 'benzalkonium-chloride',
+    name: 'Benzalkonium Chloride',
+    category: 'Disinfectant (Quat)',
+    score: 30,
+    concern: 'high',
+
+    plainEnglish: 'A "quat" (quaternary ammonium compound) that kills germs. The active ingredient in many disinfecting wipes and sprays.',
+
+    healthNotes: 'A recognized asthmagen: regular use of quat disinfectants is linked to new-onset asthma in cleaners and healthcare workers. Leaves a residue on surfaces and may contribute to antimicrobial resistance.',
+
+    regulatoryStatus: {
+      epa: 'Registered pesticide (disinfectant)',
+      eu: 'Approved biocide under the Biocidal Products Regulation',
+      aoec: 'Listed asthmagen',
+      ewgRating: 'D-F'
+    },
+
+    bans: [],
+
+    hiddenNames: [
+      'Alkyl dimethyl benzyl ammonium chloride',
+      'ADBAC',
+      'BAC',
+      'Quaternary ammonium compounds',
+      'Quats'
+    ],
+
+    foundIn: ['Disinfecting wipes', 'Disinfectant sprays', 'Fabric softener', 'Hand sanitizer'],
+
+    alternatives: ['Hydrogen peroxide disinfectants', 'Soap and water for routine cleaning'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'AOEC Exposure Code list (asthmagens)',
+      'Dumas et al., JAMA Netw Open 2019 (disinfectants and COPD)'
+    ]
+  },
+
+  'didecyldimethylammonium-chloride': {
+    id: 'didecyldimethylammonium-chloride',
+    name: 'Didecyldimethylammonium Chloride',
+    category: 'Disinfectant (Quat)',
+    score: 30,
+    concern: 'high',
+
+    plainEnglish: 'Another quat disinfectant, often paired with benzalkonium chloride in wipes and sanitizing sprays.',
+
+    healthNotes: 'Same respiratory concerns as other quats. Irritating to skin and eyes in concentrated form.',
+
+    regulatoryStatus: {
+      epa: 'Registered pesticide (disinfectant)',
+      eu: 'Approved biocide under the Biocidal Products Regulation',
+      ewgRating: 'D-F'
+    },
+
+    bans: [],
+
+    hiddenNames: ['DDAC', 'Didecyl dimethyl ammonium chloride'],
+
+    foundIn: ['Disinfecting wipes', 'Sanitizing sprays', 'Mold removers'],
+
+    alternatives: ['Hydrogen peroxide disinfectants'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: ['AOEC Exposure Code list (asthmagens)']
+  },
+
+  'sodium-hypochlorite': {
+    id: 'sodium-hypochlorite',
+    name: 'Sodium Hypochlorite (Bleach)',
+    category: 'Bleach',
+    score: 30,
+    concern: 'high',
+
+    plainEnglish: 'Chlorine bleach. A powerful disinfectant and whitener that must never be mixed with ammonia or acids.',
+
+    healthNotes: 'Mixing with ammonia releases chloramine gas; with acidic cleaners it releases chlorine gas. Fumes irritate the lungs, and frequent use is linked to asthma.',
+
+    regulatoryStatus: {
+      epa: 'Registered pesticide (disinfectant)',
+      eu: 'Approved biocide; CLP: causes severe skin burns and eye damage',
+      iarc: 'Group 3 (hypochlorite salts)',
+      ewgRating: 'F'
+    },
+
+    bans: [],
+
+    hiddenNames: ['Chlorine bleach', 'Hypochlorite'],
+
+    foundIn: ['Bleach', 'Toilet cleaners', 'Mold removers', 'Dishwasher gels'],
+
+    alternatives: ['Oxygen bleach (sodium percarbonate)', 'Hydrogen peroxide'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'IARC Monograph Vol. 52 (hypochlorite salts)',
+      'Zock et al., Am J Respir Crit Care Med 2007 (cleaning sprays and asthma)'
+    ]
+  },
+
+  'ammonia': {
+    id: 'ammonia',
+    name: 'Ammonia',
+    category: 'Cleaning Agent',
+    score: 35,
+    concern: 'high',
+
+    plainEnglish: 'A strong-smelling cleaner used for glass and grease. Dangerous if mixed with bleach.',
+
+    healthNotes: 'Irritates eyes, skin and airways. Mixing with bleach produces toxic chloramine gas.',
+
+    regulatoryStatus: {
+      epa: 'Listed hazardous substance',
+      eu: 'CLP: causes severe skin burns; very toxic to aquatic life',
+      ewgRating: 'D-F'
+    },
+
+    bans: [],
+
+    hiddenNames: ['Ammonium hydroxide', 'Ammonia water'],
+
+    foundIn: ['Glass cleaners', 'Oven cleaners', 'Floor strippers'],
+
+    alternatives: ['Vinegar and water for glass', 'Plant-based glass cleaners'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: ['ATSDR Toxicological Profile for Ammonia']
+  }
+};
+
+// =============================================================================
+// SOLVENTS & DETERGENT ADDITIVES
+// =============================================================================
+
+const solventsAndAdditives = {
+  '2-butoxyethanol': {
+    id: '2-butoxyethanol',
+    name: '2-Butoxyethanol',
+    category: 'Solvent',
+    score: 30,
+    concern: 'high',
+
+    plainEnglish: 'A solvent that helps cleaners cut through grease. It gives many glass and all-purpose cleaners their sweet smell.',
+
+    healthNotes: 'Absorbed through skin and lungs. High exposures damage red blood cells and irritate eyes and airways. California regulates it as a toxic air contaminant.',
+
+    regulatoryStatus: {
+      epa: 'IRIS assessment (2010): reference concentration set for inhalation',
+      eu: 'CLP: harmful if swallowed, inhaled or in contact with skin',
+      iarc: 'Group 3',
+      ewgRating: 'D'
+    },
+
+    bans: [],
+
+    hiddenNames: ['Ethylene glycol monobutyl ether', 'EGBE', 'Butyl cellosolve', 'Butoxyethanol'],
+
+    foundIn: ['Glass cleaners', 'All-purpose sprays', 'Degreasers', 'Carpet cleaners'],
+
+    alternatives: ['Solvent-free all-purpose cleaners'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'EPA IRIS Toxicological Review of Ethylene Glycol Monobutyl Ether (2010)',
+      'IARC Monograph Vol. 88 (2-butoxyethanol)'
+    ]
+  },
+
+  'nonylphenol-ethoxylates': {
+    id: 'nonylphenol-ethoxylates',
+    name: 'Nonylphenol Ethoxylates',
+    category: 'Surfactant',
+    score: 15,
+    concern: 'high',
+
+    plainEnglish: 'Industrial detergents that break down into nonylphenol, a persistent hormone-disrupting pollutant.',
+
+    healthNotes: 'Nonylphenol mimics estrogen and is highly toxic to aquatic life. Largely phased out of EU consumer products but still found in some imported cleaners.',
+
+    regulatoryStatus: {
+      epa: 'Action Plan (2010); not allowed in Safer Choice products',
+      eu: 'Restricted under REACH Annex XVII (entry 46 / 46a)',
+      ewgRating: 'F'
+    },
+
+    bans: ['EU household detergents and textiles (REACH Annex XVII)'],
+
+    hiddenNames: ['NPE', 'Nonoxynol', 'Nonylphenol', 'Nonylphenol polyethylene glycol ether'],
+
+    foundIn: ['Laundry detergent', 'Degreasers', 'Carpet cleaners'],
+
+    alternatives: ['EPA Safer Choice certified detergents'],
+
+    kidAlert: true,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: [
+      'EPA Nonylphenol and Nonylphenol Ethoxylates Action Plan (2010)',
+      'Regulation (EC) 1907/2006, Annex XVII'
+    ]
+  },
+
+  'optical-brighteners': {
+    id: 'optical-brighteners',
+    name: 'Optical Brighteners',
+    category: 'Detergent Additive',
+    score: 55,
+    concern: 'moderate',
+
+    plainEnglish: 'Chemicals that stick to fabric and reflect blue light so clothes look whiter. They do not actually clean.',
+
+    healthNotes: 'Designed to stay on fabric, so they stay in contact with skin. Can cause irritation for sensitive skin and are slow to biodegrade.',
+
+    regulatoryStatus: {
+      epa: 'Permitted',
+      eu: 'Permitted',
+      ewgRating: 'C'
+    },
+
+    bans: [],
+
+    hiddenNames: ['Fluorescent whitening agents', 'Disodium distyrylbiphenyl disulfonate', 'Stilbene'],
+
+    foundIn: ['Laundry detergent', 'Laundry boosters'],
+
+    alternatives: ['Brightener-free "free & clear" detergents'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: ['EWG Guide to Healthy Cleaning']
+  },
+
+  'phosphates': {
+    id: 'phosphates',
+    name: 'Phosphates',
+    category: 'Water Softener',
+    score: 55,
+    concern: 'moderate',
+
+    plainEnglish: 'Water softeners that boost cleaning power. In waterways they feed algae blooms.',
+
+    healthNotes: 'Low direct toxicity to people; the concern is environmental. Most US states limit phosphates in dishwasher and laundry detergent.',
+
+    regulatoryStatus: {
+      epa: 'Permitted; restricted by many states',
+      eu: 'Limited in consumer laundry and dishwasher detergents (Regulation 259/2012)',
+      ewgRating: 'C'
+    },
+
+    bans: ['EU consumer laundry and dishwasher detergents (above 0.3-0.5 g per dose)', '17 US states (dishwasher detergent, 2010)'],
+
+    hiddenNames: ['Sodium tripolyphosphate', 'STPP', 'Trisodium phosphate', 'TSP'],
+
+    foundIn: ['Dishwasher detergent', 'Heavy-duty cleaners'],
+
+    alternatives: ['Phosphate-free detergents'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false,
+
+    sources: ['Regulation (EU) No 259/2012']
+  }
+};
+
+// =============================================================================
+// SAFE/BENEFICIAL INGREDIENTS
+// =============================================================================
+
+const safeHouseholdIngredients = {
+  'sodium-percarbonate': {
+    id: 'sodium-percarbonate',
+    name: 'Sodium Percarbonate',
+    category: 'Bleach (Oxygen)',
+    score: 80,
+    concern: 'low',
+
+    plainEnglish: 'Oxygen bleach. Breaks down into soda ash, water and oxygen when dissolved, with no chlorine fumes.',
+
+    healthNotes: 'Irritating to eyes as a powder, but far safer than chlorine bleach and fully biodegradable.',
+
+    regulatoryStatus: {
+      epa: 'Allowed in Safer Choice products',
+      eu: 'Permitted',
+      ewgRating: 'A-B'
+    },
+
+    hiddenNames: ['Oxygen bleach', 'Sodium carbonate peroxyhydrate'],
+
+    foundIn: ['Oxygen bleach', 'Laundry boosters', 'Dishwasher tablets'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false
+  },
+
+  'sodium-bicarbonate': {
+    id: 'sodium-bicarbonate',
+    name: 'Sodium Bicarbonate',
+    category: 'Mild Abrasive',
+    score: 95,
+    concern: 'none',
+
+    plainEnglish: 'Baking soda. A gentle scrubber and deodorizer.',
+
+    healthNotes: 'Food-grade and non-toxic.',
+
+    regulatoryStatus: {
+      epa: 'Allowed in Safer Choice products',
+      eu: 'Permitted',
+      ewgRating: 'A'
+    },
+
+    hiddenNames: ['Baking soda', 'Bicarbonate of soda'],
+
+    foundIn: ['Scouring powders', 'Deodorizers', 'Laundry boosters'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false
+  },
+
+  'acetic-acid': {
+    id: 'acetic-acid',
+    name: 'Acetic Acid (Vinegar)',
+    category: 'Acid/pH Regulator',
+    score: 90,
+    concern: 'low',
+
+    plainEnglish: 'The acid in vinegar. Dissolves limescale and soap scum.',
+
+    healthNotes: 'Safe at household concentrations. Never mix with bleach.',
+
+    regulatoryStatus: {
+      epa: 'Allowed in Safer Choice products',
+      eu: 'Permitted',
+      ewgRating: 'A'
+    },
+
+    hiddenNames: ['Vinegar', 'Distilled vinegar'],
+
+    foundIn: ['Descalers', 'Glass cleaners', 'Rinse aids'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false
+  },
+
+  'hydrogen-peroxide': {
+    id: 'hydrogen-peroxide',
+    name: 'Hydrogen Peroxide',
+    category: 'Disinfectant',
+    score: 80,
+    concern: 'low',
+
+    plainEnglish: 'A disinfectant and stain remover that breaks down into water and oxygen.',
+
+    healthNotes: 'Household 3% solutions are low risk; higher concentrations can burn skin and eyes. Not an asthmagen like quats or bleach.',
+
+    regulatoryStatus: {
+      epa: 'Registered disinfectant; allowed in Safer Choice products',
+      eu: 'Approved biocide',
+      ewgRating: 'A-B'
+    },
+
+    hiddenNames: ['Peroxide'],
+
+    foundIn: ['Disinfectant sprays', 'Stain removers', 'Toilet cleaners'],
+
+    kidAlert: false,
+    heartHealthAlert: false,
+    diabeticAlert: false
+  }
+};
+
+// =============================================================================
+// COMBINE ALL DATABASES
+// =============================================================================
+
+// Ingredients shared with cosmetics
+const sharedIngredients = {
+  'methylisothiazolinone': cosmeticPreservatives['methylisothiazolinone'],
+  'sodium-lauryl-sulfate': surfactants['sodium-lauryl-sulfate'],
+  'sodium-laureth-sulfate': surfactants['sodium-laureth-sulfate'],
+  'diethanolamine': surfactants['diethanolamine'],
+  'decyl-glucoside': surfactants['decyl-glucoside'],
+  'fragrance': fragranceAndPlasticizers['fragrance'],
+  'phthalates': fragranceAndPlasticizers['phthalates'],
+};
+
+const householdIngredientDatabase = {
+  ...disinfectants,
+  ...solventsAndAdditives,
+  ...safeHouseholdIngredients,
+  ...sharedIngredients
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+  householdIngredientDatabase,
+  disinfectants,
+  solventsAndAdditives,
+  safeHouseholdIngredients
+};
+
+export default householdIngredientDatabase;
@@ -0,0 +1,189 @@
+/**
+ * Purelytics Local Provider Fixtures
+ *
+ * Canned label analyses returned by the "local" AI provider
+ * (services/localProvider). Each fixture has the exact JSON shape the
+ * vision prompts ask for, so it goes through the same parsing,
+ * reconciliation and review flow as a real model response.
+ *
+ * Grouped by scan mode; the provider picks one deterministically from
+ * the captured image.
+ */
+
+const localProviderFixtures = {
+  food: [
+    {
+      productName: 'Classic Hot Dogs',
+      brand: 'Oscar Mayer',
+      productCategory: 'Meat',
+      rawText: 'MECHANICALLY SEPARATED CHICKEN, WATER, CORN SYRUP, SALT, POTASSIUM LACTATE, SODIUM PHOSPHATE, SODIUM DIACETATE, SODIUM ASCORBATE, SODIUM NITRITE, FLAVORING.',
+      ingredients: [
+        { name: 'Mechanically Separated Chicken', score: 40, concern: 'moderate', category: 'Protein', plainEnglish: 'Chicken paste made by forcing bones and tissue through a sieve', healthNotes: 'Highly processed meat product' },
+        { name: 'Water', score: 100, concern: 'none', category: 'Water', plainEnglish: 'Water', healthNotes: 'No concerns' },
+        { name: 'Corn Syrup', score: 35, concern: 'moderate', category: 'Sweetener', plainEnglish: 'A liquid sugar made from corn starch', healthNotes: 'Added sugar' },
+        { name: 'Salt', score: 70, concern: 'low', category: 'Other', plainEnglish: 'Table salt', healthNotes: 'Processed meats are a major source of sodium' },
+        { name: 'Potassium Lactate', score: 75, concern: 'low', category: 'Preservative', plainEnglish: 'A salt of lactic acid that slows bacterial growth', healthNotes: 'Generally recognized as safe' },
+        { name: 'Sodium Phosphate', score: 55, concern: 'moderate', category: 'Acid/pH Regulator', plainEnglish: 'A phosphate salt that keeps meat moist', healthNotes: 'High phosphate intake is a concern for kidney health' },
+        { name: 'Sodium Diacetate', score: 75, concern: 'low', category: 'Preservative', plainEnglish: 'A vinegar-derived preservative', healthNotes: 'Generally recognized as safe' },
+        { name: 'Sodium Ascorbate', score: 90, concern: 'low', category: 'Vitamin/Mineral', plainEnglish: 'A form of vitamin C used to speed curing', healthNotes: 'Reduces nitrosamine formation' },
+        { name: 'Sodium Nitrite', score: 25, concern: 'high', category: 'Preservative', plainEnglish: 'A curing agent that keeps meat pink', healthNotes: 'Can form nitrosamines' },
+        { name: 'Flavoring', score: 60, concern: 'moderate', category: 'Flavor Enhancer', plainEnglish: 'Undisclosed flavor mixture', healthNotes: 'Composition not disclosed' },
+      ],
+      concerns: {
+        sugar: { count: 1, names: ['Corn Syrup'] },
+        preservatives: { count: 3, names: ['Potassium Lactate', 'Sodium Diacetate', 'Sodium Nitrite'] },
+        artificial: { count: 0, names: [] },
+      },
+      overallScore: 30,
+    },
+    {
+      productName: 'Original Crackers',
+      brand: 'Ritz',
+      productCategory: 'Snack',
+      rawText: 'UNBLEACHED ENRICHED FLOUR (WHEAT FLOUR, NIACIN, REDUCED IRON, THIAMINE MONONITRATE, RIBOFLAVIN, FOLIC ACID), CANOLA OIL, SUGAR, PARTIALLY HYDROGENATED COTTONSEED OIL, SALT, LEAVENING (CALCIUM PHOSPHATE, BAKING SODA), HIGH FRUCTOSE CORN SYRUP, SOY LECITHIN, NATURAL FLAVOR.',
+      ingredients: [
+        { name: 'Unbleached Enriched Flour', score: 55, concern: 'moderate', category: 'Other', plainEnglish: 'Refined wheat flour with some vitamins added back', healthNotes: 'Refined grain' },
+        { name: 'Canola Oil', score: 65, concern: 'low', category: 'Oil/Fat', plainEnglish: 'Vegetable oil from rapeseed', healthNotes: 'Usually refined' },
+        { name: 'Sugar', score: 40, concern: 'moderate', category: 'Sweetener', plainEnglish: 'Table sugar', healthNotes: 'Added sugar' },
+        { name: 'Partially Hydrogenated Cottonseed Oil', score: 10, concern: 'high', category: 'Oil/Fat', plainEnglish: 'Oil processed to be solid, creating trans fat', healthNotes: 'Trans fats raise LDL cholesterol' },
+        { name: 'Salt', score: 70, concern: 'low', category: 'Other', plainEnglish: 'Table salt', healthNotes: 'Watch total sodium' },
+        { name: 'High Fructose Corn Syrup', score: 25, concern: 'high', category: 'Sweetener', plainEnglish: 'Corn-derived liquid sweetener', healthNotes: 'Linked to metabolic issues' },
+        { name: 'Soy Lecithin', score: 80, concern: 'low', category: 'Emulsifier', plainEnglish: 'An emulsifier from soybeans', healthNotes: 'Soy allergen' },
+        { name: 'Natural Flavor', score: 70, concern: 'low', category: 'Flavor Enhancer', plainEnglish: 'Flavor from natural sources', healthNotes: 'Composition not disclosed' },
+      ],
+      concerns: {
+        sugar: { count: 2, names: ['Sugar', 'High Fructose Corn Syrup'] },
+        preservatives: { count: 0, names: [] },
+        artificial: { count: 0, names: [] },
+      },
+      overallScore: 38,
+    },
+    {
+      productName: 'Daily Multivitamin',
+      brand: 'Centrum',
+      productCategory: 'Supplement',
+      rawText: 'Vitamin A (as Beta-Carotene) 1050mcg, Vitamin C (as Ascorbic Acid) 90mg, Vitamin D3 (as Cholecalciferol) 25mcg, Vitamin B12 (as Cyanocobalamin) 25mcg, Magnesium (as Magnesium Oxide) 50mg. Other Ingredients: Microcrystalline Cellulose, Titanium Dioxide, FD&C Yellow No. 6 Aluminum Lake.',
+      ingredients: [
+        { name: 'Beta-Carotene', score: 85, concern: 'none', category: 'Vitamin/Mineral', plainEnglish: 'Plant form of vitamin A', healthNotes: 'Converted to vitamin A as needed. Provides 117% DV' },
+        { name: 'Ascorbic Acid', score: 90, concern: 'none', category: 'Vitamin/Mineral', plainEnglish: 'Vitamin C', healthNotes: 'Well absorbed. Provides 100% DV' },
+        { name: 'Cholecalciferol', score: 90, concern: 'none', category: 'Vitamin/Mineral', plainEnglish: 'Vitamin D3', healthNotes: 'Preferred form. Provides 125% DV' },
+        { name: 'Cyanocobalamin', score: 65, concern: 'low', category: 'Vitamin/Mineral', plainEnglish: 'Synthetic vitamin B12', healthNotes: 'Requires conversion; methylcobalamin is the active form' },
+        { name: 'Magnesium Oxide', score: 50, concern: 'moderate', category: 'Vitamin/Mineral', plainEnglish: 'An inexpensive magnesium salt', healthNotes: 'Poorly absorbed (about 4%)' },
+        { name: 'Microcrystalline Cellulose', score: 80, concern: 'low', category: 'Fiber', plainEnglish: 'Plant fiber used as a filler', healthNotes: 'Inert' },
+        { name: 'Titanium Dioxide', score: 35, concern: 'high', category: 'Artificial Color', plainEnglish: 'White coloring for the tablet coating', healthNotes: 'Banned as a food additive in the EU since 2022' },
+        { name: 'FD&C Yellow No. 6 Aluminum Lake', score: 30, concern: 'high', category: 'Artificial Color', plainEnglish: 'Synthetic orange dye', healthNotes: 'Linked to hyperactivity in children' },
+      ],
+      concerns: {
+        sugar: { count: 0, names: [] },
+        preservatives: { count: 0, names: [] },
+        artificial: { count: 2, names: ['Titanium Dioxide', 'FD&C Yellow No. 6 Aluminum Lake'] },
+      },
+      overallScore: 62,
+      supplementInfo: {
+        formQuality: 'average',
+        dosageAdequacy: 'adequate',
+        bioavailabilityNotes: 'Good vitamin forms, but magnesium oxide and cyanocobalamin are less bioavailable choices.',
+        thirdPartyTested: 'unknown (cannot determine from label)',
+        dvPercentages: [
+          { nutrient: 'Vitamin A', amount: '1050mcg', dailyValue: '117%', assessment: 'Beta-carotene form avoids preformed vitamin A toxicity' },
+          { nutrient: 'Vitamin D3', amount: '25mcg', dailyValue: '125%', assessment: 'Within safe upper limit of 100mcg' },
+        ],
+        interactions: [],
+        megadoseWarnings: [],
+      },
+    },
+  ],
+
+  beauty: [
+    {
+      productName: 'Daily Moisture Shampoo',
+      brand: 'Suave',
+      productCategory: 'Haircare',
+      rawText: 'Water, Sodium Laureth Sulfate, Cocamidopropyl Betaine, Sodium Chloride, Fragrance, Glycerin, Citric Acid, DMDM Hydantoin, Methylisothiazolinone, Red 33, Blue 1.',
+      ingredients: [
+        { name: 'Water', score: 100, concern: 'none', category: 'Water', plainEnglish: 'Water', healthNotes: 'No concerns' },
+        { name: 'Sodium Laureth Sulfate', score: 45, concern: 'moderate', category: 'Surfactant', plainEnglish: 'Foaming cleanser', healthNotes: 'Possible 1,4-dioxane contamination' },
+        { name: 'Cocamidopropyl Betaine', score: 65, concern: 'low', category: 'Surfactant', plainEnglish: 'Mild coconut-derived cleanser', healthNotes: 'Occasional contact allergy' },
+        { name: 'Sodium Chloride', score: 90, concern: 'none', category: 'Thickener', plainEnglish: 'Salt, used to thicken', healthNotes: 'Can dry the scalp' },
+        { name: 'Fragrance', score: 35, concern: 'moderate', category: 'Fragrance', plainEnglish: 'Undisclosed scent mixture', healthNotes: 'Leading cause of cosmetic allergy' },
+        { name: 'Glycerin', score: 95, concern: 'none', category: 'Humectant', plainEnglish: 'Moisturizer', healthNotes: 'Well tolerated' },
+        { name: 'Citric Acid', score: 90, concern: 'none', category: 'pH Adjuster', plainEnglish: 'Adjusts pH', healthNotes: 'No concerns' },
+        { name: 'DMDM Hydantoin', score: 25, concern: 'high', category: 'Preservative', plainEnglish: 'Formaldehyde-releasing preservative', healthNotes: 'Formaldehyde is a known carcinogen' },
+        { name: 'Methylisothiazolinone', score: 30, concern: 'high', category: 'Preservative', plainEnglish: 'Strong preservative', healthNotes: 'Common contact allergen' },
+        { name: 'Red 33', score: 50, concern: 'moderate', category: 'Colorant', plainEnglish: 'Synthetic dye', healthNotes: 'Cosmetic use only' },
+        { name: 'Blue 1', score: 55, concern: 'moderate', category: 'Colorant', plainEnglish: 'Synthetic dye', healthNotes: 'Low absorption' },
+      ],
+      concerns: {
+        sugar: { count: 0, names: [] },
+        preservatives: { count: 2, names: ['DMDM Hydantoin', 'Methylisothiazolinone'] },
+        artificial: { count: 3, names: ['Fragrance', 'Red 33', 'Blue 1'] },
+      },
+      overallScore: 40,
+    },
+    {
+      productName: 'Mineral Sunscreen SPF 30',
+      brand: 'Badger',
+      productCategory: 'Sun Care',
+      rawText: 'Active: Zinc Oxide 18.75%. Inactive: Sunflower Oil, Beeswax, Vitamin E (Tocopherol), Sunflower Vitamin E.',
+      ingredients: [
+        { name: 'Zinc Oxide', score: 88, concern: 'low', category: 'UV Filter', plainEnglish: 'Mineral sunscreen', healthNotes: 'Broad-spectrum, not absorbed' },
+        { name: 'Sunflower Oil', score: 95, concern: 'none', category: 'Emollient', plainEnglish: 'Plant oil', healthNotes: 'No concerns' },
+        { name: 'Beeswax', score: 92, concern: 'none', category: 'Emollient', plainEnglish: 'Natural wax', healthNotes: 'Not vegan' },
+        { name: 'Tocopherol', score: 92, concern: 'none', category: 'Vitamin', plainEnglish: 'Vitamin E', healthNotes: 'Antioxidant' },
+      ],
+      concerns: {
+        sugar: { count: 0, names: [] },
+        preservatives: { count: 0, names: [] },
+        artificial: { count: 0, names: [] },
+      },
+      overallScore: 91,
+    },
+  ],
+
+  home: [
+    {
+      productName: 'Disinfecting Wipes',
+      brand: 'Lysol',
+      productCategory: 'Disinfectant',
+      rawText: 'Active: Alkyl Dimethyl Benzyl Ammonium Chloride 0.26%. Other: Water, Ethanolamine, Fragrance, Sodium Hydroxide.',
+      ingredients: [
+        { name: 'Alkyl Dimethyl Benzyl Ammonium Chloride', score: 30, concern: 'high', category: 'Disinfectant (Quat)', plainEnglish: 'Quaternary ammonium disinfectant', healthNotes: 'Recognized asthmagen' },
+        { name: 'Water', score: 100, concern: 'none', category: 'Water', plainEnglish: 'Water', healthNotes: 'No concerns' },
+        { name: 'Ethanolamine', score: 45, concern: 'moderate', category: 'Solvent', plainEnglish: 'Alkaline cleaning booster', healthNotes: 'Skin and airway irritant' },
+        { name: 'Fragrance', score: 35, concern: 'moderate', category: 'Fragrance', plainEnglish: 'Undisclosed scent mixture', healthNotes: 'May contain phthalates' },
+        { name: 'Sodium Hydroxide', score: 50, concern: 'moderate', category: 'Acid/pH Regulator', plainEnglish: 'Lye, adjusts pH', healthNotes: 'Corrosive when concentrated' },
+      ],
+      concerns: {
+        sugar: { count: 0, names: [] },
+        preservatives: { count: 0, names: [] },
+        artificial: { count: 1, names: ['Fragrance'] },
+      },
+      overallScore: 35,
+    },
+    {
+      productName: 'Free & Clear Laundry Detergent',
+      brand: 'Seventh Generation',
+      productCategory: 'Laundry',
+      rawText: 'Water, Sodium Lauryl Sulfate, Laureth-6, Sodium Citrate, Glycerin, Sodium Chloride, Enzymes, Calcium Chloride, Methylisothiazolinone.',
+      ingredients: [
+        { name: 'Water', score: 100, concern: 'none', category: 'Water', plainEnglish: 'Water', healthNotes: 'No concerns' },
+        { name: 'Sodium Lauryl Sulfate', score: 50, concern: 'moderate', category: 'Surfactant', plainEnglish: 'Foaming cleanser', healthNotes: 'Skin irritant' },
+        { name: 'Laureth-6', score: 55, concern: 'moderate', category: 'Surfactant', plainEnglish: 'Plant-derived ethoxylated surfactant', healthNotes: 'Possible 1,4-dioxane traces' },
+        { name: 'Sodium Citrate', score: 90, concern: 'none', category: 'Water Softener', plainEnglish: 'Citric acid salt', healthNotes: 'No concerns' },
+        { name: 'Glycerin', score: 95, concern: 'none', category: 'Other', plainEnglish: 'Stabilizer', healthNotes: 'No concerns' },
+        { name: 'Sodium Chloride', score: 95, concern: 'none', category: 'Other', plainEnglish: 'Salt', healthNotes: 'No concerns' },
+        { name: 'Enzymes', score: 80, concern: 'low', category: 'Enzyme', plainEnglish: 'Proteins that break down stains', healthNotes: 'Can sensitize airways as dust' },
+        { name: 'Calcium Chloride', score: 90, concern: 'none', category: 'Other', plainEnglish: 'Enzyme stabilizer', healthNotes: 'No concerns' },
+        { name: 'Methylisothiazolinone', score: 30, concern: 'high', category: 'Preservative', plainEnglish: 'Strong preservative', healthNotes: 'Common contact allergen' },
+      ],
+      concerns: {
+        sugar: { count: 0, names: [] },
+        preservatives: { count: 1, names: ['Methylisothiazolinone'] },
+        artificial: { count: 0, names: [] },
+      },
+      overallScore: 70,
+    },
+  ],
+};
+
+export default localProviderFixtures;
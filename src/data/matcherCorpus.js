@@ -0,0 +1,96 @@
+/**
+ * Purelytics Ingredient Matcher Corpus
+ *
+ * Ingredient names as they appear on real labels (and as vision models
+ * read them), with the food database entry each should match. Checked by
+ * services/ingredientMatcher.test.js (`npm test`); run it after changing
+ * the matcher, its thresholds or the dataset.
+ *
+ * Each case is { label, expected, lowConfidence? }:
+ * - expected: ingredient id, or null when nothing should match
+ * - lowConfidence: when set, whether the match must be flagged as uncertain
+ */
+
+// =============================================================================
+// NAMES AND ALIASES
+// =============================================================================
+
+const NAMES = [
+  { label: 'Salt', expected: 'salt', lowConfidence: false },
+  { label: 'Sea Salt', expected: 'salt', lowConfidence: false },
+  { label: 'SUGAR', expected: 'sugar', lowConfidence: false },
+  { label: 'Organic Cane Sugar', expected: 'cane-sugar', lowConfidence: false },
+  { label: 'Citric Acid', expected: 'citric-acid', lowConfidence: false },
+  { label: 'Sodium Benzoate (Preservative)', expected: 'sodium-benzoate', lowConfidence: false },
+  { label: 'Preservative (Sodium Benzoate)', expected: 'sodium-benzoate', lowConfidence: false },
+  { label: 'Potassium Sorbate (to preserve freshness)', expected: 'potassium-sorbate', lowConfidence: false },
+  { label: 'High Fructose Corn Syrup', expected: 'high-fructose-corn-syrup', lowConfidence: false },
+  { label: 'Corn Syrup', expected: 'corn-syrup', lowConfidence: false },
+  { label: 'Mono- and Diglycerides', expected: 'mono-diglycerides', lowConfidence: false },
+  { label: 'Mono & Diglycerides', expected: 'mono-diglycerides', lowConfidence: false },
+  { label: 'Natural Flavour', expected: 'natural-flavors', lowConfidence: false },
+  { label: 'Natural and Artificial Flavors', expected: 'natural-flavors', lowConfidence: true },
+  { label: 'Cocoa (Processed with Alkali)', expected: 'alkalized-cocoa', lowConfidence: false },
+  { label: 'Cocoa Processed with Alkali', expected: 'alkalized-cocoa', lowConfidence: false },
+  { label: 'Baking Soda', expected: 'sodium-bicarbonate', lowConfidence: false },
+  { label: 'Acesulfame K', expected: 'acesulfame-potassium', lowConfidence: false },
+  { label: 'Thiamin Mononitrate', expected: 'thiamine', lowConfidence: false },
+  { label: 'Enriched Wheat Flour', expected: 'enriched-flour', lowConfidence: false },
+  { label: 'Whole Eggs', expected: 'egg', lowConfidence: false },
+  { label: 'Filtered Water', expected: 'water', lowConfidence: false },
+  { label: 'Tocopherols', expected: 'tocopherols', lowConfidence: false },
+  { label: 'Ascorbic Acid', expected: 'ascorbic-acid', lowConfidence: false },
+  { label: 'Modified Corn Starch', expected: 'modified-starch', lowConfidence: false },
+  { label: 'Dipotassium Phosphate', expected: 'potassium-phosphate', lowConfidence: false },
+];
+
+// =============================================================================
+// CODES AND NUMBERED COLORS
+// =============================================================================
+
+const CODES = [
+  { label: 'Colour (E150d)', expected: 'caramel-color', lowConfidence: false },
+  { label: 'Acidity Regulator (INS 330)', expected: 'citric-acid', lowConfidence: false },
+  { label: 'E621', expected: 'msg', lowConfidence: false },
+  { label: 'Yellow 5', expected: 'yellow-5', lowConfidence: false },
+  { label: 'Yellow #5', expected: 'yellow-5', lowConfidence: false },
+  { label: 'FD&C Yellow No. 5', expected: 'yellow-5', lowConfidence: false },
+  { label: 'Red 40 Lake', expected: 'red-40', lowConfidence: false },
+  { label: 'Caramel Colour', expected: 'caramel-color', lowConfidence: false },
+];
+
+// =============================================================================
+// OCR AND SPELLING SLIPS
+// =============================================================================
+
+const TYPOS = [
+  { label: 'sodlum benzoate', expected: 'sodium-benzoate', lowConfidence: false },
+  { label: 'S0dium Benz0ate', expected: 'sodium-benzoate', lowConfidence: true },
+  { label: 'Potasslum Sorbate', expected: 'potassium-sorbate' },
+  { label: 'Monosodlum Glutamate', expected: 'msg' },
+  { label: 'Xanthen Gum', expected: 'xanthan-gum', lowConfidence: true },
+  { label: 'Carrageenen', expected: 'carrageenan' },
+  { label: 'Aspartme', expected: 'aspartame' },
+  { label: 'Maltodextrln', expected: 'maltodextrin' },
+  { label: 'Guar Gurn', expected: 'guar-gum', lowConfidence: true },
+  { label: 'Citric Acld', expected: 'citric-acid' },
+  { label: 'Riboflavln', expected: 'riboflavin' },
+];
+
+// =============================================================================
+// NOT IN THE DATABASE
+// =============================================================================
+
+const UNMATCHED = [
+  { label: 'Water Chestnuts', expected: null },
+  { label: 'Licorice Root', expected: null },
+  { label: 'Environmental Notes', expected: null },
+  { label: 'Contains 2% or less of', expected: null },
+  { label: 'Bamboo Shoots', expected: null },
+  { label: 'Sodium Citrate Dihydrate', expected: 'sodium-citrate' },
+  { label: 'Ironwood Honey', expected: null },
+];
+
+const MATCHER_CORPUS = [...NAMES, ...CODES, ...TYPOS, ...UNMATCHED];
+
+export default MATCHER_CORPUS;
@@ -0,0 +1,103 @@
+/**
+ * Purelytics Product Catalog
+ *
+ * Bundled on-device barcode catalog used by barcode scanning mode.
+ * Barcodes are stored as 13-digit EAN-13 strings; UPC-A codes are
+ * zero-padded to 13 digits (see services/productCatalog.normalizeBarcode).
+ *
+ * Each entry: { barcode, name, brand, category, ingredientText }
+ * Bundled entries are food products; `category` must be one of
+ * productCategories PRODUCT_CATEGORIES. Saved entries also record their scanMode.
+ *
+ * Products scanned through the photo flow after a catalog miss are saved
+ * separately in AsyncStorage and take precedence over these entries.
+ */
+
+const productCatalog = [
+  {
+    barcode: '0049000000443',
+    name: 'Classic Cola',
+    brand: 'Coca-Cola',
+    category: 'Beverage',
+    ingredientText: 'Carbonated Water, High Fructose Corn Syrup, Caramel Color, Phosphoric Acid, Natural Flavors, Caffeine.',
+  },
+  {
+    barcode: '0028000100254',
+    name: 'Instant Hot Cocoa Mix',
+    brand: 'Carnation',
+    category: 'Beverage',
+    ingredientText: 'Sugar, Corn Syrup Solids, Modified Whey, Cocoa Processed with Alkali, Hydrogenated Coconut Oil, Nonfat Milk, Less than 2% of: Salt, Dipotassium Phosphate, Mono- and Diglycerides, Carrageenan, Artificial Flavor, Sucralose.',
+  },
+  {
+    barcode: '0044000007492',
+    name: 'Original Crackers',
+    brand: 'Ritz',
+    category: 'Snack',
+    ingredientText: 'Unbleached Enriched Flour (Wheat Flour, Niacin, Reduced Iron, Thiamine Mononitrate, Riboflavin, Folic Acid), Canola Oil, Sugar, Partially Hydrogenated Cottonseed Oil, Salt, Leavening (Calcium Phosphate, Baking Soda), High Fructose Corn Syrup, Soy Lecithin, Natural Flavor.',
+  },
+  {
+    barcode: '0038000120688',
+    name: 'Frosted Flakes',
+    brand: "Kellogg's",
+    category: 'Grain',
+    ingredientText: 'Milled Corn, Sugar, Contains 2% or Less of Malt Flavor, Salt. BHT for Freshness. Vitamins and Minerals: Iron (Ferric Phosphate), Niacinamide, Vitamin B6 (Pyridoxine Hydrochloride), Vitamin B2 (Riboflavin), Vitamin B1 (Thiamin Hydrochloride), Folic Acid, Vitamin D, Vitamin B12.',
+  },
+  {
+    barcode: '0016000275270',
+    name: 'Fruit Snacks',
+    brand: 'Betty Crocker',
+    category: 'Candy',
+    ingredientText: 'Fruit Puree (Pear), Corn Syrup, Sugar, Modified Corn Starch, Contains 2% or Less of Citric Acid, Sodium Citrate, Carrageenan, Ascorbic Acid (Vitamin C), Natural Flavor, Red 40, Yellow 5, Blue 1, Carnauba Wax.',
+  },
+  {
+    barcode: '0711460001215',
+    name: 'Uncured Beef Hot Dogs',
+    brand: 'Applegate',
+    category: 'Meat',
+    ingredientText: 'Grass-Fed Beef, Water, Contains 2% or Less of: Sea Salt, Spices, Vinegar, Celery Powder, Onion Powder, Paprika.',
+  },
+  {
+    barcode: '0841140000402',
+    name: 'Classic Yellow Mustard',
+    brand: "Annie's",
+    category: 'Condiment',
+    ingredientText: 'Distilled Vinegar, Water, Organic Mustard Seed, Sea Salt, Organic Turmeric, Organic Paprika, Organic Spices.',
+  },
+  {
+    barcode: '0722500001010',
+    name: 'Classic White Bread',
+    brand: 'Wonder',
+    category: 'Bakery',
+    ingredientText: 'Enriched Wheat Flour (Flour, Barley Malt, Reduced Iron, Niacin, Thiamin Mononitrate, Riboflavin, Folic Acid), Water, High Fructose Corn Syrup, Yeast, Contains 2% or Less of: Soybean Oil, Salt, Wheat Gluten, Calcium Sulfate, Calcium Propionate (Preservative), Mono- and Diglycerides, Sodium Stearoyl Lactylate, Ascorbic Acid.',
+  },
+  {
+    barcode: '0440000320294',
+    name: 'Chocolate Sandwich Cookies',
+    brand: 'Oreo',
+    category: 'Snack',
+    ingredientText: 'Unbleached Enriched Flour (Wheat Flour, Niacin, Reduced Iron, Thiamine Mononitrate, Riboflavin, Folic Acid), Sugar, Palm and/or Canola Oil, Cocoa (Processed with Alkali), High Fructose Corn Syrup, Leavening (Baking Soda and/or Calcium Phosphate), Salt, Soy Lecithin, Chocolate, Artificial Flavor.',
+  },
+  {
+    barcode: '0210006588314',
+    name: 'Macaroni & Cheese Dinner',
+    brand: 'Kraft',
+    category: 'Grain',
+    ingredientText: 'Enriched Macaroni (Wheat Flour, Durum Flour, Niacin, Ferrous Sulfate, Thiamin Mononitrate, Riboflavin, Folic Acid), Cheese Sauce Mix (Whey, Milkfat, Milk Protein Concentrate, Salt, Sodium Triphosphate, Contains Less than 2% of Citric Acid, Lactic Acid, Sodium Phosphate, Calcium Phosphate, Paprika, Turmeric, Annatto, Enzymes, Cheese Culture).',
+  },
+  {
+    barcode: '0078742011455',
+    name: 'Vanilla Low Fat Yogurt',
+    brand: 'Great Value',
+    category: 'Dairy',
+    ingredientText: 'Cultured Grade A Low Fat Milk, Sugar, Modified Corn Starch, Kosher Gelatin, Natural Flavor, Pectin, Vitamin A Acetate, Vitamin D3, Active Cultures.',
+  },
+  {
+    barcode: '0515002551622',
+    name: 'Creamy Peanut Butter',
+    brand: "Jif",
+    category: 'Condiment',
+    ingredientText: 'Made from Roasted Peanuts and Sugar, Contains 2% or Less of: Molasses, Fully Hydrogenated Vegetable Oils (Rapeseed and Soybean), Mono and Diglycerides, Salt.',
+  },
+];
+
+export default productCatalog;
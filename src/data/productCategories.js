@@ -0,0 +1,84 @@
+/**
+ * Purelytics Product Categories
+ *
+ * The category list for each scan mode: the "Strict Category Anchor" the AI
+ * must pick from (aiService), the options on the review and manual entry
+ * screens, and what storageMigrations anchors stored scans to.
+ */
+
+// =============================================================================
+// CATEGORIES
+// =============================================================================
+
+// Valid food categories for the Strict Category Anchor
+export const PRODUCT_CATEGORIES = [
+  'Beverage',
+  'Dairy',
+  'Snack',
+  'Meat',
+  'Grain',
+  'Condiment',
+  'Supplement',
+  'Baby Food',
+  'Frozen',
+  'Bakery',
+  'Candy',
+  'Other',
+];
+
+// Beauty mode categories (cosmetics and personal care)
+export const BEAUTY_CATEGORIES = [
+  'Skincare',
+  'Haircare',
+  'Makeup',
+  'Body Care',
+  'Sun Care',
+  'Oral Care',
+  'Fragrance',
+  'Baby Care',
+  'Other',
+];
+
+// Home mode categories (household products)
+export const HOME_CATEGORIES = [
+  'Cleaning',
+  'Laundry',
+  'Dish',
+  'Disinfectant',
+  'Air Care',
+  'Other',
+];
+
+// =============================================================================
+// LEGACY VALUES
+// =============================================================================
+
+// Food category for the deprecated productType field of older responses
+export const LEGACY_PRODUCT_TYPES = {
+  'food': 'Other',
+  'drink': 'Beverage',
+  'snack': 'Snack',
+  'supplement': 'Supplement',
+  'condiment': 'Condiment',
+  'other': 'Other',
+};
+
+// =============================================================================
+// SCAN MODES
+// =============================================================================
+
+// Category list for each scan mode (see ScanScreen SCAN_MODES)
+const MODE_CATEGORIES = {
+  food: PRODUCT_CATEGORIES,
+  beauty: BEAUTY_CATEGORIES,
+  home: HOME_CATEGORIES,
+};
+
+/**
+ * Valid categories for a scan mode (defaults to food)
+ */
+export function getCategoriesForMode(scanMode = 'food') {
+  return MODE_CATEGORIES[scanMode] || PRODUCT_CATEGORIES;
+}
+
+export default MODE_CATEGORIES;
@@ -0,0 +1,97 @@
+/**
+ * Purelytics Profile Filters
+ *
+ * Health filters that can be attached to a household profile, plus the
+ * keyword data used to evaluate filters that have no backing flag in
+ * ingredientDatabase.js (gluten, dairy, animal-derived, inflammatory oils).
+ *
+ * Keyword lists are matched against lower-cased ingredient names.
+ * Exclusions are checked first so plant-based look-alikes
+ * ("coconut milk", "cocoa butter", "buckwheat") are not flagged.
+ */
+
+// =============================================================================
+// FILTER OPTIONS
+// =============================================================================
+
+export const FILTER_OPTIONS = [
+  { id: 'kid-safe', label: 'Kid-Safe', emoji: '👶', description: 'Flags artificial dyes and controversial additives' },
+  { id: 'no-dyes', label: 'No Artificial Dyes', emoji: '🎨', description: 'Alerts for Red 40, Yellow 5, Blue 1, etc.' },
+  { id: 'low-sugar', label: 'Low Sugar', emoji: '🍬', description: 'Flags hidden sugars and high sugar content' },
+  { id: 'heart-healthy', label: 'Heart-Healthy', emoji: '❤️', description: 'Flags high sodium, trans fats, and inflammatory oils' },
+  { id: 'diabetic', label: 'Diabetic-Friendly', emoji: '🩺', description: 'Alerts for high glycemic ingredients' },
+  { id: 'anti-inflammatory', label: 'Anti-Inflammatory', emoji: '🌿', description: 'Flags inflammatory additives and oils' },
+  { id: 'gluten-free', label: 'Gluten-Free', emoji: '🌾', description: 'Detects gluten-containing ingredients' },
+  { id: 'dairy-free', label: 'Dairy-Free', emoji: '🥛', description: 'Alerts for dairy and lactose' },
+  { id: 'vegan', label: 'Vegan', emoji: '🌱', description: 'Flags animal-derived ingredients' },
+  { id: 'no-msg', label: 'No MSG', emoji: '⚡', description: 'Detects MSG and hidden glutamates' },
+];
+
+// =============================================================================
+// KEYWORD DATA (filters without database flags)
+// =============================================================================
+
+export const artificialDyeNames = [
+  'red 40', 'red no 40', 'allura red', 'red 3', 'erythrosine', 'yellow 5', 'tartrazine',
+  'yellow 6', 'sunset yellow', 'blue 1', 'brilliant blue', 'blue 2', 'indigo carmine',
+  'green 3', 'fast green', 'citrus red 2', 'orange b', 'lake', 'artificial color',
+  'fd&c', 'fd and c',
+];
+
+export const glutenSources = {
+  terms: [
+    'wheat', 'barley', 'rye', 'malt', 'spelt', 'kamut', 'khorasan', 'triticale', 'semolina',
+    'durum', 'farina', 'farro', 'einkorn', 'emmer', 'graham', 'bulgur', 'couscous', 'seitan',
+    'brewer\'s yeast', 'brewers yeast', 'bran', 'gluten', 'wheat starch', 'enriched flour',
+    'bleached flour', 'all-purpose flour', 'bread crumbs', 'breadcrumbs', 'panko',
+  ],
+  exclusions: [
+    'buckwheat', 'gluten-free', 'gluten free', 'rice bran', 'oat bran', 'corn bran',
+    'malted milk', 'maltodextrin', 'maltitol', 'maltol',
+  ],
+};
+
+export const dairySources = {
+  terms: [
+    'milk', 'cream', 'butter', 'cheese', 'whey', 'casein', 'caseinate', 'lactose', 'lactalbumin',
+    'lactoglobulin', 'ghee', 'yogurt', 'yoghurt', 'curd', 'kefir', 'buttermilk', 'nonfat dry milk',
+    'milk solids', 'milkfat', 'milk fat', 'paneer', 'custard', 'galactose',
+  ],
+  exclusions: [
+    'coconut milk', 'coconut cream', 'almond milk', 'oat milk', 'soy milk', 'soymilk', 'rice milk',
+    'cashew milk', 'cocoa butter', 'cacao butter', 'peanut butter', 'shea butter', 'nut butter',
+    'almond butter', 'sunflower butter', 'cream of tartar', 'milk thistle', 'creamer (non-dairy)',
+    'apple butter',
+  ],
+};
+
+export const animalDerivedSources = {
+  terms: [
+    'meat', 'beef', 'pork', 'chicken', 'turkey', 'lamb', 'veal', 'bacon', 'ham', 'lard', 'tallow',
+    'suet', 'gelatin', 'gelatine', 'collagen', 'bone', 'broth', 'stock', 'fish', 'anchovy',
+    'anchovies', 'shrimp', 'crab', 'lobster', 'oyster', 'clam', 'shellfish', 'egg', 'albumin',
+    'albumen', 'honey', 'beeswax', 'royal jelly', 'propolis', 'carmine', 'cochineal', 'shellac',
+    'confectioner\'s glaze', 'isinglass', 'lanolin', 'l-cysteine', 'cysteine', 'vitamin d3',
+    'cholecalciferol', 'omega-3 (fish)', 'fish oil', 'rennet', 'pepsin', 'mechanically separated',
+  ],
+  exclusions: [
+    'eggplant', 'vegetable broth', 'vegetable stock', 'mushroom broth', 'vegan', 'plant-based',
+    'honeydew', 'bone-in', 'chicken of the woods',
+  ],
+  // Ingredients that are often, but not always, animal-derived
+  possible: [
+    'natural flavor', 'natural flavors', 'mono- and diglycerides', 'mono and diglycerides',
+    'stearic acid', 'glycerin', 'glycerol', 'lactic acid', 'sugar', 'cane sugar', 'vitamin a palmitate',
+  ],
+};
+
+export const inflammatorySources = [
+  'soybean oil', 'corn oil', 'cottonseed oil', 'sunflower oil', 'safflower oil', 'vegetable oil',
+  'canola oil', 'grapeseed oil', 'hydrogenated', 'shortening', 'margarine', 'carrageenan',
+  'high fructose corn syrup', 'corn syrup', 'refined flour', 'enriched flour', 'polysorbate 80',
+  'carboxymethylcellulose', 'cellulose gum', 'artificial sweetener', 'aspartame', 'sucralose',
+];
+
+export const highSodiumSources = [
+  'salt', 'sodium', 'brine', 'soy sauce', 'bouillon', 'baking soda', 'monosodium',
+];
@@ -0,0 +1,304 @@
+/**
+ * AccountScreen - Manage the signed-in local account
+ * Change password, change email, or delete the account and all of its data.
+ * Deleting signs out, which swaps the navigator back to AuthScreen.
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+  ActivityIndicator,
+  Alert,
+  ScrollView,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { theme } from '../theme';
+import { useSettings } from '../context/SettingsContext';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const validateEmail = (e) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e);
+
+// One form card: labelled inputs, an error line and a submit button.
+// onSubmit(values) throws to show an error; its return value is shown as
+// a confirmation and the inputs are cleared.
+const AccountForm = ({ title, subtitle, fields, submitLabel, destructive, onSubmit }) => {
+  const [values, setValues] = useState({});
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async () => {
+    setError('');
+    setMessage('');
+
+    if (fields.some((field) => !(values[field.key] || '').trim())) {
+      setError('Please fill in all fields');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const result = await onSubmit(values);
+      setValues({});
+      if (result) setMessage(result);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <View style={styles.formCard}>
+      <Text style={styles.formTitle}>{title}</Text>
+      <Text style={styles.formSubtitle}>{subtitle}</Text>
+
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+      {message ? <Text style={styles.messageText}>{message}</Text> : null}
+
+      {fields.map((field) => (
+        <View key={field.key} style={styles.inputGroup}>
+          <Text style={styles.inputLabel}>{field.label}</Text>
+          <TextInput
+            style={styles.textInput}
+            value={values[field.key] || ''}
+            onChangeText={(text) => setValues((prev) => ({ ...prev, [field.key]: text }))}
+            placeholder={field.placeholder}
+            placeholderTextColor={theme.colors.textMuted}
+            secureTextEntry={field.secure}
+            keyboardType={field.keyboardType}
+            autoCapitalize="none"
+            autoCorrect={false}
+            editable={!isLoading}
+          />
+        </View>
+      ))}
+
+      <TouchableOpacity
+        style={[
+          styles.submitButton,
+          destructive && styles.submitButtonDestructive,
+          isLoading && styles.submitButtonLoading,
+        ]}
+        onPress={handleSubmit}
+        disabled={isLoading}
+        activeOpacity={0.8}
+      >
+        {isLoading ? (
+          <ActivityIndicator color="#FFFFFF" size="small" />
+        ) : (
+          <Text style={styles.submitButtonText}>{submitLabel}</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+export default function AccountScreen({ navigation }) {
+  const { user, changePassword, changeEmail, deleteAccount } = useSettings();
+
+  const handleChangePassword = async ({ currentPassword, newPassword, confirmPassword }) => {
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (newPassword !== confirmPassword) {
+      throw new Error('Passwords do not match');
+    }
+    await changePassword(currentPassword, newPassword);
+    return 'Password updated';
+  };
+
+  const handleChangeEmail = async ({ newEmail, password }) => {
+    if (!validateEmail(newEmail.trim())) {
+      throw new Error('Please enter a valid email address');
+    }
+    await changeEmail(newEmail.trim(), password);
+    return 'Email updated';
+  };
+
+  // Ask once more before anything is removed
+  const handleDeleteAccount = ({ password }) => new Promise((resolve, reject) => {
+    Alert.alert(
+      'Delete Account',
+      'This permanently deletes your account, household profiles, scan history, photos and settings from this device.',
+      [
+        { text: 'Cancel', style: 'cancel', onPress: () => resolve(null) },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => deleteAccount(password).then(() => resolve(null), reject),
+        },
+      ]
+    );
+  });
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      <KeyboardAvoidingView
+        style={styles.keyboardView}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+          showsVerticalScrollIndicator={false}
+        >
+          <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+            <Text style={styles.backButtonText}>← Settings</Text>
+          </TouchableOpacity>
+
+          <Text style={styles.title}>Account</Text>
+          <Text style={styles.subtitle}>{user?.email}</Text>
+
+          <AccountForm
+            title="Change Password"
+            subtitle="Enter your current password to choose a new one"
+            fields={[
+              { key: 'currentPassword', label: 'Current Password', placeholder: 'Current password', secure: true },
+              { key: 'newPassword', label: 'New Password', placeholder: `At least ${MIN_PASSWORD_LENGTH} characters`, secure: true },
+              { key: 'confirmPassword', label: 'Confirm New Password', placeholder: 'Re-enter the new password', secure: true },
+            ]}
+            submitLabel="Update Password"
+            onSubmit={handleChangePassword}
+          />
+
+          <AccountForm
+            title="Change Email"
+            subtitle="You'll sign in with the new email from now on"
+            fields={[
+              { key: 'newEmail', label: 'New Email', placeholder: 'your@email.com', keyboardType: 'email-address' },
+              { key: 'password', label: 'Password', placeholder: 'Your password', secure: true },
+            ]}
+            submitLabel="Update Email"
+            onSubmit={handleChangeEmail}
+          />
+
+          <AccountForm
+            title="Delete My Account"
+            subtitle="Removes the account and everything it stores on this device. This can't be undone."
+            fields={[
+              { key: 'password', label: 'Password', placeholder: 'Your password', secure: true },
+            ]}
+            submitLabel="Delete Account"
+            destructive
+            onSubmit={handleDeleteAccount}
+          />
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  keyboardView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: theme.spacing.lg,
+    paddingBottom: 100,
+  },
+  backButton: {
+    marginBottom: theme.spacing.md,
+  },
+  backButtonText: {
+    color: theme.colors.primary,
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: '700',
+    color: theme.colors.text,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+    marginBottom: theme.spacing.xl,
+  },
+
+  // Form Card
+  formCard: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.xl,
+    padding: theme.spacing.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    marginBottom: theme.spacing.lg,
+  },
+  formTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: theme.colors.text,
+    marginBottom: 4,
+  },
+  formSubtitle: {
+    fontSize: 13,
+    color: theme.colors.textSecondary,
+    marginBottom: theme.spacing.lg,
+  },
+  errorText: {
+    color: '#DC2626',
+    fontSize: 14,
+    fontWeight: '500',
+    marginBottom: theme.spacing.md,
+  },
+  messageText: {
+    color: theme.colors.primary,
+    fontSize: 14,
+    fontWeight: '500',
+    marginBottom: theme.spacing.md,
+  },
+
+  // Inputs
+  inputGroup: {
+    marginBottom: theme.spacing.md,
+  },
+  inputLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.text,
+    marginBottom: 6,
+  },
+  textInput: {
+    backgroundColor: theme.colors.surfaceElevated,
+    borderRadius: theme.borderRadius.md,
+    padding: theme.spacing.md,
+    fontSize: 16,
+    color: theme.colors.text,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+
+  // Submit Button
+  submitButton: {
+    backgroundColor: theme.colors.primary,
+    borderRadius: theme.borderRadius.lg,
+    padding: theme.spacing.md,
+    alignItems: 'center',
+    justifyContent: 'center',
+    height: 48,
+    marginTop: theme.spacing.xs,
+  },
+  submitButtonDestructive: {
+    backgroundColor: '#DC2626',
+  },
+  submitButtonLoading: {
+    opacity: 0.7,
+  },
+  submitButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -81,11 +81,12 @@ export default function AlternativesScreen({ route, navigation }) {
   const originalScore = product?.overallScore || 28;
   const productName = product?.name || 'Product';
   const productCategory = product?.category || 'Other';
+  const scanMode = product?.scanMode || 'food';
 
-  // Get category-aware alternatives
+  // Get category-aware alternatives from the scan mode's table
   const categoryAlternatives = useMemo(() => {
-    return getAlternativesForCategory(productCategory, originalScore);
-  }, [productCategory, originalScore]);
+    return getAlternativesForCategory(productCategory, originalScore, scanMode);
+  }, [productCategory, originalScore, scanMode]);
 
   // Filter alternatives based on selection
   const filteredAlternatives = useMemo(() => {
@@ -0,0 +1,110 @@
+/**
+ * AppLockSetupScreen - Choose the app-lock PIN
+ * Enter a PIN, enter it again to confirm, then turn the lock on and
+ * return to Settings.
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { theme } from '../theme';
+import { PinPad } from '../components';
+import { useSettings } from '../context/SettingsContext';
+import { PIN_LENGTH } from '../services/appLock';
+
+export default function AppLockSetupScreen({ navigation }) {
+  const { enableAppLock } = useSettings();
+  const [firstPin, setFirstPin] = useState(null);
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handlePin = async (pin) => {
+    if (!firstPin) {
+      setFirstPin(pin);
+      setError('');
+      return;
+    }
+
+    if (pin !== firstPin) {
+      setFirstPin(null);
+      setError("PINs didn't match. Try again.");
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await enableAppLock(pin);
+      navigation.goBack();
+    } catch (e) {
+      console.error('App lock setup error:', e);
+      setIsSaving(false);
+      setFirstPin(null);
+      Alert.alert('App Lock', 'Unable to save your PIN. Please try again.');
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+        <Text style={styles.backButtonText}>← Cancel</Text>
+      </TouchableOpacity>
+
+      <View style={styles.content}>
+        <View style={styles.header}>
+          <Text style={styles.title}>
+            {firstPin ? 'Confirm your PIN' : `Choose a ${PIN_LENGTH}-digit PIN`}
+          </Text>
+          <Text style={styles.subtitle}>
+            You'll enter it to open Purelytics after it has been in the background
+          </Text>
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+
+        <PinPad length={PIN_LENGTH} onComplete={handlePin} disabled={isSaving} />
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+    padding: theme.spacing.lg,
+  },
+  backButton: {
+    marginBottom: theme.spacing.md,
+  },
+  backButtonText: {
+    color: theme.colors.primary,
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  content: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: theme.spacing.xl,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: theme.colors.text,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+    textAlign: 'center',
+    marginTop: 6,
+  },
+  errorText: {
+    minHeight: 20,
+    marginTop: theme.spacing.md,
+    color: '#DC2626',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
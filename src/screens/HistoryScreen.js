@@ -1,19 +1,24 @@
 /**
  * HistoryScreen - View all past product scans
- * Grouped by date with quick access to rescan or view details
+ * Grouped by date with quick access to rescan or view details.
+ * Renders index summaries a page at a time; full records load on open.
  */
 
-import React from 'react';
+import React, { useState, useMemo } from 'react';
 import {
   View,
   Text,
   TouchableOpacity,
   StyleSheet,
   SectionList,
+  Alert,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { theme, getScoreColor } from '../theme';
 import { useSettings } from '../context/SettingsContext';
+import { queryScans } from '../services/scanRepository';
+
+const PAGE_SIZE = 20;
 
 // Group scans into date sections
 function groupByDate(scans) {
@@ -44,14 +49,18 @@ function groupByDate(scans) {
     .map(([title, data]) => ({ title, data }));
 }
 
+// Scans analyzed from a library photo or the share sheet rather than the camera
+const IMPORTED_SOURCES = ['gallery', 'share'];
+
 // Scan Item Component
-const ScanItem = ({ item, onPress }) => {
+const ScanItem = ({ item, onPress, onLongPress }) => {
   const scoreColor = getScoreColor(item.overallScore);
 
   return (
     <TouchableOpacity
       style={styles.scanItem}
       onPress={() => onPress(item)}
+      onLongPress={() => onLongPress(item)}
       activeOpacity={0.7}
     >
       <View style={[styles.scoreBox, { backgroundColor: scoreColor + '20' }]}>
@@ -62,6 +71,9 @@ const ScanItem = ({ item, onPress }) => {
         <Text style={styles.itemBrand}>{item.brand || ''}</Text>
       </View>
       <View style={styles.itemMeta}>
+        {IMPORTED_SOURCES.includes(item.imageSource) && (
+          <Text style={styles.itemSource}>🖼️ Imported</Text>
+        )}
         <Text style={styles.itemTime}>
           {item.scannedAt ? new Date(item.scannedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : ''}
         </Text>
@@ -79,20 +91,48 @@ const SectionHeader = ({ title }) => (
 );
 
 export default function HistoryScreen({ navigation }) {
-  const { scanHistory, clearHistory } = useSettings();
+  const { scanHistory, removeScan, clearHistory, getScan } = useSettings();
+  const [pageCount, setPageCount] = useState(1);
+
+  // scanHistory changes whenever the index does
+  const page = useMemo(
+    () => queryScans({ limit: pageCount * PAGE_SIZE }),
+    [scanHistory, pageCount],
+  );
+
+  const handleLoadMore = () => {
+    if (page.hasMore) setPageCount((count) => count + 1);
+  };
 
-  const handleScanPress = (item) => {
+  const handleScanPress = async (item) => {
+    const product = await getScan(item.id);
+    if (!product) {
+      Alert.alert('Scan Unavailable', 'This scan could not be loaded.');
+      return;
+    }
     navigation.navigate('Home', {
       screen: 'Results',
-      params: { product: item },
+      params: { product },
     });
   };
 
+  // Long-press an entry to delete it (and its stored photos)
+  const handleRemoveScan = (item) => {
+    Alert.alert(
+      'Delete Scan',
+      `Remove "${item.name}" from your history?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => removeScan(item.id) },
+      ]
+    );
+  };
+
   const handleClearHistory = () => {
     clearHistory();
   };
 
-  const sections = groupByDate(scanHistory);
+  const sections = groupByDate(page.items);
   const totalScans = scanHistory.length;
   const goodChoices = scanHistory.filter((s) => s.overallScore >= 60).length;
   const avoided = scanHistory.filter((s) => s.overallScore < 30).length;
@@ -145,7 +185,7 @@ export default function HistoryScreen({ navigation }) {
           sections={sections}
           keyExtractor={(item, index) => (item.id || index).toString()}
           renderItem={({ item }) => (
-            <ScanItem item={item} onPress={handleScanPress} />
+            <ScanItem item={item} onPress={handleScanPress} onLongPress={handleRemoveScan} />
           )}
           renderSectionHeader={({ section: { title } }) => (
             <SectionHeader title={title} />
@@ -153,6 +193,8 @@ export default function HistoryScreen({ navigation }) {
           contentContainerStyle={styles.listContent}
           showsVerticalScrollIndicator={false}
           stickySectionHeadersEnabled={false}
+          onEndReached={handleLoadMore}
+          onEndReachedThreshold={0.5}
         />
       )}
     </SafeAreaView>
@@ -267,6 +309,11 @@ const styles = StyleSheet.create({
   itemMeta: {
     alignItems: 'flex-end',
   },
+  itemSource: {
+    fontSize: 11,
+    color: theme.colors.textSecondary,
+    marginBottom: 2,
+  },
   itemTime: {
     fontSize: 12,
     color: theme.colors.textMuted,
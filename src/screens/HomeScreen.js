@@ -16,6 +16,7 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { LinearGradient } from 'expo-linear-gradient';
 import { theme, getScoreColor } from '../theme';
 import { useSettings } from '../context/SettingsContext';
+import config from '../../config';
 
 const { width } = Dimensions.get('window');
 
@@ -67,14 +68,18 @@ const RecentScanItem = ({ scan, onPress }) => (
 );
 
 export default function HomeScreen({ navigation }) {
-  const { profiles, scanHistory } = useSettings();
+  const { profiles, scanHistory, getScan } = useSettings();
 
   const handleScan = () => {
     navigation.navigate('Scan');
   };
 
-  const handleScanItem = (scan) => {
-    navigation.navigate('Results', { product: scan });
+  // History entries are index summaries; open the full record
+  const handleScanItem = async (scan) => {
+    const product = await getScan(scan.id);
+    if (product) {
+      navigation.navigate('Results', { product });
+    }
   };
 
   const recentScans = scanHistory.slice(0, 5);
@@ -112,6 +117,19 @@ export default function HomeScreen({ navigation }) {
           </LinearGradient>
         </TouchableOpacity>
 
+        {/* Offline Text Entry */}
+        {config.features.offlineMode && (
+          <TouchableOpacity
+            style={styles.manualEntryButton}
+            onPress={() => navigation.navigate('ManualEntry')}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.manualEntryIcon}>⌨️</Text>
+            <Text style={styles.manualEntryText}>Type / paste ingredients</Text>
+            <Text style={styles.scanArrow}>›</Text>
+          </TouchableOpacity>
+        )}
+
         {/* Active Profiles */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Active Profiles</Text>
@@ -238,6 +256,27 @@ const styles = StyleSheet.create({
     fontSize: 24,
     color: '#FFFFFF',
   },
+  manualEntryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.lg,
+    padding: theme.spacing.md,
+    marginTop: -theme.spacing.md,
+    marginBottom: theme.spacing.xl,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  manualEntryIcon: {
+    fontSize: 20,
+    marginRight: theme.spacing.md,
+  },
+  manualEntryText: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '500',
+    color: theme.colors.text,
+  },
 
   // Sections
   section: {
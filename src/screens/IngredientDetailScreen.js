@@ -14,13 +14,13 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { theme, getScoreColor, getScoreLabel, getConcernBadge } from '../theme';
 import ScoreRing from '../components/ScoreRing';
-import ingredientDatabase from '../data/ingredientDatabase';
+import { getIngredientById } from '../services/ingredientParser';
 
 export default function IngredientDetailScreen({ route, navigation }) {
   const { ingredient } = route.params || {};
   
-  // Get full ingredient data from database
-  const ingredientData = ingredientDatabase[ingredient?.id] || ingredient || {
+  // Get full ingredient data from the food, cosmetic or household database
+  const ingredientData = getIngredientById(ingredient?.id) || ingredient || {
     name: 'Unknown Ingredient',
     score: 50,
     concern: 'moderate',
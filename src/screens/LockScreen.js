@@ -0,0 +1,152 @@
+/**
+ * LockScreen - Unlock with the app-lock PIN or biometrics
+ * Shown by RootNavigator instead of the tabs while the app is locked.
+ * Offers the biometric prompt right away when it's enabled and available;
+ * too many wrong PINs pause entry for config.appLock.cooldown, doubling with
+ * each further lockout (counted in SecureStore by appLock, so restarting the
+ * app doesn't reset them).
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { theme } from '../theme';
+import { PinPad } from '../components';
+import { useSettings } from '../context/SettingsContext';
+import { PIN_LENGTH, isBiometricAvailable, getPinLockout } from '../services/appLock';
+
+// "45 seconds", "8 minutes", "1 hour"
+function formatWait(ms) {
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return plural(seconds, 'second');
+  if (seconds < 60 * 60) return plural(Math.ceil(seconds / 60), 'minute');
+  return plural(Math.ceil(seconds / (60 * 60)), 'hour');
+}
+
+export default function LockScreen() {
+  const { user, settings, unlockWithPin, unlockWithBiometrics, logout } = useSettings();
+  const [canUseBiometrics, setCanUseBiometrics] = useState(false);
+  const [cooldownUntil, setCooldownUntil] = useState(null);
+  const [error, setError] = useState('');
+
+  const showLockout = useCallback(async () => {
+    const lockout = await getPinLockout(user.id);
+    setCooldownUntil(lockout.cooldownUntil);
+    if (lockout.cooldownUntil) {
+      setError(`Too many attempts. Try again in ${formatWait(lockout.cooldownUntil - Date.now())}.`);
+    }
+    return Boolean(lockout.cooldownUntil);
+  }, [user]);
+
+  const handleBiometrics = useCallback(async () => {
+    setError('');
+    await unlockWithBiometrics();
+  }, [unlockWithBiometrics]);
+
+  // A cooldown from before the app was closed still applies
+  useEffect(() => {
+    showLockout();
+  }, [showLockout]);
+
+  useEffect(() => {
+    if (!settings.appLockBiometrics) return;
+    (async () => {
+      const available = await isBiometricAvailable();
+      setCanUseBiometrics(available);
+      if (available) handleBiometrics();
+    })();
+  }, []);
+
+  // Re-enable the keypad when the cooldown ends
+  useEffect(() => {
+    if (!cooldownUntil) return undefined;
+    const timer = setTimeout(() => {
+      setCooldownUntil(null);
+      setError('');
+    }, cooldownUntil - Date.now());
+    return () => clearTimeout(timer);
+  }, [cooldownUntil]);
+
+  const handlePin = async (pin) => {
+    if (await unlockWithPin(pin)) return;
+    if (!(await showLockout())) setError('Incorrect PIN');
+  };
+
+  const handleForgotPin = () => {
+    Alert.alert(
+      'Forgot PIN?',
+      'Sign out and sign back in with your password. You can set a new PIN in Settings.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Sign Out', style: 'destructive', onPress: logout },
+      ]
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.icon}>🔒</Text>
+        <Text style={styles.title}>Purelytics is locked</Text>
+        <Text style={styles.subtitle}>{user?.email}</Text>
+        <Text style={styles.errorText}>{error}</Text>
+      </View>
+
+      <PinPad
+        length={PIN_LENGTH}
+        onComplete={handlePin}
+        disabled={Boolean(cooldownUntil)}
+        accessoryKey={canUseBiometrics ? { label: '👤', onPress: handleBiometrics } : null}
+      />
+
+      <TouchableOpacity style={styles.forgotButton} onPress={handleForgotPin}>
+        <Text style={styles.forgotText}>Forgot PIN?</Text>
+      </TouchableOpacity>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: theme.spacing.lg,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: theme.spacing.xl,
+  },
+  icon: {
+    fontSize: 40,
+    marginBottom: theme.spacing.md,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: theme.colors.text,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+    marginTop: 4,
+  },
+  errorText: {
+    minHeight: 20,
+    marginTop: theme.spacing.md,
+    color: '#DC2626',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  forgotButton: {
+    marginTop: theme.spacing.xl,
+    padding: theme.spacing.sm,
+  },
+  forgotText: {
+    fontSize: 14,
+    color: theme.colors.primary,
+    fontWeight: '600',
+  },
+});
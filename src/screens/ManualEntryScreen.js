@@ -0,0 +1,286 @@
+/**
+ * ManualEntryScreen - Type or paste an ingredient list
+ * Scores the text entirely on-device (ingredientParser + ingredientDatabase),
+ * so it works without any AI provider configured.
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { theme } from '../theme';
+import { getCategoriesForMode } from '../services/aiService';
+import { analyzeIngredientText } from '../services/ingredientParser';
+import { buildScanProduct } from '../services/scanResult';
+import { useSettings } from '../context/SettingsContext';
+
+const EXAMPLE_TEXT = 'Enriched Flour (Wheat Flour, Niacin, Reduced Iron), Sugar, Soybean Oil, Contains 2% or less of: Salt, Red 40.';
+
+export default function ManualEntryScreen({ route, navigation }) {
+  const { scanMode = 'food' } = route.params || {};
+  const { addScan, profiles, user } = useSettings();
+
+  const [ingredientText, setIngredientText] = useState('');
+  const [productName, setProductName] = useState('');
+  const [brand, setBrand] = useState('');
+  const [selectedCategory, setSelectedCategory] = useState('Other');
+
+  const canAnalyze = ingredientText.trim().length > 0;
+
+  const handleAnalyze = () => {
+    const analysis = analyzeIngredientText(ingredientText, {
+      productName: productName.trim(),
+      brand: brand.trim(),
+      productCategory: selectedCategory,
+      scanMode,
+    });
+
+    if (analysis.ingredients.length === 0) {
+      Alert.alert(
+        'No Ingredients Found',
+        'Separate ingredients with commas, e.g. "Water, Sugar, Salt".'
+      );
+      return;
+    }
+
+    const userProfiles = profiles.filter((p) => !p.userId || p.userId === user?.id);
+    const product = buildScanProduct(analysis, userProfiles, { manualEntry: true });
+
+    addScan(product);
+    navigation.replace('ReviewScan', { product });
+  };
+
+  const handleBack = () => {
+    navigation.goBack();
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={handleBack} style={styles.backButton}>
+            <Text style={styles.backButtonText}>← Back</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Type Ingredients</Text>
+          <Text style={styles.subtitle}>
+            Paste or type the ingredient list from the label. Scoring runs on
+            your device — no API key needed.
+          </Text>
+        </View>
+
+        {/* Ingredient Text */}
+        <View style={styles.fieldSection}>
+          <Text style={styles.fieldLabel}>Ingredients</Text>
+          <TextInput
+            style={[styles.textInput, styles.ingredientInput]}
+            value={ingredientText}
+            onChangeText={setIngredientText}
+            placeholder={EXAMPLE_TEXT}
+            placeholderTextColor={theme.colors.textMuted}
+            multiline
+            textAlignVertical="top"
+            autoCorrect={false}
+          />
+          <Text style={styles.fieldHint}>
+            Sub-ingredients in parentheses and "contains 2% or less of" are handled automatically
+          </Text>
+        </View>
+
+        {/* Product Name */}
+        <View style={styles.fieldSection}>
+          <Text style={styles.fieldLabel}>Product Name (optional)</Text>
+          <TextInput
+            style={styles.textInput}
+            value={productName}
+            onChangeText={setProductName}
+            placeholder="Product name"
+            placeholderTextColor={theme.colors.textMuted}
+          />
+        </View>
+
+        {/* Brand */}
+        <View style={styles.fieldSection}>
+          <Text style={styles.fieldLabel}>Brand (optional)</Text>
+          <TextInput
+            style={styles.textInput}
+            value={brand}
+            onChangeText={setBrand}
+            placeholder="Brand name"
+            placeholderTextColor={theme.colors.textMuted}
+          />
+        </View>
+
+        {/* Category Selection */}
+        <View style={styles.fieldSection}>
+          <Text style={styles.fieldLabel}>Category</Text>
+          <View style={styles.categoryGrid}>
+            {getCategoriesForMode(scanMode).map((cat) => (
+              <TouchableOpacity
+                key={cat}
+                style={[
+                  styles.categoryChip,
+                  selectedCategory === cat && styles.categoryChipSelected,
+                ]}
+                onPress={() => setSelectedCategory(cat)}
+              >
+                <Text style={[
+                  styles.categoryChipText,
+                  selectedCategory === cat && styles.categoryChipTextSelected,
+                ]}>
+                  {cat}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      </ScrollView>
+
+      {/* Analyze Button */}
+      <SafeAreaView edges={['bottom']} style={styles.bottomBar}>
+        <TouchableOpacity
+          style={[styles.analyzeButton, !canAnalyze && styles.analyzeButtonDisabled]}
+          onPress={handleAnalyze}
+          disabled={!canAnalyze}
+          activeOpacity={0.8}
+        >
+          <Text style={styles.analyzeButtonText}>Analyze Ingredients</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: theme.spacing.lg,
+    paddingBottom: 120,
+  },
+
+  // Header
+  header: {
+    marginBottom: theme.spacing.lg,
+  },
+  backButton: {
+    marginBottom: theme.spacing.md,
+  },
+  backButtonText: {
+    color: theme.colors.primary,
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: theme.colors.text,
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+    lineHeight: 20,
+  },
+
+  // Fields
+  fieldSection: {
+    marginBottom: theme.spacing.lg,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.text,
+    marginBottom: theme.spacing.xs,
+  },
+  fieldHint: {
+    fontSize: 12,
+    color: theme.colors.textMuted,
+    marginTop: theme.spacing.xs,
+  },
+  textInput: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.md,
+    padding: theme.spacing.md,
+    fontSize: 16,
+    color: theme.colors.text,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  ingredientInput: {
+    minHeight: 160,
+    fontSize: 14,
+    lineHeight: 20,
+  },
+
+  // Category Grid
+  categoryGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  categoryChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: theme.borderRadius.full,
+    backgroundColor: theme.colors.surfaceElevated,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  categoryChipSelected: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  categoryChipText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: theme.colors.textSecondary,
+  },
+  categoryChipTextSelected: {
+    color: '#FFFFFF',
+  },
+
+  // Bottom Bar
+  bottomBar: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    backgroundColor: theme.colors.background,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.border,
+    padding: theme.spacing.md,
+    paddingHorizontal: theme.spacing.lg,
+  },
+  analyzeButton: {
+    backgroundColor: theme.colors.primary,
+    borderRadius: theme.borderRadius.lg,
+    padding: theme.spacing.md,
+    alignItems: 'center',
+  },
+  analyzeButtonDisabled: {
+    opacity: 0.5,
+  },
+  analyzeButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
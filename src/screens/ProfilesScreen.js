@@ -1,6 +1,7 @@
 /**
  * ProfilesScreen - Manage household profiles
- * Set dietary restrictions and health filters for family members.
+ * Set dietary restrictions, health filters, allergens (with severity) and
+ * custom ingredients to avoid for family members.
  * Profiles are linked to the authenticated user account.
  */
 
@@ -18,20 +19,9 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { theme } from '../theme';
 import { useSettings } from '../context/SettingsContext';
-
-// Available filter options
-const FILTER_OPTIONS = [
-  { id: 'kid-safe', label: 'Kid-Safe', emoji: '👶', description: 'Flags artificial dyes and controversial additives' },
-  { id: 'no-dyes', label: 'No Artificial Dyes', emoji: '🎨', description: 'Alerts for Red 40, Yellow 5, Blue 1, etc.' },
-  { id: 'low-sugar', label: 'Low Sugar', emoji: '🍬', description: 'Flags hidden sugars and high sugar content' },
-  { id: 'heart-healthy', label: 'Heart-Healthy', emoji: '❤️', description: 'Flags high sodium, trans fats, and inflammatory oils' },
-  { id: 'diabetic', label: 'Diabetic-Friendly', emoji: '🩺', description: 'Alerts for high glycemic ingredients' },
-  { id: 'anti-inflammatory', label: 'Anti-Inflammatory', emoji: '🌿', description: 'Flags inflammatory additives and oils' },
-  { id: 'gluten-free', label: 'Gluten-Free', emoji: '🌾', description: 'Detects gluten-containing ingredients' },
-  { id: 'dairy-free', label: 'Dairy-Free', emoji: '🥛', description: 'Alerts for dairy and lactose' },
-  { id: 'vegan', label: 'Vegan', emoji: '🌱', description: 'Flags animal-derived ingredients' },
-  { id: 'no-msg', label: 'No MSG', emoji: '⚡', description: 'Detects MSG and hidden glutamates' },
-];
+import { FILTER_OPTIONS } from '../data/profileFilters';
+import { ALLERGENS, ALLERGY_SEVERITIES, getAllergen, getSeverity } from '../data/allergens';
+import { resolveAvoidItem } from '../services/profileEvaluator';
 
 // Profile type options
 const PROFILE_TYPES = [
@@ -41,9 +31,44 @@ const PROFILE_TYPES = [
   { id: 'senior', label: 'Senior', emoji: '👵' },
 ];
 
+const SEVERITY_COLORS = {
+  anaphylactic: theme.colors.danger,
+  intolerance: theme.colors.warning,
+  preference: theme.colors.textSecondary,
+};
+
+// Severity Picker Component (segmented: severe / intolerance / preference)
+const SeverityPicker = ({ value, onChange }) => (
+  <View style={styles.severityPicker}>
+    {ALLERGY_SEVERITIES.map((severity) => {
+      const isActive = value === severity.id;
+      return (
+        <TouchableOpacity
+          key={severity.id}
+          style={[
+            styles.severityOption,
+            isActive && {
+              backgroundColor: SEVERITY_COLORS[severity.id],
+              borderColor: SEVERITY_COLORS[severity.id],
+            },
+          ]}
+          onPress={() => onChange(severity.id)}
+        >
+          <Text style={[styles.severityOptionText, isActive && styles.severityOptionTextActive]}>
+            {severity.label}
+          </Text>
+        </TouchableOpacity>
+      );
+    })}
+  </View>
+);
+
 // Profile Card Component
 const ProfileCard = ({ profile, onPress, onEdit, onDelete }) => {
   const activeFilters = FILTER_OPTIONS.filter(f => profile.filters.includes(f.id));
+  const allergens = (profile.allergens || []).filter(a => getAllergen(a.id));
+  const avoid = profile.avoid || [];
+  const hasTags = activeFilters.length + allergens.length + avoid.length > 0;
 
   const handleDelete = () => {
     Alert.alert(
@@ -79,13 +104,31 @@ const ProfileCard = ({ profile, onPress, onEdit, onDelete }) => {
       </View>
 
       <View style={styles.filtersContainer}>
+        {allergens.map(({ id, severity }) => {
+          const allergen = getAllergen(id);
+          const color = SEVERITY_COLORS[severity] || SEVERITY_COLORS.intolerance;
+          return (
+            <View key={id} style={[styles.filterTag, { backgroundColor: color + '15' }]}>
+              <Text style={styles.filterEmoji}>{allergen.emoji}</Text>
+              <Text style={[styles.filterLabel, { color }]}>
+                {allergen.label} · {getSeverity(severity)?.label || 'Intolerance'}
+              </Text>
+            </View>
+          );
+        })}
+        {avoid.map((item) => (
+          <View key={item.name} style={[styles.filterTag, styles.avoidTag]}>
+            <Text style={styles.filterEmoji}>🚫</Text>
+            <Text style={[styles.filterLabel, styles.avoidTagLabel]}>{item.name}</Text>
+          </View>
+        ))}
         {activeFilters.map((filter) => (
           <View key={filter.id} style={styles.filterTag}>
             <Text style={styles.filterEmoji}>{filter.emoji}</Text>
             <Text style={styles.filterLabel}>{filter.label}</Text>
           </View>
         ))}
-        {activeFilters.length === 0 && (
+        {!hasTags && (
           <Text style={styles.noFiltersText}>No filters set</Text>
         )}
       </View>
@@ -99,6 +142,9 @@ const ProfileModal = ({ visible, onClose, onSave, editProfile }) => {
   const [age, setAge] = useState(editProfile?.age?.toString() || '');
   const [type, setType] = useState(editProfile?.type || 'adult');
   const [selectedFilters, setSelectedFilters] = useState(editProfile?.filters || []);
+  const [allergens, setAllergens] = useState(editProfile?.allergens || []);
+  const [avoid, setAvoid] = useState(editProfile?.avoid || []);
+  const [avoidText, setAvoidText] = useState('');
 
   // Reset form when modal opens with new data
   React.useEffect(() => {
@@ -107,6 +153,9 @@ const ProfileModal = ({ visible, onClose, onSave, editProfile }) => {
       setAge(editProfile?.age?.toString() || '');
       setType(editProfile?.type || 'adult');
       setSelectedFilters(editProfile?.filters || []);
+      setAllergens(editProfile?.allergens || []);
+      setAvoid(editProfile?.avoid || []);
+      setAvoidText('');
     }
   }, [visible, editProfile]);
 
@@ -118,6 +167,37 @@ const ProfileModal = ({ visible, onClose, onSave, editProfile }) => {
     );
   };
 
+  const toggleAllergen = (allergenId) => {
+    setAllergens(prev =>
+      prev.some(a => a.id === allergenId)
+        ? prev.filter(a => a.id !== allergenId)
+        : [...prev, { id: allergenId, severity: 'intolerance' }]
+    );
+  };
+
+  const setAllergenSeverity = (allergenId, severity) => {
+    setAllergens(prev => prev.map(a => (a.id === allergenId ? { ...a, severity } : a)));
+  };
+
+  const addAvoidItem = () => {
+    const itemName = avoidText.trim();
+    setAvoidText('');
+    if (!itemName) return;
+    setAvoid(prev =>
+      prev.some(item => item.name.toLowerCase() === itemName.toLowerCase())
+        ? prev
+        : [...prev, { name: itemName, severity: 'preference' }]
+    );
+  };
+
+  const setAvoidSeverity = (itemName, severity) => {
+    setAvoid(prev => prev.map(item => (item.name === itemName ? { ...item, severity } : item)));
+  };
+
+  const removeAvoidItem = (itemName) => {
+    setAvoid(prev => prev.filter(item => item.name !== itemName));
+  };
+
   const handleSave = () => {
     const profileType = PROFILE_TYPES.find(t => t.id === type);
     onSave({
@@ -127,6 +207,8 @@ const ProfileModal = ({ visible, onClose, onSave, editProfile }) => {
       type,
       emoji: profileType?.emoji || '👤',
       filters: selectedFilters,
+      allergens,
+      avoid,
     });
     onClose();
   };
@@ -200,6 +282,89 @@ const ProfileModal = ({ visible, onClose, onSave, editProfile }) => {
             </View>
           </View>
 
+          {/* Allergens */}
+          <View style={styles.inputGroup}>
+            <Text style={styles.inputLabel}>Allergies & Intolerances</Text>
+            <Text style={styles.inputHint}>
+              Tap an allergen, then choose how serious it is. Severe allergies are also
+              warned about when a label says "may contain".
+            </Text>
+            <View style={styles.allergenChips}>
+              {ALLERGENS.map((allergen) => {
+                const isSelected = allergens.some(a => a.id === allergen.id);
+                return (
+                  <TouchableOpacity
+                    key={allergen.id}
+                    style={[styles.allergenChip, isSelected && styles.allergenChipActive]}
+                    onPress={() => toggleAllergen(allergen.id)}
+                  >
+                    <Text style={styles.filterEmoji}>{allergen.emoji}</Text>
+                    <Text style={[styles.allergenChipText, isSelected && styles.allergenChipTextActive]}>
+                      {allergen.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            {allergens.filter(a => getAllergen(a.id)).map(({ id, severity }) => {
+              const allergen = getAllergen(id);
+              return (
+                <View key={id} style={styles.severityRow}>
+                  <Text style={styles.severityRowLabel}>{allergen.emoji} {allergen.label}</Text>
+                  <SeverityPicker value={severity} onChange={(value) => setAllergenSeverity(id, value)} />
+                </View>
+              );
+            })}
+          </View>
+
+          {/* Avoid-List */}
+          <View style={styles.inputGroup}>
+            <Text style={styles.inputLabel}>Ingredients to Avoid</Text>
+            <Text style={styles.inputHint}>
+              Add anything else this person avoids. Known ingredients also match their
+              other label names.
+            </Text>
+            <View style={styles.avoidInputRow}>
+              <TextInput
+                style={[styles.textInput, styles.avoidInput]}
+                value={avoidText}
+                onChangeText={setAvoidText}
+                onSubmitEditing={addAvoidItem}
+                placeholder="e.g. Carrageenan"
+                placeholderTextColor={theme.colors.textMuted}
+                autoCapitalize="words"
+                returnKeyType="done"
+              />
+              <TouchableOpacity
+                style={[styles.avoidAddButton, !avoidText.trim() && styles.avoidAddButtonDisabled]}
+                onPress={addAvoidItem}
+                disabled={!avoidText.trim()}
+              >
+                <Text style={styles.avoidAddText}>Add</Text>
+              </TouchableOpacity>
+            </View>
+            {avoid.map((item) => {
+              const { match, terms } = resolveAvoidItem(item.name);
+              const otherNames = terms.filter(term => term !== item.name.toLowerCase());
+              return (
+                <View key={item.name} style={styles.severityRow}>
+                  <View style={styles.avoidItemHeader}>
+                    <Text style={styles.severityRowLabel}>🚫 {item.name}</Text>
+                    <TouchableOpacity onPress={() => removeAvoidItem(item.name)}>
+                      <Text style={styles.deleteButtonText}>X</Text>
+                    </TouchableOpacity>
+                  </View>
+                  {match && otherNames.length > 0 && (
+                    <Text style={styles.avoidMatches} numberOfLines={2}>
+                      Also matches: {otherNames.slice(0, 4).join(', ')}
+                    </Text>
+                  )}
+                  <SeverityPicker value={item.severity} onChange={(value) => setAvoidSeverity(item.name, value)} />
+                </View>
+              );
+            })}
+          </View>
+
           {/* Filters */}
           <View style={styles.inputGroup}>
             <Text style={styles.inputLabel}>Health Filters</Text>
@@ -338,8 +503,9 @@ export default function ProfilesScreen({ navigation }) {
           <Text style={styles.infoTitle}>How Profiles Work</Text>
           <Text style={styles.infoText}>
             When you scan a product, Purelytics will automatically check it against
-            each profile's health filters and alert you to any concerns specific to
-            that family member. All profiles are saved to your account.
+            each profile's health filters, allergies and avoid-list and alert you to
+            any concerns specific to that family member, most serious first. All
+            profiles are saved to your account.
           </Text>
         </View>
       </ScrollView>
@@ -465,6 +631,12 @@ const styles = StyleSheet.create({
     color: theme.colors.textMuted,
     fontStyle: 'italic',
   },
+  avoidTag: {
+    backgroundColor: theme.colors.surfaceElevated,
+  },
+  avoidTagLabel: {
+    color: theme.colors.textSecondary,
+  },
 
   // Add Button
   addButton: {
@@ -595,6 +767,100 @@ const styles = StyleSheet.create({
     fontWeight: '600',
   },
 
+  // Allergens & Avoid-List
+  allergenChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: theme.spacing.sm,
+  },
+  allergenChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.surface,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: theme.borderRadius.full,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  allergenChipActive: {
+    backgroundColor: theme.colors.primary + '15',
+    borderColor: theme.colors.primary,
+  },
+  allergenChipText: {
+    fontSize: 13,
+    color: theme.colors.textSecondary,
+  },
+  allergenChipTextActive: {
+    color: theme.colors.primary,
+    fontWeight: '600',
+  },
+  severityRow: {
+    backgroundColor: theme.colors.surface,
+    padding: theme.spacing.md,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    marginTop: theme.spacing.sm,
+  },
+  severityRowLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: theme.colors.text,
+    marginBottom: theme.spacing.sm,
+  },
+  severityPicker: {
+    flexDirection: 'row',
+    gap: theme.spacing.sm,
+  },
+  severityOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  severityOptionText: {
+    fontSize: 12,
+    color: theme.colors.textSecondary,
+  },
+  severityOptionTextActive: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  avoidInputRow: {
+    flexDirection: 'row',
+    gap: theme.spacing.sm,
+  },
+  avoidInput: {
+    flex: 1,
+  },
+  avoidAddButton: {
+    backgroundColor: theme.colors.primary,
+    borderRadius: theme.borderRadius.md,
+    paddingHorizontal: theme.spacing.lg,
+    justifyContent: 'center',
+  },
+  avoidAddButtonDisabled: {
+    opacity: 0.5,
+  },
+  avoidAddText: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  avoidItemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  avoidMatches: {
+    fontSize: 12,
+    color: theme.colors.textMuted,
+    marginBottom: theme.spacing.sm,
+  },
+
   // Filters List
   filtersList: {
     gap: theme.spacing.sm,
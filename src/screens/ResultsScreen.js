@@ -1,9 +1,10 @@
 /**
  * ResultsScreen - Display scanned product analysis
- * Shows overall score, ingredient breakdown, and health alerts
+ * Shows overall score, ingredient breakdown, and health alerts.
+ * Scans with stored label photos show a thumbnail and can be re-analyzed.
  */
 
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import {
   View,
   Text,
@@ -11,11 +12,21 @@ import {
   TouchableOpacity,
   StyleSheet,
   Dimensions,
+  Image,
+  Alert,
+  ActivityIndicator,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import Svg, { Circle } from 'react-native-svg';
 import { theme, getScoreColor, getScoreLabel, getConcernBadge } from '../theme';
 import { ingredientDatabase } from '../data/ingredientDatabase';
+import { useSettings } from '../context/SettingsContext';
+import { evaluateProfiles, groupAlertsByProfile } from '../services/profileEvaluator';
+import { detectAllergens } from '../services/allergenDetector';
+import { analyzeWithPreferred, isAIConfigured } from '../services/aiService';
+import { reconcileWithDatabase } from '../services/ingredientParser';
+import { buildScanProduct } from '../services/scanResult';
+import { getScanImageUri, loadScanImages } from '../services/scanImageStore';
 
 const { width } = Dimensions.get('window');
 
@@ -89,16 +100,59 @@ const ConcernBadge = ({ type, count, names }) => {
   );
 };
 
-// Profile Alert Component
-const ProfileAlert = ({ alert }) => (
-  <View style={styles.alertCard}>
+// Profile Alert Component (one card per profile, one line per ingredient,
+// most serious first; "may contain" traces for severe allergies are warnings)
+const SEVERITY_COLORS = {
+  anaphylactic: theme.colors.danger,
+  intolerance: theme.colors.warning,
+  preference: theme.colors.textSecondary,
+};
+
+const ProfileAlert = ({ group }) => (
+  <View style={[styles.alertCard, group.severity === 'anaphylactic' && styles.alertCardSevere]}>
     <View style={styles.alertHeader}>
-      <Text style={styles.alertProfile}>{alert.profile}</Text>
+      <Text style={styles.alertProfile}>{group.profile}</Text>
     </View>
-    <Text style={styles.alertMessage}>{alert.message}</Text>
+    {group.alerts.map((alert, index) => (
+      <Text key={index} style={[styles.alertMessage, alert.trace && styles.alertTrace]}>
+        {alert.trace ? '⚠️ ' : ''}
+        {alert.filter ? (
+          <Text style={[styles.alertFilter, alert.severity && { color: SEVERITY_COLORS[alert.severity] }]}>
+            {alert.filter}:{' '}
+          </Text>
+        ) : null}
+        {alert.message}
+      </Text>
+    ))}
   </View>
 );
 
+// Allergen Card Component (one card per detected allergen)
+const ALLERGEN_STATUS = {
+  contains: { label: 'Contains', color: theme.colors.danger, bg: '#FEE2E2' },
+  'may-contain': { label: 'May contain', color: theme.colors.warning, bg: '#FEF3C7' },
+  possible: { label: 'Possible source', color: theme.colors.warning, bg: '#FEF3C7' },
+};
+
+const AllergenCard = ({ allergen }) => {
+  const status = ALLERGEN_STATUS[allergen.status];
+  const detail = allergen.sources.length > 0
+    ? `From: ${allergen.sources.join(', ')}`
+    : 'Declared on the label';
+
+  return (
+    <View style={[styles.allergenCard, { borderLeftColor: status.color }]}>
+      <View style={styles.allergenHeader}>
+        <Text style={styles.allergenName}>{allergen.emoji} {allergen.label}</Text>
+        <View style={[styles.allergenBadge, { backgroundColor: status.bg }]}>
+          <Text style={[styles.allergenBadgeText, { color: status.color }]}>{status.label}</Text>
+        </View>
+      </View>
+      <Text style={styles.allergenDetail}>{detail}</Text>
+    </View>
+  );
+};
+
 // Ingredient Item Component
 const IngredientItem = ({ ingredient, onPress }) => {
   const badge = getConcernBadge(ingredient.concern || 'moderate');
@@ -106,7 +160,7 @@ const IngredientItem = ({ ingredient, onPress }) => {
 
   return (
     <TouchableOpacity 
-      style={styles.ingredientItem}
+      style={[styles.ingredientItem, ingredient.suggestedMatch && styles.ingredientItemUncertain]}
       onPress={onPress}
       activeOpacity={0.7}
     >
@@ -118,6 +172,11 @@ const IngredientItem = ({ ingredient, onPress }) => {
       <View style={styles.ingredientInfo}>
         <Text style={styles.ingredientName}>{ingredient.name}</Text>
         <Text style={styles.ingredientCategory}>{ingredient.category || 'Ingredient'}</Text>
+        {ingredient.suggestedMatch && (
+          <Text style={styles.ingredientMatchNote}>
+            Possibly {ingredient.suggestedMatch.name} · {Math.round(ingredient.suggestedMatch.confidence * 100)}% match
+          </Text>
+        )}
       </View>
       <View style={[styles.ingredientBadge, { backgroundColor: badge.bg }]}>
         <Text style={[styles.ingredientBadgeText, { color: badge.color }]}>
@@ -131,7 +190,9 @@ const IngredientItem = ({ ingredient, onPress }) => {
 
 export default function ResultsScreen({ route, navigation }) {
   const { product } = route.params || {};
+  const { profiles, user, settings, updateScan } = useSettings();
   const [showAllIngredients, setShowAllIngredients] = useState(false);
+  const [isReanalyzing, setIsReanalyzing] = useState(false);
 
   // Get real ingredient data from database
   const getIngredientData = (id) => {
@@ -162,7 +223,7 @@ export default function ResultsScreen({ route, navigation }) {
   const productData = product || {
     name: 'Classic Hot Dogs',
     brand: 'Oscar Mayer',
-    category: 'Processed Meat',
+    category: 'Meat',
     overallScore: 28,
     ingredients: [
       getIngredientData('sodium-nitrite'),
@@ -185,6 +246,25 @@ export default function ResultsScreen({ route, navigation }) {
     rawText: 'MECHANICALLY SEPARATED CHICKEN, WATER, PORK, CORN SYRUP, CONTAINS LESS THAN 2% OF: SALT, POTASSIUM LACTATE, SODIUM PHOSPHATES, BEEF, SODIUM DIACETATE, SODIUM ASCORBATE, SODIUM NITRITE, FLAVOR.',
   };
 
+  const allergens = useMemo(
+    () => detectAllergens(productData.ingredients, productData.rawText),
+    [productData],
+  );
+
+  // Re-evaluate against the current profiles so edits to a profile's filters
+  // apply to past scans too. Falls back to the stored alerts when the
+  // household has no profiles.
+  const alertGroups = useMemo(() => {
+    const userProfiles = profiles.filter((p) => !p.userId || p.userId === user?.id);
+    const alerts = userProfiles.length > 0
+      ? evaluateProfiles(productData.ingredients, userProfiles, allergens)
+      : productData.profileAlerts || [];
+    return groupAlertsByProfile(alerts);
+  }, [productData, profiles, user, allergens]);
+
+  // Names the matcher could only guess at (typos, extra words)
+  const uncertainCount = productData.ingredients.filter((i) => i.suggestedMatch).length;
+
   const handleBack = () => {
     navigation.goBack();
   };
@@ -197,6 +277,66 @@ export default function ResultsScreen({ route, navigation }) {
     navigation.navigate('Alternatives', { product: productData });
   };
 
+  const imageFiles = productData.imageFiles || [];
+
+  // Run the stored photos through the full pipeline again and replace
+  // this scan's analysis (history entry and the screen)
+  const runReanalysis = async () => {
+    setIsReanalyzing(true);
+    try {
+      const images = await loadScanImages(imageFiles);
+      if (images.length === 0) {
+        throw new Error('The photos for this scan are no longer on this device.');
+      }
+
+      const rawResult = await analyzeWithPreferred(
+        images,
+        settings.aiProvider || 'auto',
+        productData.scanMode || 'food',
+      );
+      const userProfiles = profiles.filter((p) => !p.userId || p.userId === user?.id);
+      const updates = buildScanProduct(reconcileWithDatabase(rawResult), userProfiles, {
+        id: productData.id,
+        scannedAt: productData.scannedAt,
+        reanalyzedAt: new Date().toISOString(),
+        imageFiles,
+        imageSource: productData.imageSource,
+        ...(productData.barcode ? { barcode: productData.barcode } : {}),
+        // Keep the name the user confirmed on the review screen
+        ...(productData.userConfirmed
+          ? { name: productData.name, brand: productData.brand, category: productData.category }
+          : {}),
+        ingredientsEdited: false,
+        webContextApplied: false,
+      });
+
+      updateScan(productData.id, updates);
+      navigation.setParams({ product: { ...productData, ...updates } });
+    } catch (error) {
+      console.error('Re-analysis error:', error);
+      Alert.alert('Re-analysis Failed', error.message || 'Unable to analyze the stored photos. Please try again.');
+    } finally {
+      setIsReanalyzing(false);
+    }
+  };
+
+  const handleReanalyze = () => {
+    if (isReanalyzing) return;
+    if (!isAIConfigured(settings.aiProvider)) {
+      Alert.alert('🔑 API Keys Required', 'Add an API key to src/config/apiKeys.js to re-analyze scans.');
+      return;
+    }
+
+    Alert.alert(
+      'Re-analyze Scan',
+      'Run the stored label photos through the analysis again? The current results will be replaced.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Re-analyze', onPress: runReanalysis },
+      ]
+    );
+  };
+
   const displayedIngredients = showAllIngredients 
     ? productData.ingredients 
     : productData.ingredients.slice(0, 4);
@@ -235,16 +375,57 @@ export default function ResultsScreen({ route, navigation }) {
               </View>
             </View>
           </View>
+
+          {/* Stored label photo */}
+          {imageFiles.length > 0 && (
+            <View style={styles.photoRow}>
+              <View>
+                <Image source={{ uri: getScanImageUri(imageFiles[0]) }} style={styles.photoThumb} />
+                {imageFiles.length > 1 && (
+                  <View style={styles.photoCountBadge}>
+                    <Text style={styles.photoCountText}>+{imageFiles.length - 1}</Text>
+                  </View>
+                )}
+              </View>
+              <TouchableOpacity
+                style={[styles.reanalyzeButton, isReanalyzing && styles.reanalyzeButtonDisabled]}
+                onPress={handleReanalyze}
+                disabled={isReanalyzing}
+                activeOpacity={0.8}
+              >
+                {isReanalyzing ? (
+                  <ActivityIndicator size="small" color={theme.colors.primary} />
+                ) : (
+                  <Text style={styles.reanalyzeText}>🔁 Re-analyze</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          )}
         </View>
 
+        {/* Allergens */}
+        {allergens.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>
+              <Text style={styles.alertIcon}>⚠️</Text> Allergens
+            </Text>
+            {allergens.map((allergen) => (
+              <AllergenCard key={allergen.id} allergen={allergen} />
+            ))}
+            <Text style={styles.allergenNote}>
+              Detected from the ingredient list and label statements. Always check the package if an allergy is severe.
+            </Text>
+          </View>
+        )}
+
         {/* Profile Alerts */}
-        {productData.profileAlerts && productData.profileAlerts.length > 0 && (
+        {alertGroups.length > 0 && (
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>
               <Text style={styles.alertIcon}>🔔</Text> Alerts for Your Household
             </Text>
-            {productData.profileAlerts.map((alert, index) => (
-              <ProfileAlert key={index} alert={alert} />
+            {alertGroups.map((group) => (
+              <ProfileAlert key={group.key} group={group} />
             ))}
           </View>
         )}
@@ -252,6 +433,15 @@ export default function ResultsScreen({ route, navigation }) {
         {/* Ingredient Breakdown */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Ingredient Breakdown</Text>
+          {uncertainCount > 0 && (
+            <View style={styles.uncertainNote}>
+              <Text style={styles.uncertainNoteText}>
+                {uncertainCount === 1 ? '1 ingredient' : `${uncertainCount} ingredients`} could only be
+                matched with low confidence (a typo or unusual wording on the label), so they are scored
+                on their own. Check the suggested matches marked below.
+              </Text>
+            </View>
+          )}
           {displayedIngredients.map((ingredient, index) => (
             <IngredientItem
               key={ingredient.id || `${ingredient.name}-${index}`}
@@ -437,6 +627,51 @@ const styles = StyleSheet.create({
     color: theme.colors.textSecondary,
     marginBottom: theme.spacing.sm,
   },
+  photoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: theme.spacing.md,
+  },
+  photoThumb: {
+    width: 56,
+    height: 56,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.surfaceElevated,
+  },
+  photoCountBadge: {
+    position: 'absolute',
+    right: -6,
+    bottom: -6,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: theme.borderRadius.full,
+    backgroundColor: theme.colors.surface,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  photoCountText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: theme.colors.textSecondary,
+  },
+  reanalyzeButton: {
+    marginLeft: theme.spacing.md,
+    minWidth: 120,
+    alignItems: 'center',
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: theme.borderRadius.full,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+  },
+  reanalyzeButtonDisabled: {
+    opacity: 0.6,
+  },
+  reanalyzeText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.primary,
+  },
   scoreValue: {
     fontSize: 30,
     fontWeight: '700',
@@ -501,11 +736,61 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: theme.colors.accent,
   },
+  alertCardSevere: {
+    backgroundColor: '#FEF2F2',
+    borderLeftColor: theme.colors.danger,
+  },
   alertMessage: {
     fontSize: 13,
     color: theme.colors.text,
     lineHeight: 18,
   },
+  alertFilter: {
+    fontWeight: '600',
+  },
+  alertTrace: {
+    color: theme.colors.warning,
+  },
+
+  // Allergens
+  allergenCard: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.md,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+    borderLeftWidth: 4,
+  },
+  allergenHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  allergenName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  allergenBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: theme.borderRadius.full,
+  },
+  allergenBadgeText: {
+    fontSize: 11,
+    fontWeight: '700',
+  },
+  allergenDetail: {
+    fontSize: 13,
+    color: theme.colors.textSecondary,
+    lineHeight: 18,
+  },
+  allergenNote: {
+    fontSize: 12,
+    color: theme.colors.textMuted,
+    lineHeight: 16,
+    marginTop: 4,
+  },
 
   // Ingredients
   ingredientItem: {
@@ -543,6 +828,25 @@ const styles = StyleSheet.create({
     color: theme.colors.textMuted,
     marginTop: 2,
   },
+  ingredientMatchNote: {
+    fontSize: 11,
+    color: theme.colors.warning,
+    marginTop: 2,
+  },
+  ingredientItemUncertain: {
+    borderColor: theme.colors.warning,
+  },
+  uncertainNote: {
+    backgroundColor: '#FEF3C7',
+    borderRadius: theme.borderRadius.md,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+  },
+  uncertainNoteText: {
+    fontSize: 13,
+    color: theme.colors.text,
+    lineHeight: 18,
+  },
   ingredientBadge: {
     paddingHorizontal: 8,
     paddingVertical: 4,
@@ -1,11 +1,13 @@
 /**
  * ReviewScanScreen - Confirmation screen between scan and results
- * Shows AI's detected product name, brand, and category.
- * User can confirm or edit before proceeding to full results.
- * Optionally runs Brave Search verification in the background.
+ * Shows AI's detected product name, brand, category and ingredient list.
+ * User can confirm or edit before proceeding to full results; ingredient
+ * edits are re-scored on-device and saved back to history.
+ * Optionally runs Brave Search verification in the background and can
+ * re-analyze the captured image with the search results as context.
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
@@ -14,23 +16,128 @@ import {
   ScrollView,
   TextInput,
   ActivityIndicator,
+  Alert,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { theme, getScoreColor, getScoreLabel } from '../theme';
 import {
-  PRODUCT_CATEGORIES,
+  getCategoriesForMode,
   verifyProductWithSearch,
   isBraveConfigured,
+  buildWebSearchContext,
+  reanalyzeWithContext,
 } from '../services/aiService';
+import { summarizeWarnings } from '../services/analysisSchema';
+import {
+  rescoreIngredient,
+  rescoreIngredientList,
+  reconcileWithDatabase,
+} from '../services/ingredientParser';
+import { evaluateProfiles } from '../services/profileEvaluator';
+import { diffScanResults } from '../services/scanResult';
+import { useSettings } from '../context/SettingsContext';
+
+// Editable row in the ingredient list
+const IngredientRow = ({
+  ingredient,
+  index,
+  count,
+  isEditing,
+  editDraft,
+  onChangeDraft,
+  onStartEdit,
+  onSubmitEdit,
+  onMove,
+  onRemove,
+}) => (
+  <View style={styles.ingredientRow}>
+    <Text style={styles.ingredientIndex}>{index + 1}</Text>
+    {isEditing ? (
+      <TextInput
+        style={styles.ingredientInput}
+        value={editDraft}
+        onChangeText={onChangeDraft}
+        onSubmitEditing={onSubmitEdit}
+        onBlur={onSubmitEdit}
+        autoFocus
+        returnKeyType="done"
+      />
+    ) : (
+      <TouchableOpacity style={styles.ingredientNameButton} onPress={onStartEdit}>
+        <Text style={styles.ingredientName} numberOfLines={1}>
+          {ingredient.name}
+        </Text>
+        {ingredient.userEdited && (
+          <Text style={styles.ingredientEditedTag}>edited</Text>
+        )}
+        {ingredient.photos?.length > 0 && (
+          <Text style={styles.ingredientPhotoTag}>📷 {ingredient.photos.join(',')}</Text>
+        )}
+      </TouchableOpacity>
+    )}
+    <View style={[styles.ingredientScore, { backgroundColor: getScoreColor(ingredient.score) + '25' }]}>
+      <Text style={[styles.ingredientScoreText, { color: getScoreColor(ingredient.score) }]}>
+        {ingredient.score}
+      </Text>
+    </View>
+    <TouchableOpacity
+      style={styles.rowButton}
+      onPress={() => onMove(-1)}
+      disabled={index === 0}
+    >
+      <Text style={[styles.rowButtonText, index === 0 && styles.rowButtonDisabled]}>↑</Text>
+    </TouchableOpacity>
+    <TouchableOpacity
+      style={styles.rowButton}
+      onPress={() => onMove(1)}
+      disabled={index === count - 1}
+    >
+      <Text style={[styles.rowButtonText, index === count - 1 && styles.rowButtonDisabled]}>↓</Text>
+    </TouchableOpacity>
+    <TouchableOpacity style={styles.rowButton} onPress={onRemove}>
+      <Text style={styles.rowRemoveText}>✕</Text>
+    </TouchableOpacity>
+  </View>
+);
 
 export default function ReviewScanScreen({ route, navigation }) {
-  const { product } = route.params || {};
+  const { product, images } = route.params || {};
+  const { profiles, user, settings, updateScan } = useSettings();
+  const scanMode = product?.scanMode || 'food';
 
   const [productName, setProductName] = useState(product?.name || 'Unknown Product');
   const [brand, setBrand] = useState(product?.brand || 'Unknown Brand');
   const [selectedCategory, setSelectedCategory] = useState(product?.category || 'Other');
   const [isVerifying, setIsVerifying] = useState(false);
   const [verificationResult, setVerificationResult] = useState(null);
+  const [showWarnings, setShowWarnings] = useState(false);
+  const [ingredients, setIngredients] = useState(product?.ingredients || []);
+  const [ingredientsEdited, setIngredientsEdited] = useState(false);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
+  const [newIngredient, setNewIngredient] = useState('');
+  const [showFullText, setShowFullText] = useState(false);
+  const [isReanalyzing, setIsReanalyzing] = useState(false);
+  const [reanalysis, setReanalysis] = useState(null); // { analysis, diff } awaiting accept
+  const [acceptedAnalysis, setAcceptedAnalysis] = useState(null);
+
+  // Model-level fields of whichever analysis the list came from
+  const baseline = acceptedAnalysis || {
+    concerns: product?.concerns,
+    overallScore: product?.overallScore,
+    validationWarnings: product?.validationWarnings,
+  };
+
+  // Concerns and overall score follow the edited list; untouched scans
+  // keep the values computed at analysis time
+  const scoring = useMemo(() => (
+    ingredientsEdited
+      ? rescoreIngredientList(ingredients)
+      : { concerns: baseline.concerns, overallScore: baseline.overallScore }
+  ), [ingredients, ingredientsEdited, acceptedAnalysis]);
+
+  const validationWarnings = baseline.validationWarnings || [];
+  const warningSummary = summarizeWarnings(validationWarnings);
 
   // Run Brave Search verification in background on mount
   useEffect(() => {
@@ -45,10 +152,116 @@ export default function ReviewScanScreen({ route, navigation }) {
     }
   }, []);
 
+  // ─── Ingredient edits ───────────────────────────────────────
+
+  const applyIngredients = (next) => {
+    setIngredients(next);
+    setIngredientsEdited(true);
+  };
+
+  const handleStartEdit = (index) => {
+    setEditingIndex(index);
+    setEditDraft(ingredients[index].name);
+  };
+
+  const handleSubmitEdit = () => {
+    if (editingIndex === null) return;
+    const index = editingIndex;
+    const name = editDraft.trim();
+    setEditingIndex(null);
+
+    if (!name) {
+      applyIngredients(ingredients.filter((_, i) => i !== index));
+      return;
+    }
+    if (name === ingredients[index].name) return;
+
+    // Keep the ingredient's sub-ingredient group and source photos
+    const { parent, minorIngredient, photos } = ingredients[index];
+    const renamed = {
+      ...rescoreIngredient(name, scanMode),
+      ...(parent ? { parent } : {}),
+      ...(minorIngredient ? { minorIngredient } : {}),
+      ...(photos ? { photos } : {}),
+    };
+    applyIngredients(ingredients.map((ingredient, i) => (i === index ? renamed : ingredient)));
+  };
+
+  const handleMoveIngredient = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= ingredients.length) return;
+    const next = [...ingredients];
+    [next[index], next[target]] = [next[target], next[index]];
+    applyIngredients(next);
+  };
+
+  const handleRemoveIngredient = (index) => {
+    setEditingIndex(null);
+    applyIngredients(ingredients.filter((_, i) => i !== index));
+  };
+
+  const handleAddIngredient = () => {
+    const name = newIngredient.trim();
+    if (!name) return;
+    applyIngredients([...ingredients, rescoreIngredient(name, scanMode)]);
+    setNewIngredient('');
+  };
+
+  // ─── Re-analysis with web context ───────────────────────────
+
+  const canReanalyze = images?.length > 0 && isBraveConfigured() && verificationResult?.verified;
+
+  const handleReanalyze = async () => {
+    const webSearchContext = buildWebSearchContext(verificationResult, {
+      productName,
+      brand,
+      category: selectedCategory,
+    });
+    if (!webSearchContext) return;
+
+    setIsReanalyzing(true);
+    try {
+      const rawResult = await reanalyzeWithContext(
+        images,
+        webSearchContext,
+        settings.aiProvider || 'auto',
+        scanMode,
+      );
+      const analysis = reconcileWithDatabase(rawResult);
+      const diff = diffScanResults(
+        { category: selectedCategory, overallScore: scoring.overallScore, ingredients },
+        { category: analysis.productCategory, overallScore: analysis.overallScore, ingredients: analysis.ingredients },
+      );
+      setReanalysis({ analysis, diff });
+    } catch (error) {
+      console.error('Re-analysis error:', error);
+      Alert.alert('Re-analysis Failed', error.message || 'Unable to re-analyze the image.');
+    } finally {
+      setIsReanalyzing(false);
+    }
+  };
+
+  // Replace the ingredient list and scores with the re-analysis
+  const handleAcceptReanalysis = () => {
+    const { analysis } = reanalysis;
+    setAcceptedAnalysis({
+      concerns: analysis.concerns,
+      overallScore: analysis.overallScore,
+      modelOverallScore: analysis.modelOverallScore,
+      supplementInfo: analysis.supplementInfo || null,
+      validationWarnings: analysis.validationWarnings || [],
+      aiProvider: analysis.provider,
+    });
+    setIngredients(analysis.ingredients);
+    setIngredientsEdited(false);
+    setSelectedCategory(analysis.productCategory);
+    setEditingIndex(null);
+    setReanalysis(null);
+  };
+
   const handleConfirm = () => {
     // Build the final product with user's edits
-    const confirmedProduct = {
-      ...product,
+    const edits = {
       name: productName,
       brand: brand,
       category: selectedCategory,
@@ -56,14 +269,34 @@ export default function ReviewScanScreen({ route, navigation }) {
       searchVerification: verificationResult,
     };
 
-    navigation.replace('Results', { product: confirmedProduct });
+    // A re-analysis and/or manual edits replace the scan-time list
+    if (acceptedAnalysis || ingredientsEdited) {
+      const userProfiles = profiles.filter((p) => !p.userId || p.userId === user?.id);
+      Object.assign(edits, {
+        ...acceptedAnalysis,
+        ingredients,
+        concerns: scoring.concerns,
+        overallScore: scoring.overallScore,
+        profileAlerts: evaluateProfiles(ingredients, userProfiles),
+        ...(acceptedAnalysis ? { webContextApplied: true } : {}),
+        ...(ingredientsEdited ? { ingredientsEdited: true } : {}),
+      });
+    }
+
+    // Save the corrections over the history entry created at scan time
+    if (product?.id) {
+      updateScan(product.id, edits);
+    }
+
+    navigation.replace('Results', { product: { ...product, ...edits } });
   };
 
   const handleBack = () => {
     navigation.goBack();
   };
 
-  const scoreColor = getScoreColor(product?.overallScore || 50);
+  const overallScore = scoring.overallScore;
+  const scoreColor = getScoreColor(overallScore || 50);
 
   return (
     <SafeAreaView style={styles.container} edges={['top']}>
@@ -87,17 +320,41 @@ export default function ReviewScanScreen({ route, navigation }) {
         <View style={[styles.scorePreview, { backgroundColor: scoreColor + '15' }]}>
           <View style={[styles.scoreBadge, { backgroundColor: scoreColor + '25' }]}>
             <Text style={[styles.scoreValue, { color: scoreColor }]}>
-              {product?.overallScore || '?'}
+              {overallScore || '?'}
             </Text>
             <Text style={[styles.scoreLabel, { color: scoreColor }]}>
-              {getScoreLabel(product?.overallScore || 50)}
+              {getScoreLabel(overallScore || 50)}
             </Text>
           </View>
           <Text style={styles.scoreHint}>
-            {product?.ingredients?.length || 0} ingredients detected
+            {ingredients.length} ingredients {ingredientsEdited ? '(edited, re-scored)' : 'detected'}
           </Text>
         </View>
 
+        {/* Schema Corrections */}
+        {warningSummary && (
+          <TouchableOpacity
+            style={styles.warningsCard}
+            onPress={() => setShowWarnings(!showWarnings)}
+            activeOpacity={0.7}
+          >
+            <View style={styles.warningsHeader}>
+              <Text style={styles.warningsIcon}>🛠️</Text>
+              <Text style={styles.warningsTitle}>{warningSummary}</Text>
+              <Text style={styles.warningsToggle}>{showWarnings ? 'Hide' : 'Details'}</Text>
+            </View>
+            <Text style={styles.warningsHint}>
+              The AI response had invalid or missing values that were repaired automatically.
+            </Text>
+            {showWarnings && validationWarnings.map((warning, index) => (
+              <View key={index} style={styles.warningRow}>
+                <Text style={styles.warningPath}>{warning.path}</Text>
+                <Text style={styles.warningMessage}>{warning.message}</Text>
+              </View>
+            ))}
+          </TouchableOpacity>
+        )}
+
         {/* Product Name */}
         <View style={styles.fieldSection}>
           <Text style={styles.fieldLabel}>Product Name</Text>
@@ -129,7 +386,7 @@ export default function ReviewScanScreen({ route, navigation }) {
             This determines what alternatives are shown
           </Text>
           <View style={styles.categoryGrid}>
-            {PRODUCT_CATEGORIES.map((cat) => (
+            {getCategoriesForMode(product?.scanMode).map((cat) => (
               <TouchableOpacity
                 key={cat}
                 style={[
@@ -186,18 +443,131 @@ export default function ReviewScanScreen({ route, navigation }) {
                 No search results available
               </Text>
             )}
+
+            {/* Re-analyze with web context */}
+            {canReanalyze && !reanalysis && (
+              <TouchableOpacity
+                style={styles.reanalyzeButton}
+                onPress={handleReanalyze}
+                disabled={isReanalyzing}
+                activeOpacity={0.7}
+              >
+                {isReanalyzing ? (
+                  <ActivityIndicator size="small" color={theme.colors.primary} />
+                ) : (
+                  <Text style={styles.reanalyzeButtonText}>🔄 Re-analyze with web context</Text>
+                )}
+              </TouchableOpacity>
+            )}
+
+            {reanalysis && (
+              <View style={styles.diffCard}>
+                <Text style={styles.diffTitle}>
+                  {reanalysis.diff.hasChanges ? 'Re-analysis changes' : 'Re-analysis found no changes'}
+                </Text>
+                {reanalysis.diff.category && (
+                  <Text style={styles.diffLine}>
+                    Category: {reanalysis.diff.category.from} → {reanalysis.diff.category.to}
+                  </Text>
+                )}
+                {reanalysis.diff.overallScore && (
+                  <Text style={styles.diffLine}>
+                    Overall score: {reanalysis.diff.overallScore.from} → {reanalysis.diff.overallScore.to}
+                  </Text>
+                )}
+                {reanalysis.diff.added.map((ingredient) => (
+                  <Text key={`added-${ingredient.name}`} style={[styles.diffLine, styles.diffAdded]}>
+                    + {ingredient.name} ({ingredient.score})
+                  </Text>
+                ))}
+                {reanalysis.diff.removed.map((ingredient) => (
+                  <Text key={`removed-${ingredient.name}`} style={[styles.diffLine, styles.diffRemoved]}>
+                    − {ingredient.name}
+                  </Text>
+                ))}
+                {reanalysis.diff.scoreChanges.map((change) => (
+                  <Text key={`score-${change.name}`} style={styles.diffLine}>
+                    {change.name}: {change.from} → {change.to}
+                  </Text>
+                ))}
+                <View style={styles.diffActions}>
+                  <TouchableOpacity
+                    style={styles.diffDiscardButton}
+                    onPress={() => setReanalysis(null)}
+                  >
+                    <Text style={styles.diffDiscardText}>Keep Current</Text>
+                  </TouchableOpacity>
+                  {reanalysis.diff.hasChanges && (
+                    <TouchableOpacity
+                      style={styles.diffAcceptButton}
+                      onPress={handleAcceptReanalysis}
+                    >
+                      <Text style={styles.diffAcceptText}>Accept Changes</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              </View>
+            )}
           </View>
         )}
 
+        {/* Ingredients */}
+        <View style={styles.fieldSection}>
+          <Text style={styles.fieldLabel}>Ingredients</Text>
+          <Text style={styles.fieldHint}>
+            Tap a name to fix a misread, reorder with the arrows, or add what was missed
+          </Text>
+          {ingredients.map((ingredient, index) => (
+            <IngredientRow
+              key={`${index}-${ingredient.name}`}
+              ingredient={ingredient}
+              index={index}
+              count={ingredients.length}
+              isEditing={editingIndex === index}
+              editDraft={editDraft}
+              onChangeDraft={setEditDraft}
+              onStartEdit={() => handleStartEdit(index)}
+              onSubmitEdit={handleSubmitEdit}
+              onMove={(direction) => handleMoveIngredient(index, direction)}
+              onRemove={() => handleRemoveIngredient(index)}
+            />
+          ))}
+          <View style={styles.addIngredientRow}>
+            <TextInput
+              style={styles.addIngredientInput}
+              value={newIngredient}
+              onChangeText={setNewIngredient}
+              onSubmitEditing={handleAddIngredient}
+              placeholder="Add an ingredient"
+              placeholderTextColor={theme.colors.textMuted}
+              returnKeyType="done"
+            />
+            <TouchableOpacity
+              style={[styles.addIngredientButton, !newIngredient.trim() && styles.addIngredientButtonDisabled]}
+              onPress={handleAddIngredient}
+              disabled={!newIngredient.trim()}
+            >
+              <Text style={styles.addIngredientButtonText}>Add</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
         {/* Raw Text Preview */}
         {product?.rawText && (
           <View style={styles.fieldSection}>
             <Text style={styles.fieldLabel}>Detected Label Text</Text>
-            <View style={styles.rawTextCard}>
-              <Text style={styles.rawText} numberOfLines={5}>
+            <TouchableOpacity
+              style={styles.rawTextCard}
+              onPress={() => setShowFullText(!showFullText)}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.rawText} numberOfLines={showFullText ? undefined : 5}>
                 {product.rawText}
               </Text>
-            </View>
+              <Text style={styles.rawTextToggle}>
+                {showFullText ? 'Show less' : 'Show full text'}
+              </Text>
+            </TouchableOpacity>
           </View>
         )}
       </ScrollView>
@@ -290,6 +660,54 @@ const styles = StyleSheet.create({
     color: theme.colors.textSecondary,
   },
 
+  // Schema Corrections
+  warningsCard: {
+    backgroundColor: 'rgba(245, 158, 11, 0.08)',
+    borderColor: 'rgba(245, 158, 11, 0.3)',
+    borderWidth: 1,
+    borderRadius: theme.borderRadius.md,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.lg,
+  },
+  warningsHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  warningsIcon: {
+    fontSize: 16,
+    marginRight: theme.spacing.sm,
+  },
+  warningsTitle: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  warningsToggle: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: theme.colors.primary,
+  },
+  warningsHint: {
+    fontSize: 12,
+    color: theme.colors.textSecondary,
+    marginTop: theme.spacing.xs,
+    lineHeight: 17,
+  },
+  warningRow: {
+    marginTop: theme.spacing.sm,
+  },
+  warningPath: {
+    fontSize: 11,
+    fontFamily: 'Courier',
+    color: theme.colors.textMuted,
+  },
+  warningMessage: {
+    fontSize: 12,
+    color: theme.colors.textSecondary,
+    lineHeight: 17,
+  },
+
   // Fields
   fieldSection: {
     marginBottom: theme.spacing.lg,
@@ -399,6 +817,173 @@ const styles = StyleSheet.create({
     color: theme.colors.textMuted,
     fontStyle: 'italic',
   },
+  reanalyzeButton: {
+    marginTop: theme.spacing.sm,
+    padding: theme.spacing.sm,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    alignItems: 'center',
+  },
+  reanalyzeButtonText: {
+    color: theme.colors.primary,
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  diffCard: {
+    marginTop: theme.spacing.sm,
+    padding: theme.spacing.md,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.surfaceElevated,
+  },
+  diffTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.text,
+    marginBottom: theme.spacing.xs,
+  },
+  diffLine: {
+    fontSize: 13,
+    color: theme.colors.textSecondary,
+    lineHeight: 19,
+  },
+  diffAdded: {
+    color: theme.colors.highlight,
+  },
+  diffRemoved: {
+    color: theme.colors.danger,
+  },
+  diffActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: theme.spacing.sm,
+    gap: 8,
+  },
+  diffDiscardButton: {
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+  },
+  diffDiscardText: {
+    color: theme.colors.textMuted,
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  diffAcceptButton: {
+    backgroundColor: theme.colors.primary,
+    borderRadius: theme.borderRadius.md,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+  },
+  diffAcceptText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+
+  // Ingredients
+  ingredientRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.sm,
+    marginBottom: 6,
+  },
+  ingredientIndex: {
+    width: 22,
+    fontSize: 12,
+    color: theme.colors.textMuted,
+  },
+  ingredientNameButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  ingredientName: {
+    flexShrink: 1,
+    fontSize: 14,
+    color: theme.colors.text,
+  },
+  ingredientEditedTag: {
+    fontSize: 10,
+    fontWeight: '600',
+    color: theme.colors.primary,
+    marginLeft: 6,
+  },
+  ingredientPhotoTag: {
+    fontSize: 10,
+    color: theme.colors.textMuted,
+    marginLeft: 6,
+  },
+  ingredientInput: {
+    flex: 1,
+    fontSize: 14,
+    color: theme.colors.text,
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.primary,
+  },
+  ingredientScore: {
+    minWidth: 34,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: theme.borderRadius.sm,
+    alignItems: 'center',
+    marginLeft: theme.spacing.sm,
+  },
+  ingredientScoreText: {
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  rowButton: {
+    paddingHorizontal: 6,
+    paddingVertical: 4,
+  },
+  rowButtonText: {
+    fontSize: 16,
+    color: theme.colors.textSecondary,
+  },
+  rowButtonDisabled: {
+    color: theme.colors.border,
+  },
+  rowRemoveText: {
+    fontSize: 14,
+    color: theme.colors.danger,
+  },
+  addIngredientRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  addIngredientInput: {
+    flex: 1,
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.md,
+    padding: theme.spacing.sm,
+    fontSize: 14,
+    color: theme.colors.text,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  addIngredientButton: {
+    backgroundColor: theme.colors.primary,
+    borderRadius: theme.borderRadius.md,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    marginLeft: theme.spacing.sm,
+  },
+  addIngredientButtonDisabled: {
+    opacity: 0.4,
+  },
+  addIngredientButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
 
   // Raw Text
   rawTextCard: {
@@ -412,6 +997,12 @@ const styles = StyleSheet.create({
     color: theme.colors.textSecondary,
     lineHeight: 17,
   },
+  rawTextToggle: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: theme.colors.primary,
+    marginTop: theme.spacing.xs,
+  },
 
   // Bottom Bar
   bottomBar: {
@@ -1,9 +1,12 @@
 /**
  * ScanScreen - Camera interface for scanning product labels
- * Uses AI Vision APIs (OpenAI, Gemini, Claude) for ingredient analysis
+ * Uses AI Vision APIs (OpenAI, Gemini, Claude) for ingredient analysis.
+ * Multi-photo mode captures up to 5 panels of one package and sends them
+ * in a single request. Label photos can also be imported from the library
+ * or shared into the app (route.params.sharedFiles).
  */
 
-import React, { useState, useRef, useCallback } from 'react';
+import React, { useState, useRef, useCallback, useEffect } from 'react';
 import {
   View,
   Text,
@@ -13,24 +16,48 @@ import {
   Dimensions,
   Alert,
   Linking,
+  Image,
 } from 'react-native';
 import { CameraView, useCameraPermissions } from 'expo-camera';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { useIsFocused } from '@react-navigation/native';
 import { theme } from '../theme';
 import { analyzeWithPreferred, isAIConfigured, getConfiguredProviders } from '../services/aiService';
 import { ingredientDatabase } from '../data/ingredientDatabase';
 import { useSettings } from '../context/SettingsContext';
+import { buildScanProduct } from '../services/scanResult';
+import { reconcileWithDatabase } from '../services/ingredientParser';
+import {
+  BARCODE_TYPES,
+  normalizeBarcode,
+  lookupBarcode,
+  saveBarcodeProduct,
+  catalogEntryToAnalysis,
+} from '../services/productCatalog';
+import { pickLabelImages, prepareSharedImages } from '../services/imageImport';
+import { saveScanImages } from '../services/scanImageStore';
+import config from '../../config';
 
 const { width } = Dimensions.get('window');
 const SCAN_FRAME_WIDTH = width * 0.85;
 const SCAN_FRAME_HEIGHT = 200;
 
-// Scan modes
+// Capture methods (barcode is behind a feature flag)
+const CAPTURE_MODES = [
+  { id: 'label', label: 'Label', icon: '📷' },
+  { id: 'multi', label: 'Multi-photo', icon: '🗂️' },
+  { id: 'barcode', label: 'Barcode', icon: '▥', enabled: config.features.barcodeScanning },
+].filter((mode) => mode.enabled !== false);
+
+// Panels per multi-photo session (ingredients, supplement facts, allergens...)
+const MAX_SESSION_PHOTOS = 5;
+
+// Scan modes (each picks its own prompt, categories and ingredient database)
 const SCAN_MODES = [
   { id: 'food', label: 'Food', icon: '🍎' },
-  { id: 'beauty', label: 'Beauty', icon: '💄' },
-  { id: 'home', label: 'Home', icon: '🏠' },
-];
+  { id: 'beauty', label: 'Beauty', icon: '💄', enabled: config.features.beautyMode },
+  { id: 'home', label: 'Home', icon: '🏠', enabled: config.features.homeMode },
+].filter((mode) => mode.enabled !== false);
 
 // Helper to get ingredient from database (for demo)
 const getIngredientData = (id) => {
@@ -52,7 +79,7 @@ const demoScanResult = {
   id: 'demo-product',
   name: 'Classic Hot Dogs',
   brand: 'Oscar Mayer',
-  category: 'Processed Meat',
+  category: 'Meat',
   overallScore: 28,
   rawText: `MECHANICALLY SEPARATED CHICKEN, WATER, CORN SYRUP, SALT, POTASSIUM LACTATE, SODIUM PHOSPHATE, SODIUM DIACETATE, SODIUM ASCORBATE, SODIUM NITRITE, FLAVORING.`,
   ingredients: [
@@ -101,13 +128,22 @@ const CornerMarker = ({ position }) => {
   return <View style={getCornerStyle()} />;
 };
 
-export default function ScanScreen({ navigation }) {
-  const { settings, addScan } = useSettings();
+export default function ScanScreen({ navigation, route }) {
+  const { settings, addScan, profiles, user } = useSettings();
   const [scanMode, setScanMode] = useState('food');
   const [isScanning, setIsScanning] = useState(false);
   const [scanStatus, setScanStatus] = useState('');
+  const [captureMode, setCaptureMode] = useState('label');
+  const [pendingBarcode, setPendingBarcode] = useState(null);
+  const [sessionPhotos, setSessionPhotos] = useState([]); // [{ uri, base64, width }]
   const [permission, requestPermission] = useCameraPermissions();
   const cameraRef = useRef(null);
+  const barcodeLockRef = useRef(false);
+  const isFocused = useIsFocused();
+
+  const isBarcodeMode = config.features.barcodeScanning && captureMode === 'barcode';
+  const isMultiMode = captureMode === 'multi';
+  const isSessionFull = isMultiMode && sessionPhotos.length >= MAX_SESSION_PHOTOS;
 
   // Handle back navigation
   const handleBack = () => {
@@ -129,89 +165,240 @@ export default function ScanScreen({ navigation }) {
     }
   };
 
-  // Real scan with AI
-  const handleScan = useCallback(async () => {
-    if (isScanning || !cameraRef.current) return;
+  // Build the product object, save it to history and open the review screen.
+  // Photos are stored with the scan for later re-analysis, and their base64
+  // rides along so ReviewScan can re-analyze them right away.
+  const finishScan = useCallback(async (aiResult, extras = {}, photos = []) => {
+    // Check ingredients against the current user's household profiles
+    const userProfiles = profiles.filter((p) => !p.userId || p.userId === user?.id);
+    const product = buildScanProduct(aiResult, userProfiles, extras);
+    const images = photos.length > 0 ? photos.map((photo) => photo.base64) : null;
 
-    // Check if AI is configured
-    if (!isAIConfigured()) {
-      Alert.alert(
-        '🔑 API Keys Required',
-        'To enable real scanning, add your API key to:\n\nsrc/config/apiKeys.js\n\nSupported: OpenAI, Gemini, or Claude',
-        [
-          { text: 'Cancel', style: 'cancel' },
-          { 
-            text: 'View Demo Instead', 
-            onPress: () => navigation.navigate('Results', { product: demoScanResult })
-          },
-        ]
-      );
-      return;
+    if (photos.length > 0) {
+      setScanStatus('Saving photos...');
+      product.imageFiles = await saveScanImages(product.id, photos);
+    }
+
+    // Save to history and navigate to review screen
+    addScan(product);
+    setIsScanning(false);
+    setScanStatus('');
+    navigation.navigate('ReviewScan', { product, images });
+  }, [addScan, navigation, profiles, user]);
+
+  // Explain how to enable AI scanning; returns false when it can't run
+  const ensureAIConfigured = useCallback(() => {
+    if (isAIConfigured(settings.aiProvider)) return true;
+
+    Alert.alert(
+      '🔑 API Keys Required',
+      'To enable real scanning, add your API key to:\n\nsrc/config/apiKeys.js\n\nSupported: OpenAI, Gemini, or Claude',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        ...(config.features.offlineMode
+          ? [{ text: 'Type Ingredients', onPress: () => navigation.navigate('ManualEntry', { scanMode }) }]
+          : []),
+        { 
+          text: 'View Demo Instead', 
+          onPress: () => navigation.navigate('Results', { product: demoScanResult })
+        },
+      ]
+    );
+    return false;
+  }, [navigation, scanMode, settings.aiProvider]);
+
+  const capturePhoto = async () => {
+    const photo = await cameraRef.current.takePictureAsync({
+      base64: true,
+      quality: 0.8,
+      skipProcessing: false,
+    });
+
+    if (!photo.base64) {
+      throw new Error('Failed to capture image');
+    }
+    return photo;
+  };
+
+  const handleScanError = useCallback((error) => {
+    console.error('Scan error:', error);
+    setIsScanning(false);
+    setScanStatus('');
+    
+    Alert.alert(
+      'Scan Failed',
+      error.message || 'Unable to analyze the image. Please try again.',
+      [
+        { text: 'Try Again', style: 'cancel' },
+        { 
+          text: 'View Demo', 
+          onPress: () => navigation.navigate('Results', { product: demoScanResult })
+        },
+      ]
+    );
+  }, [navigation]);
+
+  // Analyze one or more photos ({ uri, base64, width }) of the same product
+  // with AI. imageSource ('camera' | 'gallery' | 'share') is recorded on the scan.
+  const analyzeImages = useCallback(async (photos, imageSource = 'camera') => {
+    const images = photos.map((photo) => photo.base64);
+
+    // Get user's preferred AI provider from context
+    const preferredProvider = settings.aiProvider || 'auto';
+    
+    // Analyze with AI (uses preferred provider if configured)
+    setScanStatus(images.length > 1 ? `Analyzing ${images.length} photos...` : 'Analyzing ingredients...');
+    
+    const rawResult = await analyzeWithPreferred(images, preferredProvider, scanMode);
+
+    // Remember the analysis under the barcode that missed the catalog; only
+    // a label photographed after the miss is that product
+    const barcode = imageSource === 'camera' ? pendingBarcode : null;
+    if (barcode) {
+      await saveBarcodeProduct(barcode, rawResult);
+      setPendingBarcode(null);
     }
 
+    // Curated database overrides model scores; overall score is recomputed
+    await finishScan(
+      reconcileWithDatabase(rawResult),
+      { ...(barcode ? { barcode } : {}), imageSource },
+      photos,
+    );
+  }, [settings, scanMode, pendingBarcode, finishScan]);
+
+  // Real scan with AI (in multi-photo mode the shutter adds to the session)
+  const handleScan = useCallback(async () => {
+    if (isScanning || !cameraRef.current) return;
+    if (!ensureAIConfigured()) return;
+    if (isMultiMode && sessionPhotos.length >= MAX_SESSION_PHOTOS) return;
+
     setIsScanning(true);
     setScanStatus('Capturing image...');
 
     try {
       // Take photo
-      const photo = await cameraRef.current.takePictureAsync({
-        base64: true,
-        quality: 0.8,
-        skipProcessing: false,
-      });
-
-      if (!photo.base64) {
-        throw new Error('Failed to capture image');
+      const photo = await capturePhoto();
+
+      if (isMultiMode) {
+        setSessionPhotos((prev) => [...prev, { uri: photo.uri, base64: photo.base64, width: photo.width }].slice(0, MAX_SESSION_PHOTOS));
+        setIsScanning(false);
+        setScanStatus('');
+        return;
       }
 
-      // Get user's preferred AI provider from context
-      const preferredProvider = settings.aiProvider || 'auto';
-      
-      // Analyze with AI (uses preferred provider if configured)
-      setScanStatus('Analyzing ingredients...');
-      
-      const aiResult = await analyzeWithPreferred(photo.base64, preferredProvider);
-      
-      // Format result for Results screen
-      const product = {
-        id: `scan-${Date.now()}`,
-        name: aiResult.productName || 'Scanned Product',
-        brand: aiResult.brand || 'Unknown Brand',
-        category: aiResult.productCategory || 'Other',
-        overallScore: aiResult.overallScore || 50,
-        rawText: aiResult.rawText || '',
-        ingredients: aiResult.ingredients || [],
-        concerns: aiResult.concerns || { sugar: { count: 0, names: [] }, preservatives: { count: 0, names: [] }, artificial: { count: 0, names: [] }},
-        profileAlerts: [],
-        supplementInfo: aiResult.supplementInfo || null,
-        scannedAt: new Date().toISOString(),
-        aiProvider: aiResult.provider,
-      };
-      
-      // Save to history and navigate to review screen
-      addScan(product);
-      setIsScanning(false);
-      setScanStatus('');
-      navigation.navigate('ReviewScan', { product });
+      await analyzeImages([photo]);
+    } catch (error) {
+      handleScanError(error);
+    }
+  }, [isScanning, isMultiMode, sessionPhotos, ensureAIConfigured, analyzeImages, handleScanError]);
 
+  // Send every photo in the session in one request
+  const handleAnalyzeSession = useCallback(async () => {
+    if (isScanning || sessionPhotos.length === 0) return;
+    if (!ensureAIConfigured()) return;
+
+    setIsScanning(true);
+    try {
+      await analyzeImages(sessionPhotos);
+      setSessionPhotos([]);
+    } catch (error) {
+      handleScanError(error);
+    }
+  }, [isScanning, sessionPhotos, ensureAIConfigured, analyzeImages, handleScanError]);
+
+  const handleRemoveSessionPhoto = (index) => {
+    setSessionPhotos((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  // Import label photos from the library; several photos are one product
+  const handleImport = useCallback(async () => {
+    if (isScanning) return;
+    if (!ensureAIConfigured()) return;
+    setPendingBarcode(null);
+
+    try {
+      const picked = await pickLabelImages();
+      if (picked.length === 0) return;
+
+      setIsScanning(true);
+      await analyzeImages(picked, 'gallery');
     } catch (error) {
-      console.error('Scan error:', error);
+      handleScanError(error);
+    }
+  }, [isScanning, ensureAIConfigured, analyzeImages, handleScanError]);
+
+  // Images shared from another app arrive as route params (see App.js)
+  const sharedFiles = route?.params?.sharedFiles;
+  useEffect(() => {
+    if (!sharedFiles?.length || isScanning) return;
+    navigation.setParams({ sharedFiles: undefined });
+    setPendingBarcode(null);
+    if (!ensureAIConfigured()) return;
+
+    (async () => {
+      setIsScanning(true);
+      setScanStatus('Preparing shared images...');
+      try {
+        const images = await prepareSharedImages(sharedFiles);
+        if (images.length === 0) {
+          throw new Error('No images were shared. Share a photo of the ingredient label.');
+        }
+        await analyzeImages(images, 'share');
+      } catch (error) {
+        handleScanError(error);
+      }
+    })();
+  }, [sharedFiles]);
+
+  // Barcode scan: catalog hits skip the vision API entirely
+  const handleBarcodeScanned = useCallback(async ({ data }) => {
+    const barcode = normalizeBarcode(data);
+    if (!barcode || barcodeLockRef.current) return;
+    barcodeLockRef.current = true;
+
+    setIsScanning(true);
+    setScanStatus('Looking up barcode...');
+
+    try {
+      const entry = await lookupBarcode(barcode);
+
+      if (entry) {
+        // The camera stays mounted under ReviewScan: leave barcode mode and
+        // keep the lock until this screen is focused again
+        setCaptureMode('label');
+        setScanStatus('Analyzing ingredients...');
+        await finishScan(reconcileWithDatabase(catalogEntryToAnalysis(entry)), { barcode });
+        return;
+      }
+
+      // Miss: fall back to the photo flow and save the result under this barcode
+      barcodeLockRef.current = false;
       setIsScanning(false);
       setScanStatus('');
-      
+      setPendingBarcode(barcode);
+      setCaptureMode('label');
       Alert.alert(
-        'Scan Failed',
-        error.message || 'Unable to analyze the image. Please try again.',
-        [
-          { text: 'Try Again', style: 'cancel' },
-          { 
-            text: 'View Demo', 
-            onPress: () => navigation.navigate('Results', { product: demoScanResult })
-          },
-        ]
+        'Product Not Found',
+        `Barcode ${barcode} isn't in your catalog yet. Take a photo of the ingredient label — the result will be saved so this product never needs another AI scan.`
       );
+    } catch (error) {
+      console.error('Barcode lookup error:', error);
+      barcodeLockRef.current = false;
+      setIsScanning(false);
+      setScanStatus('');
     }
-  }, [isScanning, navigation]);
+  }, [finishScan]);
+
+  // A barcode that missed in one scan mode isn't waiting in another
+  useEffect(() => {
+    setPendingBarcode(null);
+  }, [scanMode]);
+
+  // Release the barcode lock once the user is back from the review screen
+  useEffect(() => {
+    if (isFocused) barcodeLockRef.current = false;
+  }, [isFocused]);
 
   // Render camera permission request
   const renderPermissionRequest = () => (
@@ -236,6 +423,8 @@ export default function ScanScreen({ navigation }) {
       ref={cameraRef}
       style={StyleSheet.absoluteFill}
       facing="back"
+      barcodeScannerSettings={{ barcodeTypes: BARCODE_TYPES }}
+      onBarcodeScanned={isFocused && isBarcodeMode && !isScanning ? handleBarcodeScanned : undefined}
     />
   );
 
@@ -247,8 +436,19 @@ export default function ScanScreen({ navigation }) {
     if (isScanning) {
       return scanStatus || 'Analyzing...';
     }
-    if (isAIConfigured()) {
-      const providers = getConfiguredProviders();
+    if (isBarcodeMode) {
+      return 'Point at the product barcode';
+    }
+    if (pendingBarcode) {
+      return 'Photograph the ingredient label';
+    }
+    if (isMultiMode) {
+      return isSessionFull
+        ? `${MAX_SESSION_PHOTOS} photos captured • Tap Analyze`
+        : 'Photograph each panel of the label';
+    }
+    if (isAIConfigured(settings.aiProvider)) {
+      const providers = getConfiguredProviders(settings.aiProvider);
       return `Ready • Using ${providers[0].charAt(0).toUpperCase() + providers[0].slice(1)}`;
     }
     return 'Position ingredient list in frame';
@@ -263,10 +463,30 @@ export default function ScanScreen({ navigation }) {
         {/* Overlay */}
         <View style={styles.overlay}>
           {/* Back Button */}
-          <SafeAreaView edges={['top']}>
+          <SafeAreaView edges={['top']} style={styles.topBar}>
             <TouchableOpacity style={styles.backButton} onPress={handleBack}>
               <Text style={styles.backButtonText}>← Back</Text>
             </TouchableOpacity>
+            <View style={styles.topBarActions}>
+              {config.features.imageImport && (
+                <TouchableOpacity
+                  style={styles.backButton}
+                  onPress={handleImport}
+                  disabled={isScanning}
+                >
+                  <Text style={styles.backButtonText}>🖼️ Import</Text>
+                </TouchableOpacity>
+              )}
+              {config.features.offlineMode && (
+                <TouchableOpacity
+                  style={styles.backButton}
+                  onPress={() => navigation.navigate('ManualEntry', { scanMode })}
+                  disabled={isScanning}
+                >
+                  <Text style={styles.backButtonText}>⌨️ Type</Text>
+                </TouchableOpacity>
+              )}
+            </View>
           </SafeAreaView>
 
           {/* Mode Toggle */}
@@ -291,15 +511,51 @@ export default function ScanScreen({ navigation }) {
             ))}
           </View>
 
+          {/* Capture Method Toggle */}
+          {CAPTURE_MODES.length > 1 && (
+            <View style={styles.captureToggle}>
+              {CAPTURE_MODES.map((mode) => (
+                <TouchableOpacity
+                  key={mode.id}
+                  style={[
+                    styles.captureButton,
+                    captureMode === mode.id && styles.captureButtonActive,
+                  ]}
+                  onPress={() => setCaptureMode(mode.id)}
+                  disabled={isScanning}
+                >
+                  <Text style={[
+                    styles.captureLabel,
+                    captureMode === mode.id && styles.captureLabelActive,
+                  ]}>
+                    {mode.icon} {mode.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          {/* Pending barcode from a catalog miss */}
+          {pendingBarcode && !isBarcodeMode && (
+            <View style={styles.aiStatusContainer}>
+              <TouchableOpacity
+                style={[styles.aiStatusBadge, styles.pendingBarcodeBadge]}
+                onPress={() => setPendingBarcode(null)}
+              >
+                <Text style={styles.aiStatusText}>▥ Saving to {pendingBarcode}  ✕</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
           {/* AI Status Badge */}
-          {permission?.granted && (
+          {permission?.granted && !isBarcodeMode && (
             <View style={styles.aiStatusContainer}>
               <View style={[
                 styles.aiStatusBadge,
-                isAIConfigured() ? styles.aiStatusActive : styles.aiStatusInactive
+                isAIConfigured(settings.aiProvider) ? styles.aiStatusActive : styles.aiStatusInactive
               ]}>
                 <Text style={styles.aiStatusText}>
-                  {isAIConfigured() ? `🤖 AI: ${getConfiguredProviders().join(', ')}` : '⚠️ No API Key'}
+                  {isAIConfigured(settings.aiProvider) ? `🤖 AI: ${getConfiguredProviders(settings.aiProvider).join(', ')}` : '⚠️ No API Key'}
                 </Text>
               </View>
             </View>
@@ -310,7 +566,11 @@ export default function ScanScreen({ navigation }) {
             {!permission?.granted ? (
               renderPermissionRequest()
             ) : (
-              <View style={[styles.scanFrame, isScanning && styles.scanFrameActive]}>
+              <View style={[
+                styles.scanFrame,
+                isBarcodeMode && styles.scanFrameBarcode,
+                isScanning && styles.scanFrameActive,
+              ]}>
                 <CornerMarker position="top-left" />
                 <CornerMarker position="top-right" />
                 <CornerMarker position="bottom-left" />
@@ -332,27 +592,57 @@ export default function ScanScreen({ navigation }) {
 
           {/* Scan Button */}
           <SafeAreaView edges={['bottom']} style={styles.buttonContainer}>
+            {/* Multi-photo session thumbnails */}
+            {isMultiMode && sessionPhotos.length > 0 && (
+              <View style={styles.sessionStrip}>
+                {sessionPhotos.map((photo, index) => (
+                  <View key={photo.uri || index} style={styles.sessionThumb}>
+                    <Image source={{ uri: photo.uri }} style={styles.sessionThumbImage} />
+                    <Text style={styles.sessionThumbIndex}>{index + 1}</Text>
+                    <TouchableOpacity
+                      style={styles.sessionThumbRemove}
+                      onPress={() => handleRemoveSessionPhoto(index)}
+                      disabled={isScanning}
+                    >
+                      <Text style={styles.sessionThumbRemoveText}>✕</Text>
+                    </TouchableOpacity>
+                  </View>
+                ))}
+                <TouchableOpacity
+                  style={styles.sessionAnalyzeButton}
+                  onPress={handleAnalyzeSession}
+                  disabled={isScanning}
+                >
+                  <Text style={styles.sessionAnalyzeText}>Analyze {sessionPhotos.length}</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
             <TouchableOpacity
               style={[
                 styles.scanButton,
                 isScanning && styles.scanButtonScanning,
-                !permission?.granted && styles.scanButtonDisabled,
+                (!permission?.granted || isBarcodeMode || isSessionFull) && styles.scanButtonDisabled,
               ]}
               onPress={handleScan}
-              disabled={isScanning || !permission?.granted}
+              disabled={isScanning || !permission?.granted || isBarcodeMode || isSessionFull}
               activeOpacity={0.8}
             >
               {isScanning ? (
                 <ActivityIndicator color="#FFFFFF" size="small" />
               ) : (
-                <Text style={styles.scanButtonIcon}>📷</Text>
+                <Text style={styles.scanButtonIcon}>{isBarcodeMode ? '▥' : '📷'}</Text>
               )}
             </TouchableOpacity>
             
             {/* Hint */}
             {permission?.granted && !isScanning && (
               <Text style={styles.demoHint}>
-                {isAIConfigured() ? 'Tap to scan' : 'Tap for demo'}
+                {isBarcodeMode
+                  ? 'Scans automatically'
+                  : isMultiMode && isAIConfigured(settings.aiProvider)
+                    ? `Photo ${Math.min(sessionPhotos.length + 1, MAX_SESSION_PHOTOS)} of up to ${MAX_SESSION_PHOTOS}`
+                    : isAIConfigured(settings.aiProvider) ? 'Tap to scan' : 'Tap for demo'}
               </Text>
             )}
           </SafeAreaView>
@@ -377,6 +667,13 @@ const styles = StyleSheet.create({
   overlay: {
     ...StyleSheet.absoluteFillObject,
   },
+  topBar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  topBarActions: {
+    flexDirection: 'row',
+  },
   backButton: {
     paddingHorizontal: theme.spacing.lg,
     paddingVertical: theme.spacing.md,
@@ -415,6 +712,36 @@ const styles = StyleSheet.create({
     color: '#FFFFFF',
     fontWeight: '600',
   },
+
+
+  // Capture Method
+  captureToggle: {
+    flexDirection: 'row',
+    alignSelf: 'center',
+    backgroundColor: 'rgba(0,0,0,0.4)',
+    borderRadius: theme.borderRadius.full,
+    padding: 3,
+    marginBottom: theme.spacing.sm,
+  },
+  captureButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: theme.borderRadius.full,
+  },
+  captureButtonActive: {
+    backgroundColor: 'rgba(255,255,255,0.25)',
+  },
+  captureLabel: {
+    color: 'rgba(255,255,255,0.7)',
+    fontSize: 13,
+  },
+  captureLabelActive: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  pendingBarcodeBadge: {
+    backgroundColor: 'rgba(59, 130, 246, 0.35)',
+  },
   
   // AI Status
   aiStatusContainer: {
@@ -451,6 +778,9 @@ const styles = StyleSheet.create({
     borderRadius: theme.borderRadius.lg,
     backgroundColor: 'transparent',
   },
+  scanFrameBarcode: {
+    height: SCAN_FRAME_HEIGHT * 0.6,
+  },
   scanFrameActive: {
     borderColor: theme.colors.highlight,
   },
@@ -543,4 +873,54 @@ const styles = StyleSheet.create({
     fontSize: 12,
     marginTop: theme.spacing.sm,
   },
+  sessionStrip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+    gap: 8,
+  },
+  sessionThumb: {
+    width: 48,
+    height: 64,
+    borderRadius: 6,
+    overflow: 'hidden',
+    borderWidth: 2,
+    borderColor: theme.colors.highlight,
+  },
+  sessionThumbImage: {
+    width: '100%',
+    height: '100%',
+  },
+  sessionThumbIndex: {
+    position: 'absolute',
+    bottom: 2,
+    left: 4,
+    color: '#FFFFFF',
+    fontSize: 11,
+    fontWeight: '700',
+  },
+  sessionThumbRemove: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    paddingHorizontal: 4,
+    borderBottomLeftRadius: 6,
+  },
+  sessionThumbRemoveText: {
+    color: '#FFFFFF',
+    fontSize: 11,
+  },
+  sessionAnalyzeButton: {
+    backgroundColor: theme.colors.highlight,
+    borderRadius: theme.borderRadius.full,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    marginLeft: 4,
+  },
+  sessionAnalyzeText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
 });
\ No newline at end of file
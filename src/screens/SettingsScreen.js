@@ -13,13 +13,18 @@ import {
   Switch,
   Alert,
   Linking,
+  ActivityIndicator,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { theme } from '../theme';
 import { getConfiguredProviders, isAIConfigured, isBraveConfigured } from '../services/aiService';
+import { isProviderReady, listProviders } from '../services/aiProviders';
+import { isBiometricAvailable } from '../services/appLock';
+import { exportBackup, pickBackupFile } from '../services/backupService';
 import { useSettings } from '../context/SettingsContext';
+import config from '../../config';
 
-// AI Provider options
+// AI Provider options: "auto" plus everything in the provider registry
 const AI_PROVIDERS = [
   {
     id: 'auto',
@@ -27,27 +32,17 @@ const AI_PROVIDERS = [
     icon: '🤖',
     description: 'Automatically picks the best configured AI',
   },
-  {
-    id: 'anthropic',
-    name: 'Claude (Anthropic)',
-    icon: '🟣',
-    description: 'Best accuracy, excellent at reading complex labels',
-    link: 'https://console.anthropic.com',
-  },
-  {
-    id: 'gemini',
-    name: 'Gemini (Google)',
-    icon: '🔵',
-    description: 'Fast & free tier available',
-    link: 'https://aistudio.google.com/apikey',
-  },
-  {
-    id: 'openai',
-    name: 'GPT-4 Vision (OpenAI)',
-    icon: '🟢',
-    description: 'Reliable, widely used',
-    link: 'https://platform.openai.com/api-keys',
-  },
+  ...listProviders().map(({ id, name, icon, description, link }) => ({
+    id, name, icon, description, link,
+  })),
+];
+
+// How long the app may sit in the background before it locks again
+const LOCK_TIMEOUTS = [
+  { value: 0, label: 'Immediately' },
+  { value: 60 * 1000, label: '1 min' },
+  { value: 5 * 60 * 1000, label: '5 min' },
+  { value: config.analytics.sessionTimeout, label: `${config.analytics.sessionTimeout / 60000} min` },
 ];
 
 // Setting Item Component
@@ -79,7 +74,9 @@ const AIProviderOption = ({ provider, isSelected, isConfigured, onSelect }) => (
           `Add your API key to src/config/apiKeys.js to use ${provider.name}`,
           [
             { text: 'Cancel', style: 'cancel' },
-            { text: 'Get API Key', onPress: () => Linking.openURL(provider.link) },
+            ...(provider.link
+              ? [{ text: 'Get API Key', onPress: () => Linking.openURL(provider.link) }]
+              : []),
           ]
         );
       }
@@ -118,13 +115,32 @@ const AIProviderOption = ({ provider, isSelected, isConfigured, onSelect }) => (
 );
 
 export default function SettingsScreen({ navigation }) {
-  const { settings, updateSettings, user, logout } = useSettings();
+  const {
+    settings,
+    updateSettings,
+    user,
+    logout,
+    appLockEnabled,
+    disableAppLock,
+    importBackup,
+    datasetInfo,
+    importIngredientDataset,
+    resetIngredientDataset,
+  } = useSettings();
   const [configuredProviders, setConfiguredProviders] = useState([]);
+  const [biometricsAvailable, setBiometricsAvailable] = useState(false);
+  const [includeBackupPhotos, setIncludeBackupPhotos] = useState(false);
+  const [isBackupBusy, setIsBackupBusy] = useState(false);
+  const [isDatasetBusy, setIsDatasetBusy] = useState(false);
 
   useEffect(() => {
-    setConfiguredProviders(getConfiguredProviders());
+    isBiometricAvailable().then(setBiometricsAvailable);
   }, []);
 
+  useEffect(() => {
+    setConfiguredProviders(getConfiguredProviders(settings.aiProvider));
+  }, [settings.aiProvider]);
+
   const handleProviderSelect = (providerId) => {
     updateSettings({ aiProvider: providerId });
   };
@@ -137,15 +153,102 @@ export default function SettingsScreen({ navigation }) {
     updateSettings({ showScores: value });
   };
 
+  // Turning the lock on goes through PIN setup; turning it off asks first
+  const handleAppLockToggle = (value) => {
+    if (value) {
+      navigation.navigate('AppLockSetup');
+      return;
+    }
+    Alert.alert('Turn Off App Lock', 'Anyone with your unlocked phone will be able to open Purelytics.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Turn Off', style: 'destructive', onPress: disableAppLock },
+    ]);
+  };
+
+  const handleExportBackup = async () => {
+    setIsBackupBusy(true);
+    try {
+      await exportBackup({ includeImages: includeBackupPhotos });
+    } catch (e) {
+      console.error('Backup export error:', e);
+      Alert.alert('Export Failed', e.message || 'Unable to create a backup.');
+    } finally {
+      setIsBackupBusy(false);
+    }
+  };
+
+  const runImport = async (backup, replace) => {
+    setIsBackupBusy(true);
+    try {
+      const { scansAdded, scansSkipped, profilesAdded } = await importBackup(backup, { replace });
+      const skipped = scansSkipped > 0
+        ? ` ${scansSkipped} scan${scansSkipped === 1 ? ' was' : 's were'} already on this device.`
+        : '';
+      Alert.alert(
+        'Import Complete',
+        `Added ${scansAdded} scan${scansAdded === 1 ? '' : 's'} and ${profilesAdded} profile${profilesAdded === 1 ? '' : 's'}.${skipped}`
+      );
+    } catch (e) {
+      console.error('Backup import error:', e);
+      Alert.alert('Import Failed', 'Unable to import this backup.');
+    } finally {
+      setIsBackupBusy(false);
+    }
+  };
+
+  // Pick and validate the file first, then ask how to combine it
+  const handleImportBackup = async () => {
+    let backup;
+    try {
+      backup = await pickBackupFile();
+    } catch (e) {
+      Alert.alert('Import Failed', e.message);
+      return;
+    }
+    if (!backup) return;
+
+    Alert.alert(
+      'Import Backup',
+      `This backup has ${backup.scans.length} scans and ${backup.profiles.length} profiles. Add them to the data on this device, or replace your profiles and history with them?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Merge', onPress: () => runImport(backup, false) },
+        { text: 'Replace', style: 'destructive', onPress: () => runImport(backup, true) },
+      ]
+    );
+  };
+
+  const handleImportDataset = async () => {
+    setIsDatasetBusy(true);
+    try {
+      const info = await importIngredientDataset();
+      if (info) {
+        Alert.alert('Database Updated', `Now using version ${info.version} with ${info.count} ingredients.`);
+      }
+    } catch (e) {
+      console.error('Dataset import error:', e);
+      Alert.alert('Import Failed', e.message || 'Unable to import this dataset.');
+    } finally {
+      setIsDatasetBusy(false);
+    }
+  };
+
+  const handleResetDataset = () => {
+    Alert.alert('Reset Ingredient Database', 'Go back to the ingredient database that came with the app?', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Reset', style: 'destructive', onPress: resetIngredientDataset },
+    ]);
+  };
+
   const handleGetAPIKey = () => {
     Alert.alert(
       'Get API Keys',
       'Which AI provider would you like to set up?',
       [
         { text: 'Cancel', style: 'cancel' },
-        { text: 'Gemini (Free)', onPress: () => Linking.openURL('https://aistudio.google.com/apikey') },
-        { text: 'OpenAI', onPress: () => Linking.openURL('https://platform.openai.com/api-keys') },
-        { text: 'Claude', onPress: () => Linking.openURL('https://console.anthropic.com') },
+        ...AI_PROVIDERS
+          .filter(provider => provider.link)
+          .map(provider => ({ text: provider.name, onPress: () => Linking.openURL(provider.link) })),
       ]
     );
   };
@@ -175,7 +278,7 @@ export default function SettingsScreen({ navigation }) {
                 key={provider.id}
                 provider={provider}
                 isSelected={settings.aiProvider === provider.id}
-                isConfigured={configuredProviders.includes(provider.id)}
+                isConfigured={isProviderReady(provider.id)}
                 onSelect={handleProviderSelect}
               />
             ))}
@@ -229,6 +332,150 @@ export default function SettingsScreen({ navigation }) {
           />
         </View>
 
+        {/* Security */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>🔒 Security</Text>
+
+          <SettingItem
+            icon="🔢"
+            title="App Lock"
+            subtitle="Require a PIN to open Purelytics"
+            right={
+              <Switch
+                value={appLockEnabled}
+                onValueChange={handleAppLockToggle}
+                trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+                thumbColor="#FFFFFF"
+              />
+            }
+          />
+
+          {appLockEnabled && biometricsAvailable && (
+            <SettingItem
+              icon="👤"
+              title="Biometric Unlock"
+              subtitle="Use Face ID or fingerprint instead of the PIN"
+              right={
+                <Switch
+                  value={settings.appLockBiometrics}
+                  onValueChange={(value) => updateSettings({ appLockBiometrics: value })}
+                  trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+                  thumbColor="#FFFFFF"
+                />
+              }
+            />
+          )}
+
+          {appLockEnabled && (
+            <View style={styles.settingItem}>
+              <Text style={styles.settingIcon}>⏱️</Text>
+              <View style={styles.settingInfo}>
+                <Text style={styles.settingTitle}>Lock after</Text>
+                <Text style={styles.settingSubtitle}>Time in the background before the PIN is needed again</Text>
+                <View style={styles.timeoutOptions}>
+                  {LOCK_TIMEOUTS.map((option) => (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[
+                        styles.timeoutOption,
+                        settings.appLockTimeout === option.value && styles.timeoutOptionSelected,
+                      ]}
+                      onPress={() => updateSettings({ appLockTimeout: option.value })}
+                    >
+                      <Text
+                        style={[
+                          styles.timeoutOptionText,
+                          settings.appLockTimeout === option.value && styles.timeoutOptionTextSelected,
+                        ]}
+                      >
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            </View>
+          )}
+        </View>
+
+        {/* Backup */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>💾 Backup</Text>
+          <Text style={styles.sectionSubtitle}>
+            Move your settings, profiles and scan history to another device
+          </Text>
+
+          <SettingItem
+            icon="🖼️"
+            title="Include label photos"
+            subtitle="Larger file, but past scans can be re-analyzed"
+            right={
+              <Switch
+                value={includeBackupPhotos}
+                onValueChange={setIncludeBackupPhotos}
+                trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+                thumbColor="#FFFFFF"
+              />
+            }
+          />
+
+          <TouchableOpacity onPress={handleExportBackup} disabled={isBackupBusy}>
+            <SettingItem
+              icon="📤"
+              title="Export Backup"
+              subtitle="Save or send a backup file"
+              right={isBackupBusy
+                ? <ActivityIndicator color={theme.colors.primary} size="small" />
+                : <Text style={styles.linkArrow}>→</Text>}
+            />
+          </TouchableOpacity>
+
+          <TouchableOpacity onPress={handleImportBackup} disabled={isBackupBusy}>
+            <SettingItem
+              icon="📥"
+              title="Import Backup"
+              subtitle="Restore from a Purelytics backup file"
+              right={<Text style={styles.linkArrow}>→</Text>}
+            />
+          </TouchableOpacity>
+        </View>
+
+        {/* Ingredient Database */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>🧪 Ingredient Database</Text>
+          <Text style={styles.sectionSubtitle}>
+            Used for offline scoring and to check AI results
+          </Text>
+
+          <SettingItem
+            icon="📚"
+            title={`Version ${datasetInfo.version}${datasetInfo.source === 'imported' ? ' (imported)' : ''}`}
+            subtitle={`${datasetInfo.count} ingredients${datasetInfo.updatedAt ? ` · updated ${datasetInfo.updatedAt}` : ''}`}
+          />
+
+          <TouchableOpacity onPress={handleImportDataset} disabled={isDatasetBusy}>
+            <SettingItem
+              icon="📥"
+              title="Import Update"
+              subtitle="Load a newer ingredient dataset file"
+              right={isDatasetBusy
+                ? <ActivityIndicator color={theme.colors.primary} size="small" />
+                : <Text style={styles.linkArrow}>→</Text>}
+            />
+          </TouchableOpacity>
+
+          {datasetInfo.source === 'imported' && (
+            <TouchableOpacity onPress={handleResetDataset}>
+              <SettingItem
+                icon="↩️"
+                title="Reset to Bundled"
+                subtitle="Use the database that came with the app"
+                right={<Text style={styles.linkArrow}>→</Text>}
+              />
+            </TouchableOpacity>
+          )}
+        </View>
+
         {/* About Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>ℹ️ About</Text>
@@ -260,11 +507,14 @@ export default function SettingsScreen({ navigation }) {
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Account</Text>
           {user && (
-            <SettingItem
-              icon="👤"
-              title={user.email}
-              subtitle="Signed in"
-            />
+            <TouchableOpacity onPress={() => navigation.navigate('Account')}>
+              <SettingItem
+                icon="👤"
+                title={user.email}
+                subtitle="Signed in · Manage account"
+                right={<Text style={styles.linkArrow}>→</Text>}
+              />
+            </TouchableOpacity>
           )}
           <TouchableOpacity
             style={styles.logoutButton}
@@ -282,10 +532,10 @@ export default function SettingsScreen({ navigation }) {
         {/* Status */}
         <View style={styles.statusCard}>
           <Text style={styles.statusTitle}>
-            {isAIConfigured() ? 'AI Ready' : 'AI Not Configured'}
+            {isAIConfigured(settings.aiProvider) ? 'AI Ready' : 'AI Not Configured'}
           </Text>
           <Text style={styles.statusText}>
-            {isAIConfigured()
+            {isAIConfigured(settings.aiProvider)
               ? `Using: ${configuredProviders.map(p => p.charAt(0).toUpperCase() + p.slice(1)).join(', ')}`
               : 'Add an API key to enable real ingredient scanning'
             }
@@ -481,6 +731,31 @@ const styles = StyleSheet.create({
     fontSize: 18,
     color: theme.colors.textMuted,
   },
+  timeoutOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.xs,
+    marginTop: theme.spacing.sm,
+  },
+  timeoutOption: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: 4,
+    borderRadius: theme.borderRadius.full,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  timeoutOptionSelected: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  timeoutOptionText: {
+    fontSize: 12,
+    color: theme.colors.textSecondary,
+  },
+  timeoutOptionTextSelected: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
 
   // Status Card
   statusCard: {
@@ -0,0 +1,365 @@
+/**
+ * AI Providers - Registry of vision models used by aiService
+ * Each provider declares its id, display info, model, key check and a
+ * request/response adapter pair. aiService only talks to providers through
+ * this registry, and SettingsScreen builds its provider list from it.
+ *
+ * Provider shape:
+ * {
+ *   id, name, icon, description, link?, model,
+ *   priority,                  // lower is tried first in "auto" mode
+ *   isConfigured(),            // key check
+ *   manualOnly?,               // never used in "auto" mode or as a fallback,
+ *                              // only when picked in Settings
+ *   buildRequest(images, systemPrompt) → { url, options }
+ *   parseResponse(json) → text // throws on provider errors; error statuses
+ *                              // throw ProviderError before it is called
+ *   analyze?(images, systemPrompt, context) → text   // replaces fetch
+ * }
+ * `images` is always an array of base64 JPEGs (1 for a single shot,
+ * up to 5 for a multi-photo session), sent in one request.
+ */
+
+import { API_KEYS } from '../config/apiKeys';
+import localProvider from './localProvider';
+import config from '../../config';
+
+// Instruction sent alongside the label image
+export const USER_PROMPT = 'Analyze this product label image. First identify the category, then provide the full analysis.';
+
+/**
+ * User instruction for one or several photos of the same product
+ */
+export function getUserPrompt(imageCount = 1) {
+  if (imageCount <= 1) return USER_PROMPT;
+  return `Analyze these ${imageCount} photos of the same product's label. First identify the category, then provide one combined analysis.`;
+}
+
+// Label each photo so the model can cite "photos": [n]
+const photoLabel = (index) => `Photo ${index + 1}:`;
+
+const hasKey = (key) => Boolean(key && key.length > 10);
+
+// ──────────────────────────────────────────────────────────────────
+// BUILT-IN PROVIDERS
+// ──────────────────────────────────────────────────────────────────
+
+const anthropicProvider = {
+  id: 'anthropic',
+  name: 'Claude (Anthropic)',
+  shortName: 'Claude',
+  icon: '🟣',
+  description: 'Best accuracy, excellent at reading complex labels',
+  link: 'https://console.anthropic.com',
+  model: 'claude-sonnet-4-20250514',
+  priority: 10,
+  isConfigured: () => hasKey(API_KEYS.anthropic),
+
+  buildRequest(images, systemPrompt) {
+    const imageBlocks = images.flatMap((data, index) => [
+      ...(images.length > 1 ? [{ type: 'text', text: photoLabel(index) }] : []),
+      {
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: 'image/jpeg',
+          data,
+        },
+      },
+    ]);
+
+    return {
+      url: 'https://api.anthropic.com/v1/messages',
+      options: {
+        method: 'POST',
+        headers: {
+          'x-api-key': API_KEYS.anthropic,
+          'Content-Type': 'application/json',
+          'anthropic-version': '2023-06-01',
+        },
+        body: JSON.stringify({
+          model: this.model,
+          max_tokens: 4096,
+          system: systemPrompt,
+          messages: [
+            {
+              role: 'user',
+              content: [
+                ...imageBlocks,
+                {
+                  type: 'text',
+                  text: getUserPrompt(images.length),
+                },
+              ],
+            },
+          ],
+        }),
+      },
+    };
+  },
+
+  parseResponse(data) {
+    if (data.error) {
+      throw new Error(`Claude: ${data.error.message}`);
+    }
+    const text = data.content?.[0]?.text;
+    if (!text) {
+      throw new Error('Claude: No response received');
+    }
+    return text;
+  },
+};
+
+const geminiProvider = {
+  id: 'gemini',
+  name: 'Gemini (Google)',
+  shortName: 'Gemini',
+  icon: '🔵',
+  description: 'Fast & free tier available',
+  link: 'https://aistudio.google.com/apikey',
+  model: 'gemini-2.0-flash',
+  priority: 20,
+  isConfigured: () => hasKey(API_KEYS.gemini),
+
+  buildRequest(images, systemPrompt) {
+    const imageParts = images.flatMap((data, index) => [
+      ...(images.length > 1 ? [{ text: photoLabel(index) }] : []),
+      {
+        inline_data: {
+          mime_type: 'image/jpeg',
+          data,
+        },
+      },
+    ]);
+
+    return {
+      url: `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${API_KEYS.gemini}`,
+      options: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          contents: [
+            {
+              parts: [
+                ...imageParts,
+                {
+                  text: systemPrompt + '\n\n' + getUserPrompt(images.length),
+                },
+              ],
+            },
+          ],
+          generationConfig: {
+            temperature: 0.1,
+            maxOutputTokens: 4096,
+          },
+        }),
+      },
+    };
+  },
+
+  parseResponse(data) {
+    if (data.error) {
+      throw new Error(`Gemini: ${data.error.message}`);
+    }
+    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+      throw new Error('Gemini: No response received');
+    }
+    return text;
+  },
+};
+
+const openaiProvider = {
+  id: 'openai',
+  name: 'GPT-4 Vision (OpenAI)',
+  shortName: 'OpenAI',
+  icon: '🟢',
+  description: 'Reliable, widely used',
+  link: 'https://platform.openai.com/api-keys',
+  model: 'gpt-4o',
+  priority: 30,
+  isConfigured: () => hasKey(API_KEYS.openai),
+
+  buildRequest(images, systemPrompt) {
+    const imageParts = images.flatMap((data, index) => [
+      ...(images.length > 1 ? [{ type: 'text', text: photoLabel(index) }] : []),
+      {
+        type: 'image_url',
+        image_url: {
+          url: `data:image/jpeg;base64,${data}`,
+          detail: 'high',
+        },
+      },
+    ]);
+
+    return {
+      url: 'https://api.openai.com/v1/chat/completions',
+      options: {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${API_KEYS.openai}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          model: this.model,
+          messages: [
+            {
+              role: 'system',
+              content: systemPrompt,
+            },
+            {
+              role: 'user',
+              content: [
+                ...imageParts,
+                {
+                  type: 'text',
+                  text: getUserPrompt(images.length),
+                },
+              ],
+            },
+          ],
+          max_tokens: 4096,
+        }),
+      },
+    };
+  },
+
+  parseResponse(data) {
+    if (data.error) {
+      throw new Error(`OpenAI: ${data.error.message}`);
+    }
+    const text = data.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new Error('OpenAI: No response received');
+    }
+    return text;
+  },
+};
+
+// ──────────────────────────────────────────────────────────────────
+// REGISTRY
+// ──────────────────────────────────────────────────────────────────
+
+const registry = new Map();
+
+/**
+ * Add (or replace) a provider in the registry
+ */
+export function registerProvider(provider) {
+  if (!provider?.id || typeof provider.isConfigured !== 'function') {
+    throw new Error('registerProvider: provider needs an id and isConfigured()');
+  }
+  if (!provider.analyze && (!provider.buildRequest || !provider.parseResponse)) {
+    throw new Error(`registerProvider: ${provider.id} needs buildRequest/parseResponse or analyze`);
+  }
+  registry.set(provider.id, provider);
+}
+
+export function getProvider(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * All registered providers, in auto-mode priority order
+ */
+export function listProviders() {
+  return [...registry.values()].sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Ids of providers "auto" mode may use (keys present, not manualOnly),
+ * in priority order
+ */
+export function getAvailableProviders() {
+  return listProviders()
+    .filter(provider => !provider.manualOnly && provider.isConfigured())
+    .map(provider => provider.id);
+}
+
+/**
+ * Whether a provider is registered and configured, so it can be picked
+ * in Settings (manualOnly providers included)
+ */
+export function isProviderReady(id) {
+  return Boolean(getProvider(id)?.isConfigured());
+}
+
+/**
+ * A provider answered with an error status. `status` is the HTTP status;
+ * the message says what went wrong in words the scan screen can show.
+ */
+export class ProviderError extends Error {
+  constructor(provider, status, detail) {
+    super(`${provider.name}: ${describeStatus(status)} (${status})${detail ? ` - ${detail}` : ''}`);
+    this.name = 'ProviderError';
+    this.provider = provider.id;
+    this.status = status;
+  }
+}
+
+function describeStatus(status) {
+  if (status === 401 || status === 403) return 'API key rejected, check src/config/apiKeys.js';
+  if (status === 429) return 'too many requests or quota used up, try again later';
+  if (status >= 500) return 'service unavailable, try again later';
+  return 'request failed';
+}
+
+// All three APIs put a message in { error: { message } }; proxies may send HTML
+async function readErrorDetail(response) {
+  try {
+    const data = JSON.parse(await response.text());
+    return typeof data?.error?.message === 'string' ? data.error.message : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Run one request through a provider and return the model's raw text.
+ * `images` is one base64 image or an array of them. Throws a ProviderError
+ * when the provider answers with an error status.
+ */
+export async function requestAnalysis(providerId, images, systemPrompt, context = {}) {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    throw new Error(`Unknown provider: ${providerId}`);
+  }
+
+  const imageList = Array.isArray(images) ? images : [images];
+
+  if (provider.analyze) {
+    return provider.analyze(imageList, systemPrompt, context);
+  }
+
+  const { url, options } = provider.buildRequest(imageList, systemPrompt);
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    throw new ProviderError(provider, response.status, await readErrorDetail(response));
+  }
+  const data = await response.json();
+  return provider.parseResponse(data);
+}
+
+registerProvider(anthropicProvider);
+registerProvider(geminiProvider);
+registerProvider(openaiProvider);
+
+// Fixture-backed provider for running the scan pipeline without network;
+// opt-in only (config.features.localProvider), and only used when selected
+if (config.features.localProvider) {
+  registerProvider(localProvider);
+}
+
+export default {
+  registerProvider,
+  getProvider,
+  listProviders,
+  getAvailableProviders,
+  isProviderReady,
+  requestAnalysis,
+  ProviderError,
+  getUserPrompt,
+  USER_PROMPT,
+};
@@ -0,0 +1,51 @@
+import { requestAnalysis, ProviderError } from './aiProviders';
+
+// apiKeys.js is gitignored; the requests below never leave the test
+jest.mock('../config/apiKeys', () => ({ API_KEYS: {} }), { virtual: true });
+
+const respond = (status, body) => {
+  global.fetch = jest.fn(async () => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => JSON.parse(body),
+    text: async () => body,
+  }));
+};
+
+const request = () => requestAnalysis('anthropic', 'aW1hZ2U=', 'prompt');
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('requestAnalysis', () => {
+  test('returns the text of a successful response', async () => {
+    respond(200, JSON.stringify({ content: [{ text: '{"ingredients":[]}' }] }));
+
+    expect(await request()).toBe('{"ingredients":[]}');
+    expect(global.fetch).toHaveBeenCalledWith('https://api.anthropic.com/v1/messages', expect.any(Object));
+  });
+
+  test('a rejected key names the provider and the status', async () => {
+    respond(401, JSON.stringify({ error: { message: 'invalid x-api-key' } }));
+
+    const error = await request().catch(e => e);
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error).toMatchObject({ provider: 'anthropic', status: 401 });
+    expect(error.message).toBe('Claude (Anthropic): API key rejected, check src/config/apiKeys.js (401) - invalid x-api-key');
+  });
+
+  test('rate limits and outages say to try again later', async () => {
+    respond(429, JSON.stringify({ error: { message: 'rate_limit_error' } }));
+    await expect(request()).rejects.toThrow('too many requests or quota used up, try again later (429)');
+
+    respond(503, '<html>Service Unavailable</html>');
+    await expect(request()).rejects.toThrow(/^Claude \(Anthropic\): service unavailable, try again later \(503\)$/);
+  });
+
+  test('other error statuses still throw', async () => {
+    respond(400, '');
+
+    await expect(request()).rejects.toThrow('Claude (Anthropic): request failed (400)');
+  });
+});
@@ -1,6 +1,6 @@
 /**
  * AI Service - Multi-provider ingredient analysis with web search verification
- * Supports OpenAI GPT-4 Vision, Google Gemini, and Anthropic Claude
+ * Providers (Claude, Gemini, OpenAI, local fixtures) come from aiProviders
  * Integrates Brave Search for product verification before AI analysis
  *
  * Architecture: "Strict Category Anchor" + Web Search Verification
@@ -11,37 +11,21 @@
  */
 
 import { API_KEYS } from '../config/apiKeys';
-
-// Check which APIs are configured
-const getAvailableProviders = () => {
-  const available = [];
-  if (API_KEYS.openai && API_KEYS.openai.length > 10) available.push('openai');
-  if (API_KEYS.gemini && API_KEYS.gemini.length > 10) available.push('gemini');
-  if (API_KEYS.anthropic && API_KEYS.anthropic.length > 10) available.push('anthropic');
-  return available;
-};
+import { getAvailableProviders, getProvider, isProviderReady, requestAnalysis } from './aiProviders';
+import { validateAnalysis } from './analysisSchema';
+import {
+  PRODUCT_CATEGORIES,
+  BEAUTY_CATEGORIES,
+  HOME_CATEGORIES,
+  LEGACY_PRODUCT_TYPES,
+  getCategoriesForMode,
+} from '../data/productCategories';
 
 // Check if Brave Search is configured
 const isBraveConfigured = () => {
   return API_KEYS.brave && API_KEYS.brave.length > 10;
 };
 
-// Valid product categories for the Strict Category Anchor
-const PRODUCT_CATEGORIES = [
-  'Beverage',
-  'Dairy',
-  'Snack',
-  'Meat',
-  'Grain',
-  'Condiment',
-  'Supplement',
-  'Baby Food',
-  'Frozen',
-  'Bakery',
-  'Candy',
-  'Other',
-];
-
 // Category-aware alternative suggestions mapped by category
 const CATEGORY_ALTERNATIVES = {
   Beverage: [
@@ -101,6 +85,79 @@ const CATEGORY_ALTERNATIVES = {
   ],
 };
 
+// Beauty mode alternatives, keyed by BEAUTY_CATEGORIES
+const BEAUTY_ALTERNATIVES = {
+  Skincare: [
+    { name: 'Toleriane Double Repair Moisturizer', brand: 'La Roche-Posay', score: 85, price: '$21.99', stores: ['Target', 'CVS', 'Walgreens'], highlights: ['Fragrance-free', 'Paraben-free', 'Niacinamide'] },
+    { name: 'Hydrating Facial Cleanser', brand: 'CeraVe', score: 84, price: '$15.99', stores: ['Target', 'Walmart', 'CVS'], highlights: ['Fragrance-free', 'Non-foaming', 'Ceramides'] },
+    { name: 'Hyaluronic Acid 2% + B5', brand: 'The Ordinary', score: 88, price: '$8.90', stores: ['Ulta', 'Sephora', 'Target'], highlights: ['Fragrance-free', 'Short ingredient list', 'Paraben-free'] },
+  ],
+  Haircare: [
+    { name: 'Sulfate-Free Shampoo', brand: 'Acure', score: 80, price: '$9.99', stores: ['Target', 'Whole Foods', 'Ulta'], highlights: ['Sulfate-free', 'Paraben-free', 'Vegan'] },
+    { name: 'Free & Clear Shampoo', brand: 'Vanicream', score: 88, price: '$10.99', stores: ['Target', 'CVS', 'Walmart'], highlights: ['Fragrance-free', 'Dye-free', 'Formaldehyde-free'] },
+  ],
+  Makeup: [
+    { name: 'Tinted Moisturizer', brand: 'ILIA', score: 80, price: '$48.00', stores: ['Sephora', 'Credo'], highlights: ['Mineral SPF', 'Fragrance-free', 'Paraben-free'] },
+    { name: 'Clean Mascara', brand: 'Honest Beauty', score: 78, price: '$13.99', stores: ['Target', 'Ulta'], highlights: ['Paraben-free', 'Phthalate-free', 'Fragrance-free'] },
+  ],
+  'Body Care': [
+    { name: 'Moisturizing Cream', brand: 'Vanicream', score: 90, price: '$13.99', stores: ['Target', 'Walmart', 'CVS'], highlights: ['Fragrance-free', 'Paraben-free', 'Dermatologist tested'] },
+    { name: 'Unscented Castile Soap', brand: 'Dr. Bronner\'s', score: 85, price: '$9.99', stores: ['Target', 'Whole Foods', 'Walmart'], highlights: ['Organic oils', 'No synthetic preservatives', 'Biodegradable'] },
+  ],
+  'Sun Care': [
+    { name: 'Mineral Sunscreen SPF 30', brand: 'Badger', score: 88, price: '$15.99', stores: ['Whole Foods', 'Target', 'REI'], highlights: ['Zinc oxide only', 'Reef safe', 'Fragrance-free'] },
+    { name: 'Sheer Mineral Sunscreen SPF 50', brand: 'Blue Lizard', score: 82, price: '$14.99', stores: ['Target', 'Walmart', 'CVS'], highlights: ['Zinc + titanium', 'No oxybenzone', 'Water resistant'] },
+  ],
+  'Oral Care': [
+    { name: 'Fluoride Toothpaste (SLS-Free)', brand: 'Sensodyne', score: 78, price: '$6.49', stores: ['Target', 'Walmart', 'CVS'], highlights: ['SLS-free', 'No triclosan', 'ADA accepted'] },
+    { name: 'Natural Toothpaste', brand: 'Hello', score: 80, price: '$4.99', stores: ['Target', 'Walmart', 'CVS'], highlights: ['SLS-free', 'No artificial dyes', 'Vegan'] },
+  ],
+  Fragrance: [
+    { name: 'Essential Oil Roll-On', brand: 'Aura Cacia', score: 75, price: '$9.99', stores: ['Whole Foods', 'Sprouts'], highlights: ['Disclosed ingredients', 'Phthalate-free', 'No synthetic fragrance'] },
+  ],
+  'Baby Care': [
+    { name: 'Baby Shampoo & Body Wash', brand: 'Babyganics', score: 80, price: '$7.99', stores: ['Target', 'Walmart', 'Amazon'], highlights: ['Fragrance-free option', 'Paraben-free', 'Sulfate-free'] },
+    { name: 'Water Wipes', brand: 'WaterWipes', score: 92, price: '$3.99', stores: ['Target', 'Walmart', 'CVS'], highlights: ['Two ingredients', 'Fragrance-free', 'No MIT'] },
+  ],
+  Other: [
+    { name: 'Fragrance-Free Alternative', brand: 'Various', score: 75, price: 'Varies', stores: ['Target', 'Ulta', 'Whole Foods'], highlights: ['Fragrance-free', 'Paraben-free', 'Shorter ingredient list'] },
+  ],
+};
+
+// Home mode alternatives, keyed by HOME_CATEGORIES
+const HOME_ALTERNATIVES = {
+  Cleaning: [
+    { name: 'Multi-Surface Everyday Cleaner', brand: 'Seventh Generation', score: 82, price: '$4.99', stores: ['Target', 'Walmart', 'Whole Foods'], highlights: ['Safer Choice', 'No 2-butoxyethanol', 'Plant-based'] },
+    { name: 'All-Purpose Cleaner', brand: 'Branch Basics', score: 90, price: '$8.00', stores: ['BranchBasics.com', 'Amazon'], highlights: ['Fragrance-free', 'No quats', 'Refillable'] },
+  ],
+  Laundry: [
+    { name: 'Free & Clear Laundry Detergent', brand: 'Seventh Generation', score: 85, price: '$12.99', stores: ['Target', 'Walmart', 'Whole Foods'], highlights: ['Fragrance-free', 'No optical brighteners', 'Safer Choice'] },
+    { name: 'Laundry Detergent Sheets', brand: 'Earth Breeze', score: 78, price: '$14.99', stores: ['Amazon', 'Target'], highlights: ['Plastic-free', 'Phosphate-free', 'Fragrance-free option'] },
+  ],
+  Dish: [
+    { name: 'Free & Clear Dish Soap', brand: 'Seventh Generation', score: 82, price: '$3.99', stores: ['Target', 'Walmart', 'Kroger'], highlights: ['Fragrance-free', 'Dye-free', 'Safer Choice'] },
+    { name: 'Dishwasher Detergent Packs', brand: 'Dropps', score: 80, price: '$12.99', stores: ['Amazon', 'Target'], highlights: ['Phosphate-free', 'Chlorine-free', 'Fragrance-free option'] },
+  ],
+  Disinfectant: [
+    { name: 'Hydrogen Peroxide Cleaner', brand: 'Clorox Healthcare', score: 72, price: '$6.99', stores: ['Amazon', 'Staples'], highlights: ['No quats', 'No bleach', 'Breaks down to water'] },
+    { name: 'Thymol Disinfectant', brand: 'Seventh Generation', score: 80, price: '$5.49', stores: ['Target', 'Walmart', 'Whole Foods'], highlights: ['Botanical active', 'No quats', 'No bleach'] },
+  ],
+  'Air Care': [
+    { name: 'Unscented Odor Absorber', brand: 'Moso Natural', score: 92, price: '$12.99', stores: ['Target', 'Amazon', 'Walmart'], highlights: ['Bamboo charcoal', 'No fragrance', 'No propellants'] },
+    { name: 'Essential Oil Diffuser Blend', brand: 'Aura Cacia', score: 75, price: '$8.99', stores: ['Whole Foods', 'Sprouts'], highlights: ['Disclosed ingredients', 'Phthalate-free', 'No aerosol'] },
+  ],
+  Other: [
+    { name: 'Safer Choice Alternative', brand: 'Various', score: 75, price: 'Varies', stores: ['Target', 'Walmart', 'Whole Foods'], highlights: ['EPA Safer Choice', 'Fragrance-free', 'Plant-based'] },
+  ],
+};
+
+// Alternatives table for each scan mode
+const MODE_ALTERNATIVES = {
+  food: CATEGORY_ALTERNATIVES,
+  beauty: BEAUTY_ALTERNATIVES,
+  home: HOME_ALTERNATIVES,
+};
+
 // ──────────────────────────────────────────────────────────────────
 // BRAVE SEARCH INTEGRATION
 // ──────────────────────────────────────────────────────────────────
@@ -185,22 +242,72 @@ export async function verifyProductWithSearch(productName, brand, category) {
       resultCount: results.length,
       topResult: results[0] ? { title: results[0].title, url: results[0].url, description: results[0].description } : null,
       searchContext: results.slice(0, 3).map(r => r.description).join(' '),
+      snippets: results.slice(0, 3).map(r => ({ title: r.title, description: r.description })),
     };
   } catch (error) {
     return { verified: false, reason: error.message };
   }
 }
 
+/**
+ * Turn a verifyProductWithSearch result and the user-confirmed product
+ * identity into prompt context for reanalyzeWithContext.
+ * Returns null when the search found nothing to add.
+ */
+export function buildWebSearchContext(verification, { productName, brand, category } = {}) {
+  if (!verification?.verified) return null;
+
+  const snippets = (verification.snippets || [])
+    .filter(r => r.title || r.description)
+    .map(r => `- ${r.title || 'Result'}: ${r.description || ''}`)
+    .join('\n');
+  if (!snippets && !verification.searchContext) return null;
+
+  const identity = [
+    productName && `Product: ${productName}`,
+    brand && `Brand: ${brand}`,
+    category && `Category (confirmed by the user): ${category}`,
+  ].filter(Boolean).join('\n');
+
+  return `WEB SEARCH CONTEXT (use this to verify product identity and category):
+${identity}
+${snippets || `- ${verification.searchContext}`}
+
+Use the category confirmed by the user unless the label clearly contradicts it. Only list ingredients that are visible on the label image; use the web results to disambiguate unclear text, not to add ingredients.`;
+}
+
 // ──────────────────────────────────────────────────────────────────
 // PROMPTS
 // ──────────────────────────────────────────────────────────────────
 
-// Base prompt shared by all product types
-const BASE_PROMPT = `You are an expert food scientist and ingredient safety analyst. Analyze the product label image.
+// Per-mode analyst role, category list and ingredient categories
+const MODE_PROMPTS = {
+  food: {
+    role: 'an expert food scientist and ingredient safety analyst',
+    ingredientCategories: 'Sweetener, Preservative, Artificial Color, Flavor Enhancer, Emulsifier, Thickener, Natural Extract, Herb/Botanical, Vitamin/Mineral, Acid/pH Regulator, Oil/Fat, Protein, Fiber, Water, Probiotic, Enzyme, Other',
+  },
+  beauty: {
+    role: 'an expert cosmetic chemist and ingredient safety analyst',
+    ingredientCategories: 'Preservative, Surfactant, Fragrance, Plasticizer, UV Filter, Emollient, Humectant, Emulsifier, Thickener, Colorant, Botanical, Vitamin, Solvent, Antibacterial, pH Adjuster, Water, Other',
+  },
+  home: {
+    role: 'an expert household chemical safety analyst',
+    ingredientCategories: 'Surfactant, Disinfectant (Quat), Bleach, Solvent, Fragrance, Preservative, Enzyme, Water Softener, Detergent Additive, Acid/pH Regulator, Mild Abrasive, Colorant, Water, Other',
+  },
+};
+
+/**
+ * Base prompt shared by all product types within a scan mode
+ */
+function buildBasePrompt(scanMode = 'food') {
+  const mode = MODE_PROMPTS[scanMode] || MODE_PROMPTS.food;
+  const categories = getCategoriesForMode(scanMode);
+
+  return `You are ${mode.role}. Analyze the product label image.
 
 STEP 1 — STRICT CATEGORY ANCHOR (do this FIRST):
 Identify the product category from EXACTLY one of these options:
-${PRODUCT_CATEGORIES.join(', ')}
+${categories.join(', ')}
 
 The category you choose MUST anchor all further analysis. When suggesting alternatives later, they MUST be within the SAME category (e.g., a Beverage must only get Beverage alternatives, never Food).
 
@@ -228,11 +335,12 @@ STEP 2 — Return a JSON object with this EXACT structure:
   "overallScore": 0-100
 }
 
-CATEGORIES for ingredients: Sweetener, Preservative, Artificial Color, Flavor Enhancer, Emulsifier, Thickener, Natural Extract, Herb/Botanical, Vitamin/Mineral, Acid/pH Regulator, Oil/Fat, Protein, Fiber, Water, Probiotic, Enzyme, Other
+CATEGORIES for ingredients: ${mode.ingredientCategories}
 
 For ingredients you don't recognize or are region-specific (Korean, Japanese, Chinese, European, etc.), research your knowledge and provide the best assessment. If truly unknown, score 50 with "moderate" concern and note it needs verification.
 
 Return ONLY valid JSON, no markdown or explanation.`;
+}
 
 // Standard food/drink scoring guide
 const FOOD_SCORING = `
@@ -249,6 +357,50 @@ CONCERN LEVELS:
 - "moderate": Some studies show concerns, limit intake
 - "high": Linked to health issues, avoid if possible`;
 
+// Cosmetics / personal care scoring guide
+const BEAUTY_SCORING = `
+THIS IS A BEAUTY / PERSONAL CARE PRODUCT — score for skin contact, absorption and inhalation, not nutrition:
+
+SCORING GUIDE (for skincare, haircare, makeup, body care, sun care, oral care, fragrance, baby care):
+- 90-100: Well-tolerated, well-studied ingredients (water, glycerin, plant oils and butters, zinc oxide)
+- 70-89: Generally safe functional ingredients, low irritation potential
+- 50-69: Moderate concern - common irritants, mild sensitizers, ethoxylated ingredients (PEGs, SLES)
+- 30-49: Higher concern - undisclosed "fragrance/parfum", SLS, chemical UV filters, formaldehyde releasers
+- 0-29: Significant concern - parabens with endocrine activity, phthalates, triclosan, ingredients banned in the EU
+
+CONCERN LEVELS:
+- "none": Benign, non-irritating
+- "low": Rare irritation at typical concentrations
+- "moderate": Known irritant or allergen, or contamination risk (1,4-dioxane)
+- "high": Endocrine disruptor, carcinogen, or restricted/banned in other markets
+
+Use the "preservatives" concern bucket for preservatives and the "artificial" bucket for fragrance, synthetic dyes and plasticizers. Leave "sugar" empty unless the product is ingested.`;
+
+// Household product scoring guide
+const HOME_SCORING = `
+THIS IS A HOUSEHOLD PRODUCT — score for inhalation, skin contact, residues left on surfaces and fabrics, and environmental impact:
+
+SCORING GUIDE (for cleaning, laundry, dish, disinfectant, air care):
+- 90-100: Benign ingredients (water, baking soda, vinegar, plant-derived glucoside surfactants)
+- 70-89: Low-hazard functional ingredients (oxygen bleach, enzymes, hydrogen peroxide at 3%)
+- 50-69: Moderate concern - skin/eye irritants, optical brighteners, phosphates
+- 30-49: Higher concern - quaternary ammonium disinfectants (asthmagens), chlorine bleach, ammonia, undisclosed fragrance, 2-butoxyethanol
+- 0-29: Significant concern - nonylphenol ethoxylates, phthalates, ingredients restricted under EU REACH
+
+CONCERN LEVELS:
+- "none": Benign
+- "low": Minor irritant at household concentrations
+- "moderate": Irritant, sensitizer, or environmental persistence
+- "high": Asthmagen, toxic gas risk when mixed, endocrine disruptor, or restricted elsewhere
+
+In "healthNotes", flag dangerous combinations (e.g., bleach with ammonia or acids). Use the "preservatives" bucket for preservatives and the "artificial" bucket for fragrance and dyes. Leave "sugar" empty.`;
+
+// Scoring guide for each non-food scan mode
+const MODE_SCORING = {
+  beauty: BEAUTY_SCORING,
+  home: HOME_SCORING,
+};
+
 // Enhanced Supplement-specific analysis prompt with DV%, interactions
 const SUPPLEMENT_SCORING = `
 THIS IS A SUPPLEMENT — use specialized supplement analysis:
@@ -298,17 +450,34 @@ Also add to the JSON root:
 }`;
 
 /**
- * Build the appropriate system prompt based on detected product type.
+ * Extra instructions when several photos of one package are sent together
+ */
+function buildMultiPhotoInstructions(photoCount) {
+  return `MULTIPLE PHOTOS: You are given ${photoCount} photos of the SAME product (Photo 1 to Photo ${photoCount}). Different panels may show the ingredient list, supplement facts or allergen statements.
+- Return ONE combined analysis for the product
+- List each ingredient only once, even if it is visible in several photos
+- Add "photos": [photo numbers where it appears] to every ingredient, e.g. "photos": [1, 3]
+- In "rawText", join the text from each panel, each part prefixed with "[Photo n]"`;
+}
+
+/**
+ * Build the appropriate system prompt based on scan mode and detected product type.
  * Optionally includes web search context for better accuracy.
  */
-function buildPrompt(isSupplementHint = false, webSearchContext = null) {
-  let prompt = BASE_PROMPT;
+function buildPrompt(isSupplementHint = false, webSearchContext = null, scanMode = 'food', photoCount = 1) {
+  let prompt = buildBasePrompt(scanMode);
+
+  if (photoCount > 1) {
+    prompt += '\n\n' + buildMultiPhotoInstructions(photoCount);
+  }
 
   if (webSearchContext) {
     prompt += '\n\n' + webSearchContext;
   }
 
-  if (isSupplementHint) {
+  if (MODE_SCORING[scanMode]) {
+    prompt += '\n' + MODE_SCORING[scanMode];
+  } else if (isSupplementHint) {
     prompt += '\n' + SUPPLEMENT_SCORING;
   } else {
     prompt += '\n' + FOOD_SCORING;
@@ -317,157 +486,6 @@ function buildPrompt(isSupplementHint = false, webSearchContext = null) {
   return prompt;
 }
 
-// ──────────────────────────────────────────────────────────────────
-// PROVIDER API CALLS
-// ──────────────────────────────────────────────────────────────────
-
-/**
- * Analyze image with OpenAI GPT-4 Vision
- */
-async function analyzeWithOpenAI(base64Image, systemPrompt) {
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${API_KEYS.openai}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt,
-        },
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'image_url',
-              image_url: {
-                url: `data:image/jpeg;base64,${base64Image}`,
-                detail: 'high',
-              },
-            },
-            {
-              type: 'text',
-              text: 'Analyze this product label image. First identify the category, then provide the full analysis.',
-            },
-          ],
-        },
-      ],
-      max_tokens: 4096,
-    }),
-  });
-
-  const data = await response.json();
-
-  if (data.error) {
-    throw new Error(`OpenAI: ${data.error.message}`);
-  }
-
-  return parseAIResponse(data.choices[0].message.content);
-}
-
-/**
- * Analyze image with Google Gemini
- */
-async function analyzeWithGemini(base64Image, systemPrompt) {
-  const response = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${API_KEYS.gemini}`,
-    {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [
-          {
-            parts: [
-              {
-                inline_data: {
-                  mime_type: 'image/jpeg',
-                  data: base64Image,
-                },
-              },
-              {
-                text: systemPrompt + '\n\nAnalyze this product label image. First identify the category, then provide the full analysis.',
-              },
-            ],
-          },
-        ],
-        generationConfig: {
-          temperature: 0.1,
-          maxOutputTokens: 4096,
-        },
-      }),
-    }
-  );
-
-  const data = await response.json();
-
-  if (data.error) {
-    throw new Error(`Gemini: ${data.error.message}`);
-  }
-
-  const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-  if (!text) {
-    throw new Error('Gemini: No response received');
-  }
-
-  return parseAIResponse(text);
-}
-
-/**
- * Analyze image with Anthropic Claude
- */
-async function analyzeWithClaude(base64Image, systemPrompt) {
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'x-api-key': API_KEYS.anthropic,
-      'Content-Type': 'application/json',
-      'anthropic-version': '2023-06-01',
-    },
-    body: JSON.stringify({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4096,
-      system: systemPrompt,
-      messages: [
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: 'image/jpeg',
-                data: base64Image,
-              },
-            },
-            {
-              type: 'text',
-              text: 'Analyze this product label image. First identify the category, then provide the full analysis.',
-            },
-          ],
-        },
-      ],
-    }),
-  });
-
-  const data = await response.json();
-
-  if (data.error) {
-    throw new Error(`Claude: ${data.error.message}`);
-  }
-
-  const text = data.content?.[0]?.text;
-  if (!text) {
-    throw new Error('Claude: No response received');
-  }
-
-  return parseAIResponse(text);
-}
-
 // ──────────────────────────────────────────────────────────────────
 // RESPONSE PARSING
 // ──────────────────────────────────────────────────────────────────
@@ -526,26 +544,26 @@ function parseAIResponse(text) {
 }
 
 /**
- * Validate and normalize the AI result to ensure category anchor is present
+ * Validate and repair the AI result against the analysis schema, anchor
+ * its category to the scan mode's list, and attach the corrections as
+ * validationWarnings
  */
-function normalizeResult(result) {
-  // Ensure productCategory is valid
-  if (!result.productCategory || !PRODUCT_CATEGORIES.includes(result.productCategory)) {
-    // Try to infer from deprecated productType field
-    const typeMap = {
-      'food': 'Other',
-      'drink': 'Beverage',
-      'snack': 'Snack',
-      'supplement': 'Supplement',
-      'condiment': 'Condiment',
-      'other': 'Other',
-    };
-    result.productCategory = typeMap[result.productType] || 'Other';
-  }
+function normalizeResult(rawResult, scanMode = 'food', photoCount = 1) {
+  // Infer a category from the deprecated productType field
+  const { result, warnings } = validateAnalysis(rawResult, {
+    categories: getCategoriesForMode(scanMode),
+    fallbackCategory: (scanMode === 'food' && LEGACY_PRODUCT_TYPES[rawResult?.productType]) || 'Other',
+    photoCount,
+  });
 
   // Clean up legacy field
   delete result.productType;
 
+  // Downstream reconciliation picks the curated database by mode
+  result.scanMode = scanMode;
+  result.validationWarnings = warnings;
+  result.photoCount = photoCount;
+
   return result;
 }
 
@@ -554,39 +572,34 @@ function normalizeResult(result) {
 // ──────────────────────────────────────────────────────────────────
 
 /**
- * Send image to a specific provider with the given prompt
+ * Send the image(s) to a specific provider with the given prompt
  */
-async function sendToProvider(provider, base64Image, systemPrompt) {
-  switch (provider) {
-    case 'openai':
-      return analyzeWithOpenAI(base64Image, systemPrompt);
-    case 'gemini':
-      return analyzeWithGemini(base64Image, systemPrompt);
-    case 'anthropic':
-      return analyzeWithClaude(base64Image, systemPrompt);
-    default:
-      throw new Error(`Unknown provider: ${provider}`);
-  }
+async function sendToProvider(provider, images, systemPrompt, scanMode = 'food') {
+  const text = await requestAnalysis(provider, images, systemPrompt, { scanMode });
+  return parseAIResponse(text);
 }
 
 /**
  * Two-pass analysis with optional web search verification:
- * 1. First pass with general prompt (+ web search context if available)
- * 2. If supplement detected, second pass with specialized prompt
+ * 1. First pass with the scan mode's prompt (+ web search context if available)
+ * 2. If supplement detected (food mode only), second pass with specialized prompt
  */
-async function analyzeWithProvider(provider, base64Image, webSearchContext = null) {
+async function analyzeWithProvider(provider, images, webSearchContext = null, scanMode = 'food') {
+  const imageList = Array.isArray(images) ? images : [images];
+  const photoCount = imageList.length;
+
   // First pass: use general prompt with web search context
-  const prompt = buildPrompt(false, webSearchContext);
+  const prompt = buildPrompt(false, webSearchContext, scanMode, photoCount);
 
-  let result = await sendToProvider(provider, base64Image, prompt);
-  result = normalizeResult(result);
+  let result = await sendToProvider(provider, imageList, prompt, scanMode);
+  result = normalizeResult(result, scanMode, photoCount);
 
   // If the first pass detected a Supplement, re-analyze with the specialized prompt
   if (result.productCategory === 'Supplement') {
     console.log('Supplement detected — running specialized DV%/interaction analysis...');
-    const supplementPrompt = buildPrompt(true, webSearchContext);
-    let supplementResult = await sendToProvider(provider, base64Image, supplementPrompt);
-    supplementResult = normalizeResult(supplementResult);
+    const supplementPrompt = buildPrompt(true, webSearchContext, scanMode, photoCount);
+    let supplementResult = await sendToProvider(provider, imageList, supplementPrompt, scanMode);
+    supplementResult = normalizeResult(supplementResult, scanMode, photoCount);
     // Force the category to Supplement in case second pass drifted
     supplementResult.productCategory = 'Supplement';
     return supplementResult;
@@ -597,24 +610,21 @@ async function analyzeWithProvider(provider, base64Image, webSearchContext = nul
 
 /**
  * Main function - Analyze ingredient label with best available AI
- * Tries providers in order: Claude -> Gemini -> OpenAI (based on vision quality)
+ * Tries configured providers in registry priority order (Claude -> Gemini -> OpenAI)
  */
-export async function analyzeIngredientLabel(base64Image) {
+export async function analyzeIngredientLabel(images, scanMode = 'food', webSearchContext = null) {
   const providers = getAvailableProviders();
 
   if (providers.length === 0) {
     throw new Error('No AI API keys configured. Please add your API keys in src/config/apiKeys.js');
   }
 
-  const priority = ['anthropic', 'gemini', 'openai'];
-  const orderedProviders = priority.filter(p => providers.includes(p));
-
   let lastError = null;
 
-  for (const provider of orderedProviders) {
+  for (const provider of providers) {
     try {
       console.log(`Trying ${provider}...`);
-      const result = await analyzeWithProvider(provider, base64Image);
+      const result = await analyzeWithProvider(provider, images, webSearchContext, scanMode);
       console.log(`${provider} succeeded! Category: ${result.productCategory}`);
       return { ...result, provider };
     } catch (error) {
@@ -627,59 +637,64 @@ export async function analyzeIngredientLabel(base64Image) {
 }
 
 /**
- * Analyze with user's preferred provider, optionally with web search verification
+ * Analyze with user's preferred provider, optionally with web search verification.
+ * `images` is one base64 photo or an array of 2-5 photos of the same package.
+ * scanMode ('food' | 'beauty' | 'home') selects the prompt and category list.
+ * webSearchContext comes from buildWebSearchContext; the first scan has none
+ * because the product name isn't known until the model has read the label.
  */
-export async function analyzeWithPreferred(base64Image, preferredProvider = 'auto') {
+export async function analyzeWithPreferred(images, preferredProvider = 'auto', scanMode = 'food', webSearchContext = null) {
+  // Manual-only providers (local fixtures) run alone, with no fallback
+  if (isManualSelection(preferredProvider)) {
+    const result = await analyzeWithProvider(preferredProvider, images, webSearchContext, scanMode);
+    return { ...result, provider: preferredProvider };
+  }
+
   const providers = getAvailableProviders();
 
   if (providers.length === 0) {
     throw new Error('No AI API keys configured. Please add your API keys in src/config/apiKeys.js');
   }
 
-  // Run web search in parallel with image analysis setup (non-blocking)
-  // Web search context will be null if Brave is not configured
-  let webSearchContext = null;
-  // Note: We can't search before we know the product name, so web search
-  // is used in the post-scan verification step (verifyProductWithSearch)
-
   if (preferredProvider !== 'auto' && providers.includes(preferredProvider)) {
     try {
       console.log(`Using preferred provider: ${preferredProvider}`);
-      const result = await analyzeWithProvider(preferredProvider, base64Image, webSearchContext);
+      const result = await analyzeWithProvider(preferredProvider, images, webSearchContext, scanMode);
       return { ...result, provider: preferredProvider };
     } catch (error) {
       console.error(`Preferred provider ${preferredProvider} failed, falling back...`);
     }
   }
 
-  return analyzeIngredientLabel(base64Image);
+  return analyzeIngredientLabel(images, scanMode, webSearchContext);
 }
 
 /**
  * Re-analyze with web search context after initial scan
  * Used when ReviewScanScreen confirms the product and web search data is available
  */
-export async function reanalyzeWithContext(base64Image, webSearchContext, provider = 'auto') {
-  const providers = getAvailableProviders();
+export async function reanalyzeWithContext(images, webSearchContext, provider = 'auto', scanMode = 'food') {
+  const providers = getConfiguredProviders(provider);
   if (providers.length === 0) {
     throw new Error('No AI API keys configured.');
   }
 
   const targetProvider = (provider !== 'auto' && providers.includes(provider))
     ? provider
-    : (['anthropic', 'gemini', 'openai'].find(p => providers.includes(p)));
+    : providers[0];
 
   if (!targetProvider) throw new Error('No provider available');
 
-  const result = await analyzeWithProvider(targetProvider, base64Image, webSearchContext);
+  const result = await analyzeWithProvider(targetProvider, images, webSearchContext, scanMode);
   return { ...result, provider: targetProvider };
 }
 
 /**
- * Get category-aware alternatives for a product
+ * Get category-aware alternatives for a product in the given scan mode
  */
-export function getAlternativesForCategory(category, originalScore) {
-  const alternatives = CATEGORY_ALTERNATIVES[category] || CATEGORY_ALTERNATIVES['Other'];
+export function getAlternativesForCategory(category, originalScore, scanMode = 'food') {
+  const table = MODE_ALTERNATIVES[scanMode] || CATEGORY_ALTERNATIVES;
+  const alternatives = table[category] || table['Other'];
   return alternatives
     .map((alt, index) => ({
       id: index + 1,
@@ -692,30 +707,58 @@ export function getAlternativesForCategory(category, originalScore) {
     .sort((a, b) => b.improvement - a.improvement);
 }
 
-export function isAIConfigured() {
-  return getAvailableProviders().length > 0;
+// A manualOnly provider picked in Settings, which replaces the auto list
+function isManualSelection(providerId) {
+  return Boolean(getProvider(providerId)?.manualOnly) && isProviderReady(providerId);
 }
 
-export function getConfiguredProviders() {
-  return getAvailableProviders();
+/**
+ * Whether scanning can run with the selected provider ('auto' by default)
+ */
+export function isAIConfigured(preferredProvider = 'auto') {
+  return getConfiguredProviders(preferredProvider).length > 0;
+}
+
+/**
+ * Providers a scan may use with the selected provider: the manual-only
+ * provider alone when one is picked, otherwise the auto-mode list
+ */
+export function getConfiguredProviders(preferredProvider = 'auto') {
+  return isManualSelection(preferredProvider) ? [preferredProvider] : getAvailableProviders();
 }
 
 export function isProviderConfigured(providerId) {
-  return getAvailableProviders().includes(providerId);
+  return isProviderReady(providerId);
 }
 
-export { PRODUCT_CATEGORIES, CATEGORY_ALTERNATIVES, isBraveConfigured };
+export {
+  getCategoriesForMode,
+  PRODUCT_CATEGORIES,
+  BEAUTY_CATEGORIES,
+  HOME_CATEGORIES,
+  LEGACY_PRODUCT_TYPES,
+  CATEGORY_ALTERNATIVES,
+  BEAUTY_ALTERNATIVES,
+  HOME_ALTERNATIVES,
+  isBraveConfigured,
+};
 
 export default {
   analyzeIngredientLabel,
   analyzeWithPreferred,
   reanalyzeWithContext,
   verifyProductWithSearch,
+  buildWebSearchContext,
   getAlternativesForCategory,
+  getCategoriesForMode,
   isAIConfigured,
   getConfiguredProviders,
   isProviderConfigured,
   isBraveConfigured,
   PRODUCT_CATEGORIES,
+  BEAUTY_CATEGORIES,
+  HOME_CATEGORIES,
   CATEGORY_ALTERNATIVES,
+  BEAUTY_ALTERNATIVES,
+  HOME_ALTERNATIVES,
 };
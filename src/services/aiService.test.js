@@ -0,0 +1,30 @@
+import { registerProvider, getAvailableProviders, isProviderReady } from './aiProviders';
+import localProvider from './localProvider';
+import { analyzeWithPreferred, getConfiguredProviders, isAIConfigured } from './aiService';
+
+// apiKeys.js is gitignored; no keys configured
+jest.mock('../config/apiKeys', () => ({ API_KEYS: {} }), { virtual: true });
+
+describe('manual-only providers', () => {
+  beforeAll(() => registerProvider(localProvider));
+
+  test('are left out of auto mode', () => {
+    expect(isProviderReady('local')).toBe(true);
+    expect(getAvailableProviders()).not.toContain('local');
+    expect(isAIConfigured()).toBe(false);
+    expect(isAIConfigured('auto')).toBe(false);
+  });
+
+  test('are used when selected', async () => {
+    expect(isAIConfigured('local')).toBe(true);
+    expect(getConfiguredProviders('local')).toEqual(['local']);
+
+    const result = await analyzeWithPreferred(['aW1hZ2U='], 'local');
+    expect(result.provider).toBe('local');
+    expect(result.ingredients.length).toBeGreaterThan(0);
+  });
+
+  test('are not a fallback for auto mode', async () => {
+    await expect(analyzeWithPreferred(['aW1hZ2U='], 'auto')).rejects.toThrow('No AI API keys configured');
+  });
+});
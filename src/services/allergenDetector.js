@@ -0,0 +1,165 @@
+/**
+ * Allergen Detector - Find regulated allergens in a scanned product
+ * Checks each ingredient name (including derived names such as casein,
+ * albumin or soy lecithin) against data/allergens, and reads the label's
+ * "Contains:" and "May contain:" statements from the raw ingredient text.
+ * Ingredients are read as printed (labelName); a database entry's name only
+ * adds definite hits a misread label missed.
+ *
+ * Each hit has a status:
+ * - contains:    an ingredient or the "Contains" statement names it
+ * - may-contain: only a precautionary / shared-facility statement names it
+ * - possible:    an ingredient is often made from it (plain "lecithin")
+ */
+
+import {
+  ALLERGENS,
+  MAY_CONTAIN_PATTERNS,
+  CONTAINS_PATTERNS,
+  getAllergen,
+} from '../data/allergens';
+import { findTerm } from './profileEvaluator';
+import { getLabelNames } from './ingredientParser';
+
+// Most certain first; a stronger status replaces a weaker one
+const STATUS_ORDER = ['contains', 'may-contain', 'possible'];
+
+// Ingredient lists sometimes carry the precautionary statement as an entry
+const PRECAUTIONARY_NAME = /\bmay\s+(?:also\s+)?contain\b|\btraces?\s+of\b/;
+
+// Allergen names in a statement are separated by commas, "and", "or", etc.
+const STATEMENT_SEPARATORS = /[,;:&/()[\]]|\band\b|\bor\b/;
+
+/**
+ * Whether a lower-cased name is, or is made from, an allergen.
+ * Returns 'contains', 'possible' or null.
+ */
+function matchAllergen(name, allergen) {
+  if (findTerm(name, allergen.terms, allergen.exclusions)) return 'contains';
+  if (findTerm(name, allergen.possible, allergen.exclusions)) return 'possible';
+  return null;
+}
+
+/**
+ * Whether an ingredient is, or is made from, an allergen, judged by the
+ * names it was printed as. The database name is more generic than the
+ * label ("Sunflower Lecithin" → Lecithin, "Hydrolyzed Wheat Protein" →
+ * Hydrolyzed Vegetable Protein), so it only adds a definite hit, and not
+ * when the label rules the allergen out.
+ */
+function matchIngredient(labels, name, allergen) {
+  const statuses = labels.map(label => matchAllergen(label, allergen));
+  if (statuses.includes('contains')) return 'contains';
+
+  const ruledOut = labels.some(label => findTerm(label, allergen.exclusions || []));
+  if (name && !labels.includes(name) && !ruledOut && matchAllergen(name, allergen) === 'contains') {
+    return 'contains';
+  }
+  return statuses.includes('possible') ? 'possible' : null;
+}
+
+function collectStatements(text, patterns) {
+  const statements = [];
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      if (match[1]?.trim()) statements.push(match[1]);
+    }
+  }
+  return statements;
+}
+
+/**
+ * Ids of the allergens named in statements (only definite terms count)
+ */
+function allergensNamedIn(statements) {
+  const ids = new Set();
+  statements
+    .flatMap(statement => statement.split(STATEMENT_SEPARATORS))
+    .map(part => part.trim())
+    .filter(Boolean)
+    .forEach(part => {
+      ALLERGENS.forEach(allergen => {
+        if (matchAllergen(part, allergen) === 'contains') ids.add(allergen.id);
+      });
+    });
+  return ids;
+}
+
+/**
+ * Read the label's allergen statements.
+ * Returns { contains: [allergenId], mayContain: [allergenId] }
+ */
+export function parseAllergenStatements(rawText = '') {
+  const text = (rawText || '').toLowerCase();
+  if (!text) return { contains: [], mayContain: [] };
+
+  const contains = allergensNamedIn(collectStatements(text, CONTAINS_PATTERNS));
+  const mayContain = allergensNamedIn(collectStatements(text, MAY_CONTAIN_PATTERNS));
+
+  return {
+    contains: [...contains],
+    mayContain: [...mayContain].filter(id => !contains.has(id)),
+  };
+}
+
+/**
+ * Detect allergens from a product's ingredients and raw label text.
+ *
+ * Returns one hit per allergen, most certain first:
+ * { id, label, emoji, regions, status, sources, declared }
+ * `sources` are the ingredients that matched, as printed; `declared` is true when
+ * a label statement names the allergen.
+ */
+export function detectAllergens(ingredients = [], rawText = '') {
+  const hits = new Map();
+
+  const record = (allergen, status, source, declared = false) => {
+    const hit = hits.get(allergen.id) || {
+      id: allergen.id,
+      label: allergen.label,
+      emoji: allergen.emoji,
+      regions: allergen.regions,
+      status,
+      sources: [],
+      declared: false,
+    };
+    if (STATUS_ORDER.indexOf(status) < STATUS_ORDER.indexOf(hit.status)) {
+      hit.status = status;
+    }
+    if (source && !hit.sources.includes(source)) hit.sources.push(source);
+    hit.declared = hit.declared || declared;
+    hits.set(allergen.id, hit);
+  };
+
+  for (const ingredient of ingredients || []) {
+    const printed = getLabelNames(ingredient);
+    if (!printed.length) continue;
+    const labels = printed.map(label => label.toLowerCase());
+    const name = (ingredient.name || '').toLowerCase();
+    const precautionary = labels.some(label => PRECAUTIONARY_NAME.test(label));
+
+    for (const allergen of ALLERGENS) {
+      const status = matchIngredient(labels, name, allergen);
+      if (!status) continue;
+      record(allergen, precautionary ? 'may-contain' : status, printed.join(' / '), precautionary);
+    }
+  }
+
+  const statements = parseAllergenStatements(rawText);
+  statements.contains.forEach(id => {
+    record(getAllergen(id), 'contains', null, true);
+  });
+  statements.mayContain.forEach(id => {
+    record(getAllergen(id), 'may-contain', null, true);
+  });
+
+  return [...hits.values()].sort((a, b) => (
+    STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)
+    || ALLERGENS.findIndex(x => x.id === a.id) - ALLERGENS.findIndex(x => x.id === b.id)
+  ));
+}
+
+export default {
+  parseAllergenStatements,
+  detectAllergens,
+};
@@ -0,0 +1,71 @@
+import { detectAllergens, parseAllergenStatements } from './allergenDetector';
+import { reconcileWithDatabase } from './ingredientParser';
+
+const idsFor = (...names) => detectAllergens(names.map(name => ({ name }))).map(hit => hit.id);
+
+describe('detectAllergens', () => {
+  test('finds derived names', () => {
+    expect(idsFor('Whey Powder', 'Egg Albumin', 'Soy Lecithin')).toEqual(
+      expect.arrayContaining(['milk', 'egg', 'soy']),
+    );
+  });
+
+  test('ignores look-alikes', () => {
+    expect(idsFor('Coconut Milk', 'Buckwheat Flour', 'Gluten-Free Flour', 'Cocoa Butter', 'Water Chestnuts')).toEqual([]);
+  });
+
+  test.each([
+    ['Milk Chocolate (Sugar, Cocoa Butter, Whole Milk, Soy Lecithin)', 'milk'],
+    ['Non-Dairy Creamer (Corn Syrup Solids, Sodium Caseinate)', 'milk'],
+    ['Flour Blend (Rice Flour, Wheat Flour)', 'wheat'],
+  ])('a look-alike in a compound name does not hide %s', (name, id) => {
+    const hit = detectAllergens([{ name }]).find(h => h.id === id);
+
+    expect(hit).toMatchObject({ status: 'contains' });
+  });
+});
+
+describe('parseAllergenStatements', () => {
+  test('reads contains and may-contain statements', () => {
+    expect(parseAllergenStatements('Contains: Wheat, Milk. May contain peanuts.')).toEqual({
+      contains: ['wheat', 'milk'],
+      mayContain: ['peanuts'],
+    });
+  });
+});
+
+describe('detectAllergens on reconciled ingredients', () => {
+  const detect = (names, photoCount = 1) => {
+    const { ingredients } = reconcileWithDatabase({
+      ingredients: names.map(entry => (typeof entry === 'string' ? { name: entry } : entry)),
+      photoCount,
+    });
+    return detectAllergens(ingredients);
+  };
+
+  test('reads the label wording, not the generic database name', () => {
+    const hits = detect(['Hydrolyzed Wheat Protein']);
+
+    expect(hits.map(hit => hit.id)).toEqual(['wheat']);
+    expect(hits[0]).toMatchObject({ status: 'contains', sources: ['Hydrolyzed Wheat Protein'] });
+  });
+
+  test('a label that rules the allergen out is not overridden', () => {
+    expect(detect(['Sunflower Lecithin'])).toEqual([]);
+  });
+
+  test('the database name still catches a misread label', () => {
+    const hit = detect(['Sodium Caseinat']).find(h => h.id === 'milk');
+
+    expect(hit).toMatchObject({ status: 'contains' });
+  });
+
+  test('merged photos keep every printed name', () => {
+    const hits = detect([
+      { name: 'Sunflower Lecithin', photos: [0] },
+      { name: 'Soy Lecithin', photos: [1] },
+    ], 2);
+
+    expect(hits.find(h => h.id === 'soy')).toMatchObject({ status: 'contains' });
+  });
+});
@@ -0,0 +1,435 @@
+/**
+ * Analysis Schema - Validate and repair AI label analyses
+ * Every model response goes through validateAnalysis before reconciliation.
+ * Fields are clamped, coerced or defaulted where that is safe; anything
+ * that can't be repaired is dropped. Each correction is recorded as a
+ * warning so ReviewScan can tell the user what was changed.
+ *
+ * Warning shape: { path, action, message }
+ *   path    'ingredients[2].score', 'supplementInfo.formQuality', ...
+ *   action  'clamped' | 'coerced' | 'defaulted' | 'removed' | 'recomputed'
+ */
+
+export const CONCERN_LEVELS = ['none', 'low', 'moderate', 'high'];
+export const CONCERN_BUCKETS = ['sugar', 'preservatives', 'artificial'];
+
+const FORM_QUALITY = ['excellent', 'good', 'average', 'poor', 'unknown'];
+const DOSAGE_ADEQUACY = ['optimal', 'adequate', 'underdosed', 'overdosed', 'unknown'];
+const INTERACTION_SEVERITY = ['low', 'moderate', 'high'];
+
+// Words models use instead of the prompt's concern levels
+const CONCERN_ALIASES = {
+  safe: 'none',
+  minimal: 'low',
+  minor: 'low',
+  medium: 'moderate',
+  mild: 'low',
+  severe: 'high',
+  'very high': 'high',
+  critical: 'high',
+};
+
+// Default for ingredients the model couldn't score (matches the prompt)
+const UNKNOWN_INGREDIENT_SCORE = 50;
+
+// ─── Primitive Coercion ───────────────────────────────────────────
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parse a 0-100 score from a number or "85", "85/100", "85%".
+ * Returns null when nothing numeric can be read.
+ */
+function readScore(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string') {
+    const match = value.match(/-?\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+  }
+  return null;
+}
+
+/**
+ * Concern level implied by a score, following the scoring guides
+ */
+export function concernForScore(score) {
+  if (score >= 90) return 'none';
+  if (score >= 70) return 'low';
+  if (score >= 50) return 'moderate';
+  return 'high';
+}
+
+function readEnum(value, allowed, aliases = {}) {
+  if (typeof value !== 'string') return null;
+  const key = value.trim().toLowerCase();
+  if (allowed.includes(key)) return key;
+  return aliases[key] || null;
+}
+
+// "null" / "N/A" strings stand in for missing values in model output
+function readText(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return String(value);
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  return /^(null|undefined|n\/a|none)$/i.test(text) ? null : text;
+}
+
+// ─── Validator ────────────────────────────────────────────────────
+
+function createReport() {
+  const warnings = [];
+  const add = (path, action, message) => warnings.push({ path, action, message });
+  return { warnings, add };
+}
+
+/**
+ * Score field: clamp to 0-100 and round; default when unreadable
+ */
+function validateScore(value, path, report, fallback) {
+  const score = readScore(value);
+  if (score === null) {
+    report.add(path, 'defaulted', `Missing score, set to ${fallback}`);
+    return fallback;
+  }
+  const clamped = Math.round(Math.min(100, Math.max(0, score)));
+  if (typeof value !== 'number') {
+    report.add(path, 'coerced', `Score "${value}" read as ${clamped}`);
+  } else if (clamped !== value) {
+    report.add(path, 'clamped', `Score ${value} clamped to ${clamped}`);
+  }
+  return clamped;
+}
+
+/**
+ * Optional text field: keep strings, coerce numbers, default otherwise
+ */
+function validateText(value, path, report, fallback = '') {
+  const text = readText(value);
+  if (text !== null) {
+    if (typeof value !== 'string') report.add(path, 'coerced', `Converted ${typeof value} to text`);
+    return text;
+  }
+  if (value !== null && value !== undefined && typeof value !== 'string') {
+    report.add(path, 'defaulted', `Unreadable ${Array.isArray(value) ? 'list' : typeof value} replaced`);
+  }
+  return fallback;
+}
+
+/**
+ * Multi-photo sessions: which photos (1-based) an ingredient was read from.
+ * Accepts "photos": [1, 2] or a single "photo": 2.
+ */
+function validatePhotos(raw, path, report, photoCount) {
+  const source = raw.photos !== undefined ? raw.photos : raw.photo;
+  if (source === undefined || source === null) return [];
+
+  const values = Array.isArray(source) ? source : [source];
+  const photos = [...new Set(values.map(readScore).map(n => (n === null ? null : Math.round(n))))]
+    .filter(n => n !== null && n >= 1 && n <= photoCount)
+    .sort((a, b) => a - b);
+
+  if (photos.length !== values.length) {
+    report.add(`${path}.photos`, 'removed', `Photo numbers outside 1-${photoCount} dropped`);
+  }
+  return photos;
+}
+
+function validateIngredient(raw, index, report, photoCount = 1) {
+  const path = `ingredients[${index}]`;
+
+  // Some models return a bare list of names
+  if (typeof raw === 'string') {
+    const name = readText(raw);
+    if (!name) {
+      report.add(path, 'removed', 'Empty ingredient removed');
+      return null;
+    }
+    report.add(path, 'coerced', `"${name}" had no details; scored as unknown`);
+    return {
+      name,
+      score: UNKNOWN_INGREDIENT_SCORE,
+      concern: concernForScore(UNKNOWN_INGREDIENT_SCORE),
+      category: 'Other',
+      plainEnglish: '',
+      healthNotes: 'Needs verification',
+    };
+  }
+
+  if (!isPlainObject(raw)) {
+    report.add(path, 'removed', 'Ingredient entry was not an object');
+    return null;
+  }
+
+  const name = readText(raw.name);
+  if (!name) {
+    report.add(`${path}.name`, 'removed', 'Ingredient without a name removed');
+    return null;
+  }
+
+  const score = validateScore(raw.score, `${path}.score`, report, UNKNOWN_INGREDIENT_SCORE);
+
+  let concern = readEnum(raw.concern, CONCERN_LEVELS, CONCERN_ALIASES);
+  if (!concern) {
+    concern = concernForScore(score);
+    report.add(`${path}.concern`, 'defaulted',
+      raw.concern ? `Unknown concern "${raw.concern}" replaced with "${concern}"` : `Missing concern set to "${concern}"`);
+  } else if (concern !== raw.concern) {
+    report.add(`${path}.concern`, 'coerced', `Concern "${raw.concern}" read as "${concern}"`);
+  }
+
+  const ingredient = {
+    ...raw,
+    name,
+    score,
+    concern,
+    category: validateText(raw.category, `${path}.category`, report, 'Other') || 'Other',
+    plainEnglish: validateText(raw.plainEnglish, `${path}.plainEnglish`, report),
+    healthNotes: validateText(raw.healthNotes, `${path}.healthNotes`, report),
+  };
+
+  delete ingredient.photo;
+  if (photoCount > 1) {
+    ingredient.photos = validatePhotos(raw, path, report, photoCount);
+  } else {
+    delete ingredient.photos;
+  }
+  return ingredient;
+}
+
+/**
+ * Multi-photo sessions: the same ingredient read from two panels is one
+ * ingredient. Keeps the first occurrence (and its position) and merges
+ * the photo numbers; the lower score wins when the readings disagree.
+ */
+function mergeDuplicateIngredients(ingredients, report) {
+  const byName = new Map();
+  const merged = [];
+
+  ingredients.forEach((ingredient, index) => {
+    const key = ingredient.name.toLowerCase().replace(/\s+/g, ' ');
+    const existing = byName.get(key);
+    if (!existing) {
+      byName.set(key, ingredient);
+      merged.push(ingredient);
+      return;
+    }
+
+    existing.photos = [...new Set([...(existing.photos || []), ...(ingredient.photos || [])])].sort((a, b) => a - b);
+    if (ingredient.score < existing.score) {
+      existing.score = ingredient.score;
+      existing.concern = ingredient.concern;
+    }
+    report.add(`ingredients[${index}]`, 'removed', `Duplicate of "${existing.name}" merged`);
+  });
+
+  return merged;
+}
+
+/**
+ * Concern buckets must only name ingredients that are in the list,
+ * and each count must match its names
+ */
+function validateConcerns(raw, ingredients, report) {
+  const source = isPlainObject(raw) ? raw : {};
+  if (!isPlainObject(raw)) {
+    report.add('concerns', 'defaulted', 'Missing concerns summary rebuilt');
+  }
+
+  const ingredientNames = ingredients.map(i => i.name.toLowerCase());
+  const isListed = (name) => {
+    const lower = name.toLowerCase();
+    return ingredientNames.some(n => n === lower || n.includes(lower) || lower.includes(n));
+  };
+
+  const concerns = {};
+  for (const bucket of CONCERN_BUCKETS) {
+    const path = `concerns.${bucket}`;
+    const entry = isPlainObject(source[bucket]) ? source[bucket] : {};
+    const names = (Array.isArray(entry.names) ? entry.names : [])
+      .map(readText)
+      .filter(Boolean);
+
+    const listed = names.filter(isListed);
+    if (listed.length < names.length) {
+      const dropped = names.filter(n => !listed.includes(n));
+      report.add(`${path}.names`, 'removed', `Not in ingredient list: ${dropped.join(', ')}`);
+    }
+
+    if (isPlainObject(raw) && entry.count !== undefined && entry.count !== listed.length) {
+      report.add(`${path}.count`, 'recomputed', `Count ${entry.count} corrected to ${listed.length}`);
+    }
+
+    concerns[bucket] = { count: listed.length, names: listed };
+  }
+  return concerns;
+}
+
+function validateSupplementInfo(raw, report) {
+  if (raw === undefined || raw === null) return undefined;
+  if (!isPlainObject(raw)) {
+    report.add('supplementInfo', 'removed', 'Supplement details were not an object');
+    return undefined;
+  }
+
+  const path = 'supplementInfo';
+  const enumField = (field, allowed) => {
+    const value = readEnum(raw[field], allowed);
+    if (!value) {
+      report.add(`${path}.${field}`, 'defaulted',
+        raw[field] ? `Unknown value "${raw[field]}" set to "unknown"` : 'Missing, set to "unknown"');
+      return 'unknown';
+    }
+    return value;
+  };
+
+  const dvPercentages = (Array.isArray(raw.dvPercentages) ? raw.dvPercentages : [])
+    .map((dv, index) => {
+      const dvPath = `${path}.dvPercentages[${index}]`;
+      const nutrient = isPlainObject(dv) ? readText(dv.nutrient) : null;
+      if (!nutrient) {
+        report.add(dvPath, 'removed', 'Daily value entry without a nutrient removed');
+        return null;
+      }
+      let dailyValue = readText(dv.dailyValue) || '';
+      if (dailyValue && /^\d+(?:\.\d+)?$/.test(dailyValue)) {
+        report.add(`${dvPath}.dailyValue`, 'coerced', `${dailyValue} read as ${dailyValue}%`);
+        dailyValue = `${dailyValue}%`;
+      }
+      return {
+        nutrient,
+        amount: validateText(dv.amount, `${dvPath}.amount`, report),
+        dailyValue,
+        assessment: validateText(dv.assessment, `${dvPath}.assessment`, report),
+      };
+    })
+    .filter(Boolean);
+
+  const interactions = (Array.isArray(raw.interactions) ? raw.interactions : [])
+    .map((interaction, index) => {
+      const iPath = `${path}.interactions[${index}]`;
+      if (!isPlainObject(interaction)) {
+        report.add(iPath, 'removed', 'Interaction entry was not an object');
+        return null;
+      }
+      let pair = interaction.pair;
+      if (typeof pair === 'string') {
+        pair = pair.split(/\s*(?:\+|&|\band\b|,)\s*/i);
+        report.add(`${iPath}.pair`, 'coerced', 'Interaction pair split from text');
+      }
+      pair = (Array.isArray(pair) ? pair : []).map(readText).filter(Boolean);
+      if (pair.length < 2) {
+        report.add(iPath, 'removed', 'Interaction without two substances removed');
+        return null;
+      }
+      let severity = readEnum(interaction.severity, INTERACTION_SEVERITY, CONCERN_ALIASES);
+      if (!severity) {
+        severity = 'moderate';
+        report.add(`${iPath}.severity`, 'defaulted', 'Missing or unknown severity set to "moderate"');
+      }
+      return {
+        pair,
+        severity,
+        note: validateText(interaction.note, `${iPath}.note`, report),
+      };
+    })
+    .filter(Boolean);
+
+  const megadoseWarnings = (Array.isArray(raw.megadoseWarnings) ? raw.megadoseWarnings : [])
+    .map(readText)
+    .filter(Boolean);
+
+  return {
+    formQuality: enumField('formQuality', FORM_QUALITY),
+    dosageAdequacy: enumField('dosageAdequacy', DOSAGE_ADEQUACY),
+    bioavailabilityNotes: validateText(raw.bioavailabilityNotes, `${path}.bioavailabilityNotes`, report),
+    thirdPartyTested: readText(raw.thirdPartyTested) || 'unknown (cannot determine from label)',
+    dvPercentages,
+    interactions,
+    megadoseWarnings,
+  };
+}
+
+/**
+ * Validate a parsed model response.
+ * options.categories       product categories allowed for the scan mode
+ * options.fallbackCategory used when productCategory is missing or invalid
+ * options.photoCount       number of photos sent; above 1, ingredients carry
+ *                          `photos` and duplicates across photos are merged
+ * Returns { result, warnings }. Throws only when the response isn't an object.
+ */
+export function validateAnalysis(raw, options = {}) {
+  if (!isPlainObject(raw)) {
+    throw new Error('AI response was not an analysis object');
+  }
+
+  const { categories = [], fallbackCategory = 'Other', photoCount = 1 } = options;
+  const report = createReport();
+
+  let ingredientList = raw.ingredients;
+  if (!Array.isArray(ingredientList)) {
+    report.add('ingredients', 'defaulted', 'Ingredient list missing');
+    ingredientList = [];
+  }
+  let ingredients = ingredientList
+    .map((ingredient, index) => validateIngredient(ingredient, index, report, photoCount))
+    .filter(Boolean);
+  if (photoCount > 1) {
+    ingredients = mergeDuplicateIngredients(ingredients, report);
+  }
+
+  let productCategory = readText(raw.productCategory);
+  if (!productCategory || (categories.length > 0 && !categories.includes(productCategory))) {
+    if (productCategory) {
+      report.add('productCategory', 'defaulted', `"${productCategory}" is not a category here, used "${fallbackCategory}"`);
+    } else if (!raw.productType) {
+      // Legacy productType responses are mapped silently
+      report.add('productCategory', 'defaulted', `Missing category set to "${fallbackCategory}"`);
+    }
+    productCategory = fallbackCategory;
+  }
+
+  let overallScore;
+  if (readScore(raw.overallScore) === null && ingredients.length > 0) {
+    overallScore = Math.round(ingredients.reduce((sum, i) => sum + i.score, 0) / ingredients.length);
+    report.add('overallScore', 'recomputed', `Missing overall score set to the ingredient average (${overallScore})`);
+  } else {
+    overallScore = validateScore(raw.overallScore, 'overallScore', report, UNKNOWN_INGREDIENT_SCORE);
+  }
+
+  const result = {
+    ...raw,
+    productName: readText(raw.productName),
+    brand: readText(raw.brand),
+    productCategory,
+    rawText: validateText(raw.rawText, 'rawText', report),
+    ingredients,
+    concerns: validateConcerns(raw.concerns, ingredients, report),
+    overallScore,
+  };
+
+  const supplementInfo = validateSupplementInfo(raw.supplementInfo, report);
+  if (supplementInfo) {
+    result.supplementInfo = supplementInfo;
+  } else {
+    delete result.supplementInfo;
+  }
+
+  return { result, warnings: report.warnings };
+}
+
+/**
+ * One-line summary for the review screen, e.g. "3 fields were corrected"
+ */
+export function summarizeWarnings(warnings = []) {
+  if (!warnings.length) return null;
+  return warnings.length === 1 ? '1 field was corrected' : `${warnings.length} fields were corrected`;
+}
+
+export default {
+  CONCERN_LEVELS,
+  CONCERN_BUCKETS,
+  concernForScore,
+  validateAnalysis,
+  summarizeWarnings,
+};
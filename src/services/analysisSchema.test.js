@@ -0,0 +1,134 @@
+import { validateAnalysis, summarizeWarnings } from './analysisSchema';
+
+const ingredient = (fields) => ({ name: 'Salt', score: 80, concern: 'low', category: 'Seasoning', ...fields });
+
+const validate = (fields, options) => validateAnalysis({
+  productName: 'Crackers',
+  productCategory: 'Snack',
+  overallScore: 70,
+  rawText: 'Salt',
+  ingredients: [ingredient()],
+  concerns: { sugar: { count: 0, names: [] }, preservatives: { count: 0, names: [] }, artificial: { count: 0, names: [] } },
+  ...fields,
+}, { categories: ['Snack', 'Other'], ...options });
+
+const warningFor = (warnings, path) => warnings.find(warning => warning.path === path);
+
+describe('validateAnalysis', () => {
+  test('a well-formed response passes without warnings', () => {
+    const { result, warnings } = validate();
+
+    expect(warnings).toEqual([]);
+    expect(result.ingredients).toEqual([ingredient({ plainEnglish: '', healthNotes: '' })]);
+  });
+
+  test('out-of-range scores are clamped and text scores read', () => {
+    const { result, warnings } = validate({
+      overallScore: 140,
+      ingredients: [ingredient({ score: -20, concern: 'high' }), ingredient({ name: 'Sugar', score: '85/100' })],
+    });
+
+    expect(result.overallScore).toBe(100);
+    expect(result.ingredients.map(i => i.score)).toEqual([0, 85]);
+    expect(warningFor(warnings, 'overallScore')).toMatchObject({ action: 'clamped' });
+    expect(warningFor(warnings, 'ingredients[0].score')).toMatchObject({ action: 'clamped' });
+    expect(warningFor(warnings, 'ingredients[1].score')).toMatchObject({ action: 'coerced' });
+  });
+
+  test('concern aliases are mapped and unknown levels follow the score', () => {
+    const { result, warnings } = validate({
+      ingredients: [
+        ingredient({ concern: 'Severe' }),
+        ingredient({ name: 'Sugar', score: 40, concern: 'spicy' }),
+        ingredient({ name: 'Water', score: 95, concern: undefined }),
+      ],
+    });
+
+    expect(result.ingredients.map(i => i.concern)).toEqual(['high', 'high', 'none']);
+    expect(warningFor(warnings, 'ingredients[0].concern')).toMatchObject({ action: 'coerced' });
+    expect(warningFor(warnings, 'ingredients[1].concern').message).toContain('Unknown concern "spicy"');
+    expect(warningFor(warnings, 'ingredients[2].concern').message).toContain('Missing concern');
+  });
+
+  test('ingredients without a name are removed; bare names are scored as unknown', () => {
+    const { result, warnings } = validate({
+      ingredients: [ingredient({ name: '  ' }), ingredient({ name: 'N/A' }), 'Citric Acid', 42],
+    });
+
+    expect(result.ingredients).toEqual([expect.objectContaining({ name: 'Citric Acid', score: 50, concern: 'moderate' })]);
+    expect(warnings.map(w => [w.path, w.action])).toEqual(expect.arrayContaining([
+      ['ingredients[0].name', 'removed'],
+      ['ingredients[1].name', 'removed'],
+      ['ingredients[2]', 'coerced'],
+      ['ingredients[3]', 'removed'],
+    ]));
+  });
+
+  test('concern buckets keep only listed ingredients and recount', () => {
+    const { result, warnings } = validate({
+      ingredients: [ingredient({ name: 'Sugar' }), ingredient({ name: 'Sodium Benzoate' })],
+      concerns: {
+        sugar: { count: 3, names: ['Sugar', 'Corn Syrup'] },
+        preservatives: { count: 1, names: ['sodium benzoate'] },
+      },
+    });
+
+    expect(result.concerns).toEqual({
+      sugar: { count: 1, names: ['Sugar'] },
+      preservatives: { count: 1, names: ['sodium benzoate'] },
+      artificial: { count: 0, names: [] },
+    });
+    expect(warningFor(warnings, 'concerns.sugar.names').message).toBe('Not in ingredient list: Corn Syrup');
+    expect(warningFor(warnings, 'concerns.sugar.count')).toMatchObject({ action: 'recomputed' });
+    expect(warningFor(warnings, 'concerns.preservatives.count')).toBeUndefined();
+  });
+
+  test('a missing concerns summary is rebuilt', () => {
+    const { result, warnings } = validate({ concerns: 'none' });
+
+    expect(result.concerns.sugar).toEqual({ count: 0, names: [] });
+    expect(warningFor(warnings, 'concerns')).toMatchObject({ action: 'defaulted' });
+  });
+
+  test('categories outside the scan mode fall back', () => {
+    const { result, warnings } = validate({ productCategory: 'Skincare' }, { fallbackCategory: 'Other' });
+
+    expect(result.productCategory).toBe('Other');
+    expect(warningFor(warnings, 'productCategory')).toMatchObject({ action: 'defaulted' });
+  });
+
+  test('a missing overall score is the ingredient average', () => {
+    const { result, warnings } = validate({
+      overallScore: null,
+      ingredients: [ingredient({ score: 80 }), ingredient({ name: 'Sugar', score: 41 })],
+    });
+
+    expect(result.overallScore).toBe(61);
+    expect(warningFor(warnings, 'overallScore')).toMatchObject({ action: 'recomputed' });
+  });
+
+  test('photos from a multi-photo session are checked and duplicates merged', () => {
+    const { result, warnings } = validate({
+      ingredients: [
+        ingredient({ photos: [1, 5] }),
+        ingredient({ name: 'salt', score: 60, photo: 2 }),
+      ],
+    }, { photoCount: 2 });
+
+    expect(result.ingredients).toEqual([expect.objectContaining({ name: 'Salt', score: 60, photos: [1, 2] })]);
+    expect(warningFor(warnings, 'ingredients[0].photos')).toMatchObject({ action: 'removed' });
+    expect(warningFor(warnings, 'ingredients[1]').message).toBe('Duplicate of "Salt" merged');
+  });
+
+  test('a response that is not an object throws', () => {
+    expect(() => validateAnalysis([])).toThrow('not an analysis object');
+  });
+});
+
+describe('summarizeWarnings', () => {
+  test('counts the corrected fields for the review screen', () => {
+    expect(summarizeWarnings([])).toBeNull();
+    expect(summarizeWarnings([{}])).toBe('1 field was corrected');
+    expect(summarizeWarnings(validate({ overallScore: 140, concerns: null }).warnings)).toBe('2 fields were corrected');
+  });
+});
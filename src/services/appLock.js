@@ -0,0 +1,201 @@
+/**
+ * App Lock - PIN and biometric unlock for the signed-in account
+ *
+ * The lock is on when the account has a PIN. Only a salted hash of the PIN
+ * is kept, in SecureStore (purelytics_pin_<userId>). Wrong PINs are counted
+ * next to it (purelytics_pin_attempts_<userId>), so quitting the app doesn't
+ * reset config.appLock.maxAttempts or a running cooldown. Each further
+ * lockout doubles the cooldown, up to config.appLock.maxCooldown, so the
+ * PINs can't be worked through in a day. Biometric unlock
+ * (Face ID / Touch ID / fingerprint) is an optional shortcut; the PIN
+ * always works.
+ */
+
+import * as SecureStore from 'expo-secure-store';
+import * as LocalAuthentication from 'expo-local-authentication';
+import { hashPassword, verifyPassword } from './authCrypto';
+import config from '../../config';
+
+export const PIN_LENGTH = 4;
+
+const pinKey = (userId) => `purelytics_pin_${userId}`;
+const attemptsKey = (userId) => `purelytics_pin_attempts_${userId}`;
+
+const NO_LOCKOUT = { failures: 0, cooldownUntil: null };
+const NO_ATTEMPTS = { failures: 0, lockouts: 0, cooldownUntil: null };
+
+// ─── PIN ──────────────────────────────────────────────────────────
+
+export async function hasPin(userId) {
+  try {
+    return Boolean(await SecureStore.getItemAsync(pinKey(userId)));
+  } catch (e) {
+    console.error('appLock.hasPin error:', e);
+    return false;
+  }
+}
+
+export async function setPin(userId, pin) {
+  const pinHash = await hashPassword(pin, config.appLock.pinIterations);
+  await SecureStore.setItemAsync(pinKey(userId), pinHash);
+  await clearPinFailures(userId);
+}
+
+/**
+ * Check a PIN. Always false during a cooldown; wrong PINs are counted and
+ * start a cooldown after config.appLock.maxAttempts, longer with each
+ * lockout until the right PIN is entered.
+ */
+export async function verifyPin(userId, pin) {
+  try {
+    if ((await getPinLockout(userId)).cooldownUntil) return false;
+
+    const pinHash = await SecureStore.getItemAsync(pinKey(userId));
+    const valid = Boolean(pinHash) && await verifyPassword(pin, pinHash);
+    if (valid) {
+      await clearPinFailures(userId);
+    } else {
+      await recordPinFailure(userId);
+    }
+    return valid;
+  } catch (e) {
+    console.error('appLock.verifyPin error:', e);
+    return false;
+  }
+}
+
+export async function removePin(userId) {
+  try {
+    await SecureStore.deleteItemAsync(pinKey(userId));
+    await clearPinFailures(userId);
+  } catch (e) {
+    console.error('appLock.removePin error:', e);
+  }
+}
+
+// ─── Wrong PINs ───────────────────────────────────────────────────
+
+/**
+ * Wrong PINs since the last unlock or cooldown.
+ * Returns { failures, cooldownUntil } (cooldownUntil: ms timestamp, or
+ * null when entry is allowed).
+ */
+export async function getPinLockout(userId) {
+  try {
+    const { failures, cooldownUntil } = await readAttempts(userId);
+    return { failures, cooldownUntil };
+  } catch (e) {
+    console.error('appLock.getPinLockout error:', e);
+    return NO_LOCKOUT;
+  }
+}
+
+/**
+ * Cooldown after the given number of lockouts: config.appLock.cooldown,
+ * doubled for each one before it, up to config.appLock.maxCooldown.
+ */
+export function getCooldown(lockouts) {
+  const { cooldown, maxCooldown } = config.appLock;
+  return Math.min(cooldown * 2 ** Math.max(lockouts - 1, 0), maxCooldown);
+}
+
+// Lockouts are kept until the right PIN is entered
+async function readAttempts(userId) {
+  const stored = JSON.parse(await SecureStore.getItemAsync(attemptsKey(userId)));
+  if (!stored) return NO_ATTEMPTS;
+
+  const lockouts = stored.lockouts || 0;
+  // A finished cooldown starts a fresh set of attempts
+  if (stored.cooldownUntil && stored.cooldownUntil <= Date.now()) {
+    return { ...NO_ATTEMPTS, lockouts };
+  }
+  return { failures: stored.failures || 0, lockouts, cooldownUntil: stored.cooldownUntil || null };
+}
+
+async function recordPinFailure(userId) {
+  const attempts = await readAttempts(userId);
+  const failures = attempts.failures + 1;
+  let next = { ...attempts, failures };
+  if (failures >= config.appLock.maxAttempts) {
+    const lockouts = attempts.lockouts + 1;
+    next = { failures: 0, lockouts, cooldownUntil: Date.now() + getCooldown(lockouts) };
+  }
+  await SecureStore.setItemAsync(attemptsKey(userId), JSON.stringify(next));
+}
+
+async function clearPinFailures(userId) {
+  await SecureStore.deleteItemAsync(attemptsKey(userId));
+}
+
+// ─── External pickers ─────────────────────────────────────────────
+
+let openExternalTasks = 0;
+
+/**
+ * Run a system picker or share sheet opened by the app. On Android these
+ * put the app in the background; while one is open the lock waits at least
+ * config.appLock.externalGrace, so the screen awaiting the result isn't
+ * unmounted by an "Immediately" re-lock.
+ */
+export async function whileExternalTask(task) {
+  openExternalTasks += 1;
+  try {
+    return await task();
+  } finally {
+    openExternalTasks -= 1;
+  }
+}
+
+export function isExternalTaskOpen() {
+  return openExternalTasks > 0;
+}
+
+// ─── Biometrics ───────────────────────────────────────────────────
+
+/**
+ * True when the device has biometric hardware with at least one enrolment
+ */
+export async function isBiometricAvailable() {
+  try {
+    const [hasHardware, isEnrolled] = await Promise.all([
+      LocalAuthentication.hasHardwareAsync(),
+      LocalAuthentication.isEnrolledAsync(),
+    ]);
+    return hasHardware && isEnrolled;
+  } catch (e) {
+    console.error('appLock.isBiometricAvailable error:', e);
+    return false;
+  }
+}
+
+/**
+ * Show the system biometric prompt. Returns true on success; cancelling
+ * falls back to the PIN pad.
+ */
+export async function authenticateWithBiometrics() {
+  try {
+    const result = await LocalAuthentication.authenticateAsync({
+      promptMessage: 'Unlock Purelytics',
+      cancelLabel: 'Use PIN',
+      disableDeviceFallback: true,
+    });
+    return result.success;
+  } catch (e) {
+    console.error('appLock.authenticateWithBiometrics error:', e);
+    return false;
+  }
+}
+
+export default {
+  PIN_LENGTH,
+  hasPin,
+  setPin,
+  verifyPin,
+  removePin,
+  getPinLockout,
+  getCooldown,
+  whileExternalTask,
+  isExternalTaskOpen,
+  isBiometricAvailable,
+  authenticateWithBiometrics,
+};
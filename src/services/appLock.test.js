@@ -0,0 +1,112 @@
+import * as SecureStore from 'expo-secure-store';
+import {
+  setPin,
+  verifyPin,
+  getPinLockout,
+  getCooldown,
+  removePin,
+  whileExternalTask,
+  isExternalTaskOpen,
+} from './appLock';
+import config from '../../config';
+
+// Hashing is covered by authCrypto; keep PIN checks fast here
+jest.mock('./authCrypto', () => ({
+  hashPassword: async pin => `hash:${pin}`,
+  verifyPassword: async (pin, hash) => hash === `hash:${pin}`,
+}));
+
+describe('wrong PIN limit', () => {
+  const userId = 'user-1';
+  const wrongPins = async count => {
+    for (let i = 0; i < count; i++) await verifyPin(userId, '0000');
+  };
+
+  beforeEach(async () => {
+    await setPin(userId, '1234');
+  });
+
+  test('counts failures in SecureStore next to the PIN', async () => {
+    await wrongPins(2);
+
+    expect(await getPinLockout(userId)).toEqual({ failures: 2, cooldownUntil: null });
+    expect(SecureStore.setItemAsync).toHaveBeenCalledWith(`purelytics_pin_attempts_${userId}`, expect.any(String));
+  });
+
+  test('starts a cooldown after maxAttempts that rejects even the right PIN', async () => {
+    await wrongPins(config.appLock.maxAttempts);
+
+    const { cooldownUntil } = await getPinLockout(userId);
+    expect(cooldownUntil).toBeGreaterThan(Date.now());
+    expect(await verifyPin(userId, '1234')).toBe(false);
+  });
+
+  test('allows entry again once the cooldown has passed', async () => {
+    await wrongPins(config.appLock.maxAttempts);
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + config.appLock.cooldown + 1);
+
+    expect(await verifyPin(userId, '1234')).toBe(true);
+    expect(await getPinLockout(userId)).toEqual({ failures: 0, cooldownUntil: null });
+    Date.now.mockRestore();
+  });
+
+  test('each further lockout doubles the cooldown, up to maxCooldown', async () => {
+    const { cooldown, maxCooldown } = config.appLock;
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    const waits = [];
+    for (let lockout = 0; lockout < 3; lockout++) {
+      await wrongPins(config.appLock.maxAttempts);
+      const { cooldownUntil } = await getPinLockout(userId);
+      waits.push(cooldownUntil - now);
+      now = cooldownUntil + 1;
+    }
+
+    expect(waits).toEqual([cooldown, cooldown * 2, cooldown * 4]);
+    expect(getCooldown(30)).toBe(maxCooldown);
+    Date.now.mockRestore();
+  });
+
+  test('the right PIN resets the lockout count', async () => {
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    await wrongPins(config.appLock.maxAttempts);
+    now = (await getPinLockout(userId)).cooldownUntil + 1;
+
+    expect(await verifyPin(userId, '1234')).toBe(true);
+    await wrongPins(config.appLock.maxAttempts);
+    expect((await getPinLockout(userId)).cooldownUntil - now).toBe(config.appLock.cooldown);
+    Date.now.mockRestore();
+  });
+
+  test('a correct PIN or removing the PIN clears the count', async () => {
+    await wrongPins(2);
+    expect(await verifyPin(userId, '1234')).toBe(true);
+    expect((await getPinLockout(userId)).failures).toBe(0);
+
+    await wrongPins(2);
+    await removePin(userId);
+    expect((await getPinLockout(userId)).failures).toBe(0);
+  });
+});
+
+describe('external pickers', () => {
+  test('are reported open only while their task runs', async () => {
+    let openDuringTask;
+    const result = await whileExternalTask(async () => {
+      openDuringTask = isExternalTaskOpen();
+      return 'picked';
+    });
+
+    expect(openDuringTask).toBe(true);
+    expect(result).toBe('picked');
+    expect(isExternalTaskOpen()).toBe(false);
+  });
+
+  test('are closed again when the task fails', async () => {
+    await expect(whileExternalTask(async () => { throw new Error('denied'); })).rejects.toThrow('denied');
+    expect(isExternalTaskOpen()).toBe(false);
+  });
+});
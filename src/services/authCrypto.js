@@ -0,0 +1,103 @@
+/**
+ * Auth Crypto - Password hashing and session tokens for local accounts
+ *
+ * Passwords: PBKDF2-HMAC-SHA256 with a random per-user salt. The stored
+ * string records its own parameters, so the work factor
+ * (config.auth.passwordIterations) can change and older hashes still
+ * verify (and are re-hashed on the next login):
+ *   pbkdf2$sha256$<iterations>$<saltHex>$<hashHex>
+ * Derivation runs on the JS thread but yields to the event loop as it goes
+ * (pbkdf2Async), so the UI keeps rendering while a login is checked.
+ *
+ * Sessions: random 256-bit tokens. Only a SHA-256 of the token is kept
+ * with the account; the token itself stays in SecureStore.
+ */
+
+import { getRandomBytes } from 'expo-crypto';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
+import config from '../../config';
+
+const HASH_SCHEME = 'pbkdf2';
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+const TOKEN_BYTES = 32;
+
+// Compare without exiting early on the first differing character
+function constantTimeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+async function deriveKey(password, salt, iterations) {
+  const key = await pbkdf2Async(sha256, utf8ToBytes(password), salt, {
+    c: iterations,
+    dkLen: KEY_BYTES,
+  });
+  return bytesToHex(key);
+}
+
+// ─── Passwords ────────────────────────────────────────────────────
+
+/**
+ * Hash a password with a fresh salt and the configured work factor
+ */
+export async function hashPassword(password, iterations = config.auth.passwordIterations) {
+  const salt = getRandomBytes(SALT_BYTES);
+  const key = await deriveKey(password, salt, iterations);
+  return [HASH_SCHEME, 'sha256', iterations, bytesToHex(salt), key].join('$');
+}
+
+/**
+ * Check a password against a stored hash from hashPassword.
+ * Returns false for malformed or legacy hashes.
+ */
+export async function verifyPassword(password, storedHash) {
+  const [scheme, digest, iterations, saltHex, keyHex] = String(storedHash || '').split('$');
+  if (scheme !== HASH_SCHEME || digest !== 'sha256' || !keyHex) {
+    return false;
+  }
+  const key = await deriveKey(password, hexToBytes(saltHex), Number(iterations));
+  return constantTimeEqual(key, keyHex);
+}
+
+/**
+ * True when a stored hash should be replaced after a successful login:
+ * a legacy hash, or a work factor other than the configured one (hashes
+ * from the old 100k default would keep every login slow)
+ */
+export function needsRehash(storedHash) {
+  const [scheme, , iterations] = String(storedHash || '').split('$');
+  return scheme !== HASH_SCHEME || Number(iterations) !== config.auth.passwordIterations;
+}
+
+// ─── Session tokens ───────────────────────────────────────────────
+
+export function generateSessionToken() {
+  return bytesToHex(getRandomBytes(TOKEN_BYTES));
+}
+
+/**
+ * Digest stored with the account so the token itself never sits in AsyncStorage
+ */
+export function hashSessionToken(token) {
+  return bytesToHex(sha256(utf8ToBytes(token)));
+}
+
+export function sessionTokenMatches(token, tokenHash) {
+  return Boolean(token && tokenHash) && constantTimeEqual(hashSessionToken(token), tokenHash);
+}
+
+export default {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  generateSessionToken,
+  hashSessionToken,
+  sessionTokenMatches,
+};
@@ -0,0 +1,62 @@
+import {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  generateSessionToken,
+  hashSessionToken,
+  sessionTokenMatches,
+} from './authCrypto';
+import config from '../../config';
+
+// Few iterations keep the round trips fast; the format is the same
+const ITERATIONS = 1000;
+
+describe('passwords', () => {
+  test('hashes record their parameters and a fresh salt', async () => {
+    const first = await hashPassword('correct horse', ITERATIONS);
+    const second = await hashPassword('correct horse', ITERATIONS);
+
+    expect(first).toMatch(/^pbkdf2\$sha256\$1000\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+    expect(second).not.toBe(first);
+  });
+
+  test('verify round-trips and rejects the wrong password', async () => {
+    const hash = await hashPassword('correct horse', ITERATIONS);
+
+    expect(await verifyPassword('correct horse', hash)).toBe(true);
+    expect(await verifyPassword('Correct horse', hash)).toBe(false);
+  });
+
+  test('verify uses the iterations stored in the hash', async () => {
+    const hash = await hashPassword('correct horse', 2000);
+
+    expect(await verifyPassword('correct horse', hash)).toBe(true);
+  });
+
+  test('legacy and malformed hashes never verify', async () => {
+    expect(await verifyPassword('correct horse', 'h_wyv2ah_13')).toBe(false);
+    expect(await verifyPassword('correct horse', 'pbkdf2$md5$1000$00$00')).toBe(false);
+    expect(await verifyPassword('correct horse', null)).toBe(false);
+  });
+
+  test('needsRehash flags legacy hashes and other work factors', async () => {
+    const current = await hashPassword('pw', config.auth.passwordIterations);
+
+    expect(needsRehash(current)).toBe(false);
+    expect(needsRehash('h_wyv2ah_13')).toBe(true);
+    expect(needsRehash(await hashPassword('pw', ITERATIONS))).toBe(true);
+    expect(needsRehash(current.replace(`$${config.auth.passwordIterations}$`, '$100000$'))).toBe(true);
+  });
+});
+
+describe('session tokens', () => {
+  test('only the matching token passes', () => {
+    const token = generateSessionToken();
+    const tokenHash = hashSessionToken(token);
+
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(sessionTokenMatches(token, tokenHash)).toBe(true);
+    expect(sessionTokenMatches(generateSessionToken(), tokenHash)).toBe(false);
+    expect(sessionTokenMatches(token, null)).toBe(false);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Backup Service - Export and import the signed-in account's data
+ *
+ * A backup is one JSON file:
+ *   { format: 'purelytics-backup', version, schemaVersion, exportedAt,
+ *     appVersion, settings, profiles, scans, images }
+ * `scans` are full history records; `images` maps stored photo file names
+ * to base64 JPEGs and is only filled when photos are included (otherwise
+ * scans are exported without imageFiles). Exports go to the OS share
+ * sheet; imports are picked with the document picker. Imported data is
+ * brought up to the current storage schema (see storageMigrations) first.
+ *
+ * Importing can merge (add profiles and scans this device doesn't have,
+ * matched by id) or replace (clear profiles and history first). Settings
+ * come from the backup either way. App-lock PINs, passwords and sessions
+ * are never part of a backup.
+ */
+
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import { storageService } from './storageService';
+import scanRepository from './scanRepository';
+import { loadScanImages, writeScanImages } from './scanImageStore';
+import { applyMigrations, SCHEMA_VERSION } from './storageMigrations';
+import { whileExternalTask } from './appLock';
+import config from '../../config';
+
+export const BACKUP_FORMAT = 'purelytics-backup';
+export const BACKUP_VERSION = 1;
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// ─── Export ───────────────────────────────────────────────────────
+
+/**
+ * Collect settings, profiles and every scan of the active user
+ */
+export async function createBackup({ includeImages = false } = {}) {
+  const [settings, profiles] = await Promise.all([
+    storageService.getSettings(),
+    storageService.getProfiles(),
+  ]);
+
+  const scans = [];
+  const images = {};
+  for (const entry of scanRepository.getScanIndex()) {
+    const scan = await scanRepository.getScan(entry.id);
+    if (!scan) continue;
+
+    if (!includeImages) {
+      const { imageFiles, ...withoutImages } = scan;
+      scans.push(withoutImages);
+      continue;
+    }
+
+    for (const fileName of scan.imageFiles || []) {
+      const [base64] = await loadScanImages([fileName]);
+      if (base64) images[fileName] = base64;
+    }
+    scans.push(scan);
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    appVersion: config.app.version,
+    settings: settings || {},
+    profiles,
+    scans,
+    images,
+  };
+}
+
+/**
+ * Write a backup to a JSON file and open the share sheet so it can be
+ * saved to Files, Drive, AirDrop, email, etc.
+ * Returns the number of scans exported.
+ */
+export async function exportBackup(options) {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device.');
+  }
+
+  const backup = await createBackup(options);
+  const date = backup.exportedAt.slice(0, 10);
+  const file = new File(Paths.cache, `purelytics-backup-${date}.json`);
+  if (file.exists) file.delete();
+  file.create();
+  file.write(JSON.stringify(backup));
+
+  await whileExternalTask(() => Sharing.shareAsync(file.uri, {
+    mimeType: 'application/json',
+    UTI: 'public.json',
+    dialogTitle: 'Save Purelytics backup',
+  }));
+  return backup.scans.length;
+}
+
+// ─── Import ───────────────────────────────────────────────────────
+
+/**
+ * Parse and validate backup JSON. Throws with a readable message when the
+ * file isn't a backup or was made by a newer app version.
+ */
+export function parseBackup(json) {
+  let backup;
+  try {
+    backup = JSON.parse(json);
+  } catch (e) {
+    throw new Error('This file is not a Purelytics backup.');
+  }
+
+  if (!isObject(backup) || backup.format !== BACKUP_FORMAT || !Number.isInteger(backup.version)) {
+    throw new Error('This file is not a Purelytics backup.');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of Purelytics. Update the app to import it.');
+  }
+  if (!Array.isArray(backup.profiles) || !Array.isArray(backup.scans)) {
+    throw new Error('This backup is incomplete or damaged.');
+  }
+
+  return {
+    ...backup,
+    settings: isObject(backup.settings) ? backup.settings : {},
+    profiles: backup.profiles.filter((profile) => isObject(profile) && profile.id),
+    scans: backup.scans.filter((scan) => isObject(scan) && scan.id),
+    images: isObject(backup.images) ? backup.images : {},
+  };
+}
+
+/**
+ * Let the user choose a backup file. Returns the parsed backup, or null
+ * when the picker is cancelled.
+ */
+export async function pickBackupFile() {
+  const result = await whileExternalTask(() => DocumentPicker.getDocumentAsync({
+    // Android often reports .json files without a JSON mime type
+    type: ['application/json', 'application/octet-stream', 'text/plain'],
+    copyToCacheDirectory: true,
+  }));
+  if (result.canceled || !result.assets?.length) {
+    return null;
+  }
+  return parseBackup(await new File(result.assets[0].uri).text());
+}
+
+/**
+ * Write a parsed backup into the active user's storage.
+ * `replace` clears profiles and scan history first; otherwise profiles and
+ * scans already on the device win over copies with the same id.
+ * Returns { settings, profiles, scanHistory, scansAdded, scansSkipped,
+ * profilesAdded } so the caller can refresh its state.
+ */
+export async function restoreBackup(backup, { replace = false } = {}) {
+  const userId = storageService.getActiveUserId();
+  const [currentSettings, currentProfiles] = replace
+    ? [{}, []]
+    : await Promise.all([storageService.getSettings(), storageService.getProfiles()]);
+
+  const imported = applyMigrations(
+    { settings: backup.settings, profiles: backup.profiles, scans: backup.scans },
+    Number.isInteger(backup.schemaVersion) ? backup.schemaVersion : 0,
+    { userId },
+  );
+
+  const settings = { ...currentSettings, ...imported.settings };
+
+  const knownProfiles = new Set(currentProfiles.map((profile) => profile.id));
+  const newProfiles = [];
+  imported.profiles.forEach((profile) => {
+    if (knownProfiles.has(profile.id)) return;
+    knownProfiles.add(profile.id);
+    newProfiles.push({ ...profile, userId });
+  });
+  const profiles = [...currentProfiles, ...newProfiles];
+
+  await storageService.saveSettings(settings);
+  await storageService.saveProfiles(profiles);
+
+  if (replace) {
+    scanRepository.clearScans();
+  }
+
+  // Photos first, so the repository counts them against the storage limit
+  const knownScans = new Set(scanRepository.getScanIndex().map((entry) => entry.id));
+  const newScans = imported.scans.filter((scan) => !knownScans.has(scan.id));
+  const photos = {};
+  newScans.forEach((scan) => {
+    (scan.imageFiles || []).forEach((fileName) => {
+      if (backup.images[fileName]) photos[fileName] = backup.images[fileName];
+    });
+  });
+  const written = new Set(writeScanImages(photos));
+
+  const { index, added } = scanRepository.importScans(newScans.map((scan) => ({
+    ...scan,
+    imageFiles: (scan.imageFiles || []).filter((fileName) => written.has(fileName)),
+  })));
+
+  return {
+    settings,
+    profiles,
+    scanHistory: index,
+    scansAdded: added,
+    scansSkipped: backup.scans.length - added,
+    profilesAdded: newProfiles.length,
+  };
+}
+
+export default {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  createBackup,
+  exportBackup,
+  parseBackup,
+  pickBackupFile,
+  restoreBackup,
+};
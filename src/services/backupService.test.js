@@ -0,0 +1,116 @@
+import { parseBackup, restoreBackup, BACKUP_FORMAT, BACKUP_VERSION } from './backupService';
+import { storageService } from './storageService';
+import scanRepository from './scanRepository';
+import { writeScanImages } from './scanImageStore';
+
+// Photo files are out of scope here; report which ones were "written"
+jest.mock('./scanImageStore', () => ({
+  writeScanImages: jest.fn(images => Object.keys(images)),
+  loadScanImages: jest.fn(async () => []),
+  getScanImagesSize: () => 0,
+  deleteScanImages: jest.fn(),
+  clearScanImages: jest.fn(),
+}));
+
+const backupJson = (fields) => JSON.stringify({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  settings: {},
+  profiles: [],
+  scans: [],
+  ...fields,
+});
+
+const scan = (id, fields) => ({ id, name: `Product ${id}`, scannedAt: '2026-01-01T00:00:00Z', category: 'Snack', ...fields });
+
+describe('parseBackup', () => {
+  test('rejects a backup from a newer app version', () => {
+    expect(() => parseBackup(backupJson({ version: BACKUP_VERSION + 1 }))).toThrow('newer version');
+  });
+
+  test('rejects files that are not backups', () => {
+    expect(() => parseBackup('not json')).toThrow('not a Purelytics backup');
+    expect(() => parseBackup(JSON.stringify({ format: 'other', version: 1 }))).toThrow('not a Purelytics backup');
+    expect(() => parseBackup(backupJson({ scans: null }))).toThrow('incomplete or damaged');
+  });
+
+  test('drops profiles and scans without an id', () => {
+    const backup = parseBackup(backupJson({ profiles: [{ id: 'p1' }, { name: 'x' }], scans: [scan('s1'), null, {}] }));
+
+    expect(backup.profiles).toEqual([{ id: 'p1' }]);
+    expect(backup.scans.map(s => s.id)).toEqual(['s1']);
+    expect(backup.images).toEqual({});
+  });
+});
+
+describe('restoreBackup', () => {
+  beforeEach(async () => {
+    storageService.setActiveUser('user-1');
+    scanRepository.clearScans();
+    await storageService.saveProfiles([{ id: 'p1', name: 'Sam', userId: 'user-1' }]);
+    await storageService.saveSettings({ theme: 'dark' });
+    scanRepository.saveScan(scan('s1', { name: 'Kept' }));
+  });
+
+  test('merge keeps what the device has and skips repeated ids', async () => {
+    const backup = parseBackup(backupJson({
+      schemaVersion: 3,
+      settings: { language: 'en' },
+      profiles: [{ id: 'p1', name: 'Old Sam' }, { id: 'p2', name: 'Alex' }],
+      scans: [scan('s1', { name: 'From backup' }), scan('s22'), scan('s22')],
+    }));
+
+    const result = await restoreBackup(backup);
+
+    expect(result).toMatchObject({ scansAdded: 1, scansSkipped: 2, profilesAdded: 1 });
+    expect(result.settings).toEqual({ theme: 'dark', language: 'en' });
+    expect(result.profiles.map(p => [p.id, p.name, p.userId])).toEqual([
+      ['p1', 'Sam', 'user-1'],
+      ['p2', 'Alex', 'user-1'],
+    ]);
+    expect(result.scanHistory.map(entry => entry.id).sort()).toEqual(['s1', 's22']);
+    expect((await scanRepository.getScan('s1')).name).toBe('Kept');
+  });
+
+  test('replace clears profiles and history first', async () => {
+    const backup = parseBackup(backupJson({
+      schemaVersion: 3,
+      profiles: [{ id: 'p2', name: 'Alex' }],
+      scans: [scan('s22')],
+    }));
+
+    const result = await restoreBackup(backup, { replace: true });
+
+    expect(result.profiles.map(p => p.id)).toEqual(['p2']);
+    expect(result.scanHistory.map(entry => entry.id)).toEqual(['s22']);
+    expect(await scanRepository.getScan('s1')).toBeNull();
+    expect(await storageService.getProfiles()).toEqual(result.profiles);
+  });
+
+  test('an older schemaVersion is migrated on the way in', async () => {
+    const backup = parseBackup(backupJson({
+      schemaVersion: 1,
+      scans: [scan('s22', { category: undefined, productType: 'drink' })],
+    }));
+
+    await restoreBackup(backup);
+
+    const imported = await scanRepository.getScan('s22');
+    expect(imported.category).toBe('Beverage');
+    expect(imported).not.toHaveProperty('productType');
+  });
+
+  test('keeps only the photo names that were written', async () => {
+    writeScanImages.mockReturnValueOnce(['a.jpg']);
+    const backup = parseBackup(backupJson({
+      schemaVersion: 3,
+      scans: [scan('s22', { imageFiles: ['a.jpg', 'b.jpg', 'missing.jpg'] })],
+      images: { 'a.jpg': 'AAAA', 'b.jpg': 'BBBB' },
+    }));
+
+    await restoreBackup(backup);
+
+    expect(writeScanImages).toHaveBeenLastCalledWith({ 'a.jpg': 'AAAA', 'b.jpg': 'BBBB' });
+    expect((await scanRepository.getScan('s22')).imageFiles).toEqual(['a.jpg']);
+  });
+});
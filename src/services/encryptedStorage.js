@@ -0,0 +1,137 @@
+/**
+ * Encrypted Storage - AES-256-GCM layer over AsyncStorage for personal data
+ *
+ * Settings, household profiles (ages, health conditions) and scan history
+ * are encrypted before they reach AsyncStorage. The 256-bit data key is
+ * generated once per install and kept in SecureStore; each value gets a
+ * fresh nonce and is stored as
+ *   enc1:<nonceBase64>:<ciphertextBase64>
+ *
+ * Reads pass plaintext written by older versions through unchanged, and
+ * encryptPlaintext() rewrites such values in place. A value that no longer
+ * decrypts (the data key was lost with the keychain, or the value is
+ * damaged) throws DecryptError rather than reading as missing, so callers
+ * don't start over with empty data and write it over the stored copy.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { getRandomBytes } from 'expo-crypto';
+import { gcm } from '@noble/ciphers/aes';
+import { bytesToHex, hexToBytes, utf8ToBytes, bytesToUtf8 } from '@noble/ciphers/utils';
+
+const DATA_KEY = 'purelytics_data_key';
+const PREFIX = 'enc1:';
+const KEY_BYTES = 32;
+const NONCE_BYTES = 12;
+
+let dataKeyPromise = null;
+
+// Load the install's data key, creating it on first use
+function getDataKey() {
+  if (!dataKeyPromise) {
+    dataKeyPromise = (async () => {
+      const stored = await SecureStore.getItemAsync(DATA_KEY);
+      if (stored) return hexToBytes(stored);
+
+      const key = getRandomBytes(KEY_BYTES);
+      await SecureStore.setItemAsync(DATA_KEY, bytesToHex(key));
+      return key;
+    })();
+    // Let a failed SecureStore call be retried on the next read or write
+    dataKeyPromise.catch(() => {
+      dataKeyPromise = null;
+    });
+  }
+  return dataKeyPromise;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+export class DecryptError extends Error {
+  constructor(cause) {
+    super('Your saved data could not be unlocked on this device. It has not been changed.');
+    this.name = 'DecryptError';
+    this.cause = cause;
+  }
+}
+
+// ─── Values ───────────────────────────────────────────────────────
+
+export async function encrypt(plaintext) {
+  const key = await getDataKey();
+  const nonce = getRandomBytes(NONCE_BYTES);
+  const sealed = gcm(key, nonce).encrypt(utf8ToBytes(plaintext));
+  return `${PREFIX}${bytesToBase64(nonce)}:${bytesToBase64(sealed)}`;
+}
+
+/**
+ * Plaintext of a stored value. Unencrypted values are returned as they are;
+ * throws DecryptError when an encrypted one can't be read.
+ */
+export async function decrypt(value) {
+  if (!isEncrypted(value)) return value;
+
+  const key = await getDataKey();
+  try {
+    const [nonce, sealed] = value.slice(PREFIX.length).split(':');
+    return bytesToUtf8(gcm(key, base64ToBytes(nonce)).decrypt(base64ToBytes(sealed)));
+  } catch (e) {
+    throw new DecryptError(e);
+  }
+}
+
+// ─── AsyncStorage API ─────────────────────────────────────────────
+// Removing keys needs no decryption; callers use AsyncStorage directly.
+
+export async function getItem(key) {
+  return decrypt(await AsyncStorage.getItem(key));
+}
+
+export async function setItem(key, value) {
+  await AsyncStorage.setItem(key, await encrypt(value));
+}
+
+export async function multiGet(keys) {
+  const pairs = await AsyncStorage.multiGet(keys);
+  return Promise.all(pairs.map(async ([key, value]) => [key, await decrypt(value)]));
+}
+
+export async function multiSet(pairs) {
+  const sealed = await Promise.all(pairs.map(async ([key, value]) => [key, await encrypt(value)]));
+  await AsyncStorage.multiSet(sealed);
+}
+
+/**
+ * Encrypt any of `keys` still holding plaintext. Returns how many were rewritten.
+ */
+export async function encryptPlaintext(keys) {
+  const pairs = await AsyncStorage.multiGet(keys);
+  const plaintext = pairs.filter(([, value]) => value !== null && !isEncrypted(value));
+  if (plaintext.length > 0) {
+    await multiSet(plaintext);
+  }
+  return plaintext.length;
+}
+
+export default {
+  DecryptError,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  getItem,
+  setItem,
+  multiGet,
+  multiSet,
+  encryptPlaintext,
+};
@@ -0,0 +1,59 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import encryptedStorage, { DecryptError, decrypt, encrypt, isEncrypted } from './encryptedStorage';
+
+describe('encryptedStorage', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  test('values are stored as enc1:<nonce>:<ciphertext> and read back', async () => {
+    await encryptedStorage.setItem('k', '{"a":1}');
+
+    const raw = await AsyncStorage.getItem('k');
+    expect(raw).toMatch(/^enc1:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+$/);
+    expect(raw).not.toContain('"a"');
+    expect(await encryptedStorage.getItem('k')).toBe('{"a":1}');
+  });
+
+  test('each write gets a fresh nonce', async () => {
+    expect(await encrypt('same')).not.toBe(await encrypt('same'));
+  });
+
+  test('plaintext from older versions and missing values pass through', async () => {
+    await AsyncStorage.setItem('old', '{"b":2}');
+
+    expect(await encryptedStorage.getItem('old')).toBe('{"b":2}');
+    expect(await encryptedStorage.getItem('missing')).toBeNull();
+  });
+
+  test('encryptPlaintext rewrites only plaintext values', async () => {
+    await AsyncStorage.setItem('old', 'plain');
+    await encryptedStorage.setItem('new', 'sealed');
+    const sealed = await AsyncStorage.getItem('new');
+
+    expect(await encryptedStorage.encryptPlaintext(['old', 'new', 'missing'])).toBe(1);
+    expect(isEncrypted(await AsyncStorage.getItem('old'))).toBe(true);
+    expect(await encryptedStorage.getItem('old')).toBe('plain');
+    expect(await AsyncStorage.getItem('new')).toBe(sealed);
+  });
+
+  test('a damaged value throws instead of reading as missing', async () => {
+    const sealed = await encrypt('secret');
+    const damaged = `${sealed.slice(0, -4)}AAA=`;
+
+    await expect(decrypt(damaged)).rejects.toBeInstanceOf(DecryptError);
+  });
+
+  test('a value from another data key throws', async () => {
+    const sealed = await encrypt('secret');
+
+    // The keychain now holds another key (e.g. restored on a new device)
+    await SecureStore.setItemAsync('purelytics_data_key', '11'.repeat(32));
+    let other;
+    jest.isolateModules(() => {
+      other = require('./encryptedStorage');
+    });
+    await expect(other.decrypt(sealed)).rejects.toThrow('could not be unlocked');
+  });
+});
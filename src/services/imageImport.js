@@ -0,0 +1,82 @@
+/**
+ * Image Import - Label photos that weren't taken with the live camera
+ * Picks images from the device library or takes the files another app
+ * shared into Purelytics, and normalizes them into the same
+ * { uri, base64, width } JPEGs the camera produces, ready for analyzeWithPreferred.
+ */
+
+import * as ImagePicker from 'expo-image-picker';
+import { manipulateAsync, SaveFormat } from 'expo-image-manipulator';
+import { whileExternalTask } from './appLock';
+
+// Same cap as a multi-photo camera session
+export const MAX_IMPORT_IMAGES = 5;
+
+// Screenshots and full-resolution photos are downscaled to keep requests small
+const MAX_IMAGE_WIDTH = 2048;
+const JPEG_QUALITY = 0.8;
+
+/**
+ * Resize (if wider than MAX_IMAGE_WIDTH) and re-encode as base64 JPEG.
+ * PNG screenshots and HEIC photos come out as JPEG like camera captures.
+ */
+async function normalizeImage(uri, width) {
+  const actions = width && width > MAX_IMAGE_WIDTH
+    ? [{ resize: { width: MAX_IMAGE_WIDTH } }]
+    : [];
+  const result = await manipulateAsync(uri, actions, {
+    compress: JPEG_QUALITY,
+    format: SaveFormat.JPEG,
+    base64: true,
+  });
+  return { uri: result.uri, base64: result.base64, width: result.width };
+}
+
+/**
+ * Let the user pick up to MAX_IMPORT_IMAGES label photos from the library.
+ * Returns [] when the picker is cancelled; throws when access is denied.
+ */
+export async function pickLabelImages() {
+  const result = await whileExternalTask(async () => {
+    const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (!permission.granted) {
+      throw new Error('Photo library access is needed to import label photos. You can enable it in your device settings.');
+    }
+
+    return ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ['images'],
+      allowsMultipleSelection: true,
+      selectionLimit: MAX_IMPORT_IMAGES,
+      orderedSelection: true,
+      quality: 1,
+    });
+  });
+
+  if (result.canceled || !result.assets?.length) {
+    return [];
+  }
+
+  return Promise.all(
+    result.assets
+      .slice(0, MAX_IMPORT_IMAGES)
+      .map(asset => normalizeImage(asset.uri, asset.width))
+  );
+}
+
+/**
+ * Convert files shared from another app (share sheet) into label images.
+ * Non-image files are ignored.
+ */
+export async function prepareSharedImages(files = []) {
+  const images = files
+    .filter(file => file?.path && (file.mimeType || '').startsWith('image/'))
+    .slice(0, MAX_IMPORT_IMAGES);
+
+  return Promise.all(images.map(file => normalizeImage(file.path, file.width)));
+}
+
+export default {
+  MAX_IMPORT_IMAGES,
+  pickLabelImages,
+  prepareSharedImages,
+};
@@ -0,0 +1,244 @@
+/**
+ * Ingredient Dataset - Versioned food ingredient data and in-app updates
+ *
+ * The food database ships as data/ingredients.json:
+ *   { format: 'purelytics-ingredients', schemaVersion, version, updatedAt,
+ *     ingredients: [entry] }
+ * `version` counts dataset releases; `schemaVersion` is the entry shape
+ * below. A newer dataset can be imported from a file; it is validated in
+ * full, saved to <documents>/ingredient-dataset.json and used instead of
+ * the bundled one from then on (until the app ships a newer bundle, or
+ * the user resets it). The dataset is shared by every account on the device.
+ */
+
+import { File, Paths } from 'expo-file-system';
+import * as DocumentPicker from 'expo-document-picker';
+import { whileExternalTask } from './appLock';
+import { CONCERN_LEVELS } from './analysisSchema';
+import { bundledDataset, replaceIngredientDatabase } from '../data/ingredientDatabase';
+
+export const DATASET_FORMAT = 'purelytics-ingredients';
+export const DATASET_SCHEMA_VERSION = 1;
+
+// Required entry fields and their checks
+const REQUIRED_FIELDS = {
+  id: (value) => typeof value === 'string' && /^[a-z0-9]+(-[a-z0-9]+)*$/.test(value),
+  name: (value) => typeof value === 'string' && value.trim().length > 0,
+  category: (value) => typeof value === 'string' && value.trim().length > 0,
+  score: (value) => Number.isInteger(value) && value >= 0 && value <= 100,
+  concern: (value) => CONCERN_LEVELS.includes(value),
+  plainEnglish: (value) => typeof value === 'string',
+  healthNotes: (value) => typeof value === 'string',
+};
+
+const REQUIRED_HINTS = {
+  id: 'lower-case words joined by hyphens',
+  score: 'a whole number from 0 to 100',
+  concern: CONCERN_LEVELS.join(', '),
+};
+
+const isString = (value) => typeof value === 'string';
+const isStringList = (value) => Array.isArray(value) && value.every(isString);
+const isBoolean = (value) => typeof value === 'boolean';
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Optional entry fields; anything else is kept as-is
+const OPTIONAL_FIELDS = {
+  eNumber: isString,
+  group: isString,
+  dailyLimit: isString,
+  regulatoryStatus: isObject,
+  bans: isStringList,
+  hiddenNames: isStringList,
+  foundIn: isStringList,
+  alternatives: isStringList,
+  sources: isStringList,
+  kidAlert: isBoolean,
+  heartHealthAlert: isBoolean,
+  diabeticAlert: isBoolean,
+  pkuAlert: isBoolean,
+};
+
+// Stop listing problems after this many; one bad file can have hundreds
+const MAX_ERRORS = 5;
+
+const IMPORTED_FILE_NAME = 'ingredient-dataset.json';
+
+let activeDataset = { ...bundledDataset, source: 'bundled' };
+
+const importedFile = () => new File(Paths.document, IMPORTED_FILE_NAME);
+
+// ─── Validation ───────────────────────────────────────────────────
+
+/**
+ * Check a parsed dataset against the schema.
+ * Returns a list of readable problems; empty when the dataset is valid.
+ */
+export function validateDataset(dataset) {
+  if (!isObject(dataset) || dataset.format !== DATASET_FORMAT) {
+    return ['This file is not a Purelytics ingredient dataset.'];
+  }
+  if (!Number.isInteger(dataset.schemaVersion) || !Number.isInteger(dataset.version)) {
+    return ['The dataset has no schemaVersion or version number.'];
+  }
+  if (dataset.schemaVersion > DATASET_SCHEMA_VERSION) {
+    return ['This dataset was made for a newer version of Purelytics. Update the app to import it.'];
+  }
+  if (!Array.isArray(dataset.ingredients) || dataset.ingredients.length === 0) {
+    return ['The dataset has no ingredients.'];
+  }
+
+  const errors = [];
+  const seenIds = new Set();
+  dataset.ingredients.forEach((entry, index) => {
+    const label = `Ingredient ${index + 1}${isObject(entry) && isString(entry.id) ? ` (${entry.id})` : ''}`;
+    if (!isObject(entry)) {
+      errors.push(`${label} is not an object.`);
+      return;
+    }
+
+    Object.entries(REQUIRED_FIELDS).forEach(([field, isValid]) => {
+      if (entry[field] === undefined) {
+        errors.push(`${label} is missing "${field}".`);
+      } else if (!isValid(entry[field])) {
+        const hint = REQUIRED_HINTS[field] ? ` (expected ${REQUIRED_HINTS[field]})` : '';
+        errors.push(`${label} has an invalid "${field}"${hint}.`);
+      }
+    });
+    Object.entries(OPTIONAL_FIELDS).forEach(([field, isValid]) => {
+      if (entry[field] !== undefined && !isValid(entry[field])) {
+        errors.push(`${label} has an invalid "${field}".`);
+      }
+    });
+
+    if (isString(entry.id)) {
+      if (seenIds.has(entry.id)) errors.push(`${label} repeats the id "${entry.id}".`);
+      seenIds.add(entry.id);
+    }
+  });
+
+  if (errors.length > MAX_ERRORS) {
+    return [...errors.slice(0, MAX_ERRORS), `...and ${errors.length - MAX_ERRORS} more problems.`];
+  }
+  return errors;
+}
+
+/**
+ * Parse and validate dataset JSON. Throws with a readable message listing
+ * what is wrong, so a bad file never replaces working data.
+ */
+export function parseDataset(json) {
+  let dataset;
+  try {
+    dataset = JSON.parse(json);
+  } catch (e) {
+    throw new Error('This file is not a Purelytics ingredient dataset.');
+  }
+
+  const errors = validateDataset(dataset);
+  if (errors.length) {
+    throw new Error(errors.join('\n'));
+  }
+  return dataset;
+}
+
+// ─── Loading ──────────────────────────────────────────────────────
+
+function applyDataset(dataset, source) {
+  replaceIngredientDatabase(dataset.ingredients);
+  activeDataset = { ...dataset, source };
+}
+
+/**
+ * Version, date and size of the dataset in use.
+ * `source` is 'bundled' or 'imported'.
+ */
+export function getDatasetInfo() {
+  return {
+    version: activeDataset.version,
+    updatedAt: activeDataset.updatedAt || null,
+    count: activeDataset.ingredients.length,
+    source: activeDataset.source,
+  };
+}
+
+/**
+ * Use a previously imported dataset if it is still newer than the bundled
+ * one. Call once at startup; falls back to the bundled data on any problem.
+ */
+export async function loadIngredientDataset() {
+  try {
+    const file = importedFile();
+    if (!file.exists) return getDatasetInfo();
+
+    const dataset = parseDataset(await file.text());
+    if (dataset.version > bundledDataset.version) {
+      applyDataset(dataset, 'imported');
+    } else {
+      // The app has since shipped the same or newer data
+      file.delete();
+    }
+  } catch (e) {
+    console.error('ingredientDataset.loadIngredientDataset error:', e);
+  }
+  return getDatasetInfo();
+}
+
+// ─── Import / reset ───────────────────────────────────────────────
+
+/**
+ * Let the user choose a dataset file, validate it and switch to it.
+ * Only newer datasets are accepted. Returns the new dataset info, or null
+ * when the picker is cancelled; throws with a readable message otherwise.
+ */
+export async function importIngredientDataset() {
+  const result = await whileExternalTask(() => DocumentPicker.getDocumentAsync({
+    // Android often reports .json files without a JSON mime type
+    type: ['application/json', 'application/octet-stream', 'text/plain'],
+    copyToCacheDirectory: true,
+  }));
+  if (result.canceled || !result.assets?.length) {
+    return null;
+  }
+
+  const json = await new File(result.assets[0].uri).text();
+  const dataset = parseDataset(json);
+  if (dataset.version <= activeDataset.version) {
+    throw new Error(
+      `This dataset (version ${dataset.version}) is not newer than the one in use (version ${activeDataset.version}).`,
+    );
+  }
+
+  const file = importedFile();
+  if (file.exists) file.delete();
+  file.create();
+  file.write(json);
+
+  applyDataset(dataset, 'imported');
+  return getDatasetInfo();
+}
+
+/**
+ * Go back to the dataset that shipped with the app
+ */
+export function resetIngredientDataset() {
+  try {
+    const file = importedFile();
+    if (file.exists) file.delete();
+  } catch (e) {
+    console.error('ingredientDataset.resetIngredientDataset error:', e);
+  }
+  applyDataset(bundledDataset, 'bundled');
+  return getDatasetInfo();
+}
+
+export default {
+  DATASET_FORMAT,
+  DATASET_SCHEMA_VERSION,
+  validateDataset,
+  parseDataset,
+  getDatasetInfo,
+  loadIngredientDataset,
+  importIngredientDataset,
+  resetIngredientDataset,
+};
@@ -0,0 +1,86 @@
+import { validateDataset, parseDataset, DATASET_FORMAT, DATASET_SCHEMA_VERSION } from './ingredientDataset';
+import { bundledDataset } from '../data/ingredientDatabase';
+
+const entry = (fields) => ({
+  id: 'sea-salt',
+  name: 'Sea Salt',
+  category: 'Seasoning',
+  score: 80,
+  concern: 'low',
+  plainEnglish: 'Salt from evaporated sea water.',
+  healthNotes: '',
+  ...fields,
+});
+
+const dataset = (fields) => ({
+  format: DATASET_FORMAT,
+  schemaVersion: DATASET_SCHEMA_VERSION,
+  version: 3,
+  ingredients: [entry()],
+  ...fields,
+});
+
+describe('validateDataset', () => {
+  test('the bundled dataset is valid', () => {
+    expect(validateDataset(bundledDataset)).toEqual([]);
+  });
+
+  test('accepts every concern level the app uses, including none', () => {
+    const ingredients = ['none', 'low', 'moderate', 'high'].map((concern, i) => entry({ id: `entry-${i}`, concern }));
+
+    expect(validateDataset(dataset({ ingredients }))).toEqual([]);
+  });
+
+  test('rejects files that are not datasets or are too new', () => {
+    expect(validateDataset(dataset({ format: 'other' }))).toEqual(['This file is not a Purelytics ingredient dataset.']);
+    expect(validateDataset([])).toEqual(['This file is not a Purelytics ingredient dataset.']);
+    expect(validateDataset(dataset({ version: '3' }))[0]).toContain('no schemaVersion or version');
+    expect(validateDataset(dataset({ schemaVersion: DATASET_SCHEMA_VERSION + 1 }))[0]).toContain('newer version');
+    expect(validateDataset(dataset({ ingredients: [] }))).toEqual(['The dataset has no ingredients.']);
+  });
+
+  test('names missing and invalid fields, with the expected value where it helps', () => {
+    const { healthNotes, ...withoutNotes } = entry();
+    const errors = validateDataset(dataset({
+      ingredients: [withoutNotes, entry({ id: 'Sea Salt', concern: 'severe' }), 'salt'],
+    }));
+
+    expect(errors).toEqual([
+      'Ingredient 1 (sea-salt) is missing "healthNotes".',
+      'Ingredient 2 (Sea Salt) has an invalid "id" (expected lower-case words joined by hyphens).',
+      'Ingredient 2 (Sea Salt) has an invalid "concern" (expected none, low, moderate, high).',
+      'Ingredient 3 is not an object.',
+    ]);
+  });
+
+  test('checks optional fields and repeated ids', () => {
+    const errors = validateDataset(dataset({
+      ingredients: [entry({ bans: 'EU' }), entry({ kidAlert: true })],
+    }));
+
+    expect(errors).toEqual([
+      'Ingredient 1 (sea-salt) has an invalid "bans".',
+      'Ingredient 2 (sea-salt) repeats the id "sea-salt".',
+    ]);
+  });
+
+  test('lists at most five problems', () => {
+    const ingredients = Array.from({ length: 8 }, (_, i) => entry({ id: `entry-${i}`, score: 101 }));
+    const errors = validateDataset(dataset({ ingredients }));
+
+    expect(errors).toHaveLength(6);
+    expect(errors[5]).toBe('...and 3 more problems.');
+  });
+});
+
+describe('parseDataset', () => {
+  test('returns a valid dataset', () => {
+    expect(parseDataset(JSON.stringify(dataset()))).toEqual(dataset());
+  });
+
+  test('throws with every problem listed', () => {
+    expect(() => parseDataset('{')).toThrow('not a Purelytics ingredient dataset');
+    expect(() => parseDataset(JSON.stringify(dataset({ ingredients: [entry({ score: 1.5, name: '' })] }))))
+      .toThrow('has an invalid "name".\nIngredient 1 (sea-salt) has an invalid "score"');
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * Ingredient Matcher - Ranked, typo-tolerant matching of label names
+ * against a curated ingredient database
+ *
+ * A label name is matched by, most certain first:
+ * - an E/INS code printed on it ("Colour (E150d)")
+ * - a name or alias with the same normalized words (see
+ *   ingredientDatabase.tokenizeName: case, punctuation, plurals, British
+ *   spellings and qualifiers such as "organic" don't matter)
+ * - word overlap with a name or alias, allowing small edit distances for
+ *   OCR and spelling slips ("sodlum benzoate", "xanthum gum")
+ *
+ * Every match has a confidence from 0 to 1. Candidates below
+ * MIN_CONFIDENCE are not matches; matches below CONFIDENT_MATCH are only
+ * suggestions for the user to check, never used in their own right.
+ */
+
+import {
+  ingredientDatabase,
+  findAdditiveCodes,
+  findIngredientByCode,
+  getAdditiveCodes,
+  getNameIndex,
+  tokenizeName,
+} from '../data/ingredientDatabase';
+
+export const CONFIDENT_MATCH = 0.8;
+export const MIN_CONFIDENCE = 0.65;
+
+// Hidden names are a little less certain than the entry's own name
+const KIND_WEIGHT = { name: 1, hidden: 0.97 };
+
+// A name read with its parenthetical left out, or from the parenthetical
+// alone: "Sodium Benzoate (Preservative)", "Preservative (Sodium Benzoate)"
+const PARENTHETICAL_WEIGHT = 0.95;
+
+// A code that matches on its number only ("E150" for E150c/E150d)
+const BASE_CODE_CONFIDENCE = 0.85;
+
+// Each typo costs this much per character of the word it hits
+const EDIT_PENALTY = 1.5;
+
+// Characters OCR mistakes for each other ("sodlum", "g1ucose", "s0y");
+// swapping them costs half a typo
+const OCR_CONFUSABLE = ['il1', 'o0', 's5'];
+const OCR_COST = 0.5;
+
+// ─── Word similarity ──────────────────────────────────────────────
+
+// Typos tolerated in a word of this length; short words must be exact
+function maxEdits(length) {
+  if (length < 4) return 0;
+  return length < 10 ? 1 : 2;
+}
+
+function substitutionCost(a, b) {
+  if (a === b) return 0;
+  return OCR_CONFUSABLE.some(group => group.includes(a) && group.includes(b)) ? OCR_COST : 1;
+}
+
+/**
+ * Levenshtein distance (OCR swaps at OCR_COST), giving up (returning
+ * Infinity) once it is certain to exceed `limit`
+ */
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return Infinity;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + substitutionCost(a[i - 1], b[j - 1]),
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return Infinity;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Letter pairs OCR reads as one letter: "rn" for "m", "vv" for "w"
+const ocrVariant = (token) => token.replace(/rn/g, 'm').replace(/vv/g, 'w');
+
+/**
+ * How well a label word matches an index word: 1 when equal, less for
+ * each typo, 0 when too different
+ */
+function wordSimilarity(labelToken, indexToken) {
+  if (labelToken === indexToken) return 1;
+
+  // Merged letters are an OCR swap, even in a short word ("gurn")
+  let distance = ocrVariant(labelToken) === indexToken ? OCR_COST : Infinity;
+  const allowed = maxEdits(indexToken.length);
+  if (allowed) distance = Math.min(distance, editDistance(labelToken, indexToken, allowed));
+  if (distance > Math.max(allowed, OCR_COST)) return 0;
+  return Math.max(0, 1 - (EDIT_PENALTY * distance) / indexToken.length);
+}
+
+// ─── Scoring ──────────────────────────────────────────────────────
+
+/**
+ * Index words close to a label word (itself, typos, OCR misreads)
+ */
+function similarIndexTokens(token, index) {
+  const tokens = new Set();
+  if (index.byToken.has(token)) tokens.add(token);
+  if (index.byToken.has(ocrVariant(token))) tokens.add(ocrVariant(token));
+  if (token.length < 4) return tokens;
+
+  const reach = maxEdits(token.length + 2);
+  for (let length = token.length - reach; length <= token.length + reach; length++) {
+    (index.tokensByLength.get(length) || []).forEach(indexToken => {
+      if (wordSimilarity(token, indexToken) > 0) tokens.add(indexToken);
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Score an alias against label words. Every alias word must be found, and
+ * each typo lowers the score; label words the alias doesn't explain lower
+ * it too ("Water Chestnuts" is not Water). Returns { confidence, fuzzy }
+ * or null.
+ */
+function scoreAlias(alias, labelTokens) {
+  const used = new Set();
+  let similarity = 1;
+
+  for (const aliasToken of alias.tokens) {
+    let best = 0;
+    let bestIndex = -1;
+    labelTokens.forEach((labelToken, i) => {
+      if (used.has(i)) return;
+      const wordScore = wordSimilarity(labelToken, aliasToken);
+      if (wordScore > best) {
+        best = wordScore;
+        bestIndex = i;
+      }
+    });
+    if (bestIndex === -1) return null;
+    used.add(bestIndex);
+    similarity *= best;
+  }
+
+  const labelCoverage = used.size / labelTokens.length;
+  return {
+    confidence: similarity * (0.4 + 0.6 * labelCoverage ** 1.5) * KIND_WEIGHT[alias.kind],
+    fuzzy: similarity < 1,
+  };
+}
+
+/**
+ * Candidate matches for one normalized form of a label name
+ */
+function matchTokens(labelTokens, index, weight) {
+  const candidates = new Set(index.byKey.get(labelTokens.join(' ')) || []);
+  labelTokens.forEach(token => {
+    similarIndexTokens(token, index).forEach(indexToken => {
+      index.byToken.get(indexToken).forEach(alias => candidates.add(alias));
+    });
+  });
+
+  const matches = [];
+  candidates.forEach(alias => {
+    const score = scoreAlias(alias, labelTokens);
+    if (!score) return;
+
+    const exact = alias.key === labelTokens.join(' ');
+    let matchType = 'tokens';
+    if (exact) matchType = alias.kind === 'name' ? 'exact' : 'alias';
+    else if (score.fuzzy) matchType = 'fuzzy';
+
+    matches.push({
+      ingredient: alias.ingredient,
+      confidence: score.confidence * weight,
+      matchType,
+      matchedName: alias.name,
+    });
+  });
+  return matches;
+}
+
+// ─── Matching ─────────────────────────────────────────────────────
+
+/**
+ * Database entries a label name may refer to, best first.
+ * Returns [{ ingredient, confidence, matchType, matchedName }] where
+ * matchType is 'code', 'exact', 'alias', 'tokens' or 'fuzzy'; only
+ * candidates at or above MIN_CONFIDENCE are included.
+ */
+export function rankIngredientMatches(label, database = ingredientDatabase, limit = 5) {
+  const text = label || '';
+  const best = new Map();
+  const consider = (match) => {
+    const current = best.get(match.ingredient.id);
+    if (!current || match.confidence > current.confidence) best.set(match.ingredient.id, match);
+  };
+
+  // A printed code ("E621", "Acidity Regulator (INS 330)") is the most
+  // precise thing on a label
+  findAdditiveCodes(text).forEach(code => {
+    const ingredient = findIngredientByCode(code, database);
+    if (!ingredient) return;
+    consider({
+      ingredient,
+      confidence: getAdditiveCodes(ingredient).includes(code) ? 1 : BASE_CODE_CONFIDENCE,
+      matchType: 'code',
+      matchedName: code,
+    });
+  });
+
+  // The whole name, the name outside any parentheses, and each
+  // parenthetical on its own: "Sodium Benzoate (Preservative)",
+  // "Preservative (Sodium Benzoate)", "Cocoa (Processed with Alkali)"
+  const outer = text.replace(/\s*[([][^)\]]*[)\]]\s*/g, ' ');
+  const inner = [...text.matchAll(/[([]([^)\]]*)[)\]]/g)].map(match => match[1]);
+  const forms = [
+    [text, 1],
+    ...(inner.length ? [[outer, PARENTHETICAL_WEIGHT]] : []),
+    ...inner.map(part => [part, PARENTHETICAL_WEIGHT]),
+  ];
+
+  const index = getNameIndex(database);
+  forms.forEach(([form, weight]) => {
+    const tokens = tokenizeName(form);
+    if (tokens.length) matchTokens(tokens, index, weight).forEach(consider);
+  });
+
+  return [...best.values()]
+    .filter(match => match.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit)
+    .map(match => ({ ...match, confidence: Math.round(match.confidence * 100) / 100 }));
+}
+
+/**
+ * The best database entry for a label name, or null.
+ * Returns { ingredient, confidence, matchType, matchedName }.
+ */
+export function matchIngredient(label, database = ingredientDatabase) {
+  return rankIngredientMatches(label, database, 1)[0] || null;
+}
+
+/**
+ * Whether a match is certain enough to use without asking
+ */
+export function isConfidentMatch(match) {
+  return Boolean(match) && match.confidence >= CONFIDENT_MATCH;
+}
+
+export default {
+  CONFIDENT_MATCH,
+  MIN_CONFIDENCE,
+  rankIngredientMatches,
+  matchIngredient,
+  isConfidentMatch,
+};
@@ -0,0 +1,37 @@
+import MATCHER_CORPUS from '../data/matcherCorpus';
+import { isConfidentMatch, matchIngredient, rankIngredientMatches } from './ingredientMatcher';
+
+describe('matcher corpus', () => {
+  test.each(MATCHER_CORPUS)('$label → $expected', ({ label, expected, lowConfidence }) => {
+    const match = matchIngredient(label);
+
+    expect(match ? match.ingredient.id : null).toBe(expected);
+    if (match && lowConfidence !== undefined) {
+      expect(!isConfidentMatch(match)).toBe(lowConfidence);
+    }
+  });
+});
+
+describe('rankIngredientMatches', () => {
+  test('ranks candidates by confidence and leaves out weak ones', () => {
+    const matches = rankIngredientMatches('Sodium Citrate');
+
+    expect(matches[0]).toMatchObject({ confidence: 1, matchType: 'exact' });
+    expect(matches[0].ingredient.id).toBe('sodium-citrate');
+    matches.slice(1).forEach((match, i) => {
+      expect(match.confidence).toBeLessThanOrEqual(matches[i].confidence);
+      expect(match.confidence).toBeGreaterThanOrEqual(0.65);
+    });
+  });
+
+  test('prefers a printed code over the words around it', () => {
+    const [match] = rankIngredientMatches('Colour (E150d)');
+
+    expect(match).toMatchObject({ matchType: 'code', matchedName: 'E150d', confidence: 1 });
+  });
+
+  test('returns nothing for an empty name', () => {
+    expect(rankIngredientMatches('')).toEqual([]);
+    expect(matchIngredient(null)).toBeNull();
+  });
+});
@@ -5,11 +5,39 @@
 
 import { 
   ingredientDatabase, 
-  searchIngredients,
   isHiddenSugar,
   checkForMSG,
   hiddenSugarNames,
 } from '../data/ingredientDatabase';
+import { cosmeticIngredientDatabase } from '../data/cosmeticIngredientDatabase';
+import { householdIngredientDatabase } from '../data/householdIngredientDatabase';
+import { matchIngredient, isConfidentMatch } from './ingredientMatcher';
+import { CONCERN_LEVELS } from './analysisSchema';
+
+// Curated database for each scan mode (see ScanScreen SCAN_MODES)
+const MODE_DATABASES = {
+  food: ingredientDatabase,
+  beauty: cosmeticIngredientDatabase,
+  home: householdIngredientDatabase,
+};
+
+/**
+ * Curated database for a scan mode (defaults to food)
+ */
+export function getIngredientDatabase(scanMode = 'food') {
+  return MODE_DATABASES[scanMode] || ingredientDatabase;
+}
+
+/**
+ * Look up an entry by id across every mode's database
+ */
+export function getIngredientById(id) {
+  if (!id) return null;
+  for (const database of Object.values(MODE_DATABASES)) {
+    if (database[id]) return database[id];
+  }
+  return null;
+}
 
 /**
  * Normalize ingredient name for matching
@@ -23,43 +51,22 @@ function normalizeIngredient(name) {
 }
 
 /**
- * Find best match in database for an ingredient
+ * Best database entry for a label name in a scan mode's database, or null.
+ * See ingredientMatcher for how names, codes and typos are ranked.
  */
-function findIngredientMatch(ingredientName) {
-  const normalized = normalizeIngredient(ingredientName);
-  
-  // Direct search
-  const searchResults = searchIngredients(ingredientName);
-  if (searchResults.length > 0) {
-    return searchResults[0];
-  }
-  
-  // Check each database entry
-  for (const [id, data] of Object.entries(ingredientDatabase)) {
-    const dbNormalized = normalizeIngredient(data.name);
-    
-    // Exact match
-    if (normalized === dbNormalized) {
-      return data;
-    }
-    
-    // Partial match
-    if (normalized.includes(dbNormalized) || dbNormalized.includes(normalized)) {
-      return data;
-    }
-    
-    // Check hidden names
-    if (data.hiddenNames) {
-      for (const hiddenName of data.hiddenNames) {
-        const hiddenNormalized = normalizeIngredient(hiddenName);
-        if (normalized.includes(hiddenNormalized) || hiddenNormalized.includes(normalized)) {
-          return data;
-        }
-      }
-    }
-  }
-  
-  return null;
+export function findIngredientMatch(ingredientName, scanMode = 'food') {
+  const match = matchIngredient(ingredientName, getIngredientDatabase(scanMode));
+  return match ? match.ingredient : null;
+}
+
+/**
+ * Stricter variant of findIngredientMatch for anything that raises an
+ * alert: only matches with confidence of at least CONFIDENT_MATCH (a code,
+ * a name or alias with at most a small typo).
+ */
+export function findConfidentMatch(ingredientName, scanMode = 'food') {
+  const match = matchIngredient(ingredientName, getIngredientDatabase(scanMode));
+  return isConfidentMatch(match) ? match.ingredient : null;
 }
 
 /**
@@ -111,6 +118,58 @@ function assessUnknownIngredient(name) {
   return { score: 70, concern: 'low', category: 'Ingredient' };
 }
 
+function emptyConcerns() {
+  return {
+    sugar: { count: 0, names: [] },
+    preservatives: { count: 0, names: [] },
+    artificial: { count: 0, names: [] },
+  };
+}
+
+/**
+ * Add an ingredient to the sugar / preservative / artificial concern buckets
+ */
+function trackConcerns(concerns, ingredient, labelName = ingredient.name) {
+  const category = (ingredient.category || '').toLowerCase();
+
+  if (category.includes('sweetener') || category === 'hidden sugar' || isHiddenSugar(labelName)) {
+    concerns.sugar.count++;
+    concerns.sugar.names.push(ingredient.name);
+  }
+  if (category.includes('preservative')) {
+    concerns.preservatives.count++;
+    concerns.preservatives.names.push(ingredient.name);
+  }
+  if (category.includes('artificial') || category.includes('color')) {
+    concerns.artificial.count++;
+    concerns.artificial.names.push(ingredient.name);
+  }
+}
+
+/**
+ * Overall score: average ingredient score with penalties.
+ * Weight towards worse ingredients (a few bad ones significantly impact score)
+ */
+function calculateOverallScore(ingredients, concerns) {
+  const totalScore = ingredients.reduce((sum, i) => sum + i.score, 0);
+  const highConcernCount = ingredients.filter(i => i.concern === 'high').length;
+
+  let overallScore = ingredients.length > 0
+    ? Math.round(totalScore / ingredients.length)
+    : 50;
+
+  // Penalize for high concern ingredients
+  overallScore = Math.max(5, overallScore - (highConcernCount * 8));
+
+  // Penalize for many concerns
+  const totalConcerns = concerns.sugar.count + concerns.preservatives.count + concerns.artificial.count;
+  if (totalConcerns > 5) {
+    overallScore = Math.max(5, overallScore - 10);
+  }
+
+  return overallScore;
+}
+
 /**
  * Parse AI results and match to database
  */
@@ -118,16 +177,9 @@ export function parseIngredients(aiResult) {
   const { productName, brand, ingredients, rawText } = aiResult;
   
   const parsedIngredients = [];
-  const concerns = {
-    sugar: { count: 0, names: [] },
-    preservatives: { count: 0, names: [] },
-    artificial: { count: 0, names: [] },
-  };
+  const concerns = emptyConcerns();
   const profileAlerts = [];
   
-  let totalScore = 0;
-  let highConcernCount = 0;
-  
   // Process each ingredient
   for (const ingredientName of ingredients) {
     const match = findIngredientMatch(ingredientName);
@@ -148,18 +200,7 @@ export function parseIngredients(aiResult) {
       };
       
       // Track concerns
-      if (match.category.toLowerCase().includes('sweetener') || isHiddenSugar(ingredientName)) {
-        concerns.sugar.count++;
-        concerns.sugar.names.push(match.name);
-      }
-      if (match.category.toLowerCase().includes('preservative')) {
-        concerns.preservatives.count++;
-        concerns.preservatives.names.push(match.name);
-      }
-      if (match.category.toLowerCase().includes('artificial') || match.category.toLowerCase().includes('color')) {
-        concerns.artificial.count++;
-        concerns.artificial.names.push(match.name);
-      }
+      trackConcerns(concerns, ingredientData, ingredientName);
       
       // Check for profile alerts
       if (match.kidAlert) {
@@ -211,27 +252,9 @@ export function parseIngredients(aiResult) {
     }
     
     parsedIngredients.push(ingredientData);
-    totalScore += ingredientData.score;
-    
-    if (ingredientData.concern === 'high') {
-      highConcernCount++;
-    }
   }
   
-  // Calculate overall score
-  // Weight towards worse ingredients (a few bad ones significantly impact score)
-  let overallScore = parsedIngredients.length > 0 
-    ? Math.round(totalScore / parsedIngredients.length) 
-    : 50;
-  
-  // Penalize for high concern ingredients
-  overallScore = Math.max(5, overallScore - (highConcernCount * 8));
-  
-  // Penalize for many concerns
-  const totalConcerns = concerns.sugar.count + concerns.preservatives.count + concerns.artificial.count;
-  if (totalConcerns > 5) {
-    overallScore = Math.max(5, overallScore - 10);
-  }
+  const overallScore = calculateOverallScore(parsedIngredients, concerns);
   
   return {
     id: `scan-${Date.now()}`,
@@ -247,11 +270,312 @@ export function parseIngredients(aiResult) {
   };
 }
 
+/**
+ * Reconcile a single AI-reported ingredient with the curated database
+ */
+function reconcileIngredient(aiIngredient, scanMode) {
+  const labelName = (typeof aiIngredient === 'string' ? aiIngredient : aiIngredient?.name || '').trim();
+  const modelData = typeof aiIngredient === 'string' ? { name: labelName } : aiIngredient;
+  const result = matchIngredient(labelName, getIngredientDatabase(scanMode));
+
+  if (isConfidentMatch(result)) {
+    // Database wins: curated score, concern and sources replace the model's
+    const match = result.ingredient;
+    return {
+      ...modelData,
+      id: match.id,
+      name: match.name,
+      labelName,
+      score: match.score,
+      concern: match.concern,
+      category: match.category,
+      eNumber: match.eNumber,
+      plainEnglish: match.plainEnglish,
+      healthNotes: match.healthNotes,
+      hiddenNames: match.hiddenNames,
+      dailyLimit: match.dailyLimit,
+      regulatoryStatus: match.regulatoryStatus,
+      sources: match.sources,
+      modelScore: modelData.score,
+      foundInDatabase: true,
+      matchConfidence: result.confidence,
+    };
+  }
+
+  // Model-only: keep the model's assessment, fall back to name heuristics
+  // when the model left the score or concern out. An uncertain match (typo,
+  // extra words) is only offered as a suggestion for the user to check
+  const assessment = assessUnknownIngredient(labelName);
+  const modelScore = Number(modelData.score);
+  return {
+    ...modelData,
+    id: normalizeIngredient(labelName).replace(/\s+/g, '-'),
+    name: labelName,
+    score: Number.isFinite(modelScore) ? Math.round(modelScore) : assessment.score,
+    concern: CONCERN_LEVELS.includes(modelData.concern) ? modelData.concern : assessment.concern,
+    category: modelData.category || assessment.category,
+    foundInDatabase: false,
+    ...(result ? {
+      suggestedMatch: {
+        id: result.ingredient.id,
+        name: result.ingredient.name,
+        score: result.ingredient.score,
+        concern: result.ingredient.concern,
+        confidence: result.confidence,
+      },
+    } : {}),
+  };
+}
+
+/**
+ * The names an ingredient was printed as. A database match replaces `name`
+ * with the entry's own name, so label wording ("Hydrolyzed Wheat Protein")
+ * survives only in labelName / labelNames.
+ */
+export function getLabelNames(ingredient) {
+  const names = ingredient?.labelNames || [ingredient?.labelName || ingredient?.name];
+  return names.filter(Boolean);
+}
+
+/**
+ * Collapse database-matched ingredients that share an id, merging the
+ * photos they were read from and the names they were printed as
+ */
+function mergeByDatabaseId(ingredients) {
+  const byId = new Map();
+  const merged = [];
+  for (const ingredient of ingredients) {
+    const existing = ingredient.foundInDatabase ? byId.get(ingredient.id) : null;
+    if (!existing) {
+      if (ingredient.foundInDatabase) byId.set(ingredient.id, ingredient);
+      merged.push(ingredient);
+      continue;
+    }
+    existing.photos = [...new Set([...(existing.photos || []), ...(ingredient.photos || [])])].sort((a, b) => a - b);
+    existing.labelNames = [...new Set([...getLabelNames(existing), ...getLabelNames(ingredient)])];
+  }
+  return merged;
+}
+
+/**
+ * Reconcile an AI analysis with the curated database for its scanMode
+ * (food → ingredientDatabase, beauty/home → cosmetic/household data).
+ * - Database matches override model scores and carry regulatoryStatus,
+ *   sources, hiddenNames and dailyLimit through (with matchConfidence)
+ * - Model-only ingredients are marked foundInDatabase: false; an uncertain
+ *   database match is attached as suggestedMatch and does not change scores
+ * - Concerns and the overall score are recomputed with the parser's
+ *   penalty rules, so scores don't depend on which provider answered
+ * The model's own overall score is kept as modelOverallScore.
+ */
+export function reconcileWithDatabase(aiResult) {
+  const scanMode = aiResult.scanMode || 'food';
+  let ingredients = (aiResult.ingredients || [])
+    .map(ingredient => reconcileIngredient(ingredient, scanMode))
+    .filter(i => i.name);
+
+  // Multi-photo sessions: two panels may name the same database entry
+  // differently ("HFCS" / "High Fructose Corn Syrup")
+  if (aiResult.photoCount > 1) {
+    ingredients = mergeByDatabaseId(ingredients);
+  }
+
+  const concerns = emptyConcerns();
+  for (const ingredient of ingredients) {
+    trackConcerns(concerns, ingredient, ingredient.labelName || ingredient.name);
+  }
+
+  return {
+    ...aiResult,
+    ingredients,
+    concerns,
+    overallScore: calculateOverallScore(ingredients, concerns),
+    modelOverallScore: aiResult.overallScore,
+    scanMode,
+  };
+}
+
+/**
+ * Score a single ingredient typed or corrected by the user, from its name
+ * alone (no model data), against the scan mode's curated database
+ */
+export function rescoreIngredient(name, scanMode = 'food') {
+  return {
+    ...reconcileIngredient({ name }, scanMode),
+    userEdited: true,
+  };
+}
+
+/**
+ * Recompute concerns and the overall score for an edited ingredient list
+ * with the same rules as reconcileWithDatabase. Returns { concerns, overallScore }.
+ */
+export function rescoreIngredientList(ingredients) {
+  const concerns = emptyConcerns();
+  for (const ingredient of ingredients) {
+    trackConcerns(concerns, ingredient, ingredient.labelName || ingredient.name);
+  }
+  return {
+    concerns,
+    overallScore: calculateOverallScore(ingredients, concerns),
+  };
+}
+
+// "Contains less than 2% of:", "Contains 2% or less of each of the following:", ...
+const MINOR_INGREDIENT_MARKER = /^(?:and\s+)?(?:contains\s+)?(?:less\s+than\s+\d+(?:\.\d+)?\s*%|\d+(?:\.\d+)?\s*%\s+or\s+less)\s+of\s*:?\s*(?:each\s+of\s*)?(?:the\s+following\s*:?\s*)?/i;
+
+// Trailing allergen / facility statements are not ingredients
+const TRAILING_STATEMENT = /(?:^|\.)\s*(?:allergens?\s*:|may contain\b|contains\b(?!\s+(?:less|\d))|(?:produced|processed|manufactured|made|packed)\s+(?:in|on|by)\b)[^%]*$/i;
+
+// Abbreviations whose period doesn't end an ingredient ("St. John's Wort")
+const ABBREVIATION = /(?:^|[^a-z])(?:st|mt|dr|no|nos|fl|oz|vit)$/i;
+
+/**
+ * Whether the period at `i` ends a sentence: followed by a space and a
+ * capital letter, or by nothing but whitespace. Decimal points ("2.5%")
+ * and abbreviations don't.
+ */
+function isSentenceEnd(text, i, current) {
+  const rest = text.slice(i + 1);
+  if (/^\s*$/.test(rest)) return true;
+  return /^\s+[A-Z]/.test(rest) && !ABBREVIATION.test(current.trim());
+}
+
+/**
+ * Split text on commas, semicolons and sentence-ending periods that sit
+ * outside parentheses/brackets.
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '(' || ch === '[') depth++;
+    if ((ch === ')' || ch === ']') && depth > 0) depth--;
+
+    if (depth === 0 && (ch === ',' || ch === ';' || (ch === '.' && isSentenceEnd(text, i, current)))) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Find a trailing top-level "( … )" or "[ … ]" group in an ingredient.
+ * Returns { outer, inner } or null.
+ */
+function splitParenthetical(part) {
+  const open = part.search(/[([]/);
+  if (open <= 0) return null;
+  const close = part.lastIndexOf(part[open] === '(' ? ')' : ']');
+  if (close < open) return null;
+  return {
+    outer: (part.slice(0, open) + part.slice(close + 1)).trim(),
+    inner: part.slice(open + 1, close),
+  };
+}
+
+function cleanIngredientName(part) {
+  return part
+    .replace(/^\s*ingredients\s*:/i, '')
+    .replace(/^\s*(?:and|&)\s+/i, '')
+    .replace(/\s+(?:added\s+)?(?:for|to\s+(?:preserve|maintain|protect|retain))\s+(?:freshness|flavou?r|colou?r|moisture)\s*$/i, '')
+    .replace(/[*†‡]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse a label's ingredient statement into structured entries.
+ * Handles:
+ * - commas / semicolons / sentences outside parentheses
+ * - "Contains less than 2% of:" markers (flags the rest of the list as minor)
+ * - sub-ingredient lists: "Enriched Flour (Wheat Flour, Niacin)" yields one
+ *   entry per sub-ingredient, each with its parent's name (the parent
+ *   itself is not an entry, so nothing is scored twice)
+ * - qualifiers: "Cocoa (Processed with Alkali)" stays a single ingredient
+ * - group labels: "Vitamins and Minerals: Iron, Niacin"
+ * - trailing "Contains: Milk, Soy." allergen statements are dropped
+ *
+ * Returns [{ name, parent, minor }]
+ */
+export function parseIngredientStatement(text, parent = null, inheritedMinor = false) {
+  if (!text) return [];
+
+  const body = parent ? text : text.replace(/^\s*ingredients\s*:/i, '').replace(TRAILING_STATEMENT, '');
+  const entries = [];
+  let minor = inheritedMinor;
+
+  for (const rawPart of splitTopLevel(body)) {
+    let part = cleanIngredientName(rawPart);
+    if (!part) continue;
+
+    if (MINOR_INGREDIENT_MARKER.test(part)) {
+      minor = true;
+      part = part.replace(MINOR_INGREDIENT_MARKER, '').trim();
+    }
+
+    // Group label such as "Vitamins and Minerals:" or "Preservatives:"
+    const colon = part.indexOf(':');
+    if (colon > 0 && !/[([]/.test(part.slice(0, colon))) {
+      part = part.slice(colon + 1).trim();
+    }
+    part = cleanIngredientName(part);
+    if (!part) continue;
+
+    const group = splitParenthetical(part);
+    if (group && splitTopLevel(group.inner).filter(p => p.trim()).length > 1) {
+      entries.push(...parseIngredientStatement(group.inner, group.outer, minor));
+      continue;
+    }
+
+    entries.push({ name: part, parent, minor });
+  }
+
+  return entries;
+}
+
+/**
+ * Split a label's ingredient statement into individual ingredient names
+ */
+export function splitIngredientText(text) {
+  return parseIngredientStatement(text).map(entry => entry.name);
+}
+
+/**
+ * Score typed or pasted ingredient text entirely on-device.
+ * Returns the same shape as an AI analysis after reconcileWithDatabase,
+ * so it can be turned into a product exactly like a camera scan.
+ */
+export function analyzeIngredientText(text, { productName, brand, productCategory, scanMode = 'food' } = {}) {
+  const ingredients = parseIngredientStatement(text).map(entry => ({
+    name: entry.name,
+    ...(entry.parent ? { parent: entry.parent } : {}),
+    ...(entry.minor ? { minorIngredient: true } : {}),
+  }));
+
+  return reconcileWithDatabase({
+    productName: productName || null,
+    brand: brand || null,
+    productCategory: productCategory || 'Other',
+    rawText: text.trim(),
+    ingredients,
+    provider: 'offline',
+    scanMode,
+  });
+}
+
 /**
  * Quick ingredient lookup
  */
-export function lookupIngredient(name) {
-  const match = findIngredientMatch(name);
+export function lookupIngredient(name, scanMode = 'food') {
+  const match = findIngredientMatch(name, scanMode);
   if (match) return match;
   
   const assessment = assessUnknownIngredient(name);
@@ -265,5 +589,16 @@ export function lookupIngredient(name) {
 
 export default {
   parseIngredients,
+  reconcileWithDatabase,
+  getLabelNames,
+  rescoreIngredient,
+  rescoreIngredientList,
+  parseIngredientStatement,
+  splitIngredientText,
+  analyzeIngredientText,
   lookupIngredient,
+  findIngredientMatch,
+  findConfidentMatch,
+  getIngredientDatabase,
+  getIngredientById,
 };
\ No newline at end of file
@@ -0,0 +1,98 @@
+import { analyzeIngredientText, parseIngredientStatement, reconcileWithDatabase } from './ingredientParser';
+
+describe('reconcileWithDatabase', () => {
+  const reconcile = (ingredients) => reconcileWithDatabase({ ingredients }).ingredients;
+
+  test('a confident match replaces the model score with the database entry', () => {
+    const [ingredient] = reconcile([{ name: 'sodlum benzoate', score: 90, concern: 'none' }]);
+
+    expect(ingredient).toMatchObject({
+      id: 'sodium-benzoate',
+      labelName: 'sodlum benzoate',
+      modelScore: 90,
+      foundInDatabase: true,
+    });
+    expect(ingredient.suggestedMatch).toBeUndefined();
+  });
+
+  test('a low-confidence match keeps the model score and is only suggested', () => {
+    const [ingredient] = reconcile([{ name: 'Guar Gurn', score: 72, concern: 'low' }]);
+
+    expect(ingredient).toMatchObject({
+      name: 'Guar Gurn',
+      score: 72,
+      concern: 'low',
+      foundInDatabase: false,
+    });
+    expect(ingredient.suggestedMatch).toMatchObject({ id: 'guar-gum', name: 'Guar Gum' });
+    expect(ingredient.suggestedMatch.confidence).toBeLessThan(0.8);
+  });
+
+  test('suggestions do not count towards the overall score', () => {
+    const withTypo = reconcileWithDatabase({ ingredients: [{ name: 'Guar Gurn', score: 100, concern: 'none' }] });
+    const unknown = reconcileWithDatabase({ ingredients: [{ name: 'Mystery Gum', score: 100, concern: 'none' }] });
+
+    expect(withTypo.overallScore).toBe(unknown.overallScore);
+  });
+
+  test('no match leaves the ingredient model-only without a suggestion', () => {
+    const [ingredient] = reconcile([{ name: 'Water Chestnuts', score: 95 }]);
+
+    expect(ingredient.foundInDatabase).toBe(false);
+    expect(ingredient.suggestedMatch).toBeUndefined();
+  });
+});
+
+describe('parseIngredientStatement', () => {
+  const names = (text) => parseIngredientStatement(text).map(entry => entry.name);
+
+  test('splits on commas and semicolons and drops the heading', () => {
+    expect(names('Ingredients: Water, Sugar; Salt')).toEqual(['Water', 'Sugar', 'Salt']);
+  });
+
+  test('emits sub-ingredients with their parent instead of the parent itself', () => {
+    expect(parseIngredientStatement('Chocolate (Sugar, Cocoa Butter), Salt')).toEqual([
+      { name: 'Sugar', parent: 'Chocolate', minor: false },
+      { name: 'Cocoa Butter', parent: 'Chocolate', minor: false },
+      { name: 'Salt', parent: null, minor: false },
+    ]);
+  });
+
+  test('keeps a single qualifier in parentheses as one ingredient', () => {
+    expect(names('Cocoa (Processed with Alkali), Sugar')).toEqual(['Cocoa (Processed with Alkali)', 'Sugar']);
+  });
+
+  test('splits on sentence-ending periods only', () => {
+    expect(names("St. John's Wort, Vitamin B12 2.5 mcg. Rice Flour, No. 5 Color.")).toEqual([
+      "St. John's Wort",
+      'Vitamin B12 2.5 mcg',
+      'Rice Flour',
+      'No. 5 Color',
+    ]);
+  });
+
+  test('flags ingredients after a minor-ingredient marker', () => {
+    const entries = parseIngredientStatement('Water, Contains 2% or less of: Salt, Vinegar');
+
+    expect(entries.map(entry => entry.minor)).toEqual([false, true, true]);
+  });
+
+  test('drops group labels and trailing allergen statements', () => {
+    expect(names('Flour, Vitamins and Minerals: Iron, Niacin. Contains: Wheat.')).toEqual([
+      'Flour',
+      'Iron',
+      'Niacin',
+    ]);
+  });
+});
+
+describe('analyzeIngredientText', () => {
+  test('a sub-ingredient list is scored once', () => {
+    const grouped = analyzeIngredientText('Chocolate (Sugar, Cocoa Butter), Salt');
+    const flat = analyzeIngredientText('Sugar, Cocoa Butter, Salt');
+
+    expect(grouped.ingredients).toHaveLength(3);
+    expect(grouped.ingredients[0].parent).toBe('Chocolate');
+    expect(grouped.overallScore).toBe(flat.overallScore);
+  });
+});
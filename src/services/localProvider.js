@@ -0,0 +1,71 @@
+/**
+ * Local Provider - Fixture-backed stand-in for a vision model
+ * Returns canned analyses from data/localProviderFixtures without any
+ * network access, so scan → review → results can be exercised offline
+ * and reproducibly. The same image always yields the same fixture.
+ *
+ * Registered by aiProviders when config.features.localProvider is on. It
+ * is manualOnly: used only when picked in Settings, never by "auto" mode or
+ * as a fallback, so canned results can't pass for a real analysis.
+ */
+
+import localProviderFixtures from '../data/localProviderFixtures';
+
+// Only hash the start of the image; large base64 strings are slow to walk
+const HASH_SAMPLE_LENGTH = 4096;
+
+/**
+ * Small stable string hash (djb2)
+ */
+function hashString(text) {
+  let hash = 5381;
+  const sample = String(text || '').slice(0, HASH_SAMPLE_LENGTH);
+  for (let i = 0; i < sample.length; i++) {
+    hash = ((hash << 5) + hash + sample.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Pick the fixture for an image (or the first of several) within a scan mode
+ */
+export function pickFixture(images, scanMode = 'food') {
+  const first = Array.isArray(images) ? images[0] : images;
+  const fixtures = localProviderFixtures[scanMode] || localProviderFixtures.food;
+  return fixtures[hashString(first) % fixtures.length];
+}
+
+/**
+ * Multi-photo sessions: spread the fixture's ingredients across the photos
+ * so the "photos" field is exercised like a real model response
+ */
+function withPhotoSources(fixture, imageCount) {
+  if (imageCount <= 1) return fixture;
+  return {
+    ...fixture,
+    ingredients: fixture.ingredients.map((ingredient, index) => ({
+      ...ingredient,
+      photos: [(index % imageCount) + 1],
+    })),
+  };
+}
+
+const localProvider = {
+  id: 'local',
+  name: 'Local Fixtures (Offline)',
+  shortName: 'Local',
+  icon: '🧪',
+  description: 'Canned analyses for testing — no network, no API key',
+  model: 'fixtures',
+  priority: 100,
+  manualOnly: true,
+  isConfigured: () => true,
+
+  // Respond with the fixture as JSON text, like a model would
+  async analyze(images, systemPrompt, context = {}) {
+    const fixture = pickFixture(images, context.scanMode);
+    return JSON.stringify(withPhotoSources(fixture, images.length));
+  },
+};
+
+export default localProvider;
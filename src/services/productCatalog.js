@@ -0,0 +1,109 @@
+/**
+ * Product Catalog - On-device barcode lookup
+ * Resolves EAN-13 / UPC-A barcodes to known products so a scan can skip the
+ * vision API entirely. Products analyzed through the photo flow after a
+ * catalog miss are saved under their barcode, so the same product is never
+ * sent to an AI provider twice.
+ *
+ * Lookup order: saved products (AsyncStorage) → bundled data/productCatalog
+ */
+
+import productCatalog from '../data/productCatalog';
+import { storageService } from './storageService';
+import { splitIngredientText } from './ingredientParser';
+
+// expo-camera barcode types we listen for
+export const BARCODE_TYPES = ['ean13', 'upc_a'];
+
+/**
+ * Verify the EAN-13 check digit (weights 1,3,1,3… from the left)
+ */
+function hasValidCheckDigit(code) {
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits.reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+/**
+ * Normalize a scanned code to a 13-digit EAN-13 string.
+ * UPC-A (12 digits) is EAN-13 with a leading zero; some platforms report
+ * it either way, so both map to the same key. Returns null if invalid.
+ */
+export function normalizeBarcode(data) {
+  const digits = String(data || '').replace(/\D/g, '');
+  let code = null;
+  if (digits.length === 13) code = digits;
+  if (digits.length === 12) code = '0' + digits;
+  if (!code || !hasValidCheckDigit(code)) return null;
+  return code;
+}
+
+/**
+ * Find a product by barcode. Returns a catalog entry or null.
+ */
+export async function lookupBarcode(barcode) {
+  const code = normalizeBarcode(barcode);
+  if (!code) return null;
+
+  const saved = await storageService.getBarcodeProducts();
+  if (saved[code]) {
+    return saved[code];
+  }
+
+  return productCatalog.find(p => p.barcode === code) || null;
+}
+
+/**
+ * Save a photo-flow analysis under the barcode that missed the catalog.
+ * The model's ingredient list is kept so the next lookup reproduces the
+ * same result without another API call.
+ */
+export async function saveBarcodeProduct(barcode, analysis) {
+  const code = normalizeBarcode(barcode);
+  if (!code || !analysis) return;
+
+  const saved = await storageService.getBarcodeProducts();
+  saved[code] = {
+    barcode: code,
+    name: analysis.productName || 'Scanned Product',
+    brand: analysis.brand || 'Unknown Brand',
+    category: analysis.productCategory || 'Other',
+    ingredientText: analysis.rawText || '',
+    ingredients: analysis.ingredients || [],
+    supplementInfo: analysis.supplementInfo || null,
+    provider: analysis.provider,
+    scanMode: analysis.scanMode || 'food',
+    savedAt: new Date().toISOString(),
+  };
+  await storageService.saveBarcodeProducts(saved);
+}
+
+/**
+ * Convert a catalog entry into the same shape aiService returns,
+ * so it can go through reconcileWithDatabase like any AI result.
+ */
+export function catalogEntryToAnalysis(entry) {
+  const ingredients = entry.ingredients && entry.ingredients.length > 0
+    ? entry.ingredients
+    : splitIngredientText(entry.ingredientText).map(name => ({ name }));
+
+  return {
+    productName: entry.name,
+    brand: entry.brand,
+    productCategory: entry.category,
+    rawText: entry.ingredientText,
+    ingredients,
+    supplementInfo: entry.supplementInfo || null,
+    provider: entry.provider ? `${entry.provider} (saved)` : 'catalog',
+    scanMode: entry.scanMode || 'food',
+  };
+}
+
+export default {
+  BARCODE_TYPES,
+  normalizeBarcode,
+  lookupBarcode,
+  saveBarcodeProduct,
+  catalogEntryToAnalysis,
+};
@@ -0,0 +1,322 @@
+/**
+ * Profile Evaluator - Check scanned ingredients against household profiles
+ * Runs every ingredient through each profile's health filters and produces
+ * per-profile, per-ingredient alerts for ResultsScreen.
+ *
+ * Filters with backing data reuse the kidAlert / heartHealthAlert /
+ * diabeticAlert flags in ingredientDatabase. The rest use keyword matchers
+ * from data/profileFilters.
+ *
+ * Profiles can also list allergens and custom ingredients to avoid, each
+ * with a severity (data/allergens ALLERGY_SEVERITIES). Allergen alerts come
+ * from allergenDetector hits; severe allergies are also warned about for
+ * "may contain" traces. Alerts carry the severity so they can be ranked.
+ */
+
+import {
+  isHiddenSugar,
+  checkForMSG,
+} from '../data/ingredientDatabase';
+import {
+  FILTER_OPTIONS,
+  artificialDyeNames,
+  glutenSources,
+  dairySources,
+  animalDerivedSources,
+  inflammatorySources,
+  highSodiumSources,
+} from '../data/profileFilters';
+import { getAllergen, getSeverity } from '../data/allergens';
+import { findConfidentMatch, getIngredientById, getLabelNames } from './ingredientParser';
+
+// Most serious first; plain health filters rank between intolerances and
+// preferences
+const SEVERITY_RANK = { anaphylactic: 0, intolerance: 1, preference: 3 };
+const FILTER_RANK = 2;
+const DEFAULT_SEVERITY = 'intolerance';
+
+/**
+ * Whole-word match so "ham" does not hit "graham" and "malt" does not hit
+ * "maltodextrin". Allows a trailing plural "s"/"es".
+ */
+export function containsTerm(name, term) {
+  return new RegExp(`${termPattern(term)}([^a-z]|$)`).test(name);
+}
+
+function termPattern(term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return `(^|[^a-z])${escaped}(e?s)?`;
+}
+
+/**
+ * First term found in a lower-cased name. Text covered by an exclusion is
+ * ignored, but only that text: in "milk chocolate (cocoa butter, whole
+ * milk)" the "cocoa butter" exclusion hides "butter", not "whole milk".
+ * Longer exclusions go first, so "buckwheat flour" wins over "buckwheat".
+ */
+export function findTerm(name, terms, exclusions = []) {
+  const remaining = [...exclusions].sort((a, b) => b.length - a.length).reduce(
+    (text, ex) => text.replace(new RegExp(`${termPattern(ex)}(?=[^a-z]|$)`, 'g'), '$1 '),
+    name,
+  );
+  return terms.find(term => containsTerm(remaining, term)) || null;
+}
+
+// hiddenSugarNames lists the disguised forms; plain "sugar" is checked here
+function isAddedSugar(name) {
+  return containsTerm(name, 'sugar') || isHiddenSugar(name);
+}
+
+/**
+ * Resolve a product ingredient to its database entry (if any)
+ */
+function resolveIngredient(ingredient) {
+  return getIngredientById(ingredient.id) || findConfidentMatch(ingredient.name);
+}
+
+// ──────────────────────────────────────────────────────────────────
+// FILTER MATCHERS
+// Each matcher receives (name, dbEntry) and returns a reason string or null
+// ──────────────────────────────────────────────────────────────────
+
+const FILTER_MATCHERS = {
+  'kid-safe': (name, db) => {
+    if (db?.kidAlert) return 'Caution advised for children';
+    if (findTerm(name, artificialDyeNames)) return 'Artificial dye linked to hyperactivity';
+    return null;
+  },
+
+  'no-dyes': (name, db) => {
+    if (db && /color/i.test(db.category)) return `${db.category}`;
+    if (findTerm(name, artificialDyeNames)) return 'Artificial dye';
+    return null;
+  },
+
+  'low-sugar': (name, db) => {
+    if (db && db.category === 'Sweetener') return 'Added sugar';
+    if (isAddedSugar(name)) return 'Added sugar';
+    return null;
+  },
+
+  'heart-healthy': (name, db) => {
+    if (db?.heartHealthAlert) return 'Monitor for heart health';
+    if (containsTerm(name, 'hydrogenated')) return 'Source of trans fats';
+    const sodium = findTerm(name, highSodiumSources);
+    if (sodium) return 'Adds sodium';
+    return null;
+  },
+
+  diabetic: (name, db) => {
+    if (db?.diabeticAlert) return 'Watch glycemic impact';
+    if (isAddedSugar(name)) return 'Raises blood sugar';
+    return null;
+  },
+
+  'anti-inflammatory': (name) => {
+    const term = findTerm(name, inflammatorySources);
+    return term ? 'Inflammatory additive or oil' : null;
+  },
+
+  'gluten-free': (name) => {
+    const term = findTerm(name, glutenSources.terms, glutenSources.exclusions);
+    return term ? `Contains gluten (${term})` : null;
+  },
+
+  'dairy-free': (name) => {
+    const term = findTerm(name, dairySources.terms, dairySources.exclusions);
+    return term ? `Dairy-derived (${term})` : null;
+  },
+
+  vegan: (name) => {
+    const term = findTerm(name, animalDerivedSources.terms, animalDerivedSources.exclusions);
+    if (term) return `Animal-derived (${term})`;
+    if (findTerm(name, animalDerivedSources.possible)) return 'May be animal-derived';
+    return null;
+  },
+
+  'no-msg': (name) => {
+    const msg = checkForMSG(name);
+    if (!msg.containsMSG) return null;
+    return msg.certainty === 'high' ? 'Contains MSG / free glutamate' : 'May contain hidden MSG';
+  },
+};
+
+// ──────────────────────────────────────────────────────────────────
+// ALLERGENS & AVOID-LISTS
+// ──────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve a custom "avoid" entry through the ingredient database so
+ * "carrageenan" also catches its hiddenNames ("Irish moss extract", "E407").
+ * Returns { name, match, terms } where `match` is the database entry or null.
+ */
+export function resolveAvoidItem(text) {
+  const name = (text || '').trim();
+  const match = name ? findConfidentMatch(name) : null;
+  const terms = [name, match?.name, match?.eNumber, ...(match?.hiddenNames || [])]
+    .filter(Boolean)
+    .map(term => term.replace(/\s*\(.*\)\s*/g, '').trim().toLowerCase())
+    .filter(Boolean);
+  return { name, match, terms: [...new Set(terms)] };
+}
+
+const severityLabel = (severity) => (getSeverity(severity) || getSeverity(DEFAULT_SEVERITY)).label;
+
+/**
+ * Alerts for one profile's allergens, from detectAllergens hits.
+ * "May contain" hits only alert for anaphylactic allergies (as traces).
+ */
+function allergenAlerts(profile, allergenHits) {
+  const alerts = [];
+  for (const { id, severity = DEFAULT_SEVERITY } of profile.allergens || []) {
+    const hit = allergenHits.find(h => h.id === id);
+    const allergen = getAllergen(id);
+    if (!hit || !allergen) continue;
+
+    const trace = hit.status === 'may-contain';
+    if (trace && severity !== 'anaphylactic') continue;
+
+    const label = allergen.label.toLowerCase();
+    const base = {
+      filterId: `allergen:${id}`,
+      filter: `${allergen.label} (${severityLabel(severity).toLowerCase()})`,
+      severity,
+      trace,
+    };
+
+    if (trace) {
+      alerts.push({ ...base, ingredient: hit.sources[0] || null, message: `May contain traces of ${label}` });
+    } else if (hit.sources.length === 0) {
+      alerts.push({ ...base, ingredient: null, message: `Label declares ${label}` });
+    } else {
+      const reason = hit.status === 'possible' ? `May be made from ${label}` : `Contains ${label}`;
+      hit.sources.forEach(source => {
+        alerts.push({ ...base, ingredient: source, message: `${source} - ${reason}` });
+      });
+    }
+  }
+  return alerts;
+}
+
+/**
+ * Alerts for one profile's custom avoid-list
+ */
+function avoidAlerts(profile, resolved) {
+  const alerts = [];
+  for (const { name: itemName, severity = DEFAULT_SEVERITY } of profile.avoid || []) {
+    const item = resolveAvoidItem(itemName);
+    if (!item.terms.length) continue;
+
+    for (const { ingredient, names, db } of resolved) {
+      const matched = (item.match && db?.id === item.match.id)
+        || item.terms.some(term => names.some(name => containsTerm(name, term)));
+      if (!matched) continue;
+
+      alerts.push({
+        filterId: `avoid:${item.name.toLowerCase()}`,
+        filter: `${item.name} (${severityLabel(severity).toLowerCase()})`,
+        severity,
+        trace: false,
+        ingredient: ingredient.name,
+        message: `${ingredient.name} - On the avoid list`,
+      });
+    }
+  }
+  return alerts;
+}
+
+/**
+ * Rank of an alert for sorting, most serious first
+ */
+export function getAlertRank(alert) {
+  return SEVERITY_RANK[alert.severity] ?? FILTER_RANK;
+}
+
+/**
+ * Evaluate a list of product ingredients against every profile's filters,
+ * allergens and avoid-list. `allergenHits` are detectAllergens results for
+ * the same product.
+ *
+ * Returns a flat list of alerts, one per (profile, filter, ingredient):
+ * { profileId, profile, filterId, filter, ingredient, message, severity?, trace? }
+ * `profile` keeps the "emoji name" label that ResultsScreen already renders.
+ */
+export function evaluateProfiles(ingredients = [], profiles = [], allergenHits = []) {
+  const alerts = [];
+  if (!profiles.length || (!ingredients.length && !allergenHits.length)) return alerts;
+
+  // Resolve each ingredient once, not once per profile. Names are checked
+  // as printed and as the database calls them: after reconciliation `name`
+  // may be generic ("Hydrolyzed Vegetable Protein" for "Hydrolyzed Wheat
+  // Protein")
+  const resolved = ingredients.map(ingredient => ({
+    ingredient,
+    names: [...new Set([...getLabelNames(ingredient), ingredient.name || ''])]
+      .map(name => name.toLowerCase())
+      .filter(Boolean),
+    db: resolveIngredient(ingredient),
+  }));
+
+  for (const profile of profiles) {
+    const owner = {
+      profileId: profile.id,
+      profile: `${profile.emoji || '👤'} ${profile.name}`,
+    };
+    [...allergenAlerts(profile, allergenHits), ...avoidAlerts(profile, resolved)]
+      .forEach(alert => alerts.push({ ...owner, ...alert }));
+
+    const filters = FILTER_OPTIONS.filter(f => (profile.filters || []).includes(f.id));
+
+    for (const filter of filters) {
+      const matcher = FILTER_MATCHERS[filter.id];
+      if (!matcher) continue;
+
+      for (const { ingredient, names, db } of resolved) {
+        const reason = names.reduce((found, name) => found || matcher(name, db), null);
+        if (!reason) continue;
+
+        alerts.push({
+          ...owner,
+          filterId: filter.id,
+          filter: filter.label,
+          ingredient: ingredient.name,
+          message: `${ingredient.name} - ${reason}`,
+        });
+      }
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Group flat alerts by profile for display, most serious first: alerts
+ * within a group by severity, and groups by their most serious alert
+ * (`severity` is that alert's, if any).
+ * Legacy alerts without a profileId are grouped by their label.
+ */
+export function groupAlertsByProfile(alerts = []) {
+  const groups = [];
+  for (const alert of alerts) {
+    const key = alert.profileId ?? alert.profile;
+    let group = groups.find(g => g.key === key);
+    if (!group) {
+      group = { key, profile: alert.profile, alerts: [] };
+      groups.push(group);
+    }
+    group.alerts.push(alert);
+  }
+
+  groups.forEach(group => {
+    group.alerts.sort((a, b) => getAlertRank(a) - getAlertRank(b));
+    group.severity = group.alerts[0].severity;
+  });
+  return groups.sort((a, b) => getAlertRank(a.alerts[0]) - getAlertRank(b.alerts[0]));
+}
+
+export default {
+  evaluateProfiles,
+  groupAlertsByProfile,
+  resolveAvoidItem,
+  getAlertRank,
+};
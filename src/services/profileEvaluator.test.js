@@ -0,0 +1,32 @@
+import { evaluateProfiles } from './profileEvaluator';
+import { reconcileWithDatabase } from './ingredientParser';
+
+const profile = (fields) => ({ id: 'p1', name: 'Sam', emoji: '🙂', ...fields });
+
+const reconciled = (...names) => reconcileWithDatabase({ ingredients: names.map(name => ({ name })) }).ingredients;
+
+describe('evaluateProfiles', () => {
+  test('a wheat ingredient reconciled to a generic entry still trips gluten-free', () => {
+    const ingredients = reconciled('Hydrolyzed Wheat Protein');
+    expect(ingredients[0].name).not.toMatch(/wheat/i);
+
+    const alerts = evaluateProfiles(ingredients, [profile({ filters: ['gluten-free'] })]);
+
+    expect(alerts).toEqual([
+      expect.objectContaining({ filterId: 'gluten-free', message: expect.stringContaining('Contains gluten (wheat)') }),
+    ]);
+  });
+
+  test('the database name is still checked', () => {
+    const alerts = evaluateProfiles([{ name: 'Whey', labelName: 'Wey Powder' }], [profile({ filters: ['dairy-free'] })]);
+
+    expect(alerts.map(alert => alert.filterId)).toEqual(['dairy-free']);
+  });
+
+  test('avoid-list entries match the printed name', () => {
+    const ingredients = reconciled('Hydrolyzed Wheat Protein');
+    const alerts = evaluateProfiles(ingredients, [profile({ avoid: [{ name: 'wheat protein' }] })]);
+
+    expect(alerts.map(alert => alert.filterId)).toEqual(['avoid:wheat protein']);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Scan Image Store - Label photos kept on the device for later re-analysis
+ * Each scan's photos are compressed and written to
+ * <documents>/scan-images/<userId>/<scanId>-<n>.jpg for the active user
+ * (see storageService.setActiveUser). History records keep only the
+ * file names (scan.imageFiles); the documents path can change between app
+ * updates on iOS, so full URIs are resolved when needed.
+ */
+
+import { Directory, File, Paths } from 'expo-file-system';
+import { manipulateAsync, SaveFormat } from 'expo-image-manipulator';
+import { storageService } from './storageService';
+
+// Stored copies only need to be legible for a thumbnail and a re-analysis
+const STORED_IMAGE_WIDTH = 1280;
+const STORED_JPEG_QUALITY = 0.6;
+
+// <scanId>-<n>.jpg, as written by saveScanImages
+const STORED_FILE_NAME = /^[\w-]+-\d+\.jpg$/;
+
+const rootDirectory = () => new Directory(Paths.document, 'scan-images');
+
+function imageDirectory() {
+  const userId = storageService.getActiveUserId();
+  if (!userId) {
+    throw new Error('No active user for scan images');
+  }
+  return new Directory(rootDirectory(), userId);
+}
+
+/**
+ * URI of a stored image, for <Image source={{ uri }} />
+ */
+export function getScanImageUri(fileName) {
+  return new File(imageDirectory(), fileName).uri;
+}
+
+/**
+ * Compress and store the photos of a scan. `photos` are { uri, width? }
+ * as produced by the camera or imageImport. Returns the stored file names
+ * in photo order; [] if nothing could be saved (the scan itself still counts).
+ */
+export async function saveScanImages(scanId, photos = []) {
+  try {
+    const directory = imageDirectory();
+    if (!directory.exists) {
+      directory.create({ intermediates: true, idempotent: true });
+    }
+
+    const fileNames = [];
+    for (const [index, photo] of photos.entries()) {
+      if (!photo?.uri) continue;
+
+      const actions = !photo.width || photo.width > STORED_IMAGE_WIDTH
+        ? [{ resize: { width: STORED_IMAGE_WIDTH } }]
+        : [];
+      const compressed = await manipulateAsync(photo.uri, actions, {
+        compress: STORED_JPEG_QUALITY,
+        format: SaveFormat.JPEG,
+      });
+
+      const fileName = `${scanId}-${index + 1}.jpg`;
+      const destination = new File(directory, fileName);
+      if (destination.exists) destination.delete();
+      new File(compressed.uri).move(destination);
+      fileNames.push(fileName);
+    }
+    return fileNames;
+  } catch (e) {
+    console.error('scanImageStore.saveScanImages error:', e);
+    return [];
+  }
+}
+
+/**
+ * Read a scan's stored images back as base64 for the AI providers.
+ * Missing files are skipped.
+ */
+export async function loadScanImages(fileNames = []) {
+  const images = [];
+  for (const fileName of fileNames) {
+    const file = new File(imageDirectory(), fileName);
+    if (file.exists) {
+      images.push(await file.base64());
+    }
+  }
+  return images;
+}
+
+/**
+ * Write already-compressed images (base64 JPEG, keyed by file name) from a
+ * backup. Names that aren't plain <scanId>-<n>.jpg files are ignored.
+ * Returns the names written.
+ */
+export function writeScanImages(images = {}) {
+  const written = [];
+  try {
+    const directory = imageDirectory();
+    if (!directory.exists) {
+      directory.create({ intermediates: true, idempotent: true });
+    }
+
+    Object.entries(images).forEach(([fileName, base64]) => {
+      if (!STORED_FILE_NAME.test(fileName) || typeof base64 !== 'string') return;
+
+      const file = new File(directory, fileName);
+      if (file.exists) file.delete();
+      file.create();
+      file.write(Uint8Array.from(atob(base64), (char) => char.charCodeAt(0)));
+      written.push(fileName);
+    });
+  } catch (e) {
+    console.error('scanImageStore.writeScanImages error:', e);
+  }
+  return written;
+}
+
+/**
+ * Bytes used by stored images (counted against config.cache.maxStorageSize)
+ */
+export function getScanImagesSize(fileNames = []) {
+  try {
+    return fileNames.reduce((sum, fileName) => {
+      const file = new File(imageDirectory(), fileName);
+      return sum + (file.exists ? file.size || 0 : 0);
+    }, 0);
+  } catch (e) {
+    console.error('scanImageStore.getScanImagesSize error:', e);
+    return 0;
+  }
+}
+
+/**
+ * Delete the stored images of the given scans (history records or index entries)
+ */
+export function deleteScanImages(scans = []) {
+  try {
+    scans.forEach((scan) => {
+      (scan?.imageFiles || []).forEach((fileName) => {
+        const file = new File(imageDirectory(), fileName);
+        if (file.exists) file.delete();
+      });
+    });
+  } catch (e) {
+    console.error('scanImageStore.deleteScanImages error:', e);
+  }
+}
+
+/**
+ * Move photos stored before per-user folders into the active user's folder.
+ * Called for the account that claims legacy data (storageService.claimLegacyData).
+ */
+export function adoptLegacyScanImages() {
+  try {
+    const root = rootDirectory();
+    if (!root.exists) return;
+
+    const legacyFiles = root.list().filter((entry) => entry instanceof File);
+    if (legacyFiles.length === 0) return;
+
+    const directory = imageDirectory();
+    if (!directory.exists) {
+      directory.create({ intermediates: true, idempotent: true });
+    }
+    legacyFiles.forEach((file) => file.move(directory));
+  } catch (e) {
+    console.error('scanImageStore.adoptLegacyScanImages error:', e);
+  }
+}
+
+/**
+ * Delete every stored scan image of the active user (history cleared)
+ */
+export function clearScanImages() {
+  try {
+    const directory = imageDirectory();
+    if (directory.exists) directory.delete();
+  } catch (e) {
+    console.error('scanImageStore.clearScanImages error:', e);
+  }
+}
+
+export default {
+  getScanImageUri,
+  saveScanImages,
+  loadScanImages,
+  writeScanImages,
+  getScanImagesSize,
+  deleteScanImages,
+  adoptLegacyScanImages,
+  clearScanImages,
+};
@@ -0,0 +1,338 @@
+/**
+ * Scan Repository - Indexed, per-record scan history storage
+ *
+ * Each scan is stored under its own AsyncStorage key (scan/<id>) so adding or
+ * editing one scan never rewrites the whole history. A small index
+ * (scanIndex) holds one summary per scan, newest first:
+ *   { id, scannedAt, name, brand, category, overallScore, imageSource,
+ *     imageFiles, size }
+ * Lists (Home, History) render from the index; full records are read with
+ * getScan() when a scan is opened. Keys belong to the active user
+ * (storageService.userKey), so loadScanIndex() runs again on every login.
+ * The index and records are encrypted at rest (encryptedStorage).
+ *
+ * The index is kept in memory. Mutations update it synchronously and return
+ * the new index; the AsyncStorage writes run in order on a queue, so a read
+ * issued after a write always sees it.
+ *
+ * Limits come from config.cache: scanHistoryLimit (records) and
+ * maxStorageSize (bytes, records plus stored photos). The oldest scans are
+ * evicted first, along with their photos.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import encryptedStorage, { DecryptError } from './encryptedStorage';
+import { storageService } from './storageService';
+import { deleteScanImages, clearScanImages, getScanImagesSize } from './scanImageStore';
+import config from '../../config';
+
+// Keys are resolved for the active user when used
+const indexKey = () => storageService.userKey('scanIndex');
+const recordKey = (id) => storageService.userKey(`scan/${id}`);
+
+// Pre-index storage: the whole history as one JSON array
+const legacyHistoryKey = () => storageService.userKey('scanHistory');
+
+const DEFAULT_PAGE_SIZE = 20;
+
+let scanIndex = [];
+let writeQueue = Promise.resolve();
+
+const normalizeKey = (value) => String(value || '').trim().toLowerCase();
+
+// Run storage work in order; failures are logged and don't block later writes
+function enqueue(label, task) {
+  const run = writeQueue.then(task).catch((e) => {
+    console.error(`scanRepository.${label} error:`, e);
+    return null;
+  });
+  writeQueue = run;
+  return run;
+}
+
+// ─── Index ────────────────────────────────────────────────────────
+
+/**
+ * Approximate bytes used by a scan: its JSON plus its stored photos
+ */
+function measureScan(scan, json = JSON.stringify(scan)) {
+  return json.length + getScanImagesSize(scan.imageFiles);
+}
+
+function toIndexEntry(scan, size) {
+  return {
+    id: scan.id,
+    scannedAt: scan.scannedAt,
+    name: scan.name,
+    brand: scan.brand,
+    category: scan.category,
+    overallScore: scan.overallScore,
+    imageSource: scan.imageSource,
+    imageFiles: scan.imageFiles || [],
+    size,
+  };
+}
+
+// Newest first; entries without a date sink to the end
+function sortIndex(entries) {
+  return entries.sort((a, b) => (b.scannedAt || '').localeCompare(a.scannedAt || ''));
+}
+
+function persistIndex() {
+  const key = indexKey();
+  const snapshot = JSON.stringify(scanIndex);
+  return enqueue('persistIndex', () => encryptedStorage.setItem(key, snapshot));
+}
+
+/**
+ * Drop the oldest scans until both config.cache limits are met.
+ * Returns the evicted index entries.
+ */
+function enforceLimits() {
+  const { scanHistoryLimit, maxStorageSize } = config.cache;
+  const evicted = [];
+
+  let totalSize = scanIndex.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  while (
+    scanIndex.length > scanHistoryLimit
+    || (totalSize > maxStorageSize && scanIndex.length > 1)
+  ) {
+    const oldest = scanIndex.pop();
+    totalSize -= oldest.size || 0;
+    evicted.push(oldest);
+  }
+
+  if (evicted.length > 0) {
+    deleteScanImages(evicted);
+    const keys = evicted.map((entry) => recordKey(entry.id));
+    enqueue('evict', () => AsyncStorage.multiRemove(keys));
+  }
+  return evicted;
+}
+
+// ─── Migration ────────────────────────────────────────────────────
+
+/**
+ * Move the legacy single-array history into per-record storage.
+ * Runs once: the legacy key is removed after the index is written.
+ */
+async function migrateLegacyHistory() {
+  const json = await encryptedStorage.getItem(legacyHistoryKey());
+  const legacy = json ? JSON.parse(json) : [];
+  const scans = legacy.filter((scan) => scan && scan.id);
+
+  const pairs = scans.map((scan) => [recordKey(scan.id), JSON.stringify(scan)]);
+  const entries = scans.map((scan, i) => toIndexEntry(scan, measureScan(scan, pairs[i][1])));
+
+  if (pairs.length > 0) {
+    await encryptedStorage.multiSet(pairs);
+  }
+  await encryptedStorage.setItem(indexKey(), JSON.stringify(sortIndex(entries)));
+  await AsyncStorage.removeItem(legacyHistoryKey());
+  return entries;
+}
+
+/**
+ * Load the index into memory (migrating legacy history on first launch).
+ * Returns the index, newest first. Throws DecryptError when the stored
+ * index can't be read.
+ */
+export async function loadScanIndex() {
+  try {
+    const json = await encryptedStorage.getItem(indexKey());
+    scanIndex = json ? JSON.parse(json) : await migrateLegacyHistory();
+
+    // Limits may have been lowered since the last launch
+    if (enforceLimits().length > 0) {
+      persistIndex();
+    }
+  } catch (e) {
+    scanIndex = [];
+    if (e instanceof DecryptError) throw e;
+    console.error('scanRepository.loadScanIndex error:', e);
+  }
+  return [...scanIndex];
+}
+
+/**
+ * Forget the in-memory index (logout)
+ */
+export function unloadScanIndex() {
+  scanIndex = [];
+}
+
+/**
+ * Current index (summaries, newest first)
+ */
+export function getScanIndex() {
+  return [...scanIndex];
+}
+
+// ─── Queries ──────────────────────────────────────────────────────
+
+/**
+ * Page through the index. Filters match whole values, case-insensitively:
+ *   { brand, category, product, since, until, offset, limit }
+ * `product` matches the product name; `since`/`until` are ISO dates.
+ * Returns { items, total, hasMore }.
+ */
+export function queryScans({
+  brand,
+  category,
+  product,
+  since,
+  until,
+  offset = 0,
+  limit = DEFAULT_PAGE_SIZE,
+} = {}) {
+  const matches = scanIndex.filter((entry) => (
+    (!brand || normalizeKey(entry.brand) === normalizeKey(brand))
+    && (!category || normalizeKey(entry.category) === normalizeKey(category))
+    && (!product || normalizeKey(entry.name) === normalizeKey(product))
+    && (!since || (entry.scannedAt || '') >= since)
+    && (!until || (entry.scannedAt || '') < until)
+  ));
+
+  return {
+    items: matches.slice(offset, offset + limit),
+    total: matches.length,
+    hasMore: offset + limit < matches.length,
+  };
+}
+
+/**
+ * Distinct values of an indexed field ('brand' | 'category' | 'name')
+ * with their scan counts, most scanned first
+ */
+export function getIndexValues(field) {
+  const counts = new Map();
+  scanIndex.forEach((entry) => {
+    const value = entry[field];
+    if (!value) return;
+    const key = normalizeKey(value);
+    const current = counts.get(key) || { value, count: 0 };
+    counts.set(key, { ...current, count: current.count + 1 });
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Full scan record, or null when it no longer exists
+ */
+export async function getScan(id) {
+  const key = recordKey(id);
+  const json = await enqueue('getScan', () => encryptedStorage.getItem(key));
+  return json ? JSON.parse(json) : null;
+}
+
+// ─── Mutations ────────────────────────────────────────────────────
+
+/**
+ * Store a new scan and apply the history limits. Returns the new index.
+ */
+export function saveScan(scan) {
+  const key = recordKey(scan.id);
+  const json = JSON.stringify(scan);
+  scanIndex = sortIndex([
+    toIndexEntry(scan, measureScan(scan, json)),
+    ...scanIndex.filter((entry) => entry.id !== scan.id),
+  ]);
+
+  enqueue('saveScan', () => encryptedStorage.setItem(key, json));
+  enforceLimits();
+  persistIndex();
+  return getScanIndex();
+}
+
+/**
+ * Merge updates into a stored scan. Returns the new index.
+ */
+export function updateScan(id, updates) {
+  const position = scanIndex.findIndex((entry) => entry.id === id);
+  if (position === -1) return getScanIndex();
+
+  const current = scanIndex[position];
+  const entry = toIndexEntry({ ...current, ...updates }, current.size);
+  scanIndex = sortIndex(scanIndex.map((e) => (e === current ? entry : e)));
+
+  const key = recordKey(id);
+  enqueue('updateScan', async () => {
+    const json = await encryptedStorage.getItem(key);
+    if (json) {
+      const next = { ...JSON.parse(json), ...updates };
+      const nextJson = JSON.stringify(next);
+      await encryptedStorage.setItem(key, nextJson);
+      entry.size = measureScan(next, nextJson);
+    }
+    // Written after the record so the index carries its new size
+    persistIndex();
+  });
+  return getScanIndex();
+}
+
+/**
+ * Delete one scan and its photos. Returns the new index.
+ */
+export function removeScan(id) {
+  const key = recordKey(id);
+  deleteScanImages(scanIndex.filter((entry) => entry.id === id));
+  scanIndex = scanIndex.filter((entry) => entry.id !== id);
+
+  enqueue('removeScan', () => AsyncStorage.removeItem(key));
+  persistIndex();
+  return getScanIndex();
+}
+
+/**
+ * Store scans restored from a backup. Scans whose id is already stored (or
+ * repeated in `scans`) are skipped; their photos must already be written.
+ * Returns { index, added } where `added` is the number of new scans.
+ */
+export function importScans(scans = []) {
+  const seen = new Set(scanIndex.map((entry) => entry.id));
+  const pairs = [];
+  const entries = [];
+
+  scans.forEach((scan) => {
+    if (!scan?.id || seen.has(scan.id)) return;
+    seen.add(scan.id);
+    const json = JSON.stringify(scan);
+    pairs.push([recordKey(scan.id), json]);
+    entries.push(toIndexEntry(scan, measureScan(scan, json)));
+  });
+
+  if (pairs.length > 0) {
+    scanIndex = sortIndex([...entries, ...scanIndex]);
+    enqueue('importScans', () => encryptedStorage.multiSet(pairs));
+    enforceLimits();
+    persistIndex();
+  }
+  return { index: getScanIndex(), added: pairs.length };
+}
+
+/**
+ * Delete every scan and all stored photos
+ */
+export function clearScans() {
+  const keys = scanIndex.map((entry) => recordKey(entry.id));
+  scanIndex = [];
+  clearScanImages();
+
+  enqueue('clearScans', () => AsyncStorage.multiRemove(keys));
+  persistIndex();
+  return [];
+}
+
+export default {
+  loadScanIndex,
+  unloadScanIndex,
+  getScanIndex,
+  queryScans,
+  getIndexValues,
+  getScan,
+  saveScan,
+  updateScan,
+  removeScan,
+  importScans,
+  clearScans,
+};
@@ -0,0 +1,170 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import scanRepository from './scanRepository';
+import encryptedStorage from './encryptedStorage';
+import { storageService } from './storageService';
+import { deleteScanImages, getScanImagesSize } from './scanImageStore';
+import config from '../../config';
+
+// Photos are sized by name here: "big.jpg" counts as 1000 bytes
+jest.mock('./scanImageStore', () => ({
+  getScanImagesSize: jest.fn((fileNames = []) => fileNames.filter(name => name === 'big.jpg').length * 1000),
+  deleteScanImages: jest.fn(),
+  clearScanImages: jest.fn(),
+}));
+
+const key = name => `@purelytics/u/user-1/${name}`;
+const stored = async name => JSON.parse(await encryptedStorage.getItem(key(name)));
+
+const scan = (id, day, fields) => ({
+  id,
+  name: `Product ${id}`,
+  brand: 'Acme',
+  category: 'Snack',
+  scannedAt: `2026-01-${String(day).padStart(2, '0')}T00:00:00Z`,
+  overallScore: 50,
+  ...fields,
+});
+
+// Wait for the queued writes (a queued read resolves after them)
+const flush = () => scanRepository.getScan('none');
+
+const originalCache = { ...config.cache };
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  storageService.setActiveUser('user-1');
+  scanRepository.unloadScanIndex();
+  Object.assign(config.cache, originalCache);
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('per-record store', () => {
+  test('each scan has its own record and an index summary, newest first', async () => {
+    scanRepository.saveScan(scan('a', 1));
+    const index = scanRepository.saveScan(scan('b', 2, { ingredients: [{ name: 'Salt' }] }));
+    await flush();
+
+    expect(index.map(entry => entry.id)).toEqual(['b', 'a']);
+    expect(index[0]).not.toHaveProperty('ingredients');
+    expect(index[0].size).toBeGreaterThan(0);
+    expect(await stored('scan/b')).toMatchObject({ id: 'b', ingredients: [{ name: 'Salt' }] });
+    expect((await stored('scanIndex')).map(entry => entry.id)).toEqual(['b', 'a']);
+    expect(await AsyncStorage.getItem(key('scan/b'))).toMatch(/^enc1:/);
+  });
+
+  test('a read issued after writes sees them', async () => {
+    scanRepository.saveScan(scan('a', 1, { name: 'Before' }));
+    scanRepository.updateScan('a', { name: 'After' });
+
+    expect((await scanRepository.getScan('a')).name).toBe('After');
+    expect(scanRepository.getScanIndex()[0].name).toBe('After');
+  });
+
+  test('removing a scan deletes its record and photos', async () => {
+    scanRepository.saveScan(scan('a', 1, { imageFiles: ['a.jpg'] }));
+    scanRepository.removeScan('a');
+
+    expect(await scanRepository.getScan('a')).toBeNull();
+    expect(deleteScanImages).toHaveBeenCalledWith([expect.objectContaining({ id: 'a' })]);
+    expect(scanRepository.getScanIndex()).toEqual([]);
+  });
+
+  test('a failed write is logged and does not block later ones', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(encryptedStorage, 'setItem').mockRejectedValueOnce(new Error('disk full'));
+
+    scanRepository.saveScan(scan('a', 1));
+    scanRepository.saveScan(scan('b', 2));
+
+    expect(await scanRepository.getScan('a')).toBeNull();
+    expect(await scanRepository.getScan('b')).toMatchObject({ id: 'b' });
+    expect(console.error).toHaveBeenCalledWith('scanRepository.saveScan error:', expect.any(Error));
+  });
+});
+
+describe('queries', () => {
+  test('filters whole values case-insensitively and pages', () => {
+    scanRepository.saveScan(scan('a', 1, { brand: 'Acme' }));
+    scanRepository.saveScan(scan('b', 2, { brand: 'acme' }));
+    scanRepository.saveScan(scan('c', 3, { brand: 'Acme Foods' }));
+
+    const page = scanRepository.queryScans({ brand: 'ACME', limit: 1 });
+
+    expect(page).toMatchObject({ total: 2, hasMore: true });
+    expect(page.items.map(entry => entry.id)).toEqual(['b']);
+    expect(scanRepository.queryScans({ since: '2026-01-03' }).items.map(entry => entry.id)).toEqual(['c']);
+  });
+});
+
+describe('limits', () => {
+  test('the oldest scans go past scanHistoryLimit', async () => {
+    config.cache.scanHistoryLimit = 2;
+
+    scanRepository.saveScan(scan('a', 1, { imageFiles: ['a.jpg'] }));
+    scanRepository.saveScan(scan('b', 2));
+    const index = scanRepository.saveScan(scan('c', 3));
+
+    expect(index.map(entry => entry.id)).toEqual(['c', 'b']);
+    expect(deleteScanImages).toHaveBeenCalledWith([expect.objectContaining({ id: 'a' })]);
+    expect(await scanRepository.getScan('a')).toBeNull();
+  });
+
+  test('photos count towards maxStorageSize, but the newest scan stays', () => {
+    config.cache.maxStorageSize = 1500;
+
+    scanRepository.saveScan(scan('a', 1, { imageFiles: ['big.jpg'] }));
+    expect(scanRepository.saveScan(scan('b', 2, { imageFiles: ['big.jpg'] })).map(entry => entry.id)).toEqual(['b']);
+    expect(getScanImagesSize).toHaveBeenCalledWith(['big.jpg']);
+  });
+
+  test('limits lowered since the last launch apply on load', async () => {
+    ['a', 'b', 'c'].forEach((id, i) => scanRepository.saveScan(scan(id, i + 1)));
+    await flush();
+    scanRepository.unloadScanIndex();
+    config.cache.scanHistoryLimit = 1;
+
+    expect((await scanRepository.loadScanIndex()).map(entry => entry.id)).toEqual(['c']);
+    await flush();
+    expect((await stored('scanIndex')).map(entry => entry.id)).toEqual(['c']);
+  });
+});
+
+describe('importScans', () => {
+  test('skips ids already stored or repeated', async () => {
+    scanRepository.saveScan(scan('a', 1, { name: 'Mine' }));
+
+    const { index, added } = scanRepository.importScans([
+      scan('a', 1, { name: 'Theirs' }),
+      scan('b', 2),
+      scan('b', 2, { name: 'Duplicate' }),
+      { name: 'No id' },
+    ]);
+
+    expect(added).toBe(1);
+    expect(index.map(entry => entry.id)).toEqual(['b', 'a']);
+    expect((await scanRepository.getScan('a')).name).toBe('Mine');
+    expect((await scanRepository.getScan('b')).name).toBe('Product b');
+  });
+});
+
+describe('legacy history', () => {
+  test('the single-array history moves to per-record storage once', async () => {
+    await encryptedStorage.setItem(key('scanHistory'), JSON.stringify([scan('a', 1), scan('b', 2), null]));
+
+    const index = await scanRepository.loadScanIndex();
+
+    expect(index.map(entry => entry.id)).toEqual(['b', 'a']);
+    expect(await stored('scan/a')).toMatchObject({ id: 'a' });
+    expect(await AsyncStorage.getItem(key('scanHistory'))).toBeNull();
+    expect((await stored('scanIndex')).map(entry => entry.id)).toEqual(['b', 'a']);
+  });
+
+  test('an account without history starts empty', async () => {
+    expect(await scanRepository.loadScanIndex()).toEqual([]);
+    expect(await stored('scanIndex')).toEqual([]);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Scan Result - Build the product object saved to history
+ * Every capture path (photo, barcode, typed text) ends here so
+ * ReviewScan, Results and History always receive the same shape.
+ */
+
+import { evaluateProfiles } from './profileEvaluator';
+import { detectAllergens } from './allergenDetector';
+
+const EMPTY_CONCERNS = {
+  sugar: { count: 0, names: [] },
+  preservatives: { count: 0, names: [] },
+  artificial: { count: 0, names: [] },
+};
+
+/**
+ * Convert a reconciled analysis into a history product.
+ * `profiles` are the current user's household profiles; `extras` are
+ * merged last (e.g. { barcode }).
+ */
+export function buildScanProduct(analysis, profiles = [], extras = {}) {
+  const ingredients = analysis.ingredients || [];
+
+  return {
+    id: `scan-${Date.now()}`,
+    name: analysis.productName || 'Scanned Product',
+    brand: analysis.brand || 'Unknown Brand',
+    category: analysis.productCategory || 'Other',
+    overallScore: analysis.overallScore || 50,
+    modelOverallScore: analysis.modelOverallScore,
+    rawText: analysis.rawText || '',
+    ingredients,
+    concerns: analysis.concerns || EMPTY_CONCERNS,
+    profileAlerts: evaluateProfiles(ingredients, profiles, detectAllergens(ingredients, analysis.rawText)),
+    supplementInfo: analysis.supplementInfo || null,
+    validationWarnings: analysis.validationWarnings || [],
+    photoCount: analysis.photoCount || 1,
+    scanMode: analysis.scanMode || 'food',
+    scannedAt: new Date().toISOString(),
+    aiProvider: analysis.provider,
+    ...extras,
+  };
+}
+
+// Ingredients are compared by database id when matched, otherwise by name
+const ingredientKey = (ingredient) => (
+  ingredient.foundInDatabase && ingredient.id
+    ? ingredient.id
+    : (ingredient.name || '').trim().toLowerCase()
+);
+
+/**
+ * Compare two analyses of the same product (e.g. before and after a
+ * re-analysis with web context). Both take { category, overallScore,
+ * ingredients }. Returns what changed:
+ * { category, overallScore, added, removed, scoreChanges, hasChanges }
+ * where category/overallScore are { from, to } or null.
+ */
+export function diffScanResults(before, after) {
+  const beforeByKey = new Map((before.ingredients || []).map(i => [ingredientKey(i), i]));
+  const afterByKey = new Map((after.ingredients || []).map(i => [ingredientKey(i), i]));
+
+  const added = [...afterByKey.entries()]
+    .filter(([key]) => !beforeByKey.has(key))
+    .map(([, ingredient]) => ingredient);
+  const removed = [...beforeByKey.entries()]
+    .filter(([key]) => !afterByKey.has(key))
+    .map(([, ingredient]) => ingredient);
+  const scoreChanges = [...afterByKey.entries()]
+    .filter(([key, ingredient]) => beforeByKey.has(key) && beforeByKey.get(key).score !== ingredient.score)
+    .map(([key, ingredient]) => ({
+      name: ingredient.name,
+      from: beforeByKey.get(key).score,
+      to: ingredient.score,
+    }));
+
+  const category = before.category !== after.category
+    ? { from: before.category, to: after.category }
+    : null;
+  const overallScore = before.overallScore !== after.overallScore
+    ? { from: before.overallScore, to: after.overallScore }
+    : null;
+
+  return {
+    category,
+    overallScore,
+    added,
+    removed,
+    scoreChanges,
+    hasChanges: Boolean(category || overallScore || added.length || removed.length || scoreChanges.length),
+  };
+}
+
+export default {
+  buildScanProduct,
+  diffScanResults,
+};
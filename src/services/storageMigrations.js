@@ -0,0 +1,206 @@
+/**
+ * Storage Migrations - Versioned shapes for each account's stored data
+ *
+ * Every account records the schema version its data was last migrated to
+ * (storageService.getSchemaVersion). runMigrations() runs in SettingsProvider's
+ * load (see loadUserData) before any state is hydrated: it reads the
+ * account's settings, profiles and scans, applies each migration newer than
+ * the stored version in order, and writes back only what changed, followed
+ * by the new version.
+ *
+ * A migration is a pure function (data, { userId }) → data over
+ *   { settings, profiles, scans }
+ * that returns new objects and keeps scans in order, one for one, so each can
+ * be run on its own against fixture data. If a migration throws or a write
+ * fails, every key is restored to its previous value and the version is left
+ * unchanged; the next load tries again.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import encryptedStorage from './encryptedStorage';
+import { storageService } from './storageService';
+import { getCategoriesForMode, LEGACY_PRODUCT_TYPES } from '../data/productCategories';
+
+// Per-user key names (storageService USER_KEYS and scanRepository)
+const SETTINGS = 'settings';
+const PROFILES = 'profiles';
+const SCAN_INDEX = 'scanIndex';
+const LEGACY_HISTORY = 'scanHistory';
+const SCAN_RECORD_PREFIX = 'scan/';
+
+// Index summary fields copied from a migrated scan record
+const INDEX_FIELDS = ['scannedAt', 'name', 'brand', 'category', 'overallScore', 'imageSource'];
+
+// Scans saved before scanMode was recorded may belong to any mode
+const ALL_CATEGORIES = ['food', 'beauty', 'home'].flatMap((mode) => getCategoriesForMode(mode));
+
+// Categories renamed since they were stored
+const CATEGORY_ALIASES = {
+  'Processed Meat': 'Meat',
+};
+
+// ─── Migrations ───────────────────────────────────────────────────
+
+/**
+ * v1: profiles saved before accounts were stamped with their owner
+ */
+export function stampProfileOwners(data, { userId }) {
+  return {
+    ...data,
+    profiles: data.profiles.map((profile) => (
+      profile.userId ? profile : { ...profile, userId }
+    )),
+  };
+}
+
+/**
+ * v2: results from before productCategory kept the deprecated productType
+ * (normalizeResult now maps and deletes it)
+ */
+export function mapLegacyProductType(data) {
+  return {
+    ...data,
+    scans: data.scans.map((scan) => {
+      if (!('productType' in scan)) return scan;
+
+      const { productType, ...rest } = scan;
+      return {
+        ...rest,
+        category: rest.category || LEGACY_PRODUCT_TYPES[productType] || 'Other',
+      };
+    }),
+  };
+}
+
+/**
+ * v3: categories outside the scan mode's list (e.g. the old demo product's
+ * "Processed Meat") are renamed or set to "Other"
+ */
+export function anchorScanCategories(data) {
+  return {
+    ...data,
+    scans: data.scans.map((scan) => {
+      const categories = scan.scanMode ? getCategoriesForMode(scan.scanMode) : ALL_CATEGORIES;
+      if (categories.includes(scan.category)) return scan;
+
+      const alias = CATEGORY_ALIASES[scan.category];
+      return { ...scan, category: categories.includes(alias) ? alias : 'Other' };
+    }),
+  };
+}
+
+// Ordered by version; append new migrations with the next version number
+export const MIGRATIONS = [
+  { version: 1, name: 'stampProfileOwners', migrate: stampProfileOwners },
+  { version: 2, name: 'mapLegacyProductType', migrate: mapLegacyProductType },
+  { version: 3, name: 'anchorScanCategories', migrate: anchorScanCategories },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply every migration newer than `fromVersion`, in order
+ */
+export function applyMigrations(data, fromVersion, context) {
+  return MIGRATIONS
+    .filter((migration) => migration.version > fromVersion)
+    .reduce((current, migration) => {
+      try {
+        return migration.migrate(current, context);
+      } catch (e) {
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${e.message}`);
+      }
+    }, data);
+}
+
+// ─── Runner ───────────────────────────────────────────────────────
+
+const isMigratedKey = (name) => (
+  [SETTINGS, PROFILES, SCAN_INDEX, LEGACY_HISTORY].includes(name)
+  || name.startsWith(SCAN_RECORD_PREFIX)
+);
+
+/**
+ * Bring the active user's stored data up to SCHEMA_VERSION.
+ * Returns the version the data is at afterwards.
+ */
+export async function runMigrations() {
+  const fromVersion = await storageService.getSchemaVersion();
+  if (fromVersion >= SCHEMA_VERSION) return fromVersion;
+
+  const prefix = storageService.userKey('');
+  const keys = (await AsyncStorage.getAllKeys()).filter((key) => (
+    key.startsWith(prefix) && isMigratedKey(key.slice(prefix.length))
+  ));
+  // Raw (encrypted) values, restored as they are on failure
+  const snapshot = await AsyncStorage.multiGet(keys);
+
+  try {
+    const stored = {};
+    for (const [key, raw] of snapshot) {
+      const json = await encryptedStorage.decrypt(raw);
+      if (json !== null) stored[key.slice(prefix.length)] = json;
+    }
+    const read = (name, fallback) => (stored[name] ? JSON.parse(stored[name]) : fallback);
+
+    const recordNames = Object.keys(stored).filter((name) => name.startsWith(SCAN_RECORD_PREFIX));
+    const legacyScans = read(LEGACY_HISTORY, []);
+    const data = {
+      settings: read(SETTINGS, {}),
+      profiles: read(PROFILES, []),
+      scans: [...recordNames.map((name) => read(name)), ...legacyScans],
+    };
+
+    const migrated = applyMigrations(data, fromVersion, { userId: storageService.getActiveUserId() });
+
+    // Scan records first, then the legacy array (see data.scans above)
+    const values = {
+      [SETTINGS]: migrated.settings,
+      [PROFILES]: migrated.profiles,
+      [LEGACY_HISTORY]: migrated.scans.slice(recordNames.length),
+    };
+    const records = new Map();
+    recordNames.forEach((name, i) => {
+      values[name] = migrated.scans[i];
+      records.set(migrated.scans[i].id, migrated.scans[i]);
+    });
+    values[SCAN_INDEX] = read(SCAN_INDEX, []).map((entry) => {
+      const scan = records.get(entry.id);
+      if (!scan) return entry;
+      const summary = { ...entry };
+      INDEX_FIELDS.forEach((field) => { summary[field] = scan[field]; });
+      return summary;
+    });
+
+    // Only keys that exist and changed are rewritten
+    const pairs = Object.entries(values)
+      .filter(([name]) => name in stored)
+      .map(([name, value]) => [name, JSON.stringify(value)])
+      .filter(([name, json]) => json !== stored[name])
+      .map(([name, json]) => [`${prefix}${name}`, json]);
+
+    if (pairs.length > 0) {
+      await encryptedStorage.multiSet(pairs);
+    }
+    await storageService.saveSchemaVersion(SCHEMA_VERSION);
+    return SCHEMA_VERSION;
+  } catch (e) {
+    console.error('storageMigrations.runMigrations error:', e);
+    try {
+      const previous = snapshot.filter(([, raw]) => raw !== null);
+      if (previous.length > 0) {
+        await AsyncStorage.multiSet(previous);
+      }
+    } catch (rollbackError) {
+      console.error('storageMigrations.runMigrations rollback error:', rollbackError);
+    }
+    return fromVersion;
+  }
+}
+
+export default {
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  applyMigrations,
+  runMigrations,
+};
@@ -0,0 +1,144 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  stampProfileOwners,
+  mapLegacyProductType,
+  anchorScanCategories,
+  applyMigrations,
+  runMigrations,
+  SCHEMA_VERSION,
+} from './storageMigrations';
+import { storageService } from './storageService';
+import encryptedStorage from './encryptedStorage';
+
+const fixture = () => ({
+  settings: { theme: 'dark' },
+  profiles: [
+    { id: 'p1', name: 'Sam' },
+    { id: 'p2', name: 'Alex', userId: 'user-2' },
+  ],
+  scans: [
+    { id: 's1', name: 'Cola', productType: 'drink' },
+    { id: 's2', name: 'Ham', category: 'Processed Meat', scanMode: 'food' },
+    { id: 's3', name: 'Shampoo', category: 'Haircare', scanMode: 'beauty' },
+  ],
+});
+
+describe('migrations', () => {
+  test('stampProfileOwners stamps only unowned profiles', () => {
+    const data = fixture();
+    const { profiles } = stampProfileOwners(data, { userId: 'user-1' });
+
+    expect(profiles.map(profile => profile.userId)).toEqual(['user-1', 'user-2']);
+    expect(data.profiles[0].userId).toBeUndefined();
+  });
+
+  test('mapLegacyProductType maps and drops productType', () => {
+    const { scans } = mapLegacyProductType({
+      scans: [
+        { id: 'a', productType: 'drink' },
+        { id: 'b', productType: 'unknown' },
+        { id: 'c', productType: 'snack', category: 'Candy' },
+        { id: 'd', category: 'Dairy' },
+      ],
+    });
+
+    expect(scans).toEqual([
+      { id: 'a', category: 'Beverage' },
+      { id: 'b', category: 'Other' },
+      { id: 'c', category: 'Candy' },
+      { id: 'd', category: 'Dairy' },
+    ]);
+  });
+
+  test('anchorScanCategories renames or replaces categories outside the mode', () => {
+    const { scans } = anchorScanCategories({
+      scans: [
+        { id: 'a', category: 'Processed Meat', scanMode: 'food' },
+        { id: 'b', category: 'Snack', scanMode: 'beauty' },
+        { id: 'c', category: 'Laundry' },
+        { id: 'd', category: 'Skincare', scanMode: 'beauty' },
+      ],
+    });
+
+    expect(scans.map(scan => scan.category)).toEqual(['Meat', 'Other', 'Laundry', 'Skincare']);
+  });
+
+  test('applyMigrations from version 0 runs every step', () => {
+    const migrated = applyMigrations(fixture(), 0, { userId: 'user-1' });
+
+    expect(migrated.profiles[0].userId).toBe('user-1');
+    expect(migrated.scans.map(scan => scan.category)).toEqual(['Beverage', 'Meat', 'Haircare']);
+    expect(migrated.scans[0]).not.toHaveProperty('productType');
+  });
+
+  test('applyMigrations from version 1 skips the owner stamp', () => {
+    const migrated = applyMigrations(fixture(), 1, { userId: 'user-1' });
+
+    expect(migrated.profiles[0].userId).toBeUndefined();
+    expect(migrated.scans[0]).toEqual({ id: 's1', name: 'Cola', category: 'Beverage' });
+  });
+
+  test('applyMigrations from version 2 only anchors categories', () => {
+    const migrated = applyMigrations(fixture(), 2, { userId: 'user-1' });
+
+    expect(migrated.scans[0]).toHaveProperty('productType', 'drink');
+    expect(migrated.scans[1].category).toBe('Meat');
+  });
+
+  test('applyMigrations names the step that failed', () => {
+    expect(() => applyMigrations({ ...fixture(), scans: [null] }, 1, {})).toThrow(
+      'Migration 2 (mapLegacyProductType) failed',
+    );
+  });
+});
+
+describe('runMigrations', () => {
+  const key = name => `@purelytics/u/user-1/${name}`;
+  const stored = async name => JSON.parse(await encryptedStorage.getItem(key(name)));
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    storageService.setActiveUser('user-1');
+    const { profiles, scans } = fixture();
+    await AsyncStorage.multiSet([
+      [key('profiles'), JSON.stringify(profiles)],
+      [key('scan/s1'), JSON.stringify(scans[0])],
+      [key('scanIndex'), JSON.stringify([{ id: 's1', name: 'Cola' }])],
+      [key('scanHistory'), JSON.stringify(scans.slice(1))],
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('migrates stored records, the legacy history and the index', async () => {
+    expect(await runMigrations()).toBe(SCHEMA_VERSION);
+
+    expect((await stored('profiles'))[0].userId).toBe('user-1');
+    expect(await stored('scan/s1')).toEqual({ id: 's1', name: 'Cola', category: 'Beverage' });
+    expect((await stored('scanHistory')).map(scan => scan.category)).toEqual(['Meat', 'Haircare']);
+    expect(await stored('scanIndex')).toEqual([expect.objectContaining({ id: 's1', category: 'Beverage' })]);
+    expect(await storageService.getSchemaVersion()).toBe(SCHEMA_VERSION);
+    expect(await AsyncStorage.getItem(key('scan/s1'))).toMatch(/^enc1:/);
+  });
+
+  test('a failing step leaves the data and version as they were', async () => {
+    await AsyncStorage.setItem(key('scan/s1'), 'null');
+    const before = await AsyncStorage.multiGet(await AsyncStorage.getAllKeys());
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await runMigrations()).toBe(0);
+    expect(await AsyncStorage.multiGet(await AsyncStorage.getAllKeys())).toEqual(before);
+  });
+
+  test('a failed write restores the snapshot', async () => {
+    const before = await AsyncStorage.multiGet(await AsyncStorage.getAllKeys());
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(AsyncStorage, 'setItem').mockRejectedValueOnce(new Error('disk full'));
+
+    expect(await runMigrations()).toBe(0);
+    expect(await AsyncStorage.multiGet(before.map(([name]) => name))).toEqual(before);
+    expect(await storageService.getSchemaVersion()).toBe(0);
+  });
+});
@@ -1,28 +1,56 @@
 /**
  * Storage Service - Multi-layered persistent storage
  *
- * Layer 1: SecureStore — auth tokens and sensitive credentials
- * Layer 2: AsyncStorage — settings, profiles, scan history, user data
+ * Layer 1: SecureStore — auth tokens, the data key and other small secrets
+ * Layer 2: AsyncStorage — settings, profiles, user data
  *
  * SecureStore has a 2048-byte value limit, so only small secrets go there.
- * Everything else uses AsyncStorage.
+ * Everything else uses AsyncStorage. Scan history has its own indexed
+ * store (see scanRepository).
+ *
+ * Per-user data lives under @purelytics/u/<userId>/ for the account set with
+ * setActiveUser() and is encrypted at rest (see encryptedStorage). Only the
+ * account list and the logged-in profile are global.
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as SecureStore from 'expo-secure-store';
+import encryptedStorage, { DecryptError } from './encryptedStorage';
+import {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  generateSessionToken,
+  hashSessionToken,
+  sessionTokenMatches,
+} from './authCrypto';
+import config from '../../config';
 
-// AsyncStorage keys (non-sensitive)
+// AsyncStorage keys shared by every account on the device (non-sensitive)
 const KEYS = {
-  SETTINGS: '@purelytics/settings',
-  PROFILES: '@purelytics/profiles',
-  SCAN_HISTORY: '@purelytics/scanHistory',
   USER_PROFILE: '@purelytics/userProfile',
   USERS_DB: '@purelytics/usersDb',
+  LEGACY_OWNER: '@purelytics/legacyDataOwner',
+};
+
+// Per-user AsyncStorage keys (see userKey)
+const USER_KEYS = {
+  SETTINGS: 'settings',
+  PROFILES: 'profiles',
+  BARCODE_PRODUCTS: 'barcodeProducts',
+  ENCRYPTED: 'encrypted', // plaintext marker, set once existing data is encrypted
+  SCHEMA_VERSION: 'schemaVersion', // plaintext, see storageMigrations
 };
 
+// Per-user keys that are never encrypted
+const PLAINTEXT_USER_KEYS = [USER_KEYS.ENCRYPTED, USER_KEYS.SCHEMA_VERSION];
+
+const KEY_PREFIX = '@purelytics/';
+const USER_PREFIX = '@purelytics/u/';
+
 // SecureStore keys (sensitive)
 const SECURE_KEYS = {
-  AUTH_TOKEN: 'purelytics_auth_token',
+  AUTH_TOKEN: 'purelytics_auth_token', // JSON session: { token, userId, expiresAt }
 };
 
 // ─── Secure Layer (auth tokens) ───────────────────────────────────
@@ -52,11 +80,113 @@ async function deleteAuthToken() {
   }
 }
 
+// ─── Active User (per-user namespacing) ──────────────────────────
+
+let activeUserId = null;
+
+/**
+ * Set the account whose data is read and written (null on logout)
+ */
+function setActiveUser(userId) {
+  activeUserId = userId || null;
+}
+
+function getActiveUserId() {
+  return activeUserId;
+}
+
+/**
+ * AsyncStorage key for the active user's copy of `name`.
+ * Throws when nobody is logged in so data is never written unowned.
+ */
+function userKey(name) {
+  if (!activeUserId) {
+    throw new Error(`No active user for storage key "${name}"`);
+  }
+  return `${USER_PREFIX}${activeUserId}/${name}`;
+}
+
+/**
+ * Data written before per-user storage (global @purelytics/* keys) goes to
+ * the first account that logs in. Profiles already stamped with another
+ * account's userId go to that account instead.
+ * Returns true when this user took the legacy data.
+ */
+async function claimLegacyData(userId) {
+  try {
+    if (await AsyncStorage.getItem(KEYS.LEGACY_OWNER)) return false;
+
+    const globalKeys = Object.values(KEYS);
+    const legacyKeys = (await AsyncStorage.getAllKeys()).filter((key) => (
+      key.startsWith(KEY_PREFIX)
+      && !key.startsWith(USER_PREFIX)
+      && !globalKeys.includes(key)
+    ));
+    const legacyPairs = await AsyncStorage.multiGet(legacyKeys);
+
+    const pairs = [];
+    for (const [key, value] of legacyPairs) {
+      if (value === null) continue;
+      const name = key.slice(KEY_PREFIX.length);
+
+      if (name !== USER_KEYS.PROFILES) {
+        pairs.push([`${USER_PREFIX}${userId}/${name}`, value]);
+        continue;
+      }
+
+      // Split shared profiles by owner, merging with anything already saved
+      const byOwner = {};
+      JSON.parse(value).forEach((profile) => {
+        const owner = profile.userId || userId;
+        byOwner[owner] = [...(byOwner[owner] || []), { ...profile, userId: owner }];
+      });
+      for (const [owner, profiles] of Object.entries(byOwner)) {
+        const ownerKey = `${USER_PREFIX}${owner}/${USER_KEYS.PROFILES}`;
+        const existing = JSON.parse(await encryptedStorage.getItem(ownerKey) || '[]');
+        pairs.push([ownerKey, JSON.stringify([...existing, ...profiles])]);
+      }
+    }
+
+    if (pairs.length > 0) {
+      await encryptedStorage.multiSet(pairs);
+    }
+    await AsyncStorage.multiRemove(legacyKeys);
+    await AsyncStorage.setItem(KEYS.LEGACY_OWNER, userId);
+    return true;
+  } catch (e) {
+    console.error('storageService.claimLegacyData error:', e);
+    return false;
+  }
+}
+
+/**
+ * Encrypt the active user's data written before encryption at rest.
+ * Runs once per account (USER_KEYS.ENCRYPTED); later writes are
+ * encrypted as they happen.
+ */
+async function encryptUserData() {
+  try {
+    const markerKey = userKey(USER_KEYS.ENCRYPTED);
+    if (await AsyncStorage.getItem(markerKey)) return;
+
+    const prefix = userKey('');
+    const plaintextKeys = PLAINTEXT_USER_KEYS.map(userKey);
+    const keys = (await AsyncStorage.getAllKeys()).filter((key) => (
+      key.startsWith(prefix) && !plaintextKeys.includes(key)
+    ));
+    await encryptedStorage.encryptPlaintext(keys);
+    await AsyncStorage.setItem(markerKey, '1');
+  } catch (e) {
+    console.error('storageService.encryptUserData error:', e);
+  }
+}
+
 // ─── User Accounts (local auth — no backend) ─────────────────────
 
 /**
  * Local user database stored in AsyncStorage.
- * Each entry: { email, passwordHash, createdAt }
+ * Each entry: { id, email, passwordHash, createdAt, session }
+ * where session is { tokenHash, expiresAt } while logged in.
  * In production this would be a real backend. This is a local-first MVP.
  */
 async function getUsersDb() {
@@ -77,12 +207,16 @@ async function saveUsersDb(users) {
   }
 }
 
+async function updateUser(userId, updates) {
+  const users = await getUsersDb();
+  await saveUsersDb(users.map(u => (u.id === userId ? { ...u, ...updates } : u)));
+}
+
 /**
- * Simple hash for local password storage.
- * NOT cryptographically secure — acceptable for local-only MVP.
- * In production, use bcrypt on a real server.
+ * Pre-PBKDF2 password hash ("h_…"). Only used to verify accounts created
+ * before authCrypto; they are re-hashed on their next successful login.
  */
-function simpleHash(str) {
+function legacyHash(str) {
   let hash = 0;
   for (let i = 0; i < str.length; i++) {
     const char = str.charCodeAt(i);
@@ -92,11 +226,11 @@ function simpleHash(str) {
   return 'h_' + Math.abs(hash).toString(36) + '_' + str.length;
 }
 
-/**
- * Generate a unique token for the session
- */
-function generateToken(email) {
-  return 'tok_' + Date.now().toString(36) + '_' + simpleHash(email);
+async function checkPassword(password, storedHash) {
+  if (String(storedHash).startsWith('h_')) {
+    return storedHash === legacyHash(password);
+  }
+  return verifyPassword(password, storedHash);
 }
 
 async function createUser(email, password) {
@@ -108,7 +242,7 @@ async function createUser(email, password) {
   const newUser = {
     id: 'user_' + Date.now(),
     email: email.toLowerCase(),
-    passwordHash: simpleHash(password),
+    passwordHash: await hashPassword(password),
     createdAt: new Date().toISOString(),
   };
   users.push(newUser);
@@ -122,12 +256,135 @@ async function verifyUser(email, password) {
   if (!user) {
     throw new Error('No account found with this email');
   }
-  if (user.passwordHash !== simpleHash(password)) {
+  if (!(await checkPassword(password, user.passwordHash))) {
     throw new Error('Incorrect password');
   }
+
+  // Re-hash legacy hashes or another work factor while the password is at hand
+  if (needsRehash(user.passwordHash)) {
+    const passwordHash = await hashPassword(password);
+    await updateUser(user.id, { passwordHash });
+    return { ...user, passwordHash };
+  }
   return user;
 }
 
+// ─── Account Management ───────────────────────────────────────────
+
+async function findVerifiedUser(userId, password) {
+  const users = await getUsersDb();
+  const user = users.find(u => u.id === userId);
+  if (!user) {
+    throw new Error('Account not found');
+  }
+  if (!(await checkPassword(password, user.passwordHash))) {
+    throw new Error('Incorrect password');
+  }
+  return { user, users };
+}
+
+/**
+ * Change the password (current one required) and rotate the session, so a
+ * token issued before the change no longer restores. This device gets a
+ * fresh one when the account is signed in here.
+ */
+async function changePassword(userId, currentPassword, newPassword) {
+  await findVerifiedUser(userId, currentPassword);
+  await updateUser(userId, { passwordHash: await hashPassword(newPassword), session: null });
+  if (userId === activeUserId) {
+    await createSession(userId);
+  }
+}
+
+/**
+ * Change the login email (password required). Returns { id, email }.
+ */
+async function changeEmail(userId, newEmail, password) {
+  const { users } = await findVerifiedUser(userId, password);
+  const email = newEmail.toLowerCase();
+  if (users.some(u => u.id !== userId && u.email.toLowerCase() === email)) {
+    throw new Error('An account with this email already exists');
+  }
+  await updateUser(userId, { email });
+  return { id: userId, email };
+}
+
+/**
+ * Delete the active user's account: their data (clearAll), session token and
+ * usersDb entry. Stored scan photos are removed by the caller (scanImageStore).
+ */
+async function deleteUser(userId, password) {
+  if (userId !== activeUserId) {
+    throw new Error('Only the signed-in account can be deleted');
+  }
+  await findVerifiedUser(userId, password);
+  await clearAll();
+  const users = await getUsersDb();
+  await saveUsersDb(users.filter(u => u.id !== userId));
+}
+
+// ─── Sessions ─────────────────────────────────────────────────────
+
+/**
+ * Start a session: a random token goes to SecureStore, its hash and expiry
+ * to the account. Returns { userId, expiresAt }.
+ */
+async function createSession(userId) {
+  const token = generateSessionToken();
+  const expiresAt = new Date(Date.now() + config.auth.sessionTTL).toISOString();
+
+  await updateUser(userId, { session: { tokenHash: hashSessionToken(token), expiresAt } });
+  await saveAuthToken(JSON.stringify({ token, userId, expiresAt }));
+  return { userId, expiresAt };
+}
+
+/**
+ * Check the stored session on app start. Returns the account ({ id, email })
+ * or null; expired, revoked or malformed sessions are removed.
+ */
+async function restoreSession() {
+  try {
+    const stored = await getAuthToken();
+    if (!stored) return null;
+
+    const { token, userId } = JSON.parse(stored);
+    const users = await getUsersDb();
+    const user = users.find(u => u.id === userId);
+    const session = user?.session;
+
+    if (
+      !session
+      || Date.parse(session.expiresAt) <= Date.now()
+      || !sessionTokenMatches(token, session.tokenHash)
+    ) {
+      await endSession();
+      return null;
+    }
+    return { id: user.id, email: user.email };
+  } catch (e) {
+    // Tokens from before session validation ("tok_…") aren't JSON
+    console.error('storageService.restoreSession error:', e);
+    await deleteAuthToken();
+    return null;
+  }
+}
+
+/**
+ * Revoke the stored session (on the account and in SecureStore)
+ */
+async function endSession() {
+  try {
+    const stored = await getAuthToken();
+    const userId = stored ? JSON.parse(stored).userId : null;
+    if (userId) {
+      await updateUser(userId, { session: null });
+    }
+  } catch (e) {
+    console.error('storageService.endSession error:', e);
+  }
+  await deleteAuthToken();
+}
+
 // ─── User Profile (non-sensitive) ─────────────────────────────────
 
 async function getUserProfile() {
@@ -160,9 +417,11 @@ async function deleteUserProfile() {
 
 async function getSettings() {
   try {
-    const json = await AsyncStorage.getItem(KEYS.SETTINGS);
+    const json = await encryptedStorage.getItem(userKey(USER_KEYS.SETTINGS));
     return json ? JSON.parse(json) : null;
   } catch (e) {
+    // Unreadable is not empty: don't let the caller start over and save
+    if (e instanceof DecryptError) throw e;
     console.error('storageService.getSettings error:', e);
     return null;
   }
@@ -170,7 +429,7 @@ async function getSettings() {
 
 async function saveSettings(settings) {
   try {
-    await AsyncStorage.setItem(KEYS.SETTINGS, JSON.stringify(settings));
+    await encryptedStorage.setItem(userKey(USER_KEYS.SETTINGS), JSON.stringify(settings));
   } catch (e) {
     console.error('storageService.saveSettings error:', e);
   }
@@ -180,9 +439,10 @@ async function saveSettings(settings) {
 
 async function getProfiles() {
   try {
-    const json = await AsyncStorage.getItem(KEYS.PROFILES);
+    const json = await encryptedStorage.getItem(userKey(USER_KEYS.PROFILES));
     return json ? JSON.parse(json) : [];
   } catch (e) {
+    if (e instanceof DecryptError) throw e;
     console.error('storageService.getProfiles error:', e);
     return [];
   }
@@ -190,37 +450,69 @@ async function getProfiles() {
 
 async function saveProfiles(profiles) {
   try {
-    await AsyncStorage.setItem(KEYS.PROFILES, JSON.stringify(profiles));
+    await encryptedStorage.setItem(userKey(USER_KEYS.PROFILES), JSON.stringify(profiles));
   } catch (e) {
     console.error('storageService.saveProfiles error:', e);
   }
 }
 
-// ─── Scan History ─────────────────────────────────────────────────
+// ─── Barcode Products ─────────────────────────────────────────────
 
-async function getScanHistory() {
+/**
+ * Products analyzed through the photo flow after a barcode catalog miss.
+ * Stored as a map of 13-digit barcode → catalog entry.
+ */
+async function getBarcodeProducts() {
   try {
-    const json = await AsyncStorage.getItem(KEYS.SCAN_HISTORY);
-    return json ? JSON.parse(json) : [];
+    const json = await encryptedStorage.getItem(userKey(USER_KEYS.BARCODE_PRODUCTS));
+    return json ? JSON.parse(json) : {};
   } catch (e) {
-    console.error('storageService.getScanHistory error:', e);
-    return [];
+    if (e instanceof DecryptError) throw e;
+    console.error('storageService.getBarcodeProducts error:', e);
+    return {};
   }
 }
 
-async function saveScanHistory(history) {
+async function saveBarcodeProducts(products) {
   try {
-    await AsyncStorage.setItem(KEYS.SCAN_HISTORY, JSON.stringify(history));
+    await encryptedStorage.setItem(userKey(USER_KEYS.BARCODE_PRODUCTS), JSON.stringify(products));
   } catch (e) {
-    console.error('storageService.saveScanHistory error:', e);
+    console.error('storageService.saveBarcodeProducts error:', e);
   }
 }
 
+// ─── Schema Version ───────────────────────────────────────────────
+
+/**
+ * Version of the active user's stored data shapes (0 before the first
+ * migration run). See storageMigrations.
+ */
+async function getSchemaVersion() {
+  try {
+    return Number(await AsyncStorage.getItem(userKey(USER_KEYS.SCHEMA_VERSION))) || 0;
+  } catch (e) {
+    console.error('storageService.getSchemaVersion error:', e);
+    return 0;
+  }
+}
+
+// Throws, so a failed write rolls the migration run back
+async function saveSchemaVersion(version) {
+  await AsyncStorage.setItem(userKey(USER_KEYS.SCHEMA_VERSION), String(version));
+}
+
 // ─── Utility ──────────────────────────────────────────────────────
 
+/**
+ * Remove the active user's data (including the scan index and per-scan
+ * records from scanRepository) and end the session. Other accounts on the
+ * device are untouched.
+ */
 async function clearAll() {
   try {
-    await AsyncStorage.multiRemove(Object.values(KEYS));
+    const prefix = userKey('');
+    const keys = await AsyncStorage.getAllKeys();
+    await AsyncStorage.multiRemove(keys.filter((key) => key.startsWith(prefix)));
     await SecureStore.deleteItemAsync(SECURE_KEYS.AUTH_TOKEN);
   } catch (e) {
     console.error('storageService.clearAll error:', e);
@@ -232,10 +524,23 @@ export const storageService = {
   getAuthToken,
   saveAuthToken,
   deleteAuthToken,
+  // Active user
+  setActiveUser,
+  getActiveUserId,
+  userKey,
+  claimLegacyData,
+  encryptUserData,
   // User accounts
   createUser,
   verifyUser,
-  generateToken,
+  // Account management
+  changePassword,
+  changeEmail,
+  deleteUser,
+  // Sessions
+  createSession,
+  restoreSession,
+  endSession,
   // User profile
   getUserProfile,
   saveUserProfile,
@@ -246,9 +551,12 @@ export const storageService = {
   // Profiles
   getProfiles,
   saveProfiles,
-  // Scan history
-  getScanHistory,
-  saveScanHistory,
+  // Barcode products
+  getBarcodeProducts,
+  saveBarcodeProducts,
+  // Schema version
+  getSchemaVersion,
+  saveSchemaVersion,
   // Utility
   clearAll,
 };
@@ -0,0 +1,103 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { storageService } from './storageService';
+import { verifyPassword } from './authCrypto';
+import { DecryptError } from './encryptedStorage';
+
+const USERS_DB = '@purelytics/usersDb';
+
+const AUTH_TOKEN = 'purelytics_auth_token';
+
+const storedUser = async () => JSON.parse(await AsyncStorage.getItem(USERS_DB))[0];
+
+describe('accounts', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  test('new accounts get a PBKDF2 hash that verifies', async () => {
+    await storageService.createUser('Sam@Example.com', 'correct horse');
+
+    const user = await storageService.verifyUser('sam@example.com', 'correct horse');
+    expect(user.passwordHash).toMatch(/^pbkdf2\$/);
+    await expect(storageService.verifyUser('sam@example.com', 'wrong')).rejects.toThrow('Incorrect password');
+  });
+
+  test('a legacy hash still logs in and is upgraded', async () => {
+    // legacyHash('correct horse') from before authCrypto
+    await AsyncStorage.setItem(USERS_DB, JSON.stringify([
+      { id: 'user_1', email: 'sam@example.com', passwordHash: 'h_wyv2ah_13' },
+    ]));
+
+    const user = await storageService.verifyUser('sam@example.com', 'correct horse');
+
+    expect(user.passwordHash).toMatch(/^pbkdf2\$/);
+    expect((await storedUser()).passwordHash).toBe(user.passwordHash);
+    expect(await verifyPassword('correct horse', user.passwordHash)).toBe(true);
+    await expect(storageService.verifyUser('sam@example.com', 'wrong')).rejects.toThrow('Incorrect password');
+  });
+
+  test('a wrong password does not upgrade a legacy hash', async () => {
+    await AsyncStorage.setItem(USERS_DB, JSON.stringify([
+      { id: 'user_1', email: 'sam@example.com', passwordHash: 'h_wyv2ah_13' },
+    ]));
+
+    await expect(storageService.verifyUser('sam@example.com', 'wrong')).rejects.toThrow('Incorrect password');
+    expect((await storedUser()).passwordHash).toBe('h_wyv2ah_13');
+  });
+});
+
+describe('changePassword', () => {
+  let user;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    user = await storageService.createUser('sam@example.com', 'correct horse');
+    await storageService.createSession(user.id);
+  });
+
+  test('rotates the session: this device stays signed in, older tokens stop working', async () => {
+    storageService.setActiveUser(user.id);
+    const oldToken = await SecureStore.getItemAsync(AUTH_TOKEN);
+
+    await storageService.changePassword(user.id, 'correct horse', 'battery staple');
+
+    expect(await SecureStore.getItemAsync(AUTH_TOKEN)).not.toBe(oldToken);
+    expect(await storageService.restoreSession()).toEqual({ id: user.id, email: 'sam@example.com' });
+
+    await SecureStore.setItemAsync(AUTH_TOKEN, oldToken);
+    expect(await storageService.restoreSession()).toBeNull();
+    await expect(storageService.verifyUser('sam@example.com', 'correct horse')).rejects.toThrow('Incorrect password');
+  });
+
+  test('revokes the session of an account not signed in here', async () => {
+    storageService.setActiveUser(null);
+
+    await storageService.changePassword(user.id, 'correct horse', 'battery staple');
+
+    expect((await storedUser()).session).toBeNull();
+    expect(await storageService.restoreSession()).toBeNull();
+  });
+
+  test('a wrong current password changes nothing', async () => {
+    const before = await storedUser();
+
+    await expect(storageService.changePassword(user.id, 'wrong', 'battery staple')).rejects.toThrow('Incorrect password');
+    expect(await storedUser()).toEqual(before);
+  });
+});
+
+describe('encrypted user data', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    storageService.setActiveUser('user_1');
+  });
+
+  test('data that does not decrypt is reported, not read as empty', async () => {
+    const key = '@purelytics/u/user_1/profiles';
+    await AsyncStorage.setItem(key, 'enc1:AAAAAAAAAAAAAAAA:AAAAAAAAAAAAAAAAAAAAAAAA');
+
+    await expect(storageService.getProfiles()).rejects.toBeInstanceOf(DecryptError);
+    expect(await AsyncStorage.getItem(key)).toBe('enc1:AAAAAAAAAAAAAAAA:AAAAAAAAAAAAAAAAAAAAAAAA');
+  });
+});